@@ -0,0 +1,24 @@
+const globals = require('globals');
+
+// The main process and build scripts are plain CommonJS that neither tsc nor vite checks,
+// so undefined names would only show up at run time
+module.exports = [
+  {
+    files: ['src/main/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: { ...globals.node },
+    },
+    rules: {
+      'no-undef': 'error',
+    },
+  },
+  {
+    // The preload script also runs against the renderer's window
+    files: ['src/main/preload.js'],
+    languageOptions: {
+      globals: { ...globals.browser },
+    },
+  },
+];
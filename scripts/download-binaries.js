@@ -8,6 +8,7 @@ const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const binaryVerification = require('../src/main/binary-verification');
 
 const PLATFORMS = [
   { platform: 'darwin', arch: 'amd64', name: 'macos-intel' },
@@ -19,6 +20,18 @@ const PLATFORMS = [
 
 const BINARIES_DIR = path.join(__dirname, '..', 'binaries');
 
+// Release assets call Windows "windows" rather than Node's "win32"
+const RELEASE_OS = { darwin: 'darwin', linux: 'linux', win32: 'windows' };
+
+/**
+ * Name of a binary's release asset
+ * Steampipe publishes steampipe_<os>_<arch>.zip, Powerpipe publishes powerpipe.<os>.<arch>.tar.gz
+ */
+function getAssetName(name, platform, arch) {
+  const os = RELEASE_OS[platform];
+  return name === 'powerpipe' ? `${name}.${os}.${arch}.tar.gz` : `${name}_${os}_${arch}.zip`;
+}
+
 function downloadFile(url, destPath) {
   return new Promise((resolve, reject) => {
     const file = fs.createWriteStream(destPath);
@@ -59,42 +72,64 @@ function downloadFile(url, destPath) {
   });
 }
 
-async function extractZip(filePath, destDir) {
+async function extractArchive(filePath, destDir) {
   const platform = process.platform;
   
-  if (platform === 'win32') {
+  if (filePath.endsWith('.tar.gz')) {
+    if (platform === 'win32') {
+      await require('tar').extract({ file: filePath, cwd: destDir });
+    } else {
+      execSync(`tar -xzf "${filePath}" -C "${destDir}"`);
+    }
+  } else if (platform === 'win32') {
     execSync(`powershell -Command "Expand-Archive -Path '${filePath}' -DestinationPath '${destDir}' -Force"`);
   } else {
     execSync(`unzip -o "${filePath}" -d "${destDir}"`);
   }
 }
 
-async function downloadBinary(name, platform, arch) {
+/**
+ * @param {object} release - Result of binaryVerification.resolveLatestRelease - every platform uses the same tag
+ */
+async function downloadBinary(name, platform, arch, release) {
   const platformDir = path.join(BINARIES_DIR, `${platform}-${arch}`);
   await fs.promises.mkdir(platformDir, { recursive: true });
   
   const isWindows = platform === 'win32';
   const ext = isWindows ? '.exe' : '';
   const binaryName = `${name}${ext}`;
-  const zipName = `${name}.zip`;
   
   // Download URL
-  const downloadUrl = `https://github.com/turbot/${name}/releases/latest/download/${name}_${platform}_${arch}.zip`;
+  const assetName = getAssetName(name, platform, arch);
+  const archiveName = `${name}${assetName.endsWith('.tar.gz') ? '.tar.gz' : '.zip'}`;
+  const downloadUrl = `${release.downloadUrl}/${assetName}`;
   
-  console.log(`[Download] ${name} for ${platform}-${arch}...`);
+  console.log(`[Download] ${name} ${release.tag} for ${platform}-${arch}...`);
   console.log(`  URL: ${downloadUrl}`);
   
-  const zipPath = path.join(platformDir, zipName);
+  const archivePath = path.join(platformDir, archiveName);
   
   try {
+    const published = await binaryVerification.getPublishedChecksum(release, assetName);
+    
     // Download
-    await downloadFile(downloadUrl, zipPath);
+    await downloadFile(downloadUrl, archivePath);
     console.log(`  ✓ Downloaded`);
     
+    // Verify
+    let verification;
+    try {
+      verification = await binaryVerification.verifyArchive(archivePath, assetName, published);
+    } catch (verifyError) {
+      await fs.promises.unlink(archivePath).catch(() => {});
+      throw verifyError;
+    }
+    console.log(`  ✓ Verified SHA-256 ${verification.sha256}${verification.signatureVerified ? ' (signed checksums)' : ''}`);
+    
     // Extract
     const extractDir = path.join(platformDir, 'extracted');
     await fs.promises.mkdir(extractDir, { recursive: true });
-    await extractZip(zipPath, extractDir);
+    await extractArchive(archivePath, extractDir);
     console.log(`  ✓ Extracted`);
     
     // Find the binary in extracted folder
@@ -115,9 +150,15 @@ async function downloadBinary(name, platform, arch) {
       await fs.promises.chmod(destPath, 0o755);
     }
     
+    // Bundled with the binary so the app can record which verified download it runs
+    await fs.promises.writeFile(
+      `${destPath}.verification.json`,
+      JSON.stringify({ ...verification, binarySha256: await binaryVerification.sha256File(destPath) }, null, 2)
+    );
+    
     // Cleanup
     await fs.promises.rm(extractDir, { recursive: true, force: true });
-    await fs.promises.unlink(zipPath).catch(() => {});
+    await fs.promises.unlink(archivePath).catch(() => {});
     
     console.log(`  ✓ Binary ready: ${destPath}`);
     return destPath;
@@ -133,25 +174,41 @@ async function main() {
   // Create binaries directory
   await fs.promises.mkdir(BINARIES_DIR, { recursive: true });
   
-  // Download for all platforms
+  // Resolve each release once, so every platform bundles the same verified version
+  const releases = {
+    steampipe: await binaryVerification.resolveLatestRelease('turbot/steampipe'),
+    powerpipe: await binaryVerification.resolveLatestRelease('turbot/powerpipe'),
+  };
+  console.log(`Steampipe ${releases.steampipe.tag}, Powerpipe ${releases.powerpipe.tag}\n`);
+  
+  // Download for all platforms - any platform that could not be downloaded and verified fails the build
+  const failed = [];
   for (const { platform, arch } of PLATFORMS) {
     try {
-      await downloadBinary('steampipe', platform, arch);
-      await downloadBinary('powerpipe', platform, arch);
+      await downloadBinary('steampipe', platform, arch, releases.steampipe);
+      await downloadBinary('powerpipe', platform, arch, releases.powerpipe);
       console.log('');
     } catch (error) {
       console.error(`Failed to download for ${platform}-${arch}:`, error.message);
+      failed.push(`${platform}-${arch}`);
     }
   }
   
+  if (failed.length > 0) {
+    throw new Error(`❌ Binaries could not be downloaded and verified for: ${failed.join(', ')}`);
+  }
+  
   console.log('✅ Binary download complete!');
   console.log(`Binaries are in: ${BINARIES_DIR}`);
   console.log('\nThese will be bundled with the app during electron-builder build.');
 }
 
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch((error) => {
+    console.error(error.message || error);
+    process.exitCode = 1;
+  });
 }
 
-module.exports = { downloadBinary, PLATFORMS };
+module.exports = { downloadBinary, getAssetName, PLATFORMS };
 
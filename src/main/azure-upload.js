@@ -125,8 +125,46 @@ async function uploadMultipleFiles(files, dataRoomId) {
   return results;
 }
 
+/**
+ * Download a private blob uploaded by uploadToAzureBlob
+ * The URL is resolved against the configured storage account, so the
+ * connection string's credentials are used to read it
+ *
+ * @param {string} blobUrl - Plain blob URL as returned by uploadToAzureBlob
+ * @returns {Promise<Buffer>} Blob content
+ */
+async function downloadFromAzureBlob(blobUrl) {
+  try {
+    if (!AZURE_STORAGE_CONNECTION_STRING) {
+      throw new Error('AZURE_STORAGE_CONNECTION_STRING not configured');
+    }
+
+    // Blob URL structure: https://{account}.blob.core.windows.net/{container}/{blobName}
+    const [containerName, ...blobPath] = new URL(blobUrl).pathname.replace(/^\//, '').split('/');
+    if (!containerName || blobPath.length === 0) {
+      throw new Error('Invalid blob URL');
+    }
+
+    const blobServiceClient = BlobServiceClient.fromConnectionString(
+      AZURE_STORAGE_CONNECTION_STRING
+    );
+    const blobClient = blobServiceClient
+      .getContainerClient(containerName)
+      .getBlobClient(decodeURIComponent(blobPath.join('/')));
+
+    const buffer = await blobClient.downloadToBuffer();
+    console.log(`[Azure] ✓ Downloaded blob: ${containerName}/${blobPath.join('/')} (${buffer.length} bytes)`);
+    return buffer;
+  } catch (error) {
+    console.error('[Azure] Download error:', error);
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to download from Azure: ${message}`);
+  }
+}
+
 module.exports = {
   uploadToAzureBlob,
   uploadMultipleFiles,
+  downloadFromAzureBlob,
 };
 
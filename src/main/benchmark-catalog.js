@@ -0,0 +1,248 @@
+/**
+ * Benchmark Catalog
+ * Discovers the benchmarks in an installed mod via `powerpipe benchmark list` and
+ * turns them into a parent/child tree with control counts. Trees are cached per
+ * mod version under ~/.ofofo, so discovery only runs again after a mod changes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const powerpipeService = require('./powerpipe-service');
+
+const CATALOG_DIR = path.join(os.homedir(), '.ofofo', 'benchmark-catalog');
+
+// Bump when the cached tree shape changes
+const CATALOG_VERSION = 3;
+
+/**
+ * Build a benchmark tree from `powerpipe benchmark list --output json` entries
+ * Each benchmark lists its children by qualified name; children in the
+ * `<mod>.control.` namespace are controls, the rest are nested benchmarks
+ * @param {Array} benchmarks - Benchmark list entries for one mod
+ * @returns {Array} Root benchmark nodes
+ */
+function buildBenchmarkTree(benchmarks) {
+  const byName = new Map(benchmarks.map(b => [b.qualified_name, b]));
+  const childNames = new Set();
+  benchmarks.forEach(b => (b.children || []).forEach(name => {
+    if (byName.has(name)) childNames.add(name);
+  }));
+
+  // Unique controls under each benchmark (a control can appear in several sections)
+  const controlCache = new Map();
+  const collectControls = (name, visiting = new Set()) => {
+    if (controlCache.has(name)) return controlCache.get(name);
+    const controls = new Set();
+    if (visiting.has(name)) return controls;
+    visiting.add(name);
+
+    for (const child of byName.get(name)?.children || []) {
+      if (byName.has(child)) {
+        collectControls(child, visiting).forEach(control => controls.add(control));
+      } else if (child.includes('.control.')) {
+        controls.add(child);
+      }
+    }
+
+    visiting.delete(name);
+    controlCache.set(name, controls);
+    return controls;
+  };
+
+  const hasChildInfo = benchmarks.some(b => Array.isArray(b.children));
+
+  const toNode = (benchmark, ancestors = new Set()) => {
+    const name = benchmark.qualified_name;
+    const nested = (benchmark.children || [])
+      .filter(child => byName.has(child) && !ancestors.has(child))
+      .map(child => toNode(byName.get(child), new Set([...ancestors, name])));
+
+    return {
+      id: benchmark.resource_name || name.split('.').pop(),
+      qualifiedName: name,
+      title: benchmark.title || benchmark.resource_name || name,
+      description: benchmark.description || '',
+      tags: benchmark.tags || {},
+      controlCount: hasChildInfo ? collectControls(name).size : null,
+      children: nested,
+    };
+  };
+
+  return benchmarks
+    .filter(b => !childNames.has(b.qualified_name))
+    .map(b => toNode(b))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Short name of the query a control runs, e.g. storage_account_secure_transfer_required_enabled
+ * `powerpipe control list` reports it as a qualified name or as the query resource itself
+ */
+function getQueryName(query) {
+  const name = typeof query === 'string' ? query : query?.qualified_name || query?.name;
+  return name ? String(name).split('.').pop() : null;
+}
+
+function getCacheFile(modRepo, version) {
+  const safeVersion = String(version).replace(/[^a-zA-Z0-9._-]/g, '_');
+  return path.join(CATALOG_DIR, `${powerpipeService.getModShortName(modRepo)}@${safeVersion}.json`);
+}
+
+/**
+ * Load the catalog of an installed mod from cache, discovering it if needed
+ * The catalog holds the benchmark tree plus each benchmark's direct children
+ * and control metadata, so control pickers do not need another Powerpipe call
+ * @returns {object} { modVersion, discoveredAt, benchmarks, children, titles, controls, cached }
+ */
+async function loadCatalog(modRepo, options = {}) {
+  const modVersion = powerpipeService.getInstalledModVersion(modRepo);
+  if (!modVersion) {
+    throw new Error(`Mod ${modRepo} is not installed`);
+  }
+
+  const cacheFile = getCacheFile(modRepo, modVersion);
+  if (!options.refresh) {
+    try {
+      const cached = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+      if (cached.catalogVersion === CATALOG_VERSION) {
+        console.log(`[Catalog] Using cached benchmarks for ${modRepo}@${modVersion}`);
+        return { ...cached, cached: true };
+      }
+    } catch (cacheError) {
+      // No usable cache - discover below
+    }
+  }
+
+  console.log(`[Catalog] Discovering benchmarks for ${modRepo}@${modVersion}...`);
+  const listResult = await powerpipeService.listModBenchmarks(modRepo);
+  if (!listResult.success) {
+    throw new Error(listResult.error || 'Failed to list benchmarks');
+  }
+
+  // Control metadata is optional - the tree is still useful without titles
+  const controlResult = await powerpipeService.listModControls(modRepo);
+  const controls = {};
+  for (const control of controlResult.controls || []) {
+    controls[control.qualified_name] = {
+      title: control.title || control.resource_name || control.qualified_name,
+      description: control.description || '',
+      severity: control.severity || control.tags?.severity || null,
+      tags: control.tags || {},
+      // Markdown control documentation, including remediation steps for most compliance controls
+      documentation: control.documentation || '',
+      // Query the control runs - framework controls such as cis_v210_3_1 are only named after their section
+      queryName: getQueryName(control.query),
+    };
+  }
+
+  const children = {};
+  const titles = {};
+  listResult.benchmarks.forEach(b => {
+    children[b.qualified_name] = b.children || [];
+    titles[b.qualified_name] = b.title || b.resource_name || b.qualified_name;
+  });
+
+  const catalog = {
+    catalogVersion: CATALOG_VERSION,
+    modRepo,
+    modVersion,
+    discoveredAt: new Date().toISOString(),
+    benchmarks: buildBenchmarkTree(listResult.benchmarks),
+    children,
+    titles,
+    controls,
+  };
+
+  await fs.mkdir(CATALOG_DIR, { recursive: true });
+  await fs.writeFile(cacheFile, JSON.stringify(catalog, null, 2), 'utf8');
+  console.log(`[Catalog] Cached ${listResult.benchmarks.length} benchmarks and ${Object.keys(controls).length} controls for ${modRepo}@${modVersion}`);
+
+  return { ...catalog, cached: false };
+}
+
+/**
+ * Get the benchmark tree for an installed mod
+ * @param {string} modRepo - e.g. github.com/turbot/steampipe-mod-azure-compliance
+ * @param {object} options - { refresh } to ignore the cache
+ * @returns {object} { success, modVersion, benchmarks, cached, discoveredAt }
+ */
+async function getBenchmarkTree(modRepo, options = {}) {
+  try {
+    const catalog = await loadCatalog(modRepo, options);
+    return {
+      success: true,
+      modVersion: catalog.modVersion,
+      benchmarks: catalog.benchmarks,
+      cached: catalog.cached,
+      discoveredAt: catalog.discoveredAt,
+    };
+  } catch (error) {
+    console.error(`[Catalog] Failed to get benchmarks for ${modRepo}:`, error);
+    return { success: false, error: error.message, benchmarks: [] };
+  }
+}
+
+/**
+ * List the controls under a benchmark (including nested sections), in benchmark order
+ * @param {string} modRepo
+ * @param {string} benchmarkName - Qualified benchmark name, e.g. azure_compliance.benchmark.cis_v210
+ * @returns {object} { success, controls: [{ id, qualifiedName, title, description, severity, section }] }
+ */
+async function getBenchmarkControls(modRepo, benchmarkName) {
+  try {
+    const catalog = await loadCatalog(modRepo);
+    if (!catalog.children[benchmarkName]) {
+      return { success: false, error: `Benchmark ${benchmarkName} not found`, controls: [] };
+    }
+
+    const seen = new Set();
+    const controls = [];
+    const visit = (name, section, visiting) => {
+      if (visiting.has(name)) return;
+      visiting.add(name);
+
+      for (const child of catalog.children[name] || []) {
+        if (catalog.children[child]) {
+          visit(child, catalog.titles[child] || child, visiting);
+        } else if (child.includes('.control.') && !seen.has(child)) {
+          seen.add(child);
+          const meta = catalog.controls[child] || {};
+          controls.push({
+            id: child.split('.').pop(),
+            qualifiedName: child,
+            title: meta.title || child.split('.').pop(),
+            description: meta.description || '',
+            severity: meta.severity || null,
+            section,
+          });
+        }
+      }
+
+      visiting.delete(name);
+    };
+    visit(benchmarkName, catalog.titles[benchmarkName] || benchmarkName, new Set());
+
+    return { success: true, controls };
+  } catch (error) {
+    console.error(`[Catalog] Failed to get controls for ${benchmarkName}:`, error);
+    return { success: false, error: error.message, controls: [] };
+  }
+}
+
+/**
+ * Get the cached metadata of one control
+ * @param {string} controlName - Qualified control name, e.g. azure_compliance.control.storage_account_secure_transfer_required_enabled
+ * @returns {object|null} { title, description, severity, tags, documentation, queryName }
+ */
+async function getControlMetadata(modRepo, controlName) {
+  const catalog = await loadCatalog(modRepo);
+  return catalog.controls[controlName] || null;
+}
+
+module.exports = {
+  buildBenchmarkTree,
+  getBenchmarkTree,
+  getBenchmarkControls,
+  getControlMetadata,
+};
@@ -0,0 +1,211 @@
+/**
+ * Benchmark Drift Diff
+ * Compares two normalized findings models (see benchmark-results.js) of the same
+ * benchmark and reports what changed between the runs
+ */
+
+const { emptyTotals, RESULT_STATUSES } = require('./benchmark-results');
+const { tableCell } = require('./markdown-utils');
+
+// Higher rank = worse outcome; used to detect status regressions
+// An excepted result is an alarm with an accepted risk, so it ranks just below one
+const STATUS_RANK = { ok: 0, skip: 1, info: 2, error: 3, excepted: 4, alarm: 5 };
+
+/**
+ * Flatten a findings model into a map of "controlId|resource" → result row
+ * Control titles are attached so the diff can be rendered without the tree
+ */
+function indexResults(findings) {
+  const index = new Map();
+
+  const visit = (group) => {
+    for (const control of group.controls || []) {
+      for (const result of control.results || []) {
+        const key = `${result.controlId}|${result.resource || ''}`;
+        index.set(key, { ...result, controlTitle: control.title });
+      }
+    }
+    (group.groups || []).forEach(visit);
+  };
+
+  if (findings?.benchmark) visit(findings.benchmark);
+  return index;
+}
+
+/**
+ * Build a diff entry for a control/resource pair
+ */
+function toEntry(base, target) {
+  const row = target || base;
+  return {
+    controlId: row.controlId,
+    controlTitle: row.controlTitle,
+    resource: row.resource,
+    severity: row.severity,
+    fromStatus: base ? base.status : null,
+    toStatus: target ? target.status : null,
+    reason: target ? target.reason : base.reason,
+  };
+}
+
+/**
+ * Compare two runs of the same benchmark
+ *
+ * Categories do not overlap:
+ * - newAlarms: alarming now, was not alarming (or not present) before
+ * - resolvedAlarms: was alarming, no longer alarming (or resource gone) - not excepted
+ * - newlyExcepted: was alarming, now excepted - the risk was accepted, not fixed
+ * - regressions: present in both runs, status got worse without becoming an alarm
+ * - newResources: resources that did not appear anywhere in the base run
+ *
+ * @param {object} baseFindings - Findings model of the older run
+ * @param {object} targetFindings - Findings model of the newer run
+ * @returns {object} Diff with per-category entries and summary totals for both runs
+ */
+function diffFindings(baseFindings, targetFindings) {
+  if (!baseFindings?.benchmark || !targetFindings?.benchmark) {
+    throw new Error('Both runs need findings to compute a diff');
+  }
+
+  const baseIndex = indexResults(baseFindings);
+  const targetIndex = indexResults(targetFindings);
+
+  const newAlarms = [];
+  const resolvedAlarms = [];
+  const newlyExcepted = [];
+  const regressions = [];
+
+  for (const [key, target] of targetIndex) {
+    const base = baseIndex.get(key);
+    if (target.status === 'alarm' && base?.status !== 'alarm') {
+      newAlarms.push(toEntry(base, target));
+    } else if (base && STATUS_RANK[target.status] > STATUS_RANK[base.status]) {
+      regressions.push(toEntry(base, target));
+    }
+  }
+
+  for (const [key, base] of baseIndex) {
+    const target = targetIndex.get(key);
+    if (base.status === 'alarm' && target?.status === 'excepted') {
+      newlyExcepted.push(toEntry(base, target));
+    } else if (base.status === 'alarm' && target?.status !== 'alarm') {
+      resolvedAlarms.push(toEntry(base, target));
+    }
+  }
+
+  // Resources are compared across all controls, not per control
+  const baseResources = new Set(Array.from(baseIndex.values()).map(r => r.resource).filter(Boolean));
+  const discovered = new Map();
+  for (const target of targetIndex.values()) {
+    if (!target.resource || baseResources.has(target.resource)) continue;
+    if (!discovered.has(target.resource)) {
+      discovered.set(target.resource, { resource: target.resource, controls: 0, statuses: emptyTotals() });
+    }
+    const entry = discovered.get(target.resource);
+    entry.controls += 1;
+    entry.statuses[target.status] += 1;
+    entry.statuses.total += 1;
+  }
+
+  const byControl = (a, b) => a.controlId.localeCompare(b.controlId) || String(a.resource).localeCompare(String(b.resource));
+
+  return {
+    benchmark: {
+      id: targetFindings.benchmark.id,
+      title: targetFindings.benchmark.title,
+    },
+    base: {
+      generatedAt: baseFindings.generatedAt,
+      modVersion: baseFindings.modVersion || null,
+      scope: baseFindings.scope || null,
+      summary: baseFindings.benchmark.summary,
+    },
+    target: {
+      generatedAt: targetFindings.generatedAt,
+      modVersion: targetFindings.modVersion || null,
+      scope: targetFindings.scope || null,
+      summary: targetFindings.benchmark.summary,
+    },
+    newAlarms: newAlarms.sort(byControl),
+    resolvedAlarms: resolvedAlarms.sort(byControl),
+    newlyExcepted: newlyExcepted.sort(byControl),
+    regressions: regressions.sort(byControl),
+    newResources: Array.from(discovered.values()).sort((a, b) => a.resource.localeCompare(b.resource)),
+  };
+}
+
+function entryTable(entries) {
+  const rows = entries.map(entry => {
+    const change = `${entry.fromStatus || 'new'} → ${entry.toStatus || 'gone'}`;
+    return `| ${tableCell(entry.controlTitle, { empty: '-' })} | ${tableCell(entry.resource, { empty: '-' })} | ${change} | ${tableCell(entry.reason, { empty: '-' })} |`;
+  });
+  return ['| Control | Resource | Status | Reason |', '| --- | --- | --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * Render a diff as a markdown report suitable for the dataroom
+ * @param {object} diff - Output of diffFindings
+ * @param {object} meta - Optional { modName, benchmarkName }
+ */
+function renderDiffMarkdown(diff, meta = {}) {
+  const title = meta.benchmarkName || diff.benchmark.title;
+  const versionSuffix = run => (run.modVersion ? ` (mod ${run.modVersion})` : '');
+  // Controls can change between mod versions, so part of the drift may not be real
+  const versionChanged = diff.base.modVersion && diff.target.modVersion && diff.base.modVersion !== diff.target.modVersion;
+  // Different variables or tag filters evaluate different resources and controls
+  const scopeChanged = JSON.stringify(diff.base.scope || null) !== JSON.stringify(diff.target.scope || null);
+  const lines = [
+    `# Drift Report: ${title}`,
+    '',
+    meta.modName ? `**Mod:** ${meta.modName}  ` : null,
+    `**Base run:** ${diff.base.generatedAt}${versionSuffix(diff.base)}  `,
+    `**Compared run:** ${diff.target.generatedAt}${versionSuffix(diff.target)}`,
+    '',
+    versionChanged
+      ? `> The mod version changed from ${diff.base.modVersion} to ${diff.target.modVersion} between these runs. Some changes may come from updated controls rather than resource drift.\n`
+      : null,
+    scopeChanged
+      ? '> The run variables or tag filters changed between these runs, so the two runs may not cover the same controls and resources.\n'
+      : null,
+    '## Summary',
+    '',
+    '| Status | Base | Compared | Change |',
+    '| --- | --- | --- | --- |',
+    ...[...RESULT_STATUSES, 'total'].map(status => {
+      const before = diff.base.summary[status] || 0;
+      const after = diff.target.summary[status] || 0;
+      const change = after - before;
+      return `| ${status.toUpperCase()} | ${before} | ${after} | ${change > 0 ? `+${change}` : change} |`;
+    }),
+    '',
+    `- New alarms: ${diff.newAlarms.length}`,
+    `- Resolved alarms: ${diff.resolvedAlarms.length}`,
+    `- Newly excepted alarms: ${diff.newlyExcepted.length}`,
+    `- Status regressions: ${diff.regressions.length}`,
+    `- Newly discovered resources: ${diff.newResources.length}`,
+    '',
+  ].filter(line => line !== null);
+
+  const section = (heading, entries, render) => {
+    lines.push(`## ${heading}`, '');
+    lines.push(entries.length ? render(entries) : '_None_');
+    lines.push('');
+  };
+
+  section('New Alarms', diff.newAlarms, entryTable);
+  section('Resolved Alarms', diff.resolvedAlarms, entryTable);
+  section('Newly Excepted Alarms', diff.newlyExcepted, entryTable);
+  section('Status Regressions', diff.regressions, entryTable);
+  section('Newly Discovered Resources', diff.newResources, entries => [
+    '| Resource | Controls | Alarms | OK |',
+    '| --- | --- | --- | --- |',
+    ...entries.map(entry => `| ${tableCell(entry.resource, { empty: '-' })} | ${entry.controls} | ${entry.statuses.alarm} | ${entry.statuses.ok} |`),
+  ].join('\n'));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffFindings,
+  renderDiffMarkdown,
+};
@@ -0,0 +1,389 @@
+/**
+ * Benchmark Job Manager
+ * Queues Powerpipe benchmark runs and limits how many run at once, since every
+ * run shares the same Steampipe service. Job state is persisted under ~/.ofofo
+ * so queued jobs and the job history survive app restarts.
+ */
+
+const { EventEmitter } = require('events');
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const powerpipeService = require('./powerpipe-service');
+const runSettings = require('./run-settings');
+const findingExceptions = require('./finding-exceptions');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const JOBS_FILE = path.join(os.homedir(), '.ofofo', 'benchmark-jobs.json');
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+
+// Finished jobs kept in the history - oldest are dropped first
+const MAX_FINISHED_JOBS = 200;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Emits 'update' (job) on every state change and 'progress' (progress) while a job runs
+const jobEvents = new EventEmitter();
+
+const jobs = new Map();
+let concurrency = DEFAULT_CONCURRENCY;
+
+// Queued jobs wait until startJobs is called, so restored jobs don't run before the app is ready
+let started = false;
+
+// Callers awaiting a job's result, keyed by job ID - results are not persisted
+const waiters = new Map();
+
+// Results of retried and restored jobs, kept until waitForRun collects them
+const retryResults = new Map();
+
+/**
+ * Load persisted jobs and settings from disk
+ * Queued jobs stay queued and run once startJobs is called. A job that was running
+ * when the app closed cannot be resumed, so it is marked failed and can be retried
+ */
+function loadJobs() {
+  try {
+    const data = readJsonFile(JOBS_FILE, '[Jobs]', 'job state');
+    if (!data) return;
+
+    if (Number.isInteger(data.concurrency)) {
+      concurrency = Math.min(Math.max(data.concurrency, 1), MAX_CONCURRENCY);
+    }
+
+    for (const job of data.jobs || []) {
+      if (!JOB_STATUSES.includes(job.status)) continue;
+      if (job.status === 'running') {
+        job.status = 'failed';
+        job.error = 'Interrupted by app restart';
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+      }
+      jobs.set(job.id, job);
+    }
+    console.log(`[Jobs] Loaded ${jobs.size} benchmark jobs (concurrency ${concurrency})`);
+  } catch (error) {
+    console.warn('[Jobs] Failed to load job state:', error.message);
+  }
+}
+
+/**
+ * Save jobs and settings to disk, trimming old finished jobs
+ */
+function saveJobs() {
+  try {
+    const finished = Array.from(jobs.values())
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+    finished.slice(MAX_FINISHED_JOBS).forEach(job => {
+      jobs.delete(job.id);
+      retryResults.delete(job.id);
+    });
+
+    writeJsonFile(JOBS_FILE, { concurrency, jobs: Array.from(jobs.values()) });
+  } catch (error) {
+    console.warn('[Jobs] Failed to save job state:', error.message);
+  }
+}
+
+/**
+ * Apply changes to a job, persist them and notify listeners
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  saveJobs();
+  jobEvents.emit('update', { ...job });
+  return job;
+}
+
+/**
+ * Resolve everyone waiting on a job with its run result
+ */
+function settleJob(jobId, result) {
+  const callbacks = waiters.get(jobId) || [];
+  waiters.delete(jobId);
+  callbacks.forEach(resolve => resolve(result));
+}
+
+/**
+ * Return a promise that resolves with the job's run result once it finishes
+ */
+function waitForJob(jobId) {
+  return new Promise(resolve => {
+    if (!waiters.has(jobId)) waiters.set(jobId, []);
+    waiters.get(jobId).push(resolve);
+  });
+}
+
+/**
+ * Run a single job to completion
+ */
+async function runJob(job) {
+  const startedAt = new Date();
+  updateJob(job, { status: 'running', startedAt: startedAt.toISOString(), error: null, cancelRequested: false });
+  console.log(`[Jobs] Starting job ${job.id} (${job.modId}/${job.benchmarkId})`);
+
+  let result;
+  try {
+    // The run is scoped to its subscription's own connection - jobs queued without one query the aggregator
+    let connection = null;
+    if (job.subscriptionId) {
+      const connectionResult = await powerpipeService.ensureSubscriptionConnection(job.subscriptionId);
+      if (!connectionResult.success) {
+        throw new Error(connectionResult.error);
+      }
+      connection = connectionResult.connection;
+    }
+
+    result = await powerpipeService.runModCompliance(job.modId, job.modRepo, job.benchmarkId, {
+      runId: job.id,
+      totalControls: job.totalControls,
+      controls: job.controls,
+      controlSetId: job.controlSetId,
+      controlSetName: job.controlSetName,
+      scope: job.scope,
+      connection,
+      // Cancelled while the run was being prepared - there is no benchmark process to stop yet
+      isCancelled: () => job.cancelRequested,
+      onProgress: (progress) => jobEvents.emit('progress', progress),
+    });
+    // Accepted risks are applied at run time, so an expired exception fails again on the next run
+    result = await findingExceptions.applyToRunResult(job.subprocessId, result);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const finishedAt = new Date();
+  const status = result.success ? 'succeeded' : result.cancelled ? 'cancelled' : 'failed';
+  updateJob(job, {
+    status,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    error: result.success ? null : result.error || 'Benchmark run failed',
+  });
+  console.log(`[Jobs] Job ${job.id} ${status}`);
+
+  settleJob(job.id, result);
+}
+
+/**
+ * Start queued jobs until the concurrency limit is reached
+ */
+function processQueue() {
+  if (!started) return;
+  const running = Array.from(jobs.values()).filter(job => job.status === 'running').length;
+  const queued = Array.from(jobs.values())
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+
+  queued.slice(0, Math.max(concurrency - running, 0)).forEach(job => {
+    runJob(job).finally(processQueue);
+  });
+}
+
+/**
+ * Queue a benchmark run
+ * @param {object} request - { modId, modRepo, benchmarkId, subprocessId, subscriptionId, totalControls, runId }
+ *                           plus { controls, controlSetId, controlSetName } for a partial run
+ * @returns {object} The queued job
+ */
+function enqueueJob(request) {
+  const { modId, modRepo, benchmarkId = null, subprocessId = null, subscriptionId = null, totalControls = null, runId } = request;
+  const controls = request.controls && request.controls.length > 0 ? request.controls : null;
+  if (!modId || !modRepo) {
+    throw new Error('modId and modRepo are required');
+  }
+
+  // The subprocess's variables and tag filters are captured when the job is queued,
+  // so a retry runs with the same scope as the original
+  const settings = runSettings.getRunSettings(subprocessId);
+  const scope = runSettings.hasScope(settings) ? settings : null;
+
+  const job = {
+    id: runId || randomUUID(),
+    modId,
+    modRepo,
+    benchmarkId,
+    subprocessId,
+    subscriptionId,
+    // Tag filters skip an unknown number of controls, so the total is only known for unfiltered runs
+    totalControls: controls ? controls.length : scope?.tags.length ? null : totalControls,
+    controls,
+    scope,
+    controlSetId: request.controlSetId || null,
+    controlSetName: request.controlSetName || null,
+    status: 'queued',
+    attempts: 1,
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    error: null,
+  };
+
+  if (jobs.has(job.id)) {
+    throw new Error(`Job ${job.id} already exists`);
+  }
+
+  jobs.set(job.id, job);
+  updateJob(job, {});
+  processQueue();
+  return { ...job };
+}
+
+/**
+ * Queue a benchmark run and wait for its result
+ * Resolves with the same shape as powerpipeService.runModCompliance
+ */
+async function runJobAndWait(request) {
+  const job = enqueueJob(request);
+  return waitForJob(job.id);
+}
+
+/**
+ * Re-queue a failed or cancelled job
+ * Returns once the job is queued - use waitForRun for its result
+ * @returns {object} { success, job, error }
+ */
+async function retryJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  if (!['failed', 'cancelled'].includes(job.status)) {
+    return { success: false, error: `Cannot retry a job that is ${job.status}` };
+  }
+
+  updateJob(job, {
+    status: 'queued',
+    attempts: (job.attempts || 1) + 1,
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    error: null,
+  });
+
+  // Registered before the job starts, so a retry that fails straight away still reports its result
+  retryResults.set(job.id, waitForJob(job.id));
+  processQueue();
+  return { success: true, job: { ...job } };
+}
+
+/**
+ * Wait for a queued or running job to finish
+ * Resolves with the same shape as powerpipeService.runModCompliance
+ */
+async function waitForRun(jobId) {
+  if (retryResults.has(jobId)) {
+    const result = retryResults.get(jobId);
+    retryResults.delete(jobId);
+    return result;
+  }
+
+  const job = jobs.get(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return job.status === 'succeeded'
+      ? { success: false, error: 'Job already succeeded - its report is no longer available' }
+      : { success: false, cancelled: job.status === 'cancelled', error: job.error };
+  }
+  return waitForJob(jobId);
+}
+
+/**
+ * Cancel a queued or running job
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  if (job.status === 'queued') {
+    updateJob(job, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString(),
+      error: 'Benchmark run cancelled',
+    });
+    settleJob(job.id, { success: false, cancelled: true, error: 'Benchmark run cancelled' });
+    return { success: true };
+  }
+
+  if (job.status === 'running') {
+    // The run reports back as cancelled and runJob records the final state. Before the
+    // benchmark process starts there is no run to stop - the run checks the flag before spawning
+    updateJob(job, { cancelRequested: true });
+    powerpipeService.cancelBenchmarkRun(job.id);
+    return { success: true };
+  }
+
+  return { success: false, error: `Cannot cancel a job that is ${job.status}` };
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} filter - Optional { subprocessId, status }
+ */
+function listJobs(filter = {}) {
+  return Array.from(jobs.values())
+    .filter(job => !filter.subprocessId || job.subprocessId === filter.subprocessId)
+    .filter(job => !filter.status || job.status === filter.status)
+    .sort((a, b) => new Date(b.queuedAt) - new Date(a.queuedAt))
+    .map(job => ({ ...job }));
+}
+
+function getConcurrency() {
+  return concurrency;
+}
+
+/**
+ * Change how many benchmarks may run at the same time
+ */
+function setConcurrency(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONCURRENCY) {
+    throw new Error(`Concurrency must be a whole number between 1 and ${MAX_CONCURRENCY}`);
+  }
+
+  concurrency = limit;
+  saveJobs();
+  console.log(`[Jobs] Concurrency set to ${concurrency}`);
+  processQueue();
+  return concurrency;
+}
+
+/**
+ * Start running queued jobs, including those restored from the last session
+ * Nobody awaits a restored job yet, so its report is kept for waitForRun like a retry's
+ */
+function startJobs() {
+  if (started) return;
+  for (const job of jobs.values()) {
+    if (job.status === 'queued' && !retryResults.has(job.id)) {
+      retryResults.set(job.id, waitForJob(job.id));
+    }
+  }
+  started = true;
+  processQueue();
+}
+
+// Load persisted state on module load
+loadJobs();
+
+module.exports = {
+  jobEvents,
+  startJobs,
+  enqueueJob,
+  runJobAndWait,
+  retryJob,
+  waitForRun,
+  cancelJob,
+  listJobs,
+  getConcurrency,
+  setConcurrency,
+};
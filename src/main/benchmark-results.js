@@ -0,0 +1,154 @@
+/**
+ * Benchmark Results Parser
+ * Turns Powerpipe's nested JSON benchmark output into one normalized findings model:
+ * benchmark → group → control → per-resource result rows
+ */
+
+// Bump when the shape of the normalized model changes
+const FINDINGS_MODEL_VERSION = 1;
+
+// "excepted" is never emitted by Powerpipe - it replaces "alarm" for results covered
+// by an active finding exception (see finding-exceptions.js)
+const RESULT_STATUSES = ['alarm', 'ok', 'info', 'skip', 'error', 'excepted'];
+
+/**
+ * Create an empty status totals object
+ */
+function emptyTotals() {
+  return { alarm: 0, ok: 0, info: 0, skip: 0, error: 0, excepted: 0, total: 0 };
+}
+
+/**
+ * Add the counts of one totals object into another
+ */
+function addTotals(target, source) {
+  for (const status of RESULT_STATUSES) {
+    target[status] += source[status] || 0;
+  }
+  target.total += source.total || 0;
+  return target;
+}
+
+/**
+ * Normalize a result status - unknown values are treated as errors
+ */
+function normalizeStatus(status) {
+  const value = String(status || '').toLowerCase();
+  return RESULT_STATUSES.includes(value) ? value : 'error';
+}
+
+/**
+ * Powerpipe emits dimensions as [{ key, value }] - flatten them to an object
+ */
+function normalizeDimensions(dimensions) {
+  if (!dimensions) return {};
+  if (!Array.isArray(dimensions)) return { ...dimensions };
+
+  const result = {};
+  for (const dimension of dimensions) {
+    if (dimension && dimension.key) {
+      result[dimension.key] = dimension.value ?? null;
+    }
+  }
+  return result;
+}
+
+/**
+ * Normalize a single control node and its result rows
+ */
+function normalizeControl(node) {
+  const controlId = node.control_id || node.name || '';
+  const severity = node.severity || node.tags?.severity || null;
+
+  const results = (node.results || []).map(result => ({
+    controlId,
+    resource: result.resource || null,
+    status: normalizeStatus(result.status),
+    reason: result.reason || '',
+    dimensions: normalizeDimensions(result.dimensions),
+    severity,
+  }));
+
+  const summary = emptyTotals();
+  for (const result of results) {
+    summary[result.status] += 1;
+    summary.total += 1;
+  }
+
+  // A control that failed to run has no rows - count it as one error
+  if (results.length === 0 && node.run_error) {
+    summary.error += 1;
+    summary.total += 1;
+  }
+
+  return {
+    id: controlId,
+    title: node.title || controlId,
+    description: node.description || '',
+    severity,
+    tags: node.tags || {},
+    runStatus: node.run_status ?? null,
+    runError: node.run_error || null,
+    summary,
+    results,
+  };
+}
+
+/**
+ * Normalize a group node (benchmark or sub-benchmark) recursively
+ */
+function normalizeGroup(node) {
+  const groups = (node.groups || []).map(normalizeGroup);
+  const controls = (node.controls || []).map(normalizeControl);
+
+  const summary = emptyTotals();
+  groups.forEach(group => addTotals(summary, group.summary));
+  controls.forEach(control => addTotals(summary, control.summary));
+
+  return {
+    id: node.group_id || node.name || '',
+    title: node.title || node.group_id || '',
+    description: node.description || '',
+    tags: node.tags || {},
+    summary,
+    groups,
+    controls,
+  };
+}
+
+/**
+ * Parse Powerpipe benchmark JSON output into the normalized findings model
+ * @param {string|object} raw - JSON output from `powerpipe benchmark run --output json`
+ * @returns {object} Findings model: { version, generatedAt, benchmark }
+ */
+function parseBenchmarkResults(raw) {
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!data || typeof data !== 'object') {
+    throw new Error('Benchmark output is empty or not an object');
+  }
+
+  // Powerpipe wraps the benchmark in a synthetic root group - unwrap it
+  let root = data;
+  if (
+    data.group_id === 'root_result_group' &&
+    Array.isArray(data.groups) &&
+    data.groups.length === 1 &&
+    !(data.controls && data.controls.length)
+  ) {
+    root = data.groups[0];
+  }
+
+  return {
+    version: FINDINGS_MODEL_VERSION,
+    generatedAt: new Date().toISOString(),
+    benchmark: normalizeGroup(root),
+  };
+}
+
+module.exports = {
+  FINDINGS_MODEL_VERSION,
+  RESULT_STATUSES,
+  emptyTotals,
+  addTotals,
+  parseBenchmarkResults,
+};
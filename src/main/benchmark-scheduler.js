@@ -0,0 +1,479 @@
+/**
+ * Benchmark Scheduler
+ * Cron-style recurring benchmark runs attached to a subprocess. Runs go through the
+ * benchmark job queue (runModCompliance) and can be uploaded to the dataroom
+ * automatically. Schedules and their outcomes are persisted under ~/.ofofo.
+ */
+
+const { EventEmitter } = require('events');
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const benchmarkJobs = require('./benchmark-jobs');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const SCHEDULES_FILE = path.join(os.homedir(), '.ofofo', 'benchmark-schedules.json');
+
+// How often due schedules are checked
+const TICK_INTERVAL_MS = 30 * 1000;
+
+// Outcomes kept per schedule - oldest are dropped first
+const MAX_SCHEDULE_HISTORY = 20;
+
+const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+// Emits 'update' (schedule) whenever a schedule changes or records an outcome
+const scheduleEvents = new EventEmitter();
+
+const schedules = new Map();
+const runningSchedules = new Set();
+let tickTimer = null;
+let saveReport = null;
+
+/**
+ * Parse a single cron field value (number or month/day name)
+ */
+function parseCronValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  // Digits only - Number() would read "" as 0 and accept forms like "0x5" or "1e1"
+  const number = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse one cron field (lists, ranges, steps) into the set of matching values
+ */
+function parseCronField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : /^\d+$/.test(stepText) ? Number(stepText) : NaN;
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step value "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+    } else {
+      start = parseCronValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range "${range}" in ${field.name}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      // Sunday can be written as 0 or 7
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * Also accepts @hourly, @daily, @weekly and @monthly
+ */
+function parseCron(expression) {
+  const normalized = CRON_PRESETS[String(expression || '').trim()] || String(expression || '').trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either may match. As in Vixie cron,
+    // a field starting with * (including steps such as */2) does not count as restricted
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (cron.dayOfMonthRestricted) return domMatch;
+  if (cron.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+/**
+ * Get the next time (local time) a cron expression fires strictly after the given date
+ * @returns {Date|null} null if the expression never fires (e.g. 30 February)
+ */
+function getNextRunTime(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Search at most ~5 years ahead, skipping whole months/days/hours that cannot match
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date < limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a cron expression and make sure it fires at some point
+ * Throws for invalid expressions and for ones that never fire, such as "0 0 31 2 *"
+ */
+function validateCron(expression) {
+  const cron = parseCron(expression);
+  if (!getNextRunTime(cron)) {
+    throw new Error(`Cron expression "${expression}" never fires`);
+  }
+  return cron;
+}
+
+/**
+ * Load persisted schedules from disk
+ */
+function loadSchedules() {
+  try {
+    const data = readJsonFile(SCHEDULES_FILE, '[Scheduler]', 'schedules');
+    if (!data) return;
+
+    for (const schedule of data.schedules || []) {
+      schedules.set(schedule.id, schedule);
+    }
+    console.log(`[Scheduler] Loaded ${schedules.size} benchmark schedules`);
+  } catch (error) {
+    console.warn('[Scheduler] Failed to load schedules:', error.message);
+  }
+}
+
+/**
+ * Save schedules to disk
+ */
+function saveSchedules() {
+  try {
+    writeJsonFile(SCHEDULES_FILE, { schedules: Array.from(schedules.values()) });
+  } catch (error) {
+    console.warn('[Scheduler] Failed to save schedules:', error.message);
+  }
+}
+
+/**
+ * Apply changes to a schedule, persist them and notify listeners
+ */
+function updateSchedule(schedule, changes) {
+  Object.assign(schedule, changes, { updatedAt: new Date().toISOString() });
+  saveSchedules();
+  scheduleEvents.emit('update', { ...schedule });
+  return schedule;
+}
+
+function computeNextRunAt(schedule, after = new Date()) {
+  if (!schedule.enabled) return null;
+  const next = getNextRunTime(schedule.cron, after);
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Record the outcome of a scheduled run
+ */
+function recordOutcome(schedule, outcome) {
+  const history = [...(schedule.history || []), outcome].slice(-MAX_SCHEDULE_HISTORY);
+  updateSchedule(schedule, {
+    history,
+    lastRunAt: outcome.startedAt,
+    lastStatus: outcome.status,
+  });
+}
+
+/**
+ * Run a schedule once: queue the benchmark, then upload the report if configured
+ * @param {object} schedule
+ * @param {object} options - { scheduledFor, missed }
+ */
+async function runSchedule(schedule, { scheduledFor = new Date().toISOString(), missed = false } = {}) {
+  if (runningSchedules.has(schedule.id)) {
+    console.log(`[Scheduler] Schedule ${schedule.id} is still running, skipping this occurrence`);
+    recordOutcome(schedule, {
+      scheduledFor,
+      startedAt: new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      status: 'skipped',
+      error: 'Previous run still in progress',
+      missed,
+    });
+    return;
+  }
+
+  runningSchedules.add(schedule.id);
+  const jobId = randomUUID();
+  const outcome = {
+    scheduledFor,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    error: null,
+    jobId,
+    fileId: null,
+    uploaded: false,
+    missed,
+  };
+  console.log(`[Scheduler] Running schedule ${schedule.id} (${schedule.modId}/${schedule.benchmarkId})${missed ? ' - missed while app was closed' : ''}`);
+
+  try {
+    const result = await benchmarkJobs.runJobAndWait({
+      modId: schedule.modId,
+      modRepo: schedule.modRepo,
+      benchmarkId: schedule.benchmarkId,
+      subprocessId: schedule.subprocessId,
+      subscriptionId: schedule.subscriptionId || null,
+      totalControls: schedule.totalControls,
+      runId: jobId,
+    });
+
+    if (!result.success) {
+      outcome.status = result.cancelled ? 'cancelled' : 'failed';
+      outcome.error = result.error || 'Benchmark run failed';
+    } else if (schedule.autoUpload && saveReport) {
+      const slug = (value) => String(value || '').replace(/\s+/g, '-');
+      const saveResult = await saveReport({
+        fileName: `${slug(schedule.modName || schedule.modId)}-${slug(schedule.benchmarkName || schedule.benchmarkId)}-${Date.now()}.md`,
+        content: result.markdownReport,
+        userId: schedule.userId,
+        subprocessId: schedule.subprocessId,
+        subprocessName: schedule.subprocessName,
+        modId: schedule.modId,
+        benchmarkId: schedule.benchmarkId,
+        findings: result.findings,
+      });
+
+      // A failed upload doesn't undo the run - the outcome stays succeeded but not uploaded
+      outcome.status = 'succeeded';
+      if (saveResult.success) {
+        outcome.uploaded = true;
+        outcome.fileId = saveResult.fileId;
+      } else {
+        outcome.error = `Benchmark succeeded but upload failed: ${saveResult.error}`;
+      }
+    } else {
+      outcome.status = 'succeeded';
+    }
+  } catch (error) {
+    outcome.status = 'failed';
+    outcome.error = error.message;
+  } finally {
+    runningSchedules.delete(schedule.id);
+  }
+
+  outcome.finishedAt = new Date().toISOString();
+  console.log(`[Scheduler] Schedule ${schedule.id} ${outcome.status}${outcome.error ? `: ${outcome.error}` : ''}`);
+
+  // The schedule may have been deleted while it ran
+  if (schedules.has(schedule.id)) {
+    recordOutcome(schedule, outcome);
+  }
+}
+
+/**
+ * Start every enabled schedule whose next run time has passed
+ */
+function runDueSchedules() {
+  const now = new Date();
+  for (const schedule of schedules.values()) {
+    if (!schedule.enabled || !schedule.nextRunAt) continue;
+    if (new Date(schedule.nextRunAt) > now) continue;
+
+    const scheduledFor = schedule.nextRunAt;
+    // Advance before running so a slow run is not started twice
+    updateSchedule(schedule, { nextRunAt: computeNextRunAt(schedule, now) });
+    runSchedule(schedule, { scheduledFor }).catch(error => {
+      console.error(`[Scheduler] Schedule ${schedule.id} crashed:`, error);
+    });
+  }
+}
+
+/**
+ * Start the scheduler
+ * Schedules missed while the app was closed run once, then resume their normal cadence
+ * @param {object} options - { saveReport } function used to upload reports to the dataroom
+ */
+function startScheduler(options = {}) {
+  saveReport = options.saveReport || null;
+  if (tickTimer) return;
+
+  const now = new Date();
+  for (const schedule of schedules.values()) {
+    if (!schedule.enabled) continue;
+
+    if (schedule.nextRunAt && new Date(schedule.nextRunAt) <= now) {
+      const scheduledFor = schedule.nextRunAt;
+      updateSchedule(schedule, { nextRunAt: computeNextRunAt(schedule, now) });
+      runSchedule(schedule, { scheduledFor, missed: true }).catch(error => {
+        console.error(`[Scheduler] Missed schedule ${schedule.id} crashed:`, error);
+      });
+    } else if (!schedule.nextRunAt) {
+      updateSchedule(schedule, { nextRunAt: computeNextRunAt(schedule, now) });
+    }
+  }
+
+  tickTimer = setInterval(runDueSchedules, TICK_INTERVAL_MS);
+  console.log(`[Scheduler] Started with ${schedules.size} schedules`);
+}
+
+function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+/**
+ * Create a schedule
+ * @param {object} data - { subprocessId, subprocessName, subscriptionId, userId, modId, modRepo, modName,
+ *                          benchmarkId, benchmarkName, totalControls, cron, autoUpload, enabled }
+ */
+function createSchedule(data) {
+  const { subprocessId, modId, modRepo, benchmarkId, cron } = data;
+  if (!subprocessId || !modId || !modRepo || !benchmarkId) {
+    throw new Error('subprocessId, modId, modRepo and benchmarkId are required');
+  }
+  validateCron(cron);
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: randomUUID(),
+    subprocessId,
+    subprocessName: data.subprocessName || null,
+    subscriptionId: data.subscriptionId || null,
+    userId: data.userId || null,
+    modId,
+    modRepo,
+    modName: data.modName || null,
+    benchmarkId,
+    benchmarkName: data.benchmarkName || null,
+    totalControls: data.totalControls || null,
+    cron: cron.trim(),
+    autoUpload: !!data.autoUpload,
+    enabled: data.enabled !== false,
+    createdAt: now,
+    updatedAt: now,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastStatus: null,
+    history: [],
+  };
+  schedule.nextRunAt = computeNextRunAt(schedule);
+
+  schedules.set(schedule.id, schedule);
+  updateSchedule(schedule, {});
+  console.log(`[Scheduler] Created schedule ${schedule.id}: ${schedule.benchmarkId} "${schedule.cron}"`);
+  return { ...schedule };
+}
+
+/**
+ * Change a schedule's cron expression, upload setting or enabled state
+ */
+function editSchedule(id, changes = {}) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  const allowed = {};
+  if (changes.cron !== undefined) {
+    validateCron(changes.cron);
+    allowed.cron = changes.cron.trim();
+  }
+  if (changes.autoUpload !== undefined) allowed.autoUpload = !!changes.autoUpload;
+  if (changes.enabled !== undefined) allowed.enabled = !!changes.enabled;
+
+  Object.assign(schedule, allowed);
+  updateSchedule(schedule, { nextRunAt: computeNextRunAt(schedule) });
+  return { ...schedule };
+}
+
+function deleteSchedule(id) {
+  if (!schedules.delete(id)) {
+    throw new Error('Schedule not found');
+  }
+  saveSchedules();
+  scheduleEvents.emit('update', { id, deleted: true });
+  return true;
+}
+
+/**
+ * List schedules, optionally for one subprocess
+ */
+function listSchedules(filter = {}) {
+  return Array.from(schedules.values())
+    .filter(schedule => !filter.subprocessId || schedule.subprocessId === filter.subprocessId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(schedule => ({ ...schedule }));
+}
+
+// Load persisted schedules on module load
+loadSchedules();
+
+module.exports = {
+  scheduleEvents,
+  parseCron,
+  getNextRunTime,
+  validateCron,
+  startScheduler,
+  stopScheduler,
+  createSchedule,
+  editSchedule,
+  deleteSchedule,
+  listSchedules,
+};
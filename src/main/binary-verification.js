@@ -0,0 +1,196 @@
+/**
+ * Binary Verification
+ * Checks downloaded Steampipe and Powerpipe archives against the SHA-256
+ * checksums published with each release (checksums.txt). When a release
+ * signing key is configured, the checksums file's signature is verified too,
+ * so a tampered checksums file cannot vouch for a tampered archive. The release
+ * is resolved to a tag once, so the checksums and the archive always come
+ * from the same release even if a new one is published in between.
+ * Shared by the runtime installer and scripts/download-binaries.js.
+ */
+
+const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CHECKSUMS_FILE = 'checksums.txt';
+const SIGNATURE_SUFFIX = '.sig';
+
+// PEM public key, or a path to one, used to verify checksums.txt.sig - signature checks are skipped without it
+const SIGNING_KEY_ENV = 'OFOFO_RELEASE_SIGNING_KEY';
+
+const MAX_REDIRECTS = 5;
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Fetch a small text file over HTTPS, following redirects
+ */
+function fetchText(url, redirects = 0, headers = {}) {
+  return new Promise((resolve, reject) => {
+    https.get(url, { headers }, (response) => {
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects fetching ${url}`));
+          return;
+        }
+        fetchText(new URL(response.headers.location, url).toString(), redirects + 1, headers).then(resolve, reject);
+        return;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Fetching ${url} failed with status ${response.statusCode}`));
+        return;
+      }
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => resolve(body));
+      response.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Parse a checksums.txt file ("<sha256>  <file name>" per line) into a map of file name -> hash
+ */
+function parseChecksums(text) {
+  const checksums = new Map();
+  String(text).split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^([a-fA-F0-9]{64})\s+\*?(.+)$/);
+    if (match) checksums.set(match[2].trim(), match[1].toLowerCase());
+  });
+  return checksums;
+}
+
+/**
+ * SHA-256 of a file, read as a stream
+ */
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * The configured release signing key, or null when signature checks are off
+ */
+function getSigningKey() {
+  const value = process.env[SIGNING_KEY_ENV];
+  if (!value) return null;
+  const pem = value.includes('BEGIN PUBLIC KEY') ? value : fs.readFileSync(value, 'utf8');
+  return crypto.createPublicKey(pem);
+}
+
+/**
+ * Verify the detached signature of a checksums file - a base64 signature over its exact bytes
+ */
+function verifySignature(checksumsText, signatureText, publicKey) {
+  const signature = Buffer.from(String(signatureText).trim(), 'base64');
+  // Ed25519 keys sign the message itself; RSA and ECDSA keys sign its SHA-256
+  const algorithm = publicKey.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+  return crypto.verify(algorithm, Buffer.from(checksumsText, 'utf8'), publicKey, signature);
+}
+
+/**
+ * Resolve the latest release of a GitHub repository to a fixed tag
+ * Download every asset of an install from the returned downloadUrl
+ * @param {string} repo - Repository, e.g. turbot/steampipe
+ * @returns {Promise<object>} { tag, downloadUrl }
+ */
+async function resolveLatestRelease(repo) {
+  let release;
+  try {
+    // The GitHub API rejects requests without a User-Agent
+    const text = await fetchText(`${GITHUB_API_URL}/repos/${repo}/releases/latest`, 0, {
+      'User-Agent': 'ofofo-integration-agent',
+      Accept: 'application/vnd.github+json',
+    });
+    release = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not resolve the latest ${repo} release: ${error.message}`);
+  }
+  if (!release.tag_name) {
+    throw new Error(`The latest ${repo} release has no tag`);
+  }
+  return {
+    tag: release.tag_name,
+    downloadUrl: `https://github.com/${repo}/releases/download/${encodeURIComponent(release.tag_name)}`,
+  };
+}
+
+/**
+ * Get the published checksum of a release asset
+ * @param {object} release - Result of resolveLatestRelease
+ * @param {string} fileName - Asset name, e.g. steampipe_linux_amd64.zip
+ * @returns {Promise<object>} { sha256, checksumsUrl, signatureVerified, release }
+ */
+async function getPublishedChecksum(release, fileName) {
+  const checksumsUrl = `${release.downloadUrl}/${CHECKSUMS_FILE}`;
+  let checksumsText;
+  try {
+    checksumsText = await fetchText(checksumsUrl);
+  } catch (error) {
+    throw new Error(`Could not fetch published checksums for ${fileName}: ${error.message}`);
+  }
+
+  let signatureVerified = false;
+  const publicKey = getSigningKey();
+  if (publicKey) {
+    let signatureText;
+    try {
+      signatureText = await fetchText(`${checksumsUrl}${SIGNATURE_SUFFIX}`);
+    } catch (error) {
+      throw new Error(`Could not fetch the signature of ${CHECKSUMS_FILE}: ${error.message}`);
+    }
+    if (!verifySignature(checksumsText, signatureText, publicKey)) {
+      throw new Error(`Signature verification failed for ${checksumsUrl} - the checksums file is not signed by the configured release key`);
+    }
+    signatureVerified = true;
+  }
+
+  const sha256 = parseChecksums(checksumsText).get(fileName);
+  if (!sha256) {
+    throw new Error(`${fileName} is not listed in the published checksums at ${checksumsUrl}`);
+  }
+  return { sha256, checksumsUrl, signatureVerified, release: release.tag };
+}
+
+/**
+ * Check a downloaded archive against its published checksum
+ * Throws on a mismatch - the caller must not extract the archive
+ * @param {object} published - Result of getPublishedChecksum
+ * @returns {Promise<object>} { archive, release, sha256, checksumsUrl, signatureVerified, verifiedAt }
+ */
+async function verifyArchive(filePath, fileName, published) {
+  const actual = await sha256File(filePath);
+  if (actual !== published.sha256) {
+    throw new Error(
+      `Checksum mismatch for ${fileName}: expected SHA-256 ${published.sha256}, got ${actual}. ` +
+      `The download may be corrupted or tampered with and was not installed.`
+    );
+  }
+  return {
+    archive: fileName,
+    release: published.release,
+    sha256: actual,
+    checksumsUrl: published.checksumsUrl,
+    signatureVerified: published.signatureVerified,
+    verifiedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  SIGNING_KEY_ENV,
+  parseChecksums,
+  sha256File,
+  verifySignature,
+  resolveLatestRelease,
+  getPublishedChecksum,
+  verifyArchive,
+};
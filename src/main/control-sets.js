@@ -0,0 +1,110 @@
+/**
+ * Control Sets
+ * Saved selections of controls within a benchmark, so a partial run (e.g. the
+ * five controls a ticket was opened for) can be repeated. Stored under ~/.ofofo.
+ */
+
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const CONTROL_SETS_FILE = path.join(os.homedir(), '.ofofo', 'control-sets.json');
+
+// Qualified control names as they appear in benchmark children, e.g. azure_compliance.control.storage_account_secure_transfer_required
+const CONTROL_NAME_PATTERN = /^[a-z0-9_]+\.control\.[A-Za-z0-9_]+$/;
+
+/**
+ * Validate and de-duplicate a list of qualified control names
+ */
+function normalizeControlNames(controls) {
+  if (!Array.isArray(controls) || controls.length === 0) {
+    throw new Error('Select at least one control');
+  }
+
+  const invalid = controls.filter(name => !CONTROL_NAME_PATTERN.test(String(name)));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid control name: ${invalid[0]}`);
+  }
+  return Array.from(new Set(controls));
+}
+
+function readControlSets() {
+  return readJsonFile(CONTROL_SETS_FILE, '[ControlSets]', 'control sets')?.controlSets || [];
+}
+
+function writeControlSets(controlSets) {
+  writeJsonFile(CONTROL_SETS_FILE, { controlSets });
+}
+
+/**
+ * List saved control sets, optionally for one mod/benchmark
+ */
+function listControlSets(filter = {}) {
+  return readControlSets()
+    .filter(set => !filter.modId || set.modId === filter.modId)
+    .filter(set => !filter.benchmarkId || set.benchmarkId === filter.benchmarkId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getControlSet(id) {
+  return readControlSets().find(set => set.id === id) || null;
+}
+
+/**
+ * Create or update a control set
+ * @param {object} data - { id?, name, modId, benchmarkId, controls }
+ */
+function saveControlSet(data) {
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new Error('Control set name is required');
+  }
+  if (!data.modId || !data.benchmarkId) {
+    throw new Error('modId and benchmarkId are required');
+  }
+
+  const controls = normalizeControlNames(data.controls);
+  const controlSets = readControlSets();
+  const now = new Date().toISOString();
+  const existing = data.id ? controlSets.find(set => set.id === data.id) : null;
+
+  let controlSet;
+  if (existing) {
+    Object.assign(existing, { name, controls, updatedAt: now });
+    controlSet = existing;
+  } else {
+    controlSet = {
+      id: randomUUID(),
+      name,
+      modId: data.modId,
+      benchmarkId: data.benchmarkId,
+      controls,
+      createdAt: now,
+      updatedAt: now,
+    };
+    controlSets.push(controlSet);
+  }
+
+  writeControlSets(controlSets);
+  console.log(`[ControlSets] Saved "${name}" with ${controls.length} controls`);
+  return controlSet;
+}
+
+function deleteControlSet(id) {
+  const controlSets = readControlSets();
+  const remaining = controlSets.filter(set => set.id !== id);
+  if (remaining.length === controlSets.length) {
+    throw new Error('Control set not found');
+  }
+  writeControlSets(remaining);
+  return true;
+}
+
+module.exports = {
+  normalizeControlNames,
+  listControlSets,
+  getControlSet,
+  saveControlSet,
+  deleteControlSet,
+};
@@ -0,0 +1,332 @@
+/**
+ * Custom Controls
+ * Organisation-specific Powerpipe controls and benchmarks authored in the app.
+ * Definitions are stored under ~/.ofofo and rendered into a single .pp file in
+ * the Powerpipe workspace mod, so they run like any other benchmark. A change
+ * that Powerpipe cannot load is rolled back, since one bad file would break
+ * every benchmark run in the workspace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const powerpipeService = require('./powerpipe-service');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const DEFINITIONS_FILE = path.join(os.homedir(), '.ofofo', 'custom-controls.json');
+const WORKSPACE_FILE_NAME = 'ofofo_custom.pp';
+
+const SEVERITIES = ['none', 'low', 'medium', 'high', 'critical'];
+
+// Powerpipe resource names; the ofofo_ prefix is reserved for generated resources
+const RESOURCE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const TAG_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Control queries must return these columns
+const REQUIRED_COLUMNS = ['resource', 'status', 'reason'];
+const CONTROL_STATUSES = ['ok', 'alarm', 'info', 'skip', 'error'];
+
+// Rows returned to the editor when testing a query
+const MAX_TEST_ROWS = 200;
+
+// Saves are serialized so two edits never interleave their file writes
+let saveQueue = Promise.resolve();
+
+function readDefinitions() {
+  const data = readJsonFile(DEFINITIONS_FILE, '[CustomControls]', 'definitions') || {};
+  return { controls: data.controls || [], benchmarks: data.benchmarks || [] };
+}
+
+function writeDefinitions(definitions) {
+  writeJsonFile(DEFINITIONS_FILE, definitions);
+}
+
+/**
+ * Quote a value as an HCL string, escaping template sequences
+ */
+function hclString(value) {
+  return JSON.stringify(String(value)).replace(/\$\{/g, '$$$${').replace(/%\{/g, '%%{');
+}
+
+/**
+ * Render SQL as an HCL heredoc with a delimiter that does not occur in the query
+ */
+function hclHeredoc(sql) {
+  const body = sql.replace(/\$\{/g, '$$$${').replace(/%\{/g, '%%{').replace(/\s+$/, '');
+  const lines = body.split('\n').map(line => line.trim());
+  let delimiter = 'EOQ';
+  for (let i = 1; lines.includes(delimiter); i++) {
+    delimiter = `EOQ${i}`;
+  }
+  return `<<-${delimiter}\n${body}\n  ${delimiter}`;
+}
+
+/**
+ * Render all definitions as the contents of the workspace .pp file
+ */
+function renderWorkspaceFile(definitions) {
+  const blocks = [
+    '# Generated by Ofofo from custom control definitions - edits here are overwritten',
+  ];
+
+  for (const control of definitions.controls) {
+    const tags = Object.entries(control.tags || {});
+    blocks.push([
+      `control ${hclString(control.id)} {`,
+      `  title       = ${hclString(control.title)}`,
+      `  description = ${hclString(control.description || '')}`,
+      `  severity    = ${hclString(control.severity)}`,
+      tags.length > 0
+        ? `  tags = {\n${tags.map(([key, value]) => `    ${key} = ${hclString(value)}`).join('\n')}\n  }`
+        : null,
+      `  sql = ${hclHeredoc(control.sql)}`,
+      '}',
+    ].filter(line => line !== null).join('\n'));
+  }
+
+  for (const benchmark of definitions.benchmarks) {
+    blocks.push([
+      `benchmark ${hclString(benchmark.id)} {`,
+      `  title       = ${hclString(benchmark.title)}`,
+      `  description = ${hclString(benchmark.description || '')}`,
+      '  children = [',
+      ...benchmark.controls.map(controlId => `    control.${controlId},`),
+      '  ]',
+      '}',
+    ].join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Write definitions to the workspace and keep them only if Powerpipe can load them
+ */
+async function applyDefinitions(definitions) {
+  const workspaceFile = path.join(powerpipeService.getModsDirectory(), WORKSPACE_FILE_NAME);
+  const previousFile = fs.existsSync(workspaceFile) ? fs.readFileSync(workspaceFile, 'utf8') : null;
+
+  fs.writeFileSync(workspaceFile, renderWorkspaceFile(definitions), 'utf8');
+  const validation = await powerpipeService.validateWorkspace();
+  if (!validation.success) {
+    if (previousFile === null) {
+      fs.rmSync(workspaceFile, { force: true });
+    } else {
+      fs.writeFileSync(workspaceFile, previousFile, 'utf8');
+    }
+    throw new Error(`Powerpipe rejected the change: ${validation.error}`);
+  }
+
+  writeDefinitions(definitions);
+}
+
+/**
+ * Run a change to the definitions, one at a time
+ */
+function updateDefinitions(change) {
+  const run = saveQueue.then(async () => {
+    const definitions = readDefinitions();
+    const result = change(definitions);
+    await applyDefinitions(definitions);
+    return result;
+  });
+  saveQueue = run.catch(() => {});
+  return run;
+}
+
+function validateResourceName(id, kind) {
+  if (!RESOURCE_NAME_PATTERN.test(String(id || ''))) {
+    throw new Error(`${kind} name must start with a letter and use only lowercase letters, digits and underscores`);
+  }
+  if (id.startsWith('ofofo_')) {
+    throw new Error(`${kind} names starting with "ofofo_" are reserved`);
+  }
+}
+
+/**
+ * Check a control definition and return its normalized form
+ */
+function normalizeControl(data) {
+  validateResourceName(data.id, 'Control');
+
+  const title = String(data.title || '').trim();
+  const sql = String(data.sql || '').trim();
+  if (!title) throw new Error('Control title is required');
+  if (/[\r\n]/.test(title)) throw new Error('Control title must be a single line');
+  if (!sql) throw new Error('Control SQL is required');
+  if (!SEVERITIES.includes(data.severity)) {
+    throw new Error(`Severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  const tags = {};
+  for (const [key, value] of Object.entries(data.tags || {})) {
+    if (!TAG_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid tag name: ${key}`);
+    }
+    tags[key] = String(value);
+  }
+
+  return {
+    id: data.id,
+    title,
+    description: String(data.description || '').trim(),
+    severity: data.severity,
+    tags,
+    sql,
+  };
+}
+
+/**
+ * List custom controls and benchmarks with their Powerpipe qualified names
+ */
+function listCustomResources() {
+  const definitions = readDefinitions();
+  const modName = powerpipeService.getModShortName(powerpipeService.WORKSPACE_MOD_REPO);
+  return {
+    controls: definitions.controls.map(control => ({
+      ...control,
+      qualifiedName: `${modName}.control.${control.id}`,
+    })),
+    benchmarks: definitions.benchmarks.map(benchmark => ({
+      ...benchmark,
+      qualifiedName: `${modName}.benchmark.${benchmark.id}`,
+    })),
+  };
+}
+
+/**
+ * Create or update a control
+ * @param {object} data - { id, title, description, severity, tags, sql }
+ */
+function saveCustomControl(data) {
+  const control = normalizeControl(data);
+  const now = new Date().toISOString();
+
+  return updateDefinitions(definitions => {
+    const existing = definitions.controls.find(c => c.id === control.id);
+    if (existing) {
+      Object.assign(existing, control, { updatedAt: now });
+    } else {
+      definitions.controls.push({ ...control, createdAt: now, updatedAt: now });
+    }
+    console.log(`[CustomControls] Saved control ${control.id}`);
+    return existing || definitions.controls[definitions.controls.length - 1];
+  });
+}
+
+/**
+ * Delete a control and remove it from any custom benchmark
+ */
+function deleteCustomControl(id) {
+  return updateDefinitions(definitions => {
+    if (!definitions.controls.some(control => control.id === id)) {
+      throw new Error('Control not found');
+    }
+    definitions.controls = definitions.controls.filter(control => control.id !== id);
+    definitions.benchmarks.forEach(benchmark => {
+      benchmark.controls = benchmark.controls.filter(controlId => controlId !== id);
+    });
+    return true;
+  });
+}
+
+/**
+ * Create or update a benchmark made of custom controls
+ * @param {object} data - { id, title, description, controls: [controlId] }
+ */
+function saveCustomBenchmark(data) {
+  validateResourceName(data.id, 'Benchmark');
+  const title = String(data.title || '').trim();
+  if (!title) throw new Error('Benchmark title is required');
+  if (/[\r\n]/.test(title)) throw new Error('Benchmark title must be a single line');
+  const controls = Array.from(new Set(data.controls || []));
+  if (controls.length === 0) throw new Error('Add at least one control to the benchmark');
+
+  const now = new Date().toISOString();
+  return updateDefinitions(definitions => {
+    const unknown = controls.find(controlId => !definitions.controls.some(control => control.id === controlId));
+    if (unknown) {
+      throw new Error(`Unknown control: ${unknown}`);
+    }
+
+    const benchmark = {
+      id: data.id,
+      title,
+      description: String(data.description || '').trim(),
+      controls,
+    };
+    const existing = definitions.benchmarks.find(b => b.id === data.id);
+    if (existing) {
+      Object.assign(existing, benchmark, { updatedAt: now });
+    } else {
+      definitions.benchmarks.push({ ...benchmark, createdAt: now, updatedAt: now });
+    }
+    console.log(`[CustomControls] Saved benchmark ${data.id} with ${controls.length} controls`);
+    return existing || definitions.benchmarks[definitions.benchmarks.length - 1];
+  });
+}
+
+function deleteCustomBenchmark(id) {
+  return updateDefinitions(definitions => {
+    if (!definitions.benchmarks.some(benchmark => benchmark.id === id)) {
+      throw new Error('Benchmark not found');
+    }
+    definitions.benchmarks = definitions.benchmarks.filter(benchmark => benchmark.id !== id);
+    return true;
+  });
+}
+
+/**
+ * Run a control query against a subprocess's Azure subscription without saving it
+ * @param {object} data - { sql, subscriptionId }
+ * @returns {object} { success, columns, rows, totalRows, statuses, missingColumns, error }
+ */
+async function testCustomControl({ sql, subscriptionId }) {
+  if (!String(sql || '').trim()) {
+    return { success: false, error: 'Control SQL is required' };
+  }
+
+  // Without a subscription the query runs against the aggregator over every subscription
+  let connection = null;
+  if (subscriptionId) {
+    const connectionResult = await powerpipeService.ensureSubscriptionConnection(subscriptionId);
+    if (!connectionResult.success) {
+      return { success: false, error: connectionResult.error };
+    }
+    connection = connectionResult.connection;
+  }
+
+  // Stream the rows - only the first few are kept, but every row is counted
+  const statuses = Object.fromEntries(CONTROL_STATUSES.map(status => [status, 0]));
+  const rows = [];
+  const result = await powerpipeService.runSteampipeQuery(sql, {
+    searchPath: connection,
+    onRow: (row) => {
+      if (row.status in statuses) statuses[row.status]++;
+      if (rows.length < MAX_TEST_ROWS) rows.push(row);
+    },
+  });
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    columns: result.columns,
+    rows,
+    totalRows: result.rowCount,
+    statuses,
+    missingColumns: REQUIRED_COLUMNS.filter(column => !result.columns.includes(column)),
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  renderWorkspaceFile,
+  listCustomResources,
+  saveCustomControl,
+  deleteCustomControl,
+  saveCustomBenchmark,
+  deleteCustomBenchmark,
+  testCustomControl,
+};
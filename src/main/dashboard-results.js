@@ -0,0 +1,281 @@
+/**
+ * Dashboard Results Parser
+ * Turns a Powerpipe dashboard snapshot (.pps) into a normalized panel tree the
+ * renderer can draw without Powerpipe's web UI: containers holding cards,
+ * charts, tables and text, in layout order
+ */
+
+const { tableCell } = require('./markdown-utils');
+
+// Bump when the shape of the normalized model changes
+const DASHBOARD_MODEL_VERSION = 1;
+
+// Rows kept per table - inventory tables can list every resource in a tenant
+const MAX_TABLE_ROWS = 1000;
+
+const CARD_TYPES = ['alert', 'info', 'ok', 'plain'];
+
+function getColumns(data) {
+  return (data?.columns || []).map(column => ({
+    name: column.name,
+    dataType: column.data_type || null,
+  }));
+}
+
+function getRows(data) {
+  return Array.isArray(data?.rows) ? data.rows : [];
+}
+
+function isNumeric(value) {
+  return value !== null && value !== '' && !Number.isNaN(Number(value));
+}
+
+/**
+ * A card shows one value - either from label/value/type columns or from the
+ * first column, whose name is the label
+ */
+function normalizeCard(panel) {
+  const properties = panel.properties || {};
+  const columns = getColumns(panel.data).map(column => column.name);
+  const row = getRows(panel.data)[0] || {};
+
+  let label = properties.label ?? panel.title ?? null;
+  let value = properties.value ?? null;
+  let type = properties.type || panel.display_type || null;
+
+  if (columns.includes('value')) {
+    label = row.label ?? label;
+    value = row.value ?? value;
+    type = row.type || type;
+  } else if (columns.length > 0) {
+    label = columns[0];
+    value = row[columns[0]] ?? value;
+  }
+
+  return {
+    label: label === null ? null : String(label),
+    value: value ?? null,
+    type: CARD_TYPES.includes(type) ? type : 'plain',
+  };
+}
+
+/**
+ * Charts use the first column as the category and each remaining column as a
+ * series. Three-column data with a text middle column is in "series" format
+ * (category, series, value) and is pivoted
+ */
+function normalizeChart(panel) {
+  const properties = panel.properties || {};
+  const columns = getColumns(panel.data).map(column => column.name);
+  const rows = getRows(panel.data);
+  const type = panel.display_type || properties.type || 'column';
+
+  if (columns.length < 2) {
+    return { type, categories: [], series: [] };
+  }
+
+  const [categoryColumn, ...valueColumns] = columns;
+  const isSeriesFormat = columns.length === 3 && rows.some(row => row[columns[1]] !== null && !isNumeric(row[columns[1]]));
+
+  if (isSeriesFormat) {
+    const categories = Array.from(new Set(rows.map(row => String(row[categoryColumn]))));
+    const seriesNames = Array.from(new Set(rows.map(row => String(row[columns[1]]))));
+    const series = seriesNames.map(name => ({
+      name,
+      values: categories.map(category => {
+        const match = rows.find(row => String(row[categoryColumn]) === category && String(row[columns[1]]) === name);
+        return match ? Number(match[columns[2]]) || 0 : 0;
+      }),
+    }));
+    return { type, categories, series };
+  }
+
+  return {
+    type,
+    categories: rows.map(row => String(row[categoryColumn])),
+    series: valueColumns.map(name => ({
+      name,
+      values: rows.map(row => Number(row[name]) || 0),
+    })),
+  };
+}
+
+/**
+ * Tables keep their columns in query order, minus columns the dashboard hides
+ */
+function normalizeTable(panel) {
+  const properties = panel.properties || {};
+  const columnSettings = Array.isArray(properties.columns)
+    ? Object.fromEntries(properties.columns.map(column => [column.name, column]))
+    : properties.columns || {};
+  const columns = getColumns(panel.data).filter(column => columnSettings[column.name]?.display !== 'none');
+  const rows = getRows(panel.data);
+
+  return {
+    columns,
+    rows: rows.slice(0, MAX_TABLE_ROWS).map(row => columns.map(column => row[column.name] ?? null)),
+    totalRows: rows.length,
+  };
+}
+
+/**
+ * Normalize a layout node and its children
+ * @param {object} node - Layout node ({ name, panel_type, children })
+ * @param {object} panels - Snapshot panels keyed by name
+ */
+function normalizePanel(node, panels) {
+  const panel = panels[node.name] || {};
+  const panelType = node.panel_type || panel.panel_type;
+  const result = {
+    name: node.name,
+    type: ['container', 'card', 'chart', 'table', 'text'].includes(panelType) ? panelType : 'other',
+    panelType,
+    title: panel.title || null,
+    width: Number(panel.width) || 12,
+    status: panel.status || null,
+    error: panel.error || null,
+  };
+
+  switch (result.type) {
+    case 'container':
+      result.children = (node.children || []).map(child => normalizePanel(child, panels));
+      break;
+    case 'card':
+      result.card = normalizeCard(panel);
+      break;
+    case 'chart':
+      result.chart = normalizeChart(panel);
+      break;
+    case 'table':
+      result.table = normalizeTable(panel);
+      break;
+    case 'text':
+      result.text = String(panel.properties?.value || '');
+      break;
+    default:
+      break;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a Powerpipe dashboard snapshot into the normalized dashboard model
+ * @param {string|object} raw - Snapshot from `powerpipe dashboard run --export *.pps`
+ * @returns {object} { version, generatedAt, dashboard: { name, title }, panels, summary }
+ */
+function parseDashboardSnapshot(raw) {
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!data || typeof data !== 'object' || !data.layout) {
+    throw new Error('Dashboard snapshot is empty or has no layout');
+  }
+
+  const panels = data.panels || {};
+  const root = panels[data.layout.name] || {};
+  const children = (data.layout.children || []).map(child => normalizePanel(child, panels));
+
+  const summary = { cards: 0, charts: 0, tables: 0, errors: 0 };
+  const count = nodes => nodes.forEach(node => {
+    if (node.type === 'card') summary.cards++;
+    if (node.type === 'chart') summary.charts++;
+    if (node.type === 'table') summary.tables++;
+    if (node.error) summary.errors++;
+    if (node.children) count(node.children);
+  });
+  count(children);
+
+  return {
+    version: DASHBOARD_MODEL_VERSION,
+    generatedAt: data.end_time || new Date().toISOString(),
+    dashboard: {
+      name: data.layout.name,
+      title: root.title || data.layout.name.split('.').pop(),
+    },
+    panels: children,
+    summary,
+  };
+}
+
+/**
+ * Render a parsed dashboard as markdown, for the dataroom
+ * @param {object} dashboard - Output of parseDashboardSnapshot
+ * @param {object} meta - Optional { modName, modVersion, variables }
+ */
+function renderDashboardMarkdown(dashboard, meta = {}) {
+  const lines = [
+    `# ${dashboard.dashboard.title}`,
+    '',
+    meta.modName ? `**Mod:** ${meta.modName}${meta.modVersion ? ` ${meta.modVersion}` : ''}  ` : null,
+    `**Dashboard:** \`${dashboard.dashboard.name}\`  `,
+    `**Snapshot taken:** ${dashboard.generatedAt}`,
+    '',
+  ].filter(line => line !== null);
+
+  const variables = Object.entries(meta.variables || {});
+  if (variables.length > 0) {
+    lines.push('> **Variables**');
+    variables.forEach(([name, value]) => lines.push(`> - \`${name}\` = \`${value}\``));
+    lines.push('');
+  }
+
+  const render = (nodes, depth) => {
+    const cards = nodes.filter(node => node.type === 'card');
+    if (cards.length > 0) {
+      lines.push('| Metric | Value |', '| --- | --- |');
+      cards.forEach(node => lines.push(`| ${tableCell(node.card.label || node.title)} | ${tableCell(node.card.value)} |`));
+      lines.push('');
+    }
+
+    nodes.filter(node => node.type !== 'card').forEach(node => {
+      const heading = '#'.repeat(Math.min(depth, 6));
+      if (node.error) {
+        lines.push(`${heading} ${node.title || node.name}`, '', `_Failed: ${tableCell(node.error)}_`, '');
+        return;
+      }
+
+      switch (node.type) {
+        case 'container':
+          if (node.title) lines.push(`${heading} ${node.title}`, '');
+          render(node.children, node.title ? depth + 1 : depth);
+          break;
+        case 'chart':
+          lines.push(`${heading} ${node.title || 'Chart'}`, '');
+          lines.push(`| Category | ${node.chart.series.map(series => tableCell(series.name)).join(' | ')} |`);
+          lines.push(`| --- | ${node.chart.series.map(() => '---').join(' | ')} |`);
+          node.chart.categories.forEach((category, index) => {
+            lines.push(`| ${tableCell(category)} | ${node.chart.series.map(series => series.values[index]).join(' | ')} |`);
+          });
+          lines.push('');
+          break;
+        case 'table':
+          lines.push(`${heading} ${node.title || 'Table'}`, '');
+          if (node.table.rows.length === 0) {
+            lines.push('_No rows_', '');
+            break;
+          }
+          lines.push(`| ${node.table.columns.map(column => tableCell(column.name)).join(' | ')} |`);
+          lines.push(`| ${node.table.columns.map(() => '---').join(' | ')} |`);
+          node.table.rows.forEach(row => lines.push(`| ${row.map(value => tableCell(value)).join(' | ')} |`));
+          if (node.table.totalRows > node.table.rows.length) {
+            lines.push('', `_Showing ${node.table.rows.length} of ${node.table.totalRows} rows_`);
+          }
+          lines.push('');
+          break;
+        case 'text':
+          if (node.text.trim()) lines.push(node.text.trim(), '');
+          break;
+        default:
+          break;
+      }
+    });
+  };
+  render(dashboard.panels, 2);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DASHBOARD_MODEL_VERSION,
+  parseDashboardSnapshot,
+  renderDashboardMarkdown,
+};
@@ -0,0 +1,232 @@
+/**
+ * Dashboard Snapshots
+ * Runs dashboard mods such as Azure Insights, which have no benchmarks, as
+ * Powerpipe snapshots. Each snapshot is kept under ~/.ofofo as the raw .pps
+ * file plus the parsed panel tree shown by the dashboard viewer.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const powerpipeService = require('./powerpipe-service');
+const runSettings = require('./run-settings');
+const { parseDashboardSnapshot, renderDashboardMarkdown } = require('./dashboard-results');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const CATALOG_DIR = path.join(os.homedir(), '.ofofo', 'dashboard-catalog');
+const SNAPSHOTS_DIR = path.join(os.homedir(), '.ofofo', 'dashboard-snapshots');
+const INDEX_FILE = path.join(SNAPSHOTS_DIR, 'index.json');
+
+// Snapshots kept per subprocess and dashboard - older ones are deleted
+const MAX_SNAPSHOTS_PER_DASHBOARD = 10;
+
+// Bump when the cached dashboard list shape changes
+const CATALOG_VERSION = 1;
+
+function readIndex() {
+  return readJsonFile(INDEX_FILE, '[Dashboards]', 'snapshot index')?.snapshots || [];
+}
+
+function writeIndex(snapshots) {
+  writeJsonFile(INDEX_FILE, { snapshots });
+}
+
+function getSnapshotPaths(id) {
+  return {
+    parsed: path.join(SNAPSHOTS_DIR, `${id}.json`),
+    raw: path.join(SNAPSHOTS_DIR, `${id}.pps`),
+  };
+}
+
+/**
+ * List the dashboards of an installed mod that can run without inputs
+ * Detail dashboards need a resource picked in Powerpipe's UI first, so they are left out
+ * @param {object} options - { refresh } to ignore the cache
+ * @returns {object} { success, modVersion, dashboards: [{ id, qualifiedName, title, description, category, tags }] }
+ */
+async function listDashboards(modRepo, options = {}) {
+  try {
+    const modVersion = powerpipeService.getInstalledModVersion(modRepo);
+    if (!modVersion) {
+      throw new Error(`Mod ${modRepo} is not installed`);
+    }
+
+    const safeVersion = String(modVersion).replace(/[^a-zA-Z0-9._-]/g, '_');
+    const cacheFile = path.join(CATALOG_DIR, `${powerpipeService.getModShortName(modRepo)}@${safeVersion}.json`);
+    if (!options.refresh) {
+      try {
+        const cached = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+        if (cached.catalogVersion === CATALOG_VERSION) {
+          return { success: true, modVersion, dashboards: cached.dashboards, cached: true };
+        }
+      } catch (cacheError) {
+        // No usable cache - discover below
+      }
+    }
+
+    const listResult = await powerpipeService.listModDashboards(modRepo);
+    if (!listResult.success) {
+      throw new Error(listResult.error || 'Failed to list dashboards');
+    }
+
+    const dashboards = listResult.dashboards
+      .filter(d => d.tags?.type !== 'Detail')
+      .map(d => ({
+        id: d.resource_name || d.qualified_name.split('.').pop(),
+        qualifiedName: d.qualified_name,
+        title: d.title || d.resource_name || d.qualified_name,
+        description: d.description || '',
+        category: d.tags?.service || d.tags?.category || null,
+        tags: d.tags || {},
+      }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+
+    await fs.mkdir(CATALOG_DIR, { recursive: true });
+    await fs.writeFile(cacheFile, JSON.stringify({ catalogVersion: CATALOG_VERSION, modRepo, modVersion, dashboards }, null, 2), 'utf8');
+    console.log(`[Dashboards] Cached ${dashboards.length} dashboards for ${modRepo}@${modVersion}`);
+
+    return { success: true, modVersion, dashboards, cached: false };
+  } catch (error) {
+    console.error(`[Dashboards] Failed to list dashboards for ${modRepo}:`, error);
+    return { success: false, error: error.message, dashboards: [] };
+  }
+}
+
+/**
+ * Run a dashboard and store the snapshot
+ * The subprocess's run settings variables are applied; tag filters only apply to benchmarks
+ * @param {object} data - { subprocessId, subscriptionId, modId, modRepo, dashboardName }
+ * @returns {object} { success, snapshot: metadata, dashboard: parsed model, warnings }
+ */
+async function runDashboardSnapshot({ subprocessId, subscriptionId, modId, modRepo, dashboardName }) {
+  if (!modRepo || !dashboardName) {
+    return { success: false, error: 'modRepo and dashboardName are required' };
+  }
+  if (!dashboardName.includes('.dashboard.')) {
+    return { success: false, error: `${dashboardName} is not a dashboard` };
+  }
+
+  let connection = null;
+  if (subscriptionId) {
+    const connectionResult = await powerpipeService.ensureSubscriptionConnection(subscriptionId);
+    if (!connectionResult.success) {
+      return { success: false, error: connectionResult.error };
+    }
+    connection = connectionResult.connection;
+  }
+
+  const { variables } = runSettings.getRunSettings(subprocessId);
+  const result = await powerpipeService.runPowerpipeDashboard(dashboardName, { variables, connection });
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  let dashboard;
+  try {
+    dashboard = parseDashboardSnapshot(result.snapshot);
+  } catch (parseError) {
+    console.error('[Dashboards] Failed to parse snapshot:', parseError.message);
+    return { success: false, error: `Could not read the dashboard snapshot: ${parseError.message}` };
+  }
+
+  const snapshot = {
+    id: randomUUID(),
+    subprocessId: subprocessId || null,
+    modId: modId || null,
+    modRepo,
+    modVersion: powerpipeService.getInstalledModVersion(modRepo),
+    dashboardName,
+    title: dashboard.dashboard.title,
+    generatedAt: dashboard.generatedAt,
+    variables,
+    connection,
+    summary: dashboard.summary,
+    uploadedFileId: null,
+  };
+
+  const paths = getSnapshotPaths(snapshot.id);
+  await fs.mkdir(SNAPSHOTS_DIR, { recursive: true });
+  await fs.writeFile(paths.raw, JSON.stringify(result.snapshot), 'utf8');
+  await fs.writeFile(paths.parsed, JSON.stringify(dashboard), 'utf8');
+
+  const snapshots = [snapshot, ...readIndex()];
+  const kept = [];
+  const removed = [];
+  snapshots.forEach(entry => {
+    const siblings = kept.filter(k => k.subprocessId === entry.subprocessId && k.dashboardName === entry.dashboardName);
+    (siblings.length < MAX_SNAPSHOTS_PER_DASHBOARD ? kept : removed).push(entry);
+  });
+  writeIndex(kept);
+  await Promise.all(removed.flatMap(entry => Object.values(getSnapshotPaths(entry.id)).map(file => fs.rm(file, { force: true }))));
+
+  console.log(`[Dashboards] Saved snapshot ${snapshot.id} of ${dashboardName} (${dashboard.summary.cards} cards, ${dashboard.summary.charts} charts, ${dashboard.summary.tables} tables)`);
+  return { success: true, snapshot, dashboard, warnings: result.warnings };
+}
+
+/**
+ * List stored snapshots, newest first
+ * @param {object} filter - { subprocessId, dashboardName }
+ */
+function listSnapshots(filter = {}) {
+  return readIndex()
+    .filter(entry => !filter.subprocessId || entry.subprocessId === filter.subprocessId)
+    .filter(entry => !filter.dashboardName || entry.dashboardName === filter.dashboardName)
+    .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+}
+
+/**
+ * Load a stored snapshot with its parsed panel tree
+ */
+async function getSnapshot(id) {
+  const snapshot = readIndex().find(entry => entry.id === id);
+  if (!snapshot) {
+    throw new Error('Snapshot not found');
+  }
+  const dashboard = JSON.parse(await fs.readFile(getSnapshotPaths(id).parsed, 'utf8'));
+  return { snapshot, dashboard };
+}
+
+async function deleteSnapshot(id) {
+  const snapshots = readIndex();
+  if (!snapshots.some(entry => entry.id === id)) {
+    throw new Error('Snapshot not found');
+  }
+  writeIndex(snapshots.filter(entry => entry.id !== id));
+  await Promise.all(Object.values(getSnapshotPaths(id)).map(file => fs.rm(file, { force: true })));
+}
+
+/**
+ * Render a stored snapshot as a markdown document for the dataroom
+ * @param {object} meta - { modName }
+ */
+async function renderSnapshotMarkdown(id, meta = {}) {
+  const { snapshot, dashboard } = await getSnapshot(id);
+  return renderDashboardMarkdown(dashboard, {
+    modName: meta.modName,
+    modVersion: snapshot.modVersion,
+    variables: snapshot.variables,
+  });
+}
+
+/**
+ * Remember the dataroom file a snapshot was uploaded as
+ */
+function markSnapshotUploaded(id, fileId) {
+  const snapshots = readIndex();
+  const snapshot = snapshots.find(entry => entry.id === id);
+  if (!snapshot) return null;
+  snapshot.uploadedFileId = fileId;
+  writeIndex(snapshots);
+  return snapshot;
+}
+
+module.exports = {
+  listDashboards,
+  runDashboardSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  renderSnapshotMarkdown,
+  markSnapshotUploaded,
+};
@@ -504,8 +504,8 @@ async function ensureSubprocessesTable() {
   }
 }
 
-// Ensure table exists on module load
-ensureSubprocessesTable();
+// Ensure tables exist on module load - finding_exceptions references orgsubprocesses
+ensureSubprocessesTable().then(ensureFindingExceptionsTable);
 
 /**
  * Note: We use the DataRoomFile table (main table for dataroom files)
@@ -623,12 +623,16 @@ async function deleteSubprocess(id) {
   }
 }
 
+// Runs kept per benchmark in orgsubprocesses.results - oldest are dropped first
+const MAX_BENCHMARK_RUN_HISTORY = 50;
+
 /**
  * Update subprocess results (track mod/benchmark analysis)
  * Stores fileId, blobUrl, encryptedBlobUrl for later retrieval
  * @param {string} id - UUID of the subprocess (from orgsubprocesses.id)
+ * @param {object} details - Extra fields for the record (fileName, localPath, findingsPath, summary, modVersion)
  */
-async function updateSubprocessResults(id, modId, benchmarkId, fileId, blobUrl = null, encryptedBlobUrl = null) {
+async function updateSubprocessResults(id, modId, benchmarkId, fileId, blobUrl = null, encryptedBlobUrl = null, details = {}) {
   const db = getPool();
   if (!db) {
     throw new Error('Database connection not available');
@@ -646,7 +650,8 @@ async function updateSubprocessResults(id, modId, benchmarkId, fileId, blobUrl =
     }
     
     // Add benchmark analysis record with file URLs
-    results[modId][benchmarkId] = {
+    const record = {
+      ...details,
       fileId,
       blobUrl: blobUrl || null,
       encryptedBlobUrl: encryptedBlobUrl || null,
@@ -654,6 +659,17 @@ async function updateSubprocessResults(id, modId, benchmarkId, fileId, blobUrl =
       status: 'completed'
     };
     
+    // Keep a history of runs so any two runs of a benchmark can be compared
+    // Records saved before history existed become the first entry
+    const previous = results[modId][benchmarkId];
+    const runs = previous?.runs || (previous ? [{ ...previous }] : []);
+    runs.push({ ...record });
+    
+    results[modId][benchmarkId] = {
+      ...record,
+      runs: runs.slice(-MAX_BENCHMARK_RUN_HISTORY),
+    };
+    
     // Update database
     const result = await db.query(`
       UPDATE orgsubprocesses 
@@ -821,6 +837,117 @@ async function saveReportFile(userId, subprocessId, fileName, filePath, fileSize
   }
 }
 
+/**
+ * Finding Exception Functions
+ * Table: finding_exceptions
+ * Accepted risks for a control/resource pair of a subprocess - matching alarms
+ * are reported as "excepted" until the exception expires
+ */
+
+/**
+ * Create finding exceptions table if it doesn't exist
+ */
+async function ensureFindingExceptionsTable() {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS finding_exceptions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        subprocess_id UUID NOT NULL REFERENCES orgsubprocesses(id) ON DELETE CASCADE,
+        control_id TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        justification TEXT NOT NULL,
+        approver TEXT NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_finding_exceptions_pair ON finding_exceptions(subprocess_id, control_id, resource);
+    `);
+    console.log('[DB] Finding exceptions table ready');
+  } catch (error) {
+    console.error('[DB] Error creating finding exceptions table:', error);
+  }
+}
+
+/**
+ * Get all finding exceptions of a subprocess, including expired ones
+ */
+async function getFindingExceptions(subprocessId) {
+  const db = getPool();
+  if (!db) {
+    throw new Error('Database connection not available');
+  }
+
+  try {
+    const result = await db.query(`
+      SELECT * FROM finding_exceptions
+      WHERE subprocess_id = $1
+      ORDER BY expires_at ASC
+    `, [subprocessId]);
+    
+    return result.rows;
+  } catch (error) {
+    console.error('[DB] Error getting finding exceptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record an exception for a control/resource pair
+ * An existing exception for the same pair is replaced
+ */
+async function saveFindingException(subprocessId, exceptionData) {
+  const db = getPool();
+  if (!db) {
+    throw new Error('Database connection not available');
+  }
+
+  try {
+    const { control_id, resource, justification, approver, expires_at, created_by } = exceptionData;
+    
+    const result = await db.query(`
+      INSERT INTO finding_exceptions (subprocess_id, control_id, resource, justification, approver, expires_at, created_by, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+      ON CONFLICT (subprocess_id, control_id, resource) DO UPDATE
+      SET justification = EXCLUDED.justification,
+          approver = EXCLUDED.approver,
+          expires_at = EXCLUDED.expires_at,
+          created_by = EXCLUDED.created_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [subprocessId, control_id, resource, justification, approver, expires_at, created_by || null]);
+    
+    console.log(`[DB] Saved finding exception: control=${control_id}, resource=${resource}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('[DB] Error saving finding exception:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a finding exception
+ */
+async function deleteFindingException(id) {
+  const db = getPool();
+  if (!db) {
+    throw new Error('Database connection not available');
+  }
+
+  try {
+    await db.query(`DELETE FROM finding_exceptions WHERE id = $1`, [id]);
+    return true;
+  } catch (error) {
+    console.error('[DB] Error deleting finding exception:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getPool,
   generateOTP,
@@ -842,5 +969,9 @@ module.exports = {
   // Dataroom
   saveReportFile,
   saveReportFileWithId,
+  // Finding exceptions
+  getFindingExceptions,
+  saveFindingException,
+  deleteFindingException,
 };
 
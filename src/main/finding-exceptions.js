@@ -0,0 +1,162 @@
+/**
+ * Finding Exceptions
+ * Applies accepted-risk exceptions (stored in the finding_exceptions table) to a
+ * benchmark run. Alarms on an excepted control/resource pair are reported as
+ * "excepted" until the exception expires, after which they fail again.
+ */
+
+const db = require('./db');
+const { emptyTotals, addTotals } = require('./benchmark-results');
+const { tableCell } = require('./markdown-utils');
+
+/**
+ * Whether an exception still applies at the given time
+ */
+function isActive(exception, now = new Date()) {
+  return new Date(exception.expires_at) > now;
+}
+
+/**
+ * Recompute control and group totals after result statuses changed
+ */
+function resummarize(group) {
+  const summary = emptyTotals();
+  for (const control of group.controls || []) {
+    const controlSummary = emptyTotals();
+    for (const result of control.results || []) {
+      controlSummary[result.status] += 1;
+      controlSummary.total += 1;
+    }
+    if ((control.results || []).length === 0 && control.runError) {
+      controlSummary.error += 1;
+      controlSummary.total += 1;
+    }
+    control.summary = controlSummary;
+    addTotals(summary, controlSummary);
+  }
+  (group.groups || []).forEach(child => addTotals(summary, resummarize(child)));
+  group.summary = summary;
+  return summary;
+}
+
+/**
+ * Mark alarms covered by an active exception as "excepted"
+ * Sets findings.exceptions to every exception that matched an alarm in this run,
+ * with `expired` set for those that no longer apply
+ * @param {object} findings - Normalized findings model, updated in place
+ * @param {Array} exceptions - Rows from the finding_exceptions table
+ * @returns {object} { excepted, expired } result counts
+ */
+function applyExceptions(findings, exceptions, now = new Date()) {
+  const byPair = new Map(exceptions.map(exception => [`${exception.control_id}|${exception.resource}`, exception]));
+  const matched = new Map();
+  let excepted = 0;
+  let expired = 0;
+
+  const visit = (group) => {
+    for (const control of group.controls || []) {
+      for (const result of control.results || []) {
+        if (result.status !== 'alarm' || !result.resource) continue;
+        const exception = byPair.get(`${result.controlId}|${result.resource}`);
+        if (!exception) continue;
+
+        const active = isActive(exception, now);
+        if (active) {
+          result.status = 'excepted';
+          result.exceptionId = exception.id;
+          excepted += 1;
+        } else {
+          expired += 1;
+        }
+        matched.set(exception.id, {
+          id: exception.id,
+          controlId: result.controlId,
+          controlTitle: control.title,
+          resource: result.resource,
+          justification: exception.justification,
+          approver: exception.approver,
+          expiresAt: new Date(exception.expires_at).toISOString(),
+          expired: !active,
+        });
+      }
+    }
+    (group.groups || []).forEach(visit);
+  };
+
+  if (findings?.benchmark) {
+    visit(findings.benchmark);
+    resummarize(findings.benchmark);
+    findings.exceptions = Array.from(matched.values());
+  }
+  return { excepted, expired };
+}
+
+/**
+ * Render the exceptions that matched a run as a markdown appendix
+ */
+function renderExceptionsAppendix(findings) {
+  const exceptions = findings.exceptions || [];
+  const active = exceptions.filter(exception => !exception.expired);
+  const expired = exceptions.filter(exception => exception.expired);
+
+  const table = (entries) => [
+    '| Control | Resource | Justification | Approver | Expires |',
+    '| --- | --- | --- | --- | --- |',
+    ...entries.map(e => [
+      tableCell(e.controlTitle, { empty: '-' }),
+      tableCell(e.resource, { empty: '-' }),
+      tableCell(e.justification, { empty: '-' }),
+      tableCell(e.approver, { empty: '-' }),
+      e.expiresAt.slice(0, 10),
+    ].join(' | ')).map(row => `| ${row} |`),
+  ];
+
+  return [
+    '## Appendix: Finding Exceptions',
+    '',
+    active.length > 0
+      ? `${active.length} alarms are accepted risks and are reported as EXCEPTED:`
+      : 'No active exceptions matched this run.',
+    '',
+    ...(active.length > 0 ? [...table(active), ''] : []),
+    ...(expired.length > 0
+      ? [`${expired.length} exceptions have expired, so their results are reported as ALARM again:`, '', ...table(expired), '']
+      : []),
+  ].join('\n');
+}
+
+/**
+ * Apply a subprocess's exceptions to a successful runModCompliance result
+ * The markdown report gets a note up front and the exceptions appendix at the end.
+ * A database failure leaves the result untouched - the run still counts
+ */
+async function applyToRunResult(subprocessId, result) {
+  if (!subprocessId || !result.success || !result.findings) return result;
+
+  let exceptions;
+  try {
+    exceptions = await db.getFindingExceptions(subprocessId);
+  } catch (error) {
+    console.warn('[Exceptions] Could not load finding exceptions, reporting results unchanged:', error.message);
+    return result;
+  }
+  if (exceptions.length === 0) return result;
+
+  const { excepted, expired } = applyExceptions(result.findings, exceptions);
+  if (excepted === 0 && expired === 0) return result;
+  console.log(`[Exceptions] ${excepted} alarms excepted, ${expired} matched expired exceptions`);
+
+  const expiredNote = expired > 0 ? ` ${expired} alarms are failing again because their exception expired.` : '';
+  const note = `> **Exceptions** - ${excepted} alarms are accepted risks and counted as EXCEPTED; the tables below still show Powerpipe's original status.${expiredNote} See the appendix.`;
+  return {
+    ...result,
+    markdownReport: `${note}\n\n${result.markdownReport}\n\n${renderExceptionsAppendix(result.findings)}`,
+  };
+}
+
+module.exports = {
+  isActive,
+  applyExceptions,
+  renderExceptionsAppendix,
+  applyToRunResult,
+};
@@ -0,0 +1,235 @@
+/**
+ * Findings Export
+ * Serializes a normalized findings model (see benchmark-results.js) into
+ * machine-readable formats: CSV for spreadsheets, JSONL for data lakes, and
+ * OCSF Compliance Finding / ASFF-style JSON for security tooling.
+ * Every format has one record per control/resource result.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', contentType: 'text/csv' },
+  jsonl: { label: 'JSON Lines', extension: 'jsonl', contentType: 'application/x-ndjson' },
+  ocsf: { label: 'OCSF Compliance Finding', extension: 'ocsf.json', contentType: 'application/json' },
+  asff: { label: 'ASFF', extension: 'asff.json', contentType: 'application/json' },
+};
+
+const PRODUCT = { name: 'Ofofo Integration Agent', vendor: 'Ofofo' };
+
+// OCSF 1.1 Compliance Finding (class 2003) enums
+const OCSF_COMPLIANCE_STATUS = {
+  ok: { id: 1, name: 'Pass' },
+  alarm: { id: 3, name: 'Fail' },
+  info: { id: 99, name: 'Info' },
+  skip: { id: 99, name: 'Skipped' },
+  error: { id: 0, name: 'Unknown' },
+  // Accepted risks still fail the control - the finding itself is suppressed
+  excepted: { id: 3, name: 'Fail' },
+};
+const OCSF_SEVERITY = { none: 1, info: 1, informational: 1, low: 2, medium: 3, high: 4, critical: 5 };
+
+const ASFF_COMPLIANCE_STATUS = { ok: 'PASSED', alarm: 'FAILED', info: 'WARNING', skip: 'NOT_AVAILABLE', error: 'NOT_AVAILABLE', excepted: 'FAILED' };
+const ASFF_SEVERITY = { none: 'INFORMATIONAL', info: 'INFORMATIONAL', informational: 'INFORMATIONAL', low: 'LOW', medium: 'MEDIUM', high: 'HIGH', critical: 'CRITICAL' };
+
+/**
+ * Flatten a findings model into one record per control/resource result
+ * A control that failed to run has no results and becomes one error record
+ */
+function flattenFindings(findings) {
+  const records = [];
+
+  const visit = (group, path) => {
+    for (const control of group.controls || []) {
+      const base = {
+        groupPath: path,
+        controlId: control.id,
+        controlTitle: control.title,
+        controlDescription: control.description,
+        severity: control.severity,
+      };
+      if ((control.results || []).length === 0 && control.runError) {
+        records.push({ ...base, resource: null, status: 'error', reason: control.runError, dimensions: {} });
+      }
+      for (const result of control.results || []) {
+        records.push({ ...base, resource: result.resource, status: result.status, reason: result.reason, dimensions: result.dimensions || {}, exceptionId: result.exceptionId || null });
+      }
+    }
+    (group.groups || []).forEach(child => visit(child, [...path, child.title]));
+  };
+
+  if (findings?.benchmark) visit(findings.benchmark, []);
+  return records;
+}
+
+/**
+ * Azure subscription and region of a result, from the mod's common dimensions
+ */
+function getLocation(record, meta) {
+  const { dimensions } = record;
+  return {
+    subscription: dimensions.subscription_id || dimensions.subscription || meta.subscriptionId || null,
+    region: dimensions.region || dimensions.location || null,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from evaluating resource names or reasons as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(findings, records) {
+  const dimensionKeys = Array.from(new Set(records.flatMap(record => Object.keys(record.dimensions)))).sort();
+  const header = ['benchmark', 'section', 'control_id', 'control_title', 'severity', 'status', 'resource', 'reason', ...dimensionKeys];
+  const rows = records.map(record => [
+    findings.benchmark.title,
+    record.groupPath.join(' > '),
+    record.controlId,
+    record.controlTitle,
+    record.severity,
+    record.status,
+    record.resource,
+    record.reason,
+    ...dimensionKeys.map(key => record.dimensions[key]),
+  ]);
+  return `${[header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function toJsonl(findings, records, meta) {
+  return records.map(record => JSON.stringify({
+    generatedAt: findings.generatedAt,
+    mod: meta.modName || null,
+    modVersion: findings.modVersion || null,
+    benchmarkId: findings.benchmark.id,
+    benchmark: findings.benchmark.title,
+    ...record,
+  })).join('\n') + (records.length > 0 ? '\n' : '');
+}
+
+function toOcsf(findings, records, meta) {
+  const time = new Date(findings.generatedAt).getTime();
+  return JSON.stringify(records.map(record => {
+    const status = OCSF_COMPLIANCE_STATUS[record.status];
+    const severityId = OCSF_SEVERITY[String(record.severity || '').toLowerCase()] || 0;
+    const { subscription, region } = getLocation(record, meta);
+
+    return {
+      activity_id: 1,
+      activity_name: 'Create',
+      category_uid: 2,
+      category_name: 'Findings',
+      class_uid: 2003,
+      class_name: 'Compliance Finding',
+      type_uid: 200301,
+      type_name: 'Compliance Finding: Create',
+      time,
+      severity_id: severityId,
+      severity: record.severity || 'Unknown',
+      status_id: record.status === 'excepted' ? 3 : 1,
+      status: record.status === 'excepted' ? 'Suppressed' : 'New',
+      message: record.reason,
+      compliance: {
+        control: record.controlId,
+        standards: [findings.benchmark.title],
+        requirements: record.groupPath,
+        status_id: status.id,
+        status: status.name,
+        status_detail: record.reason,
+      },
+      finding_info: {
+        uid: `${findings.benchmark.id}/${record.controlId}/${record.resource || ''}`,
+        title: record.controlTitle,
+        desc: record.controlDescription,
+        created_time: time,
+      },
+      resources: record.resource ? [{ uid: record.resource, region, data: record.dimensions }] : [],
+      cloud: {
+        provider: 'Azure',
+        region,
+        account: subscription ? { uid: subscription, type: 'Azure Subscription' } : undefined,
+      },
+      metadata: {
+        version: '1.1.0',
+        product: { name: PRODUCT.name, vendor_name: PRODUCT.vendor, feature: { name: meta.modName || findings.benchmark.id } },
+        profiles: ['cloud'],
+      },
+    };
+  }), null, 2);
+}
+
+function toAsff(findings, records, meta) {
+  return JSON.stringify({
+    Findings: records.map(record => {
+      const { subscription, region } = getLocation(record, meta);
+      const severity = record.status === 'ok'
+        ? 'INFORMATIONAL'
+        : ASFF_SEVERITY[String(record.severity || '').toLowerCase()] || 'MEDIUM';
+
+      return {
+        SchemaVersion: '2018-10-08',
+        Id: `${findings.benchmark.id}/${record.controlId}/${record.resource || ''}`,
+        ProductName: PRODUCT.name,
+        CompanyName: PRODUCT.vendor,
+        GeneratorId: record.controlId,
+        // ASFF expects an AWS account - the Azure subscription takes its place
+        AwsAccountId: subscription,
+        Types: [`Software and Configuration Checks/Industry and Regulatory Standards/${findings.benchmark.title}`],
+        CreatedAt: findings.generatedAt,
+        UpdatedAt: findings.generatedAt,
+        Severity: { Label: severity },
+        Title: record.controlTitle,
+        Description: record.reason || record.controlDescription || record.controlTitle,
+        Resources: [{
+          Type: 'Other',
+          Id: record.resource || 'unknown',
+          Region: region || undefined,
+          Details: { Other: record.dimensions },
+        }],
+        Compliance: {
+          Status: ASFF_COMPLIANCE_STATUS[record.status],
+          RelatedRequirements: record.groupPath,
+        },
+        RecordState: 'ACTIVE',
+        Workflow: { Status: record.status === 'excepted' ? 'SUPPRESSED' : 'NEW' },
+        ProductFields: {
+          'ofofo/Mod': meta.modName || '',
+          'ofofo/ModVersion': findings.modVersion || '',
+          'ofofo/Status': record.status,
+        },
+      };
+    }),
+  }, null, 2);
+}
+
+/**
+ * Serialize findings in one of EXPORT_FORMATS
+ * @param {object} findings - Normalized findings model
+ * @param {string} format - csv, jsonl, ocsf or asff
+ * @param {object} meta - Optional { modName, subscriptionId }
+ * @returns {object} { content, extension, contentType, records }
+ */
+function exportFindings(findings, format, meta = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  if (!findings?.benchmark) {
+    throw new Error('This report has no structured findings to export');
+  }
+
+  const records = flattenFindings(findings);
+  const serializers = { csv: toCsv, jsonl: toJsonl, ocsf: toOcsf, asff: toAsff };
+  return {
+    content: serializers[format](findings, records, meta),
+    extension: spec.extension,
+    contentType: spec.contentType,
+    records: records.length,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenFindings,
+  exportFindings,
+};
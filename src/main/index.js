@@ -179,6 +179,22 @@ const db = require('./db');
 const emailService = require('./email-service');
 const powerpipeService = require('./powerpipe-service');
 const powerpipeInstaller = require('./powerpipe-installer');
+const steampipeSupervisor = require('./steampipe-supervisor');
+const pluginManager = require('./plugin-manager');
+const benchmarkJobs = require('./benchmark-jobs');
+const benchmarkDiff = require('./benchmark-diff');
+const benchmarkScheduler = require('./benchmark-scheduler');
+const benchmarkCatalog = require('./benchmark-catalog');
+const controlSets = require('./control-sets');
+const modVersions = require('./mod-versions');
+const customControls = require('./custom-controls');
+const runSettings = require('./run-settings');
+const dashboardSnapshots = require('./dashboard-snapshots');
+const findingsExport = require('./findings-export');
+const remediation = require('./remediation');
+const sqlConsole = require('./sql-console');
+const queryLibrary = require('./query-library');
+const inventorySnapshots = require('./inventory-snapshots');
 
 // ========================================
 // Installation Status Cache (Persistence)
@@ -231,6 +247,28 @@ function saveInstallationStatus() {
   }
 }
 
+/**
+ * Record an installed binary with the hash of the file that runs audits
+ * A download verification is kept only while the binary it installed is unchanged
+ */
+function recordBinaryStatus(name, verification, binary) {
+  const previous = installationStatus[name] || {};
+  let verified = verification || previous.verification || null;
+  if (verified && verified.binarySha256 !== binary?.sha256) {
+    console.warn(`[App] ⚠️  ${name} binary changed since its download was verified`);
+    verified = null;
+  }
+  installationStatus[name] = {
+    installed: true,
+    checked: true,
+    timestamp: Date.now(),
+    path: binary?.path || null,
+    bundled: Boolean(binary?.bundled),
+    binarySha256: binary?.sha256 || null,
+    verification: verified,
+  };
+}
+
 // Load installation status on startup
 loadInstallationStatus();
 
@@ -906,30 +944,40 @@ ipcMain.handle('powerpipe-install-now', async (event) => {
 
 ipcMain.handle('powerpipe-list-plugins', async (event) => {
   try {
-    const result = await powerpipeService.listAvailablePlugins();
-    return {
-      success: true,
-      plugins: result.plugins,
-      knownPlugins: Object.keys(powerpipeService.STEAMPIPE_PLUGINS),
-      pluginDetails: powerpipeService.STEAMPIPE_PLUGINS,
-      note: result.note,
-    };
+    return await pluginManager.listPlugins();
   } catch (error) {
     console.error('Powerpipe list plugins error:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, plugins: [] };
   }
 });
 
-ipcMain.handle('powerpipe-install-plugin', async (event, pluginName) => {
+ipcMain.handle('powerpipe-install-plugin', async (event, pluginName, version = null) => {
   try {
-    const result = await powerpipeService.installPlugin(pluginName);
-    return result;
+    return await pluginManager.installPlugin(pluginName, version);
   } catch (error) {
     console.error('Powerpipe install plugin error:', error);
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('powerpipe-update-plugin', async (event, pluginName) => {
+  try {
+    return await pluginManager.updatePlugin(pluginName);
+  } catch (error) {
+    console.error('Powerpipe update plugin error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('powerpipe-uninstall-plugin', async (event, pluginName) => {
+  try {
+    return await pluginManager.uninstallPlugin(pluginName);
+  } catch (error) {
+    console.error('Powerpipe uninstall plugin error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('powerpipe-configure-connection', async (event, data) => {
   try {
     const { pluginName, config } = data;
@@ -987,10 +1035,11 @@ ipcMain.handle('powerpipe-map-controls', async (event, data) => {
   }
 });
 
+// Runs the default query pack - see the query library handlers for choosing a pack
 ipcMain.handle('azure-run-queries', async (event, data) => {
   try {
     const { limit = 10, subscriptionId } = data || {};
-    const result = await powerpipeService.runAzureQueries(limit, subscriptionId);
+    const result = await queryLibrary.runPack({ packId: queryLibrary.DEFAULT_PACK_ID, subscriptionId, limit });
     return result;
   } catch (error) {
     console.error('[IPC] Error running Azure queries:', error);
@@ -1074,10 +1123,38 @@ ipcMain.handle('powerpipe-install-mod', async (event, data) => {
   }
 });
 
+// Mod version pinning, update checks and rollback
+ipcMain.handle('mod-versions-list', async (event, options) => {
+  try {
+    return { success: true, mods: await modVersions.listModVersions(options || {}) };
+  } catch (error) {
+    console.error('List mod versions error:', error);
+    return { success: false, error: error.message, mods: [] };
+  }
+});
+
+ipcMain.handle('mod-versions-upgrade', async (event, { modId, version }) => {
+  try {
+    return await modVersions.upgradeMod(modId, version);
+  } catch (error) {
+    console.error('Upgrade mod error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mod-versions-rollback', async (event, modId) => {
+  try {
+    return await modVersions.rollbackMod(modId);
+  } catch (error) {
+    console.error('Rollback mod error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('powerpipe-check-mod-installed', async (event, modRepo) => {
   try {
     const isInstalled = await powerpipeService.checkModInstalled(modRepo);
-    return { success: true, installed: isInstalled };
+    return { success: true, installed: isInstalled, version: powerpipeService.getInstalledModVersion(modRepo) };
   } catch (error) {
     console.error('Check mod installed error:', error);
     return { success: false, error: error.message, installed: false };
@@ -1086,8 +1163,8 @@ ipcMain.handle('powerpipe-check-mod-installed', async (event, modRepo) => {
 
 ipcMain.handle('powerpipe-run-mod-benchmark', async (event, data) => {
   try {
-    const { modRepo, benchmarkName, format } = data;
-    const result = await powerpipeService.runPowerpipeBenchmark(modRepo, benchmarkName, format || 'md');
+    const { modRepo, benchmarkName, format, formats } = data;
+    const result = await powerpipeService.runPowerpipeBenchmark(modRepo, benchmarkName, formats || format || 'md');
     return result;
   } catch (error) {
     console.error('Run mod benchmark error:', error);
@@ -1107,349 +1184,1174 @@ ipcMain.handle('powerpipe-list-benchmarks', async (event, data) => {
   }
 });
 
-ipcMain.handle('powerpipe-run-mod-compliance', async (event, data) => {
+ipcMain.handle('powerpipe-get-benchmark-tree', async (event, { modRepo, refresh }) => {
   try {
-    const { modId, modRepo, benchmarkId } = data;
-    const result = await powerpipeService.runModCompliance(modId, modRepo, benchmarkId);
-    return result;
+    return await benchmarkCatalog.getBenchmarkTree(modRepo, { refresh });
   } catch (error) {
-    console.error('Run mod compliance error:', error);
-    return { success: false, error: error.message };
+    console.error('Get benchmark tree error:', error);
+    return { success: false, error: error.message, benchmarks: [] };
   }
 });
 
-// Subprocess Management IPC Handlers
-ipcMain.handle('subprocess-save', async (event, data) => {
+ipcMain.handle('powerpipe-get-benchmark-controls', async (event, { modRepo, benchmark }) => {
   try {
-    const { userId, subprocessData } = data;
-    const subprocess = await db.saveSubprocess(userId, subprocessData);
-    return { success: true, subprocess };
+    return await benchmarkCatalog.getBenchmarkControls(modRepo, benchmark);
   } catch (error) {
-    console.error('Save subprocess error:', error);
-    return { success: false, error: error.message };
+    console.error('Get benchmark controls error:', error);
+    return { success: false, error: error.message, controls: [] };
   }
 });
 
-ipcMain.handle('subprocess-get-all', async (event, userId) => {
+// Custom Control IPC Handlers
+ipcMain.handle('custom-controls-list', async () => {
   try {
-    const subprocesses = await db.getUserSubprocesses(userId);
-    return { success: true, subprocesses };
+    return { success: true, ...customControls.listCustomResources() };
   } catch (error) {
-    console.error('Get subprocesses error:', error);
+    console.error('List custom controls error:', error);
+    return { success: false, error: error.message, controls: [], benchmarks: [] };
+  }
+});
+
+ipcMain.handle('custom-controls-save-control', async (event, data) => {
+  try {
+    return { success: true, control: await customControls.saveCustomControl(data) };
+  } catch (error) {
+    console.error('Save custom control error:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('subprocess-get-by-id', async (event, id) => {
+ipcMain.handle('custom-controls-delete-control', async (event, id) => {
   try {
-    const subprocess = await db.getSubprocessById(id);
-    return { success: true, subprocess };
+    await customControls.deleteCustomControl(id);
+    return { success: true };
   } catch (error) {
-    console.error('Get subprocess error:', error);
+    console.error('Delete custom control error:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('subprocess-update-status', async (event, data) => {
+ipcMain.handle('custom-controls-save-benchmark', async (event, data) => {
   try {
-    const { id, status } = data;
-    const subprocess = await db.updateSubprocessStatus(id, status);
-    return { success: true, subprocess };
+    return { success: true, benchmark: await customControls.saveCustomBenchmark(data) };
   } catch (error) {
-    console.error('Update subprocess status error:', error);
+    console.error('Save custom benchmark error:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('subprocess-delete', async (event, id) => {
+ipcMain.handle('custom-controls-delete-benchmark', async (event, id) => {
   try {
-    await db.deleteSubprocess(id);
+    await customControls.deleteCustomBenchmark(id);
     return { success: true };
   } catch (error) {
-    console.error('Delete subprocess error:', error);
+    console.error('Delete custom benchmark error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Check Azure CLI installation
-ipcMain.handle('subprocess-check-azure-cli', async (event) => {
+ipcMain.handle('custom-controls-test', async (event, data) => {
   try {
-    const result = await powerpipeService.checkAzureCLI();
-    return result;
+    return await customControls.testCustomControl(data);
   } catch (error) {
-    console.error('Check Azure CLI error:', error);
+    console.error('Test custom control error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Install Azure CLI
-ipcMain.handle('subprocess-install-azure-cli', async (event) => {
+// Control Set IPC Handlers
+ipcMain.handle('control-sets-list', async (event, filter) => {
   try {
-    const result = await powerpipeService.installAzureCLI();
-    return result;
+    return { success: true, controlSets: controlSets.listControlSets(filter || {}) };
   } catch (error) {
-    console.error('Install Azure CLI error:', error);
-    return { success: false, error: error.message };
+    console.error('List control sets error:', error);
+    return { success: false, error: error.message, controlSets: [] };
   }
 });
 
-// Authenticate with Azure CLI
-ipcMain.handle('subprocess-authenticate-azure-cli', async (event) => {
+ipcMain.handle('control-sets-save', async (event, data) => {
   try {
-    const result = await powerpipeService.authenticateWithAzureCLI();
-    return result;
+    return { success: true, controlSet: controlSets.saveControlSet(data) };
   } catch (error) {
-    console.error('Azure CLI authentication error:', error);
+    console.error('Save control set error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Get Azure subscriptions
-ipcMain.handle('subprocess-get-azure-subscriptions', async (event) => {
+ipcMain.handle('control-sets-delete', async (event, id) => {
   try {
-    const result = await powerpipeService.getAzureSubscriptions();
-    return result;
+    controlSets.deleteControlSet(id);
+    return { success: true };
   } catch (error) {
-    console.error('Get Azure subscriptions error:', error);
+    console.error('Delete control set error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Setup Azure integration (full flow)
-ipcMain.handle('subprocess-setup-azure', async (event, data) => {
+// Run Settings IPC Handlers
+ipcMain.handle('run-settings-get', async (event, subprocessId) => {
   try {
-    const { subscriptionId, tenantId } = data;
-    console.log('[IPC] Setting up Azure integration with subscription:', subscriptionId);
-    
-    // Use simple setup - no plugin install, no restart, no table fetch
-    // Plugin is already installed at startup, just configure for this subscription
-    const result = await powerpipeService.setupSubprocessSimple(subscriptionId, tenantId);
-    return result;
+    return { success: true, settings: runSettings.getRunSettings(subprocessId) };
   } catch (error) {
-    console.error('Setup Azure integration error:', error);
+    console.error('Get run settings error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Configure plugin for subscription (lazy configuration)
-ipcMain.handle('subprocess-configure-plugin', async (event, subscriptionId) => {
+ipcMain.handle('run-settings-save', async (event, data) => {
   try {
-    const result = await powerpipeService.configurePluginForSubscription(subscriptionId);
-    return result;
+    return { success: true, settings: runSettings.saveRunSettings(data) };
   } catch (error) {
-    console.error('Configure plugin error:', error);
+    console.error('Save run settings error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Get Azure tables
-ipcMain.handle('subprocess-get-azure-tables', async (event) => {
+// Finding Exception IPC Handlers
+ipcMain.handle('finding-exceptions-list', async (event, subprocessId) => {
   try {
-    const result = await powerpipeService.getAzureTables();
-    return result;
+    return { success: true, exceptions: await db.getFindingExceptions(subprocessId) };
   } catch (error) {
-    console.error('Get Azure tables error:', error);
+    console.error('List finding exceptions error:', error);
+    return { success: false, error: error.message, exceptions: [] };
+  }
+});
+
+ipcMain.handle('finding-exceptions-save', async (event, { subprocessId, exception }) => {
+  try {
+    const { control_id, resource, justification, approver, expires_at } = exception || {};
+    if (!subprocessId || !control_id || !resource) {
+      throw new Error('subprocessId, control_id and resource are required');
+    }
+    if (!justification?.trim() || !approver?.trim()) {
+      throw new Error('A justification and an approver are required');
+    }
+    if (!expires_at || Number.isNaN(new Date(expires_at).getTime()) || new Date(expires_at) <= new Date()) {
+      throw new Error('The expiry date must be in the future');
+    }
+    
+    const saved = await db.saveFindingException(subprocessId, {
+      ...exception,
+      justification: justification.trim(),
+      approver: approver.trim(),
+    });
+    return { success: true, exception: saved };
+  } catch (error) {
+    console.error('Save finding exception error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Query Steampipe
-ipcMain.handle('subprocess-query-steampipe', async (event, data) => {
+ipcMain.handle('finding-exceptions-delete', async (event, id) => {
   try {
-    const { query } = data;
-    const result = await powerpipeService.querySteampipe(query);
-    return result;
+    await db.deleteFindingException(id);
+    return { success: true };
   } catch (error) {
-    console.error('Query Steampipe error:', error);
+    console.error('Delete finding exception error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Install Azure compliance mod
-ipcMain.handle('subprocess-install-azure-mod', async (event) => {
+// Remediation IPC Handlers
+// Guidance comes from the control documentation in the benchmark catalog; controls
+// without documentation (e.g. custom controls) fall back to their description
+ipcMain.handle('remediation-get', async (event, { modRepo, control, resources }) => {
   try {
-    const result = await powerpipeService.installAzureComplianceMod();
-    return result;
+    let metadata = null;
+    if (modRepo) {
+      try {
+        metadata = await benchmarkCatalog.getControlMetadata(modRepo, control.id);
+      } catch (catalogError) {
+        console.warn(`[Remediation] No catalog metadata for ${control.id}:`, catalogError.message);
+      }
+    }
+    
+    const documentation = metadata?.documentation || '';
+    const guidance = remediation.extractRemediation(documentation);
+    const generated = remediation.generateRemediationScript(
+      { ...control, queryName: metadata?.queryName },
+      resources || []
+    );
+    return {
+      success: true,
+      guidance: guidance || documentation || control.description || null,
+      guidanceSource: guidance ? 'remediation' : documentation ? 'documentation' : 'description',
+      script: generated?.script || null,
+      templateId: generated?.templateId || null,
+      note: generated?.note || null,
+    };
   } catch (error) {
-    console.error('Install Azure mod error:', error);
+    console.error('Get remediation error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Get available benchmarks
-ipcMain.handle('subprocess-get-benchmarks', async (event, data) => {
+ipcMain.handle('remediation-plans-list', async (event, filter) => {
   try {
-    const { modName } = data || {};
-    const result = await powerpipeService.getAvailableBenchmarks(modName);
-    return result;
+    return { success: true, plans: remediation.listPlans(filter || {}) };
   } catch (error) {
-    console.error('Get benchmarks error:', error);
+    console.error('List remediation plans error:', error);
+    return { success: false, error: error.message, plans: [] };
+  }
+});
+
+ipcMain.handle('remediation-plans-save', async (event, data) => {
+  try {
+    return { success: true, plan: remediation.savePlan(data) };
+  } catch (error) {
+    console.error('Save remediation plan error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Run benchmark
-ipcMain.handle('subprocess-run-benchmark', async (event, data) => {
+ipcMain.handle('remediation-plans-delete', async (event, id) => {
   try {
-    const { benchmarkName } = data;
-    const result = await powerpipeService.runBenchmark(benchmarkName);
-    return result;
+    remediation.deletePlan(id);
+    return { success: true };
   } catch (error) {
-    console.error('Run benchmark error:', error);
+    console.error('Delete remediation plan error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Dataroom Management IPC Handlers
-ipcMain.handle('dataroom-save-report', async (event, data) => {
+// SQL Console IPC Handlers
+ipcMain.handle('sql-console-run', async (event, data) => {
   try {
-    const { fileName, content, userId, subprocessId, subprocessName, modId, benchmarkId } = data;
-    
-    // STEP 1: Generate UUID as file ID
-    const { randomUUID } = require('crypto');
-    const fileId = randomUUID();
-    console.log(`[Dataroom] Generated file ID: ${fileId}`);
-    
-    // Get user's organization/dataroom ID for Azure upload
-    let dataRoomId = userId; // Fallback to userId
-    try {
-      const orgId = await db.getUserOrganizationId(userId);
-      if (orgId) {
-        dataRoomId = orgId;
-        console.log(`[Dataroom] Using organization ID: ${dataRoomId}`);
-      }
-    } catch (orgError) {
-      console.warn('[Dataroom] Could not get organization ID, using userId:', orgError.message);
-    }
-    
-    // STEP 2: Upload to Azure Blob Storage FIRST
-    // Blob path structure: {dataroomId}/{fileId}
-    let blobUrl = null;
-    let encryptedBlobUrl = null;
-    
-    if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
-      try {
-        const { uploadToAzureBlob } = require('./azure-upload.js');
-        const fileBuffer = Buffer.from(content, 'utf8');
-        
-        console.log(`[Dataroom] Uploading to Azure Blob Storage...`);
-        console.log(`[Dataroom] Blob path: ${dataRoomId}/${fileId}/${fileName}`);
-        
-        const uploadResult = await uploadToAzureBlob(
-          fileBuffer,
-          fileId, // Use UUID as file ID
-          dataRoomId,
-          'text/markdown',
-          fileName // Include filename in blob path
-        );
-        
-        blobUrl = uploadResult.url;
-        encryptedBlobUrl = uploadResult.encryptedUrl;
-        
-        console.log(`[Dataroom] ✓ Uploaded private blob to Azure: ${uploadResult.pathname}`);
-      } catch (azureError) {
-        console.error('[Dataroom] Azure upload failed:', azureError.message);
-        // If Azure upload fails, we should fail the entire operation
-        // since the file ID is already generated and expected in Azure
-        throw new Error(`Failed to upload to Azure: ${azureError.message}`);
-      }
-    } else {
-      console.log('[Dataroom] Azure Storage not configured, skipping cloud upload');
-      // If Azure is not configured, we can still save locally, but this is not ideal
-    }
-    
-    // STEP 3: Save file locally (backup)
-    const fs = require('fs').promises;
-    const path = require('path');
-    const os = require('os');
-    
-    const dataroomDir = path.join(os.homedir(), '.ofofo', 'dataroom', subprocessName || 'general');
-    await fs.mkdir(dataroomDir, { recursive: true });
-    
-    const filePath = path.join(dataroomDir, fileName);
-    await fs.writeFile(filePath, content, 'utf8');
-    console.log(`[Dataroom] Report saved locally: ${filePath}`);
-    
-    // Get file size
-    const stats = await fs.stat(filePath);
-    const fileSize = stats.size;
-    
-    // STEP 4: Insert record into DataRoomFile table AFTER successful upload
-    // Use the UUID as the file ID
-    // Note: subprocessId is not stored in DataRoomFile - it's tracked in orgsubprocesses.results
-    const fileRecord = await db.saveReportFileWithId(
-      fileId, // Use UUID as ID
-      userId,
-      dataRoomId, // Organization/dataroom ID for web dataroom visibility
-      fileName, 
-      filePath, 
-      fileSize, 
-      blobUrl, 
-      encryptedBlobUrl
-    );
-    console.log(`[Dataroom] File record created in DataRoomFile with ID: ${fileRecord.id}`);
-    
-    // Update subprocess results to track this analysis with file URLs
-    // subprocessId is UUID string (from orgsubprocesses.id)
-    if (modId && benchmarkId && subprocessId) {
-      // Use the file id (UUID) from DataRoomFile
-      const fileIdentifier = fileRecord.id; // DataRoomFile.id is already UUID
-      await db.updateSubprocessResults(
-        subprocessId, // UUID string - orgsubprocesses.id is UUID type
-        modId, 
-        benchmarkId, 
-        fileIdentifier,
-        blobUrl,
-        encryptedBlobUrl
-      );
-      console.log(`[Dataroom] Updated subprocess results: subprocessId=${subprocessId}, mod=${modId}, benchmark=${benchmarkId}, fileId=${fileIdentifier}`);
-    }
-    
-    return { 
-      success: true, 
-      filePath,
-      fileId: fileRecord.id,
-      blobUrl: blobUrl || undefined,
-      encryptedBlobUrl: encryptedBlobUrl || undefined
-    };
+    return await sqlConsole.runQuery(data);
   } catch (error) {
-    console.error('[Dataroom] Save report error:', error);
+    console.error('Run console query error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Register all IPC handlers before app is ready
-console.log('[IPC] Registering IPC handlers...');
+ipcMain.handle('sql-console-columns', async (event, table) => {
+  try {
+    return await sqlConsole.getTableColumns(table);
+  } catch (error) {
+    console.error('Get table columns error:', error);
+    return { success: false, error: error.message, columns: [] };
+  }
+});
 
-// Get installation status
-ipcMain.handle('get-installation-status', async () => {
-  return {
-    success: true,
-    status: installationStatus
-  };
+ipcMain.handle('sql-console-history-list', async (event, subprocessId) => {
+  try {
+    return { success: true, history: sqlConsole.listHistory(subprocessId) };
+  } catch (error) {
+    console.error('List query history error:', error);
+    return { success: false, error: error.message, history: [] };
+  }
 });
 
-// Handle uncaught exceptions to prevent app crash
-process.on('uncaughtException', (error) => {
-  console.error('[App] Uncaught Exception:', error);
-  console.error('[App] Stack:', error.stack);
-  // Don't exit - let the app continue
+ipcMain.handle('sql-console-history-clear', async (event, subprocessId) => {
+  try {
+    sqlConsole.clearHistory(subprocessId);
+    return { success: true };
+  } catch (error) {
+    console.error('Clear query history error:', error);
+    return { success: false, error: error.message };
+  }
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[App] Unhandled Rejection at:', promise, 'reason:', reason);
-  // Don't exit - let the app continue
+ipcMain.handle('sql-console-saved-list', async (event, subprocessId) => {
+  try {
+    return { success: true, queries: sqlConsole.listSavedQueries(subprocessId) };
+  } catch (error) {
+    console.error('List saved queries error:', error);
+    return { success: false, error: error.message, queries: [] };
+  }
 });
 
-app.whenReady().then(async () => {
-  console.log('[IPC] App ready, initializing...');
-  console.log('[App] ========================================');
-  console.log('[App] INSTALLING ALL REQUIRED COMPONENTS');
-  console.log('[App] ========================================');
-  
+ipcMain.handle('sql-console-saved-save', async (event, data) => {
   try {
-    // STEP 1: Install Powerpipe and Steampipe binaries (checks before installing)
-    if (!powerpipeInstaller) {
+    return { success: true, query: sqlConsole.saveQuery(data) };
+  } catch (error) {
+    console.error('Save query error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('sql-console-saved-delete', async (event, id) => {
+  try {
+    sqlConsole.deleteSavedQuery(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Delete saved query error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Saved queries attached to a control are re-run and uploaded to the dataroom as evidence
+ipcMain.handle('sql-console-saved-upload', async (event, { id, userId, subprocessId, subprocessName, subscriptionId }) => {
+  try {
+    const { saved, markdown, rowCount } = await sqlConsole.collectEvidence(id, { subscriptionId, subprocessName });
+    const fileName = `${(saved.controlId || 'Query').replace(/[^\w.-]+/g, '-')}-${saved.name.replace(/[^\w.-]+/g, '-')}-${Date.now()}.md`;
+
+    const result = await saveDataroomReport({ fileName, content: markdown, userId, subprocessId, subprocessName });
+    if (result.success) {
+      return { ...result, query: sqlConsole.markEvidenceUploaded(id, { fileId: result.fileId, rowCount }) };
+    }
+    return result;
+  } catch (error) {
+    console.error('Upload query evidence error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Query Library IPC Handlers
+ipcMain.handle('query-library-list', async () => {
+  try {
+    return { success: true, ...queryLibrary.listPacks(), userPacksDir: queryLibrary.USER_PACKS_DIR };
+  } catch (error) {
+    console.error('List query packs error:', error);
+    return { success: false, error: error.message, packs: [], invalid: [] };
+  }
+});
+
+ipcMain.handle('query-library-run', async (event, data) => {
+  try {
+    return await queryLibrary.runPack(data);
+  } catch (error) {
+    console.error('Run query pack error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Dashboard Snapshot IPC Handlers
+ipcMain.handle('dashboards-list', async (event, { modRepo, refresh }) => {
+  return dashboardSnapshots.listDashboards(modRepo, { refresh });
+});
+
+ipcMain.handle('dashboard-snapshots-run', async (event, data) => {
+  try {
+    return await dashboardSnapshots.runDashboardSnapshot(data);
+  } catch (error) {
+    console.error('Run dashboard snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('dashboard-snapshots-list', async (event, filter) => {
+  try {
+    return { success: true, snapshots: dashboardSnapshots.listSnapshots(filter || {}) };
+  } catch (error) {
+    console.error('List dashboard snapshots error:', error);
+    return { success: false, error: error.message, snapshots: [] };
+  }
+});
+
+ipcMain.handle('dashboard-snapshots-get', async (event, id) => {
+  try {
+    return { success: true, ...(await dashboardSnapshots.getSnapshot(id)) };
+  } catch (error) {
+    console.error('Get dashboard snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('dashboard-snapshots-delete', async (event, id) => {
+  try {
+    await dashboardSnapshots.deleteSnapshot(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Delete dashboard snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Snapshots go to the dataroom as inventory evidence - a plain document, not a benchmark run
+ipcMain.handle('dashboard-snapshots-upload', async (event, { id, modName, userId, subprocessId, subprocessName }) => {
+  try {
+    const { snapshot } = await dashboardSnapshots.getSnapshot(id);
+    const content = await dashboardSnapshots.renderSnapshotMarkdown(id, { modName });
+    const fileName = `${(modName || snapshot.modId || 'Dashboard').replace(/\s+/g, '-')}-${snapshot.title.replace(/\s+/g, '-')}-${Date.now()}.md`;
+
+    const result = await saveDataroomReport({ fileName, content, userId, subprocessId, subprocessName });
+    if (result.success) {
+      dashboardSnapshots.markSnapshotUploaded(id, result.fileId);
+    }
+    return result;
+  } catch (error) {
+    console.error('Upload dashboard snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Inventory snapshots of a subprocess's key resource tables
+ipcMain.handle('inventory-snapshots-capture', async (event, data) => {
+  try {
+    return await inventorySnapshots.captureSnapshot(data);
+  } catch (error) {
+    console.error('Capture inventory snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('inventory-snapshots-list', async (event, subprocessId) => {
+  try {
+    return { success: true, ...inventorySnapshots.listSnapshots(subprocessId) };
+  } catch (error) {
+    console.error('List inventory snapshots error:', error);
+    return { success: false, error: error.message, snapshots: [], schedule: null };
+  }
+});
+
+ipcMain.handle('inventory-snapshots-delete', async (event, { subprocessId, id }) => {
+  try {
+    await inventorySnapshots.deleteSnapshot(subprocessId, id);
+    return { success: true };
+  } catch (error) {
+    console.error('Delete inventory snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('inventory-snapshots-compare', async (event, { subprocessId, baseId, targetId }) => {
+  try {
+    return { success: true, diff: await inventorySnapshots.compareSnapshots(subprocessId, baseId, targetId) };
+  } catch (error) {
+    console.error('Compare inventory snapshots error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('inventory-snapshots-set-schedule', async (event, data) => {
+  try {
+    return { success: true, schedule: inventorySnapshots.setSchedule(data) };
+  } catch (error) {
+    console.error('Set inventory schedule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// An exported snapshot is point-in-time evidence - a plain document in the dataroom
+ipcMain.handle('inventory-snapshots-upload', async (event, { subprocessId, id, userId, subprocessName }) => {
+  try {
+    const { snapshot, markdown } = await inventorySnapshots.renderSnapshotMarkdown(subprocessId, id);
+    const fileName = `Inventory-Snapshot-${snapshot.sequence}-${snapshot.capturedAt.slice(0, 10)}-${Date.now()}.md`;
+
+    const result = await saveDataroomReport({ fileName, content: markdown, userId, subprocessId, subprocessName });
+    if (result.success) {
+      inventorySnapshots.markSnapshotUploaded(subprocessId, id, result.fileId);
+    }
+    return result;
+  } catch (error) {
+    console.error('Upload inventory snapshot error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Benchmark runs go through the job queue - broadcast job and progress events to every window
+function broadcastToWindows(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed()) {
+      window.webContents.send(channel, payload);
+    }
+  });
+}
+
+benchmarkJobs.jobEvents.on('progress', progress => broadcastToWindows('powerpipe-run-progress', progress));
+benchmarkJobs.jobEvents.on('update', job => broadcastToWindows('benchmark-job-updated', job));
+benchmarkScheduler.scheduleEvents.on('update', schedule => broadcastToWindows('benchmark-schedule-updated', schedule));
+steampipeSupervisor.serviceEvents.on('status', status => broadcastToWindows('steampipe-service-status', status));
+
+// Steampipe Service IPC Handlers
+ipcMain.handle('steampipe-service-status', async () => {
+  return { success: true, status: steampipeSupervisor.getStatus() };
+});
+
+ipcMain.handle('steampipe-service-restart', async () => {
+  try {
+    return await steampipeSupervisor.restart();
+  } catch (error) {
+    console.error('Restart Steampipe service error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('powerpipe-run-mod-compliance', async (event, data) => {
+  try {
+    const { modId, modRepo, benchmarkId, subprocessId, subscriptionId, runId, totalControls, controls, controlSetId } = data;
+    
+    // A saved control set can be run by ID; ad-hoc runs pass the controls directly
+    let controlSet = null;
+    if (controlSetId) {
+      controlSet = controlSets.getControlSet(controlSetId);
+      if (!controlSet) {
+        return { success: false, error: 'Control set not found' };
+      }
+    }
+    
+    const result = await benchmarkJobs.runJobAndWait({
+      modId,
+      modRepo,
+      benchmarkId,
+      subprocessId,
+      subscriptionId,
+      runId,
+      totalControls,
+      controls: controlSet ? controlSet.controls : controls,
+      controlSetId: controlSet?.id,
+      controlSetName: controlSet?.name,
+    });
+    return result;
+  } catch (error) {
+    console.error('Run mod compliance error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('powerpipe-cancel-run', async (event, runId) => {
+  try {
+    return benchmarkJobs.cancelJob(runId);
+  } catch (error) {
+    console.error('Cancel benchmark run error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Benchmark Job Queue IPC Handlers
+ipcMain.handle('benchmark-jobs-list', async (event, filter) => {
+  try {
+    return { success: true, jobs: benchmarkJobs.listJobs(filter || {}) };
+  } catch (error) {
+    console.error('List benchmark jobs error:', error);
+    return { success: false, error: error.message, jobs: [] };
+  }
+});
+
+ipcMain.handle('benchmark-jobs-retry', async (event, jobId) => {
+  try {
+    return await benchmarkJobs.retryJob(jobId);
+  } catch (error) {
+    console.error('Retry benchmark job error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('benchmark-jobs-wait', async (event, jobId) => {
+  try {
+    return await benchmarkJobs.waitForRun(jobId);
+  } catch (error) {
+    console.error('Wait for benchmark job error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('benchmark-jobs-cancel', async (event, jobId) => {
+  try {
+    return benchmarkJobs.cancelJob(jobId);
+  } catch (error) {
+    console.error('Cancel benchmark job error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('benchmark-jobs-get-concurrency', async () => {
+  return { success: true, concurrency: benchmarkJobs.getConcurrency() };
+});
+
+ipcMain.handle('benchmark-jobs-set-concurrency', async (event, value) => {
+  try {
+    return { success: true, concurrency: benchmarkJobs.setConcurrency(value) };
+  } catch (error) {
+    console.error('Set benchmark concurrency error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Subprocess Management IPC Handlers
+ipcMain.handle('subprocess-save', async (event, data) => {
+  try {
+    const { userId, subprocessData } = data;
+    const subprocess = await db.saveSubprocess(userId, subprocessData);
+    return { success: true, subprocess };
+  } catch (error) {
+    console.error('Save subprocess error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('subprocess-get-all', async (event, userId) => {
+  try {
+    const subprocesses = await db.getUserSubprocesses(userId);
+    return { success: true, subprocesses };
+  } catch (error) {
+    console.error('Get subprocesses error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('subprocess-get-by-id', async (event, id) => {
+  try {
+    const subprocess = await db.getSubprocessById(id);
+    return { success: true, subprocess };
+  } catch (error) {
+    console.error('Get subprocess error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('subprocess-update-status', async (event, data) => {
+  try {
+    const { id, status } = data;
+    const subprocess = await db.updateSubprocessStatus(id, status);
+    return { success: true, subprocess };
+  } catch (error) {
+    console.error('Update subprocess status error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('subprocess-delete', async (event, id) => {
+  try {
+    await db.deleteSubprocess(id);
+    runSettings.deleteRunSettings(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Delete subprocess error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check Azure CLI installation
+ipcMain.handle('subprocess-check-azure-cli', async (event) => {
+  try {
+    const result = await powerpipeService.checkAzureCLI();
+    return result;
+  } catch (error) {
+    console.error('Check Azure CLI error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Install Azure CLI
+ipcMain.handle('subprocess-install-azure-cli', async (event) => {
+  try {
+    const result = await powerpipeService.installAzureCLI();
+    return result;
+  } catch (error) {
+    console.error('Install Azure CLI error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Authenticate with Azure CLI
+ipcMain.handle('subprocess-authenticate-azure-cli', async (event) => {
+  try {
+    const result = await powerpipeService.authenticateWithAzureCLI();
+    return result;
+  } catch (error) {
+    console.error('Azure CLI authentication error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get Azure subscriptions
+ipcMain.handle('subprocess-get-azure-subscriptions', async (event) => {
+  try {
+    const result = await powerpipeService.getAzureSubscriptions();
+    return result;
+  } catch (error) {
+    console.error('Get Azure subscriptions error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Setup Azure integration (full flow)
+ipcMain.handle('subprocess-setup-azure', async (event, data) => {
+  try {
+    const { subscriptionId, tenantId } = data;
+    console.log('[IPC] Setting up Azure integration with subscription:', subscriptionId);
+    
+    // Use simple setup - no plugin install, no restart, no table fetch
+    // Plugin is already installed at startup, just configure for this subscription
+    const result = await powerpipeService.setupSubprocessSimple(subscriptionId, tenantId);
+    return result;
+  } catch (error) {
+    console.error('Setup Azure integration error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Configure plugin for subscription (lazy configuration)
+ipcMain.handle('subprocess-configure-plugin', async (event, subscriptionId) => {
+  try {
+    const result = await powerpipeService.configurePluginForSubscription(subscriptionId);
+    return result;
+  } catch (error) {
+    console.error('Configure plugin error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get Azure tables
+ipcMain.handle('subprocess-get-azure-tables', async (event) => {
+  try {
+    const result = await powerpipeService.getAzureTables();
+    return result;
+  } catch (error) {
+    console.error('Get Azure tables error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Query Steampipe
+ipcMain.handle('subprocess-query-steampipe', async (event, data) => {
+  try {
+    const { query, params, maxRows } = data;
+    const result = await powerpipeService.querySteampipe(query, params || [], { maxRows });
+    return result;
+  } catch (error) {
+    console.error('Query Steampipe error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Install Azure compliance mod
+ipcMain.handle('subprocess-install-azure-mod', async (event) => {
+  try {
+    const result = await powerpipeService.installAzureComplianceMod();
+    return result;
+  } catch (error) {
+    console.error('Install Azure mod error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get available benchmarks
+ipcMain.handle('subprocess-get-benchmarks', async (event, data) => {
+  try {
+    const { modName } = data || {};
+    const result = await powerpipeService.getAvailableBenchmarks(modName);
+    return result;
+  } catch (error) {
+    console.error('Get benchmarks error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Run benchmark
+ipcMain.handle('subprocess-run-benchmark', async (event, data) => {
+  try {
+    const { benchmarkName } = data;
+    const result = await powerpipeService.runBenchmark(benchmarkName);
+    return result;
+  } catch (error) {
+    console.error('Run benchmark error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Dataroom Management IPC Handlers
+
+/**
+ * Upload one file to Azure Blob Storage, keep a local copy and record it in DataRoomFile
+ * @returns {object} { fileId, filePath, blobUrl, encryptedBlobUrl }
+ */
+async function storeDataroomFile({ fileName, content, contentType, userId, dataRoomId, dataroomDir }) {
+  const fs = require('fs').promises;
+  const path = require('path');
+  
+  // STEP 1: Generate UUID as file ID
+  const { randomUUID } = require('crypto');
+  const fileId = randomUUID();
+  console.log(`[Dataroom] Generated file ID: ${fileId}`);
+  
+  // STEP 2: Upload to Azure Blob Storage FIRST
+  // Blob path structure: {dataroomId}/{fileId}
+  let blobUrl = null;
+  let encryptedBlobUrl = null;
+  
+  if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
+    try {
+      const { uploadToAzureBlob } = require('./azure-upload.js');
+      const fileBuffer = Buffer.from(content, 'utf8');
+      
+      console.log(`[Dataroom] Uploading to Azure Blob Storage...`);
+      console.log(`[Dataroom] Blob path: ${dataRoomId}/${fileId}/${fileName}`);
+      
+      const uploadResult = await uploadToAzureBlob(
+        fileBuffer,
+        fileId, // Use UUID as file ID
+        dataRoomId,
+        contentType,
+        fileName // Include filename in blob path
+      );
+      
+      blobUrl = uploadResult.url;
+      encryptedBlobUrl = uploadResult.encryptedUrl;
+      
+      console.log(`[Dataroom] ✓ Uploaded private blob to Azure: ${uploadResult.pathname}`);
+    } catch (azureError) {
+      console.error('[Dataroom] Azure upload failed:', azureError.message);
+      // If Azure upload fails, we should fail the entire operation
+      // since the file ID is already generated and expected in Azure
+      throw new Error(`Failed to upload to Azure: ${azureError.message}`);
+    }
+  } else {
+    console.log('[Dataroom] Azure Storage not configured, skipping cloud upload');
+    // If Azure is not configured, we can still save locally, but this is not ideal
+  }
+  
+  // STEP 3: Save file locally (backup)
+  await fs.mkdir(dataroomDir, { recursive: true });
+  const filePath = path.join(dataroomDir, fileName);
+  await fs.writeFile(filePath, content, 'utf8');
+  console.log(`[Dataroom] File saved locally: ${filePath}`);
+  
+  const stats = await fs.stat(filePath);
+  
+  // STEP 4: Insert record into DataRoomFile table AFTER successful upload
+  // Use the UUID as the file ID
+  // Note: subprocessId is not stored in DataRoomFile - it's tracked in orgsubprocesses.results
+  const fileRecord = await db.saveReportFileWithId(
+    fileId, // Use UUID as ID
+    userId,
+    dataRoomId, // Organization/dataroom ID for web dataroom visibility
+    fileName, 
+    filePath, 
+    stats.size, 
+    blobUrl, 
+    encryptedBlobUrl
+  );
+  console.log(`[Dataroom] File record created in DataRoomFile with ID: ${fileRecord.id}`);
+  
+  return { fileId: fileRecord.id, filePath, blobUrl, encryptedBlobUrl };
+}
+
+/**
+ * Upload a report to Azure Blob Storage, keep a local copy, record it in DataRoomFile
+ * and track it in the subprocess results. Shared by the IPC handler and scheduled runs
+ * `exportFormats` (see findings-export.js) uploads the findings as extra files next to the report
+ */
+async function saveDataroomReport(data) {
+  try {
+    const { fileName, content, userId, subprocessId, subprocessName, modId, modName, benchmarkId, findings, exportFormats = [] } = data;
+    const fs = require('fs').promises;
+    const path = require('path');
+    const os = require('os');
+    
+    // Get user's organization/dataroom ID for Azure upload
+    let dataRoomId = userId; // Fallback to userId
+    try {
+      const orgId = await db.getUserOrganizationId(userId);
+      if (orgId) {
+        dataRoomId = orgId;
+        console.log(`[Dataroom] Using organization ID: ${dataRoomId}`);
+      }
+    } catch (orgError) {
+      console.warn('[Dataroom] Could not get organization ID, using userId:', orgError.message);
+    }
+    
+    // Serialize exports up front so an unusable format fails before anything is uploaded
+    const exports = exportFormats.map(format => ({ format, ...findingsExport.exportFindings(findings, format, { modName }) }));
+    
+    const dataroomDir = path.join(os.homedir(), '.ofofo', 'dataroom', subprocessName || 'general');
+    const report = await storeDataroomFile({ fileName, content, contentType: 'text/markdown', userId, dataRoomId, dataroomDir });
+    const { filePath, blobUrl, encryptedBlobUrl } = report;
+    
+    // Persist the normalized findings next to the markdown report, locally and in the report's
+    // blob folder, so runs saved on another machine can still be diffed
+    let findingsPath = null;
+    let findingsBlob = null;
+    if (findings) {
+      const findingsFileName = `${path.parse(fileName).name}.findings.json`;
+      const findingsContent = JSON.stringify(findings, null, 2);
+      findingsPath = path.join(dataroomDir, findingsFileName);
+      await fs.writeFile(findingsPath, findingsContent, 'utf8');
+      console.log(`[Dataroom] Findings saved locally: ${findingsPath}`);
+      
+      if (blobUrl) {
+        try {
+          const { uploadToAzureBlob } = require('./azure-upload.js');
+          findingsBlob = await uploadToAzureBlob(Buffer.from(findingsContent, 'utf8'), report.fileId, dataRoomId, 'application/json', findingsFileName);
+          console.log(`[Dataroom] ✓ Uploaded findings to Azure: ${findingsBlob.pathname}`);
+        } catch (uploadError) {
+          console.warn('[Dataroom] Findings upload failed - they are only available on this machine:', uploadError.message);
+        }
+      }
+    }
+    
+    // Update subprocess results to track this analysis with file URLs
+    // subprocessId is UUID string (from orgsubprocesses.id)
+    if (modId && benchmarkId && subprocessId) {
+      // Use the file id (UUID) from DataRoomFile
+      const fileIdentifier = report.fileId; // DataRoomFile.id is already UUID
+      await db.updateSubprocessResults(
+        subprocessId, // UUID string - orgsubprocesses.id is UUID type
+        modId, 
+        benchmarkId, 
+        fileIdentifier,
+        blobUrl,
+        encryptedBlobUrl,
+        {
+          fileName,
+          localPath: filePath,
+          findingsPath,
+          findingsBlobUrl: findingsBlob?.url || null,
+          encryptedFindingsBlobUrl: findingsBlob?.encryptedUrl || null,
+          summary: findings?.benchmark?.summary || null,
+          modVersion: findings?.modVersion || null,
+        }
+      );
+      console.log(`[Dataroom] Updated subprocess results: subprocessId=${subprocessId}, mod=${modId}, benchmark=${benchmarkId}, fileId=${fileIdentifier}`);
+    }
+    
+    // Machine-readable exports are separate dataroom files named after the report
+    const exportedFiles = [];
+    for (const exported of exports) {
+      const exportName = `${path.parse(fileName).name}.${exported.extension}`;
+      const stored = await storeDataroomFile({
+        fileName: exportName,
+        content: exported.content,
+        contentType: exported.contentType,
+        userId,
+        dataRoomId,
+        dataroomDir,
+      });
+      exportedFiles.push({ format: exported.format, fileName: exportName, fileId: stored.fileId, filePath: stored.filePath });
+    }
+    
+    return { 
+      success: true, 
+      filePath,
+      findingsPath: findingsPath || undefined,
+      fileId: report.fileId,
+      blobUrl: blobUrl || undefined,
+      encryptedBlobUrl: encryptedBlobUrl || undefined,
+      exports: exportedFiles,
+    };
+  } catch (error) {
+    console.error('[Dataroom] Save report error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+ipcMain.handle('dataroom-save-report', async (event, data) => {
+  return saveDataroomReport(data);
+});
+
+// Serialize findings for download from the report viewer
+ipcMain.handle('findings-export', async (event, { findings, format, meta }) => {
+  try {
+    return { success: true, ...findingsExport.exportFindings(findings, format, meta || {}) };
+  } catch (error) {
+    console.error('Export findings error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Benchmark Schedule IPC Handlers
+ipcMain.handle('benchmark-schedules-list', async (event, filter) => {
+  try {
+    return { success: true, schedules: benchmarkScheduler.listSchedules(filter || {}) };
+  } catch (error) {
+    console.error('List benchmark schedules error:', error);
+    return { success: false, error: error.message, schedules: [] };
+  }
+});
+
+ipcMain.handle('benchmark-schedules-create', async (event, data) => {
+  try {
+    return { success: true, schedule: benchmarkScheduler.createSchedule(data) };
+  } catch (error) {
+    console.error('Create benchmark schedule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('benchmark-schedules-update', async (event, { id, changes }) => {
+  try {
+    return { success: true, schedule: benchmarkScheduler.editSchedule(id, changes) };
+  } catch (error) {
+    console.error('Update benchmark schedule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('benchmark-schedules-delete', async (event, id) => {
+  try {
+    benchmarkScheduler.deleteSchedule(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Delete benchmark schedule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Saved runs of a benchmark from orgsubprocesses.results, oldest first
+ */
+async function getBenchmarkRuns(subprocessId, modId, benchmarkId) {
+  const subprocess = await db.getSubprocessById(subprocessId);
+  if (!subprocess) {
+    throw new Error('Subprocess not found');
+  }
+  
+  const results = typeof subprocess.results === 'string' ? JSON.parse(subprocess.results) : subprocess.results || {};
+  const record = results[modId]?.[benchmarkId];
+  return record?.runs || (record ? [record] : []);
+}
+
+/**
+ * Read the findings stored next to a saved run's report
+ * The local copy is read first; when it is missing the findings are downloaded from
+ * their blob and the local copy restored. Returns null when neither is available
+ */
+async function readRunFindings(run) {
+  if (run.findingsPath && fs.existsSync(run.findingsPath)) {
+    return JSON.parse(await fs.promises.readFile(run.findingsPath, 'utf8'));
+  }
+
+  const { safeDecryptUrl } = require('./encryption');
+  const blobUrl = safeDecryptUrl(run.encryptedFindingsBlobUrl) || run.findingsBlobUrl;
+  if (!blobUrl) return null;
+
+  const { downloadFromAzureBlob } = require('./azure-upload.js');
+  const content = (await downloadFromAzureBlob(blobUrl)).toString('utf8');
+  const findings = JSON.parse(content);
+
+  if (run.findingsPath) {
+    await fs.promises.mkdir(path.dirname(run.findingsPath), { recursive: true });
+    await fs.promises.writeFile(run.findingsPath, content, 'utf8');
+    console.log(`[Dataroom] Restored local copy of findings for ${run.fileName || run.fileId}: ${run.findingsPath}`);
+  }
+  return findings;
+}
+
+/**
+ * Load the findings of a saved run, failing when they are not available
+ */
+async function loadRunFindings(runs, runId) {
+  const run = runs.find(r => r.fileId === runId);
+  if (!run) {
+    throw new Error(`Run ${runId} not found for this benchmark`);
+  }
+  const findings = await readRunFindings(run);
+  if (!findings) {
+    throw new Error(`Findings for the run from ${run.analyzedAt} are not available on this machine or in blob storage`);
+  }
+  return findings;
+}
+
+// Findings of a saved run (the latest when runId is omitted), for the findings explorer
+ipcMain.handle('benchmark-run-findings', async (event, { subprocessId, modId, benchmarkId, runId }) => {
+  try {
+    const runs = await getBenchmarkRuns(subprocessId, modId, benchmarkId);
+    if (runs.length === 0) {
+      return { success: false, error: 'This benchmark has no saved runs' };
+    }
+    const run = runId ? runs.find(r => r.fileId === runId) : runs[runs.length - 1];
+    const findings = await loadRunFindings(runs, run?.fileId || runId);
+    return { success: true, findings, analyzedAt: run.analyzedAt };
+  } catch (error) {
+    console.error('Load run findings error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Open a saved report from the reports library
+// The local copy written by saveDataroomReport is read first; when it is missing the
+// report is downloaded from its blob and the local copy restored
+ipcMain.handle('dataroom-report-read', async (event, { subprocessId, modId, benchmarkId, fileId }) => {
+  try {
+    const runs = await getBenchmarkRuns(subprocessId, modId, benchmarkId);
+    const run = runs.find(r => r.fileId === fileId);
+    if (!run) {
+      return { success: false, error: 'Saved report not found' };
+    }
+
+    let markdown;
+    let source = 'local';
+    if (run.localPath && fs.existsSync(run.localPath)) {
+      markdown = await fs.promises.readFile(run.localPath, 'utf8');
+    } else {
+      const { safeDecryptUrl } = require('./encryption');
+      const blobUrl = safeDecryptUrl(run.encryptedBlobUrl) || run.blobUrl;
+      if (!blobUrl) {
+        throw new Error('The local copy of this report is missing and it was never uploaded to blob storage');
+      }
+
+      const { downloadFromAzureBlob } = require('./azure-upload.js');
+      markdown = (await downloadFromAzureBlob(blobUrl)).toString('utf8');
+      source = 'blob';
+
+      if (run.localPath) {
+        await fs.promises.mkdir(path.dirname(run.localPath), { recursive: true });
+        await fs.promises.writeFile(run.localPath, markdown, 'utf8');
+        console.log(`[Dataroom] Restored local copy of ${run.fileName || fileId}: ${run.localPath}`);
+      }
+    }
+
+    // Without findings, locally or in blob storage, the report opens as markdown only
+    let findings = null;
+    try {
+      findings = await readRunFindings(run);
+    } catch (findingsError) {
+      console.warn(`[Dataroom] Could not load findings of ${run.fileName || fileId}:`, findingsError.message);
+    }
+
+    return { success: true, markdown, findings, source, run };
+  } catch (error) {
+    console.error('[Dataroom] Read saved report error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Compare two runs of the same benchmark
+// Runs are identified by fileId from orgsubprocesses.results; targetFindings lets the
+// renderer compare a fresh, not yet saved run against a stored one
+ipcMain.handle('benchmark-diff-runs', async (event, data) => {
+  try {
+    const { subprocessId, modId, benchmarkId, baseRunId, targetRunId, targetFindings, modName, benchmarkName } = data;
+    
+    const runs = await getBenchmarkRuns(subprocessId, modId, benchmarkId);
+    const baseFindings = await loadRunFindings(runs, baseRunId);
+    const compareFindings = targetFindings || await loadRunFindings(runs, targetRunId);
+    
+    const diff = benchmarkDiff.diffFindings(baseFindings, compareFindings);
+    const markdown = benchmarkDiff.renderDiffMarkdown(diff, { modName, benchmarkName });
+    console.log(`[Diff] ${modId}/${benchmarkId}: ${diff.newAlarms.length} new alarms, ${diff.resolvedAlarms.length} resolved`);
+    
+    return { success: true, diff, markdown };
+  } catch (error) {
+    console.error('[Diff] Failed to diff benchmark runs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Register all IPC handlers before app is ready
+console.log('[IPC] Registering IPC handlers...');
+
+// Get installation status
+ipcMain.handle('get-installation-status', async () => {
+  return {
+    success: true,
+    status: installationStatus
+  };
+});
+
+// Handle uncaught exceptions to prevent app crash
+process.on('uncaughtException', (error) => {
+  console.error('[App] Uncaught Exception:', error);
+  console.error('[App] Stack:', error.stack);
+  // Don't exit - let the app continue
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('[App] Unhandled Rejection at:', promise, 'reason:', reason);
+  // Don't exit - let the app continue
+});
+
+app.whenReady().then(async () => {
+  console.log('[IPC] App ready, initializing...');
+  console.log('[App] ========================================');
+  console.log('[App] INSTALLING ALL REQUIRED COMPONENTS');
+  console.log('[App] ========================================');
+  
+  try {
+    // STEP 1: Install Powerpipe and Steampipe binaries (checks before installing)
+    if (!powerpipeInstaller) {
       console.error('[App] ✗ Powerpipe installer not available - modules failed to load');
       throw new Error('Required modules not loaded');
     }
@@ -1467,20 +2369,20 @@ app.whenReady().then(async () => {
       console.error('[App] ✗ Failed to install Powerpipe/Steampipe:', installResult.error);
       console.warn('[App] Continuing anyway - app will work but some features may be unavailable');
       // Don't return - continue with other installations
-      installationStatus.powerpipe = { installed: false, checked: true, timestamp: Date.now(), error: installResult.error };
-      installationStatus.steampipe = { installed: false, checked: true, timestamp: Date.now(), error: installResult.error };
+      // A download that fails checksum verification is reported here and never extracted
+      installationStatus.powerpipe = { installed: false, checked: true, timestamp: Date.now(), error: installResult.powerpipe?.error || installResult.error };
+      installationStatus.steampipe = { installed: false, checked: true, timestamp: Date.now(), error: installResult.steampipe?.error || installResult.error };
       saveInstallationStatus();
     } else {
       // Update installation status cache (only if installation was successful)
       if (installResult.alreadyInstalled) {
         console.log('[App] ✓ Powerpipe and Steampipe already installed (skipped)');
-        installationStatus.powerpipe = { installed: true, checked: true, timestamp: Date.now() };
-        installationStatus.steampipe = { installed: true, checked: true, timestamp: Date.now() };
       } else {
         console.log('[App] ✓ Powerpipe and Steampipe installed');
-        installationStatus.powerpipe = { installed: true, checked: true, timestamp: Date.now() };
-        installationStatus.steampipe = { installed: true, checked: true, timestamp: Date.now() };
       }
+      const binaries = await powerpipeInstaller.getBinaryHashes();
+      recordBinaryStatus('powerpipe', installResult.powerpipe?.verification || binaries.powerpipe.verification, binaries.powerpipe);
+      recordBinaryStatus('steampipe', installResult.steampipe?.verification || binaries.steampipe.verification, binaries.steampipe);
       saveInstallationStatus();
     }
     
@@ -1507,7 +2409,7 @@ app.whenReady().then(async () => {
           installationStatus.azurePlugin = { installed: true, checked: true, timestamp: Date.now() };
         } else {
           console.log('[App] Installing Azure plugin...');
-          const installResult = await powerpipeService.installAzurePlugin();
+          const installResult = await pluginManager.installPlugin('azure');
           if (installResult.success) {
             console.log('[App] ✓ Azure plugin installed');
             installationStatus.azurePlugin = { installed: true, checked: true, timestamp: Date.now() };
@@ -1519,7 +2421,7 @@ app.whenReady().then(async () => {
         
         // Azure AD plugin - install (it handles "already installed" internally)
         console.log('[App] Checking Azure AD plugin...');
-        const azureADResult = await powerpipeService.installAzureADPlugin();
+        const azureADResult = await pluginManager.installPlugin('azuread');
         if (azureADResult.success) {
           console.log('[App] ✓ Azure AD plugin ready');
           installationStatus.azureADPlugin = { installed: true, checked: true, timestamp: Date.now() };
@@ -1543,20 +2445,16 @@ app.whenReady().then(async () => {
       try {
         const { AZURE_MODS } = require('./azure-mods');
         
-        // Check each mod before installing
+        // Check each mod is installed at its pinned version before installing
         for (const mod of AZURE_MODS) {
           try {
-            const modCheck = await powerpipeService.checkModInstalled(mod.repo);
-            if (modCheck) {
-              console.log(`[App]   ✓ ${mod.name} already installed`);
+            const result = await modVersions.ensurePinnedMod(mod.id);
+            if (!result.success) {
+              console.warn(`[App]   ⚠️  ${mod.name} installation failed:`, result.error);
+            } else if (result.installed) {
+              console.log(`[App]   ✓ ${mod.name} ${result.version} installed`);
             } else {
-              console.log(`[App]   Installing ${mod.name}...`);
-              const result = await powerpipeService.installPowerpipeMod(mod.repo);
-              if (result.success) {
-                console.log(`[App]   ✓ ${mod.name} installed`);
-              } else {
-                console.warn(`[App]   ⚠️  ${mod.name} installation failed:`, result.error);
-              }
+              console.log(`[App]   ✓ ${mod.name} ${result.version} already installed`);
             }
           } catch (error) {
             console.warn(`[App]   ⚠️  ${mod.name} check/install error:`, error.message);
@@ -1625,6 +2523,31 @@ app.whenReady().then(async () => {
       console.error('[App] Failed to show error dialog:', dialogError);
     }
   }
+  
+  // Resume benchmark jobs queued in the last session once components are installed
+  // Partial run leftovers from a crash are removed first - no job is running yet
+  try {
+    await powerpipeService.cleanupPartialRuns();
+  } catch (cleanupError) {
+    console.warn('[App] Failed to clean up partial benchmark runs:', cleanupError.message);
+  }
+  try {
+    benchmarkJobs.startJobs();
+  } catch (jobsError) {
+    console.error('[App] Failed to start benchmark jobs:', jobsError);
+  }
+  
+  // Start scheduled benchmark runs once components are installed - missed runs execute now
+  try {
+    benchmarkScheduler.startScheduler({ saveReport: saveDataroomReport });
+  } catch (schedulerError) {
+    console.error('[App] Failed to start benchmark scheduler:', schedulerError);
+  }
+  try {
+    inventorySnapshots.startScheduler();
+  } catch (schedulerError) {
+    console.error('[App] Failed to start inventory snapshot scheduler:', schedulerError);
+  }
 });
 
 app.on('window-all-closed', () => {
@@ -1634,6 +2557,22 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Stop the Steampipe service the app started before quitting - an external service keeps running
+let steampipeServiceStopped = false;
+app.on('will-quit', (event) => {
+  if (steampipeServiceStopped) return;
+  event.preventDefault();
+  // No scheduled run or snapshot should start against a service that is shutting down
+  benchmarkScheduler.stopScheduler();
+  inventorySnapshots.stopScheduler();
+  steampipeSupervisor.stop()
+    .catch(error => console.error('[App] Failed to stop Steampipe service:', error))
+    .finally(() => {
+      steampipeServiceStopped = true;
+      app.quit();
+    });
+});
+
 app.on('activate', () => {
   // On macOS, re-create window when dock icon is clicked
   if (BrowserWindow.getAllWindows().length === 0) {
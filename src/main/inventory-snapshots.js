@@ -0,0 +1,472 @@
+/**
+ * Inventory Snapshots
+ * Point-in-time copies of key Azure resource tables for a subprocess, so the
+ * app can answer what a subscription looked like on a given date. Each
+ * subprocess has its own store under ~/.ofofo/inventory-snapshots: an index of
+ * numbered snapshots plus one gzipped file per snapshot. Snapshots are taken on
+ * demand or on a per-subprocess cron schedule, compared resource by resource,
+ * and rendered as markdown for the dataroom.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { randomUUID } = require('crypto');
+const powerpipeService = require('./powerpipe-service');
+const { validateCron, getNextRunTime } = require('./benchmark-scheduler');
+const { tableCell } = require('./markdown-utils');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const STORE_DIR = path.join(os.homedir(), '.ofofo', 'inventory-snapshots');
+
+// Bump when the snapshot file layout changes
+const FORMAT_VERSION = 1;
+
+// Snapshots kept per subprocess - oldest are deleted first
+const MAX_SNAPSHOTS_PER_SUBPROCESS = 100;
+
+const QUERY_TIMEOUT_MS = 120000;
+
+// How often due schedules are checked
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Rows of each table written into an exported snapshot
+const EXPORT_MAX_ROWS = 1000;
+
+// Tables captured in every snapshot. Resources are matched across snapshots by id;
+// the remaining columns are compared to find modified resources. Volatile columns
+// such as a VM's power state are left out so they do not show up as changes.
+const INVENTORY_TABLES = [
+  {
+    key: 'virtual_machines',
+    title: 'Virtual machines',
+    table: 'azure_compute_virtual_machine',
+    columns: ['id', 'name', 'subscription_id', 'resource_group', 'region', 'size', 'os_type', 'tags'],
+  },
+  {
+    key: 'storage_accounts',
+    title: 'Storage accounts',
+    table: 'azure_storage_account',
+    columns: ['id', 'name', 'subscription_id', 'resource_group', 'region', 'sku_name', 'kind', 'enable_https_traffic_only', 'minimum_tls_version', 'allow_blob_public_access', 'public_network_access', 'network_rule_default_action', 'tags'],
+  },
+  {
+    key: 'network_security_groups',
+    title: 'Network security groups',
+    table: 'azure_network_security_group',
+    columns: ['id', 'name', 'subscription_id', 'resource_group', 'region', 'security_rules', 'tags'],
+  },
+  {
+    key: 'key_vaults',
+    title: 'Key vaults',
+    table: 'azure_key_vault',
+    columns: ['id', 'name', 'subscription_id', 'resource_group', 'region', 'sku_name', 'soft_delete_enabled', 'purge_protection_enabled', 'enable_rbac_authorization', 'network_acls', 'tags'],
+  },
+  {
+    key: 'role_assignments',
+    title: 'Role assignments',
+    table: 'azure_role_assignment',
+    columns: ['id', 'name', 'subscription_id', 'principal_id', 'principal_type', 'role_definition_id', 'scope'],
+  },
+];
+
+let tickTimer = null;
+const captureRunning = new Set();
+
+function getStoreDir(subprocessId) {
+  if (!subprocessId) {
+    throw new Error('subprocessId is required');
+  }
+  return path.join(STORE_DIR, String(subprocessId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+}
+
+function getSnapshotFile(subprocessId, id) {
+  return path.join(getStoreDir(subprocessId), `${id}.json.gz`);
+}
+
+function readIndexAt(dir) {
+  const file = path.join(dir, 'index.json');
+  const data = readJsonFile(file, '[Inventory]', `snapshot index ${file}`) || {};
+  return {
+    subprocessId: data.subprocessId || null,
+    lastSequence: data.lastSequence || 0,
+    schedule: data.schedule || null,
+    snapshots: data.snapshots || [],
+  };
+}
+
+function readIndex(subprocessId) {
+  return readIndexAt(getStoreDir(subprocessId));
+}
+
+function writeIndex(subprocessId, index) {
+  writeJsonFile(path.join(getStoreDir(subprocessId), 'index.json'), { formatVersion: FORMAT_VERSION, ...index, subprocessId });
+}
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Capture every inventory table for a subprocess and store the snapshot
+ * A table that fails to load is recorded with its error; the other tables are still kept
+ * @param {object} data - { subprocessId, subprocessName, subscriptionId, trigger }
+ * @returns {Promise<object>} { success, snapshot, error }
+ */
+async function captureSnapshot({ subprocessId, subprocessName, subscriptionId, trigger = 'manual' }) {
+  const storeDir = getStoreDir(subprocessId);
+  if (captureRunning.has(storeDir)) {
+    return { success: false, error: 'A snapshot of this subprocess is already being taken' };
+  }
+  captureRunning.add(storeDir);
+
+  try {
+    let connection = null;
+    if (subscriptionId) {
+      const connectionResult = await powerpipeService.ensureSubscriptionConnection(subscriptionId);
+      if (!connectionResult.success) {
+        return { success: false, error: connectionResult.error };
+      }
+      connection = connectionResult.connection;
+    }
+
+    console.log(`[Inventory] Capturing snapshot of ${subprocessName || subprocessId}${connection ? ` from ${connection}` : ''}`);
+    const tables = {};
+    for (const definition of INVENTORY_TABLES) {
+      const result = await powerpipeService.querySteampipe(
+        `select ${definition.columns.join(', ')} from ${definition.table} order by id`,
+        [],
+        { timeout: QUERY_TIMEOUT_MS, searchPath: connection }
+      );
+      if (result.success && result.data.truncated) {
+        // A partial table would show every row past the cap as removed in the next comparison
+        const error = `Table has ${result.data.rowCount} rows, more than the ${result.data.rows.length} a snapshot can hold`;
+        console.warn(`[Inventory] ${definition.table} skipped: ${error}`);
+        tables[definition.key] = { columns: definition.columns, rows: [], error };
+      } else if (result.success) {
+        const { rows } = result.data;
+        tables[definition.key] = { columns: definition.columns, rows: rows.map(row => definition.columns.map(column => row[column] ?? null)), error: null };
+      } else {
+        console.warn(`[Inventory] ${definition.table} failed: ${result.error}`);
+        tables[definition.key] = { columns: definition.columns, rows: [], error: result.error };
+      }
+    }
+
+    if (Object.values(tables).every(table => table.error)) {
+      return { success: false, error: `No inventory tables could be read: ${tables[INVENTORY_TABLES[0].key].error}` };
+    }
+
+    const index = readIndex(subprocessId);
+    const content = await gzip(JSON.stringify({ formatVersion: FORMAT_VERSION, tables }));
+    const snapshot = {
+      id: randomUUID(),
+      // Numbers are never reused, even after snapshots are deleted
+      sequence: index.lastSequence + 1,
+      subprocessId,
+      subprocessName: subprocessName || null,
+      subscriptionId: subscriptionId || null,
+      connection,
+      capturedAt: new Date().toISOString(),
+      trigger,
+      formatVersion: FORMAT_VERSION,
+      tables: Object.fromEntries(Object.entries(tables).map(([key, table]) => [key, { rowCount: table.rows.length, error: table.error }])),
+      resourceCount: Object.values(tables).reduce((sum, table) => sum + table.rows.length, 0),
+      sizeBytes: content.length,
+      uploadedFileId: null,
+    };
+
+    await fs.mkdir(storeDir, { recursive: true });
+    await fs.writeFile(getSnapshotFile(subprocessId, snapshot.id), content);
+
+    const snapshots = [snapshot, ...index.snapshots];
+    const removed = snapshots.slice(MAX_SNAPSHOTS_PER_SUBPROCESS);
+    writeIndex(subprocessId, { ...index, lastSequence: snapshot.sequence, snapshots: snapshots.slice(0, MAX_SNAPSHOTS_PER_SUBPROCESS) });
+    await Promise.all(removed.map(entry => fs.rm(getSnapshotFile(subprocessId, entry.id), { force: true })));
+
+    console.log(`[Inventory] Saved snapshot #${snapshot.sequence} of ${subprocessName || subprocessId}: ${snapshot.resourceCount} resources, ${snapshot.sizeBytes} bytes`);
+    return { success: true, snapshot };
+  } catch (error) {
+    console.error('[Inventory] Failed to capture snapshot:', error);
+    return { success: false, error: error.message };
+  } finally {
+    captureRunning.delete(storeDir);
+  }
+}
+
+/**
+ * List a subprocess's snapshots, newest first, with its schedule
+ * @returns {object} { snapshots, schedule }
+ */
+function listSnapshots(subprocessId) {
+  const index = readIndex(subprocessId);
+  return {
+    snapshots: [...index.snapshots].sort((a, b) => new Date(b.capturedAt) - new Date(a.capturedAt)),
+    schedule: index.schedule,
+  };
+}
+
+/**
+ * Load a stored snapshot with its table rows, as objects keyed by column
+ */
+async function getSnapshot(subprocessId, id) {
+  const snapshot = readIndex(subprocessId).snapshots.find(entry => entry.id === id);
+  if (!snapshot) {
+    throw new Error('Snapshot not found');
+  }
+  const data = JSON.parse((await gunzip(await fs.readFile(getSnapshotFile(subprocessId, id)))).toString('utf8'));
+  const tables = {};
+  Object.entries(data.tables).forEach(([key, table]) => {
+    tables[key] = {
+      ...table,
+      rows: table.rows.map(values => Object.fromEntries(table.columns.map((column, i) => [column, values[i]]))),
+    };
+  });
+  return { snapshot, tables };
+}
+
+async function deleteSnapshot(subprocessId, id) {
+  const index = readIndex(subprocessId);
+  if (!index.snapshots.some(entry => entry.id === id)) {
+    throw new Error('Snapshot not found');
+  }
+  writeIndex(subprocessId, { ...index, snapshots: index.snapshots.filter(entry => entry.id !== id) });
+  await fs.rm(getSnapshotFile(subprocessId, id), { force: true });
+}
+
+function describeResource(row) {
+  return {
+    id: row.id,
+    name: row.name ?? null,
+    resourceGroup: row.resource_group ?? null,
+  };
+}
+
+/**
+ * Compare two snapshots of a subprocess resource by resource
+ * Tables that failed in either snapshot are reported as skipped rather than as every resource added or removed
+ * @returns {Promise<object>} { base, target, tables: [{ key, title, added, removed, modified, skipped }], summary }
+ */
+async function compareSnapshots(subprocessId, baseId, targetId) {
+  const base = await getSnapshot(subprocessId, baseId);
+  const target = await getSnapshot(subprocessId, targetId);
+
+  const tables = INVENTORY_TABLES.map(definition => {
+    const baseTable = base.tables[definition.key];
+    const targetTable = target.tables[definition.key];
+    const entry = { key: definition.key, title: definition.title, added: [], removed: [], modified: [], skipped: null };
+    if (!baseTable || !targetTable || baseTable.error || targetTable.error) {
+      entry.skipped = baseTable?.error || targetTable?.error || 'Not captured in both snapshots';
+      return entry;
+    }
+
+    const baseRows = new Map(baseTable.rows.map(row => [row.id, row]));
+    const targetRows = new Map(targetTable.rows.map(row => [row.id, row]));
+    // Only columns captured by both snapshots can be compared
+    const compared = targetTable.columns.filter(column => column !== 'id' && baseTable.columns.includes(column));
+
+    targetRows.forEach((row, id) => {
+      const before = baseRows.get(id);
+      if (!before) {
+        entry.added.push(describeResource(row));
+        return;
+      }
+      const changes = compared
+        .filter(column => stableStringify(before[column]) !== stableStringify(row[column]))
+        .map(column => ({ column, from: before[column] ?? null, to: row[column] ?? null }));
+      if (changes.length > 0) {
+        entry.modified.push({ ...describeResource(row), changes });
+      }
+    });
+    baseRows.forEach((row, id) => {
+      if (!targetRows.has(id)) entry.removed.push(describeResource(row));
+    });
+    return entry;
+  });
+
+  const count = (field) => tables.reduce((sum, table) => sum + table[field].length, 0);
+  return {
+    base: base.snapshot,
+    target: target.snapshot,
+    tables,
+    summary: { added: count('added'), removed: count('removed'), modified: count('modified') },
+  };
+}
+
+/**
+ * Render a stored snapshot as a markdown document for the dataroom
+ */
+async function renderSnapshotMarkdown(subprocessId, id) {
+  const { snapshot, tables } = await getSnapshot(subprocessId, id);
+
+  const lines = [
+    `# Resource Inventory Snapshot #${snapshot.sequence}`,
+    '',
+    snapshot.subprocessName ? `**Subprocess:** ${snapshot.subprocessName}  ` : null,
+    snapshot.subscriptionId ? `**Subscription:** ${snapshot.subscriptionId}  ` : null,
+    snapshot.connection ? `**Connection:** ${snapshot.connection}  ` : null,
+    `**Captured:** ${snapshot.capturedAt} (${snapshot.trigger})  `,
+    `**Resources:** ${snapshot.resourceCount}`,
+    '',
+    'Point-in-time record of the resources below as reported by the Azure APIs when the snapshot was captured.',
+    '',
+  ].filter(line => line !== null);
+
+  INVENTORY_TABLES.forEach(definition => {
+    const table = tables[definition.key];
+    if (!table) return;
+    lines.push(`## ${definition.title}`, '', `Source table: \`${definition.table}\``, '');
+    if (table.error) {
+      lines.push(`**Not captured:** ${table.error}`, '');
+      return;
+    }
+    if (table.rows.length === 0) {
+      lines.push('_No resources_', '');
+      return;
+    }
+    // Resource IDs repeat the name and resource group - leave them out to keep the tables readable
+    const columns = table.columns.filter(column => column !== 'id');
+    const rows = table.rows.slice(0, EXPORT_MAX_ROWS);
+    lines.push(`| ${columns.join(' | ')} |`);
+    lines.push(`| ${columns.map(() => '---').join(' | ')} |`);
+    rows.forEach(row => lines.push(`| ${columns.map(column => tableCell(row[column], { stringify: stableStringify })).join(' | ')} |`));
+    if (table.rows.length > rows.length) {
+      lines.push('', `_Showing ${rows.length} of ${table.rows.length} resources_`);
+    }
+    lines.push('');
+  });
+
+  return { snapshot, markdown: lines.join('\n') };
+}
+
+/**
+ * Remember the dataroom file a snapshot was uploaded as
+ */
+function markSnapshotUploaded(subprocessId, id, fileId) {
+  const index = readIndex(subprocessId);
+  const snapshot = index.snapshots.find(entry => entry.id === id);
+  if (!snapshot) return null;
+  snapshot.uploadedFileId = fileId;
+  writeIndex(subprocessId, index);
+  return snapshot;
+}
+
+function computeNextRunAt(schedule, after = new Date()) {
+  if (!schedule.enabled) return null;
+  const next = getNextRunTime(schedule.cron, after);
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Set or clear a subprocess's snapshot schedule
+ * @param {object} data - { subprocessId, subprocessName, subscriptionId, cron, enabled } - a null cron removes the schedule
+ * @returns {object|null} The schedule
+ */
+function setSchedule({ subprocessId, subprocessName, subscriptionId, cron, enabled = true }) {
+  const index = readIndex(subprocessId);
+  if (!cron) {
+    writeIndex(subprocessId, { ...index, schedule: null });
+    return null;
+  }
+  validateCron(cron);
+
+  const schedule = {
+    ...(index.schedule || {}),
+    subprocessName: subprocessName || index.schedule?.subprocessName || null,
+    subscriptionId: subscriptionId || null,
+    cron: cron.trim(),
+    enabled: !!enabled,
+    updatedAt: new Date().toISOString(),
+  };
+  schedule.nextRunAt = computeNextRunAt(schedule);
+  writeIndex(subprocessId, { ...index, schedule });
+  console.log(`[Inventory] Snapshot schedule of ${subprocessId}: "${schedule.cron}"${schedule.enabled ? '' : ' (disabled)'}`);
+  return schedule;
+}
+
+function updateSchedule(subprocessId, changes) {
+  const index = readIndex(subprocessId);
+  if (!index.schedule) return;
+  writeIndex(subprocessId, { ...index, schedule: { ...index.schedule, ...changes } });
+}
+
+/**
+ * Take the snapshots whose schedule is due
+ */
+function runDueSchedules() {
+  if (!fsSync.existsSync(STORE_DIR)) return;
+  const now = new Date();
+
+  fsSync.readdirSync(STORE_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const { subprocessId, schedule } = readIndexAt(path.join(STORE_DIR, entry.name));
+      if (!subprocessId || !schedule?.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) return;
+
+      // Advance before capturing so a slow capture is not started twice
+      updateSchedule(subprocessId, { nextRunAt: computeNextRunAt(schedule, now) });
+      captureSnapshot({
+        subprocessId,
+        subprocessName: schedule.subprocessName,
+        subscriptionId: schedule.subscriptionId,
+        trigger: 'scheduled',
+      }).then(result => {
+        updateSchedule(subprocessId, {
+          lastRunAt: now.toISOString(),
+          lastStatus: result.success ? 'succeeded' : 'failed',
+          lastError: result.success ? null : result.error,
+        });
+      }).catch(error => {
+        console.warn(`[Inventory] Scheduled snapshot of ${subprocessId} failed:`, error.message);
+      });
+    });
+}
+
+/**
+ * Start checking snapshot schedules
+ * Schedules missed while the app was closed run on the first check
+ */
+function startScheduler() {
+  if (tickTimer) return;
+  const tick = () => {
+    try {
+      runDueSchedules();
+    } catch (error) {
+      console.warn('[Inventory] Schedule check failed:', error.message);
+    }
+  };
+  tick();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+}
+
+function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+module.exports = {
+  INVENTORY_TABLES,
+  captureSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  compareSnapshots,
+  renderSnapshotMarkdown,
+  markSnapshotUploaded,
+  setSchedule,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,37 @@
+/**
+ * JSON Store
+ * Reads and writes the small JSON state files kept under ~/.ofofo
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a JSON state file
+ * A missing or unreadable file returns null, so callers fall back to their empty state
+ * @param {string} file - Path of the file
+ * @param {string} logPrefix - Log prefix of the calling module, e.g. [ControlSets]
+ * @param {string} description - What the file holds, for the warning, e.g. control sets
+ */
+function readJsonFile(file, logPrefix, description) {
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.warn(`${logPrefix} Failed to load ${description}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Write a JSON state file, creating its directory if needed
+ */
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+};
@@ -0,0 +1,20 @@
+/**
+ * Markdown Utilities
+ * Helpers shared by the modules that render evidence and reports as markdown
+ */
+
+/**
+ * Format a value for a markdown table cell
+ * Pipes are escaped and newlines flattened so a value never breaks the table
+ * @param {*} value - Objects are serialized with options.stringify
+ * @param {object} options - { empty: text for null/undefined, stringify: serializer for objects }
+ */
+function tableCell(value, { empty = '', stringify = JSON.stringify } = {}) {
+  if (value === null || value === undefined) return empty;
+  const text = typeof value === 'object' ? stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+module.exports = {
+  tableCell,
+};
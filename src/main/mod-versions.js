@@ -0,0 +1,224 @@
+/**
+ * Mod Versions
+ * Keeps each Powerpipe mod pinned to a known version. The pin starts as the
+ * version declared in azure-mods.js and moves when the user upgrades or rolls
+ * back. Pins, the previous version and an install history are stored under ~/.ofofo.
+ */
+
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const { AZURE_MODS } = require('./azure-mods');
+const powerpipeService = require('./powerpipe-service');
+const benchmarkJobs = require('./benchmark-jobs');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const STATE_FILE = path.join(os.homedir(), '.ofofo', 'mod-versions.json');
+
+// GitHub allows 60 unauthenticated API calls an hour, so latest releases are cached
+const LATEST_CHECK_TTL_MS = 6 * 60 * 60 * 1000;
+
+const MAX_HISTORY = 20;
+
+function readState() {
+  return readJsonFile(STATE_FILE, '[ModVersions]', 'mod version state')?.mods || {};
+}
+
+function writeState(mods) {
+  writeJsonFile(STATE_FILE, { mods });
+}
+
+/**
+ * Compare two versions like "v2.3.1" - returns <0, 0 or >0
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).replace(/^v/, '').split(/[.-]/);
+  const partsB = String(b).replace(/^v/, '').split(/[.-]/);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const partA = partsA[i] ?? '0';
+    const partB = partsB[i] ?? '0';
+    const numA = Number(partA);
+    const numB = Number(partB);
+    const diff = Number.isNaN(numA) || Number.isNaN(numB) ? partA.localeCompare(partB) : numA - numB;
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function getMod(modId) {
+  const mod = AZURE_MODS.find(m => m.id === modId);
+  if (!mod) {
+    throw new Error(`Unknown mod: ${modId}`);
+  }
+  return mod;
+}
+
+/**
+ * Version the mod should be installed at
+ */
+function getPinnedVersion(mod, state = readState()) {
+  return state[mod.repo]?.pinnedVersion || mod.version;
+}
+
+/**
+ * Look up the latest published release of a mod on GitHub
+ * @returns {string|null} Tag name, or null when it cannot be determined
+ */
+async function fetchLatestVersion(mod, options = {}) {
+  const state = readState();
+  const cached = state[mod.repo]?.latest;
+  if (!options.refresh && cached && Date.now() - new Date(cached.checkedAt).getTime() < LATEST_CHECK_TTL_MS) {
+    return cached.version;
+  }
+
+  const repoPath = mod.repo.replace(/^github\.com\//, '');
+  try {
+    const response = await axios.get(`https://api.github.com/repos/${repoPath}/releases/latest`, {
+      headers: { Accept: 'application/vnd.github+json' },
+      timeout: 10000,
+    });
+    const version = response.data?.tag_name || null;
+
+    state[mod.repo] = {
+      ...state[mod.repo],
+      latest: { version, checkedAt: new Date().toISOString() },
+    };
+    writeState(state);
+    return version;
+  } catch (error) {
+    console.warn(`[ModVersions] Could not check latest release of ${mod.repo}:`, error.message);
+    return cached?.version || null;
+  }
+}
+
+/**
+ * Version status of one mod
+ * @param {object} options - { checkLatest, refresh }
+ */
+async function getModVersionStatus(modId, options = {}) {
+  const mod = getMod(modId);
+  const state = readState();
+  const installedVersion = powerpipeService.getInstalledModVersion(mod.repo);
+  const pinnedVersion = getPinnedVersion(mod, state);
+  const latestVersion = options.checkLatest ? await fetchLatestVersion(mod, options) : state[mod.repo]?.latest?.version || null;
+
+  return {
+    modId: mod.id,
+    modRepo: mod.repo,
+    declaredVersion: mod.version,
+    pinnedVersion,
+    installedVersion,
+    latestVersion,
+    previousVersion: state[mod.repo]?.previousVersion || null,
+    // The installed copy differs from the pin, e.g. after a failed install
+    matchesPin: installedVersion === pinnedVersion,
+    updateAvailable: !!(latestVersion && installedVersion && compareVersions(latestVersion, installedVersion) > 0),
+    history: state[mod.repo]?.history || [],
+  };
+}
+
+async function listModVersions(options = {}) {
+  return Promise.all(AZURE_MODS.map(mod => getModVersionStatus(mod.id, options)));
+}
+
+/**
+ * Record that a mod was installed at a version
+ */
+function recordInstall(mod, version, action, previousVersion) {
+  const state = readState();
+  const entry = state[mod.repo] || {};
+  const history = [...(entry.history || []), { version, action, installedAt: new Date().toISOString() }];
+
+  state[mod.repo] = {
+    ...entry,
+    pinnedVersion: version,
+    previousVersion: previousVersion !== undefined ? previousVersion : entry.previousVersion || null,
+    history: history.slice(-MAX_HISTORY),
+  };
+  writeState(state);
+}
+
+/**
+ * Install a mod at its pinned version unless that version is already installed
+ * Called at startup for every mod
+ */
+async function ensurePinnedMod(modId) {
+  const mod = getMod(modId);
+  const pinnedVersion = getPinnedVersion(mod);
+  const installedVersion = powerpipeService.getInstalledModVersion(mod.repo);
+
+  if (installedVersion === pinnedVersion) {
+    return { success: true, installed: false, version: installedVersion };
+  }
+
+  console.log(`[ModVersions] ${mod.name}: installed ${installedVersion || 'none'}, pinned ${pinnedVersion} - installing`);
+  const result = await powerpipeService.installPowerpipeMod(mod.repo, pinnedVersion);
+  if (!result.success) {
+    return { success: false, error: result.error || `Failed to install ${mod.name} ${pinnedVersion}` };
+  }
+
+  recordInstall(mod, pinnedVersion, installedVersion ? 'repin' : 'install');
+  return { success: true, installed: true, version: pinnedVersion };
+}
+
+/**
+ * Switch a mod to another version, restoring the old one if the install fails
+ */
+async function switchModVersion(mod, targetVersion, action) {
+  const running = benchmarkJobs.listJobs({ status: 'running' }).filter(job => job.modId === mod.id);
+  if (running.length > 0) {
+    return { success: false, error: `Wait for ${running.length} running ${mod.name} benchmark(s) to finish first` };
+  }
+
+  const currentVersion = powerpipeService.getInstalledModVersion(mod.repo);
+  if (currentVersion === targetVersion) {
+    return { success: false, error: `${mod.name} is already at ${targetVersion}` };
+  }
+
+  console.log(`[ModVersions] ${action} ${mod.name}: ${currentVersion || 'none'} → ${targetVersion}`);
+  const result = await powerpipeService.installPowerpipeMod(mod.repo, targetVersion);
+  if (!result.success) {
+    if (currentVersion && powerpipeService.getInstalledModVersion(mod.repo) !== currentVersion) {
+      console.warn(`[ModVersions] Install of ${targetVersion} failed - restoring ${currentVersion}`);
+      await powerpipeService.installPowerpipeMod(mod.repo, currentVersion);
+    }
+    return { success: false, error: result.error || `Failed to install ${mod.name} ${targetVersion}` };
+  }
+
+  recordInstall(mod, targetVersion, action, currentVersion);
+  return { success: true, status: await getModVersionStatus(mod.id) };
+}
+
+/**
+ * Upgrade a mod to a version, or to the latest release when none is given
+ */
+async function upgradeMod(modId, version = null) {
+  const mod = getMod(modId);
+  const targetVersion = version || await fetchLatestVersion(mod, { refresh: true });
+  if (!targetVersion) {
+    return { success: false, error: `Could not determine the latest version of ${mod.name}` };
+  }
+  return switchModVersion(mod, targetVersion, 'upgrade');
+}
+
+/**
+ * Reinstall the version a mod had before its last upgrade or rollback
+ */
+async function rollbackMod(modId) {
+  const mod = getMod(modId);
+  const previousVersion = readState()[mod.repo]?.previousVersion;
+  if (!previousVersion) {
+    return { success: false, error: `No previous version of ${mod.name} to roll back to` };
+  }
+  return switchModVersion(mod, previousVersion, 'rollback');
+}
+
+module.exports = {
+  compareVersions,
+  getModVersionStatus,
+  listModVersions,
+  ensurePinnedMod,
+  upgradeMod,
+  rollbackMod,
+};
@@ -0,0 +1,340 @@
+/**
+ * Plugin Manager
+ * Installs, updates and uninstalls Steampipe plugins through the Steampipe CLI
+ * and reports each plugin's version, connections and health. The health of a
+ * plugin is read from the state of its connections in the running service.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const powerpipeInstaller = require('./powerpipe-installer');
+const steampipeSupervisor = require('./steampipe-supervisor');
+const steampipeClient = require('./steampipe-client');
+
+const execFileAsync = promisify(execFile);
+
+// Plugins the app knows about - listed even when they are not installed
+const STEAMPIPE_PLUGINS = {
+  azure: {
+    name: 'azure',
+    connection: 'azure',
+    displayName: 'Microsoft Azure',
+    description: 'Query Azure resources',
+    // The Azure compliance mods cannot run without it
+    required: true,
+  },
+  azuread: {
+    name: 'azuread',
+    connection: 'azuread',
+    displayName: 'Microsoft Entra ID',
+    description: 'Query Azure AD users, groups and policies',
+    required: true,
+  },
+  aws: {
+    name: 'aws',
+    connection: 'aws',
+    displayName: 'Amazon Web Services',
+    description: 'Query AWS resources',
+  },
+  gcp: {
+    name: 'gcp',
+    connection: 'gcp',
+    displayName: 'Google Cloud Platform',
+    description: 'Query GCP resources',
+  },
+};
+
+const HUB_PREFIX = 'hub.steampipe.io/plugins/';
+
+// "azure", "turbot/azure" or "ghcr.io/org/plugin", optionally followed by @version
+const PLUGIN_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*$/;
+const VERSION_PATTERN = /^(latest|[\^~]?v?\d+(\.\d+){0,2}(-[0-9A-Za-z.-]+)?)$/;
+
+const LIST_TIMEOUT_MS = 30000;
+const INSTALL_TIMEOUT_MS = 5 * 60 * 1000;
+const UNINSTALL_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Plugin installs share the plugin directory - run one CLI operation at a time
+let operationQueue = Promise.resolve();
+
+function enqueue(operation) {
+  const run = operationQueue.then(operation, operation);
+  operationQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Split a plugin reference into its parts
+ * "hub.steampipe.io/plugins/turbot/azure@latest" -> { name: "azure", org: "turbot", stream: "latest", ref: "azure" }
+ */
+function parsePluginRef(imageRef) {
+  const [image, stream = 'latest'] = String(imageRef).split('@');
+  let name = image.startsWith(HUB_PREFIX) ? image.slice(HUB_PREFIX.length) : image;
+  let org = null;
+  if (name.split('/').length === 2) {
+    [org] = name.split('/');
+    if (org === 'turbot') name = name.split('/')[1];
+  }
+  return { name, org, stream, ref: stream === 'latest' ? name : `${name}@${stream}` };
+}
+
+/**
+ * Check a plugin name and optional version, returning the CLI argument
+ */
+function pluginArgument(pluginName, version) {
+  const name = String(pluginName || '').trim();
+  if (!PLUGIN_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid plugin name: ${pluginName}`);
+  }
+  if (!version) return name;
+  const trimmed = String(version).trim();
+  if (!VERSION_PATTERN.test(trimmed)) {
+    throw new Error(`Invalid plugin version: ${version}`);
+  }
+  return `${name}@${trimmed.replace(/^([\^~]?)v/, '$1')}`;
+}
+
+function runSteampipe(args, timeout) {
+  return execFileAsync(powerpipeInstaller.getSteampipeCommand(), args, {
+    timeout,
+    maxBuffer: 10 * 1024 * 1024,
+  });
+}
+
+function cliError(error) {
+  if (error.killed) return 'Steampipe CLI timed out';
+  return (error.stderr || error.stdout || error.message || '').trim().split('\n').pop();
+}
+
+/**
+ * Installed plugins as reported by `steampipe plugin list`
+ * @returns {Promise<object>} { installed: [{ imageRef, version, connections }], failed: [{ imageRef, reason }] }
+ */
+async function readInstalledPlugins() {
+  let lastError = null;
+  // The CLI talks to the service, which may still be settling after a restart
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    try {
+      const { stdout } = await runSteampipe(['plugin', 'list', '--output', 'json'], LIST_TIMEOUT_MS);
+      const data = JSON.parse(stdout);
+      const installed = data.installed || data.items || [];
+      return {
+        installed: installed.map(plugin => ({
+          imageRef: plugin.name,
+          version: plugin.version || null,
+          connections: plugin.connections || [],
+        })),
+        failed: (data.failed || []).map(plugin => ({ imageRef: plugin.name, reason: plugin.reason || 'Plugin failed to start' })),
+      };
+    } catch (error) {
+      lastError = error;
+      if (attempt < 3) {
+        console.log(`[Plugin Manager] Plugin list attempt ${attempt} failed, retrying...`);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+  }
+  throw new Error(`Failed to list plugins: ${cliError(lastError)}`);
+}
+
+/**
+ * State of every connection in the service, grouped by plugin ref
+ * @returns {Promise<Map|null>} null when the service could not be queried
+ */
+async function readConnectionStates() {
+  const result = await steampipeClient.query(
+    'SELECT name, plugin, state, error FROM steampipe_internal.steampipe_connection',
+    [],
+    { timeout: 15000 }
+  );
+  if (!result.success) {
+    console.warn('[Plugin Manager] Failed to read connection states:', result.error);
+    return null;
+  }
+  const byPlugin = new Map();
+  result.rows.forEach(row => {
+    const { ref } = parsePluginRef(row.plugin);
+    byPlugin.set(ref, [...(byPlugin.get(ref) || []), row]);
+  });
+  return byPlugin;
+}
+
+/**
+ * Roll the state of a plugin's connections up into one health status
+ * healthy | loading | error | no_connections | unknown
+ */
+function summarizeHealth(connections, states, failure) {
+  if (failure) {
+    return { status: 'error', total: connections.length, ready: 0, errors: [], message: failure };
+  }
+  if (!states) {
+    return { status: 'unknown', total: connections.length, ready: 0, errors: [], message: 'Steampipe service is not available' };
+  }
+  if (states.length === 0) {
+    return { status: 'no_connections', total: 0, ready: 0, errors: [], message: 'No connections are configured for this plugin' };
+  }
+
+  const ready = states.filter(row => row.state === 'ready').length;
+  const errors = states
+    .filter(row => row.state === 'error')
+    .map(row => ({ connection: row.name, error: row.error || 'Connection failed' }));
+  let status = 'healthy';
+  let message = `${ready} of ${states.length} connections ready`;
+  if (errors.length > 0) {
+    status = 'error';
+    message = `${errors.length} of ${states.length} connections failed`;
+  } else if (ready < states.length) {
+    status = 'loading';
+    message = `${states.length - ready} connections still loading`;
+  }
+  return { status, total: states.length, ready, errors, message };
+}
+
+/**
+ * List installed plugins and the known plugins that are not installed
+ * @param {object} options - { health } - health: false skips the connection state query
+ * @returns {Promise<object>} { success, plugins, error }
+ */
+async function listPlugins({ health = true } = {}) {
+  if (!(await steampipeSupervisor.ensureReady())) {
+    return { success: false, error: 'Steampipe service is not ready', plugins: [] };
+  }
+
+  const { installed, failed } = await readInstalledPlugins();
+  const states = health ? await readConnectionStates() : null;
+  const failures = new Map(failed.map(plugin => [parsePluginRef(plugin.imageRef).ref, plugin.reason]));
+
+  const plugins = installed.map(plugin => {
+    const parsed = parsePluginRef(plugin.imageRef);
+    const known = STEAMPIPE_PLUGINS[parsed.name] || null;
+    return {
+      ...parsed,
+      imageRef: plugin.imageRef,
+      version: plugin.version,
+      installed: true,
+      displayName: known?.displayName || parsed.name,
+      description: known?.description || null,
+      required: Boolean(known?.required),
+      connections: plugin.connections,
+      connectionCount: plugin.connections.length,
+      health: health ? summarizeHealth(plugin.connections, states && (states.get(parsed.ref) || []), failures.get(parsed.ref)) : null,
+    };
+  });
+
+  Object.values(STEAMPIPE_PLUGINS)
+    .filter(known => !plugins.some(plugin => plugin.name === known.name))
+    .forEach(known => plugins.push({
+      name: known.name,
+      org: 'turbot',
+      stream: 'latest',
+      ref: known.name,
+      imageRef: `${HUB_PREFIX}turbot/${known.name}@latest`,
+      version: null,
+      installed: false,
+      displayName: known.displayName,
+      description: known.description,
+      required: Boolean(known.required),
+      connections: [],
+      connectionCount: 0,
+      health: null,
+    }));
+
+  return { success: true, plugins };
+}
+
+/**
+ * An installed or known plugin by name, without its health
+ * @returns {Promise<object>} { success, plugin, error } - plugin is null for an unknown plugin that is not installed
+ */
+async function getPlugin(pluginName) {
+  const result = await listPlugins({ health: false });
+  if (!result.success) return { success: false, error: result.error, plugin: null };
+  const { name, ref } = parsePluginRef(pluginName);
+  const plugin = result.plugins.find(p => p.ref === ref) || result.plugins.find(p => p.name === name) || null;
+  return { success: true, plugin };
+}
+
+/**
+ * Install a plugin, e.g. installPlugin('azure') or installPlugin('turbot/github', '0.40.0')
+ * A plugin that is already installed counts as a success
+ * @returns {Promise<object>} { success, plugin, alreadyInstalled, output, error }
+ */
+function installPlugin(pluginName, version = null) {
+  const plugin = pluginArgument(pluginName, version);
+  return enqueue(async () => {
+    console.log(`[Plugin Manager] Installing ${plugin}...`);
+    try {
+      const { stdout } = await runSteampipe(['plugin', 'install', plugin, '--progress=false'], INSTALL_TIMEOUT_MS);
+      console.log(`[Plugin Manager] ✓ Installed ${plugin}`);
+      return { success: true, plugin, alreadyInstalled: stdout.includes('already installed'), output: stdout };
+    } catch (error) {
+      const output = `${error.stdout || ''}${error.stderr || ''}`;
+      if (output.includes('already installed')) {
+        console.log(`[Plugin Manager] ${plugin} already installed`);
+        return { success: true, plugin, alreadyInstalled: true, output };
+      }
+      console.error(`[Plugin Manager] Failed to install ${plugin}:`, cliError(error));
+      return { success: false, plugin, error: cliError(error), output };
+    }
+  });
+}
+
+/**
+ * Update an installed plugin to the newest version of the stream it was installed from
+ * @returns {Promise<object>} { success, plugin, previousVersion, version, output, error }
+ */
+function updatePlugin(pluginName) {
+  const plugin = pluginArgument(...String(pluginName || '').split('@'));
+  return enqueue(async () => {
+    const before = await getPlugin(plugin);
+    if (before.success && !before.plugin?.installed) {
+      return { success: false, plugin, error: `${plugin} is not installed` };
+    }
+
+    console.log(`[Plugin Manager] Updating ${plugin}...`);
+    try {
+      const { stdout } = await runSteampipe(['plugin', 'update', plugin, '--progress=false'], INSTALL_TIMEOUT_MS);
+      const after = await getPlugin(plugin);
+      const previousVersion = before.plugin?.version || null;
+      const version = after.plugin?.version || null;
+      console.log(`[Plugin Manager] ✓ ${plugin} ${previousVersion === version ? `already at ${version}` : `updated ${previousVersion} -> ${version}`}`);
+      return { success: true, plugin, previousVersion, version, output: stdout };
+    } catch (error) {
+      console.error(`[Plugin Manager] Failed to update ${plugin}:`, cliError(error));
+      return { success: false, plugin, error: cliError(error), output: `${error.stdout || ''}${error.stderr || ''}` };
+    }
+  });
+}
+
+/**
+ * Uninstall a plugin - plugins the compliance mods depend on cannot be removed
+ * @returns {Promise<object>} { success, plugin, output, error }
+ */
+function uninstallPlugin(pluginName) {
+  const plugin = pluginArgument(...String(pluginName || '').split('@'));
+  const { name } = parsePluginRef(plugin);
+  if (STEAMPIPE_PLUGINS[name]?.required) {
+    return Promise.resolve({ success: false, plugin, error: `${STEAMPIPE_PLUGINS[name].displayName} is required by the compliance mods and cannot be uninstalled` });
+  }
+  return enqueue(async () => {
+    console.log(`[Plugin Manager] Uninstalling ${plugin}...`);
+    try {
+      const { stdout } = await runSteampipe(['plugin', 'uninstall', plugin], UNINSTALL_TIMEOUT_MS);
+      console.log(`[Plugin Manager] ✓ Uninstalled ${plugin}`);
+      return { success: true, plugin, output: stdout };
+    } catch (error) {
+      console.error(`[Plugin Manager] Failed to uninstall ${plugin}:`, cliError(error));
+      return { success: false, plugin, error: cliError(error), output: `${error.stdout || ''}${error.stderr || ''}` };
+    }
+  });
+}
+
+module.exports = {
+  STEAMPIPE_PLUGINS,
+  parsePluginRef,
+  listPlugins,
+  getPlugin,
+  installPlugin,
+  updatePlugin,
+  uninstallPlugin,
+};
@@ -4,9 +4,13 @@ const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const { app } = require('electron');
+const binaryVerification = require('./binary-verification');
 
 const execAsync = promisify(exec);
 
+const STEAMPIPE_REPO = 'turbot/steampipe';
+const POWERPIPE_REPO = 'turbot/powerpipe';
+
 /**
  * Powerpipe Auto-Installer
  * Automatically installs Powerpipe and Steampipe with the application
@@ -167,6 +171,35 @@ async function checkInstallation() {
   }
 }
 
+/**
+ * SHA-256 of the Steampipe and Powerpipe binaries the app runs
+ * Bundled binaries carry the verification recorded by scripts/download-binaries.js
+ * @returns {Promise<object>} { steampipe: { path, bundled, sha256, verification }, powerpipe: { ... } } - sha256 is null when not installed
+ */
+async function getBinaryHashes() {
+  const installation = await checkInstallation();
+  const hash = async ({ path: binaryPath, bundled }) => {
+    let verification = null;
+    if (bundled) {
+      try {
+        verification = JSON.parse(await fs.readFile(`${binaryPath}.verification.json`, 'utf8'));
+      } catch (error) {
+        // Bundled before downloads were verified
+      }
+    }
+    return {
+      path: binaryPath,
+      bundled,
+      sha256: binaryPath ? await binaryVerification.sha256File(binaryPath).catch(() => null) : null,
+      verification,
+    };
+  };
+  return {
+    steampipe: await hash(installation.steampipe),
+    powerpipe: await hash(installation.powerpipe),
+  };
+}
+
 /**
  * Download file from URL
  */
@@ -305,27 +338,32 @@ async function installSteampipe() {
   await fs.mkdir(paths.installDir, { recursive: true });
   
   try {
-    let downloadUrl;
+    let assetName;
     let binaryName = 'steampipe';
     let useZip = false;
     
     if (platform === 'darwin') {
       // Steampipe uses zip format with underscores for macOS
-      downloadUrl = `https://github.com/turbot/steampipe/releases/latest/download/steampipe_darwin_${arch}.zip`;
+      assetName = `steampipe_darwin_${arch}.zip`;
       useZip = true;
     } else if (platform === 'linux') {
       // Linux might still use tar.gz, but check latest format
-      downloadUrl = `https://github.com/turbot/steampipe/releases/latest/download/steampipe_linux_${arch}.zip`;
+      assetName = `steampipe_linux_${arch}.zip`;
       useZip = true;
     } else if (platform === 'win32') {
-      downloadUrl = `https://github.com/turbot/steampipe/releases/latest/download/steampipe_windows_${arch}.zip`;
+      assetName = `steampipe_windows_${arch}.zip`;
       binaryName = 'steampipe.exe';
       useZip = true;
     } else {
       throw new Error(`Unsupported platform: ${platform}. Supported: darwin (macOS), linux, win32 (Windows)`);
     }
+    // Pin the latest release to its tag, so the checksums and the archive come from the same release
+    const release = await binaryVerification.resolveLatestRelease(STEAMPIPE_REPO);
+    const downloadUrl = `${release.downloadUrl}/${assetName}`;
     
-    console.log(`[Installer] Download URL: ${downloadUrl}`);
+    console.log(`[Installer] Download URL: ${downloadUrl} (Steampipe ${release.tag})`);
+    
+    const published = await binaryVerification.getPublishedChecksum(release, assetName);
     
     const tempFile = path.join(paths.installDir, useZip ? 'steampipe.zip' : 'steampipe.tar.gz');
     
@@ -366,6 +404,15 @@ async function installSteampipe() {
       throw new Error(`Downloaded file is too small (${stats.size} bytes) - download may have failed`);
     }
     
+    let verification;
+    try {
+      verification = await binaryVerification.verifyArchive(tempFile, assetName, published);
+    } catch (verifyError) {
+      await fs.unlink(tempFile).catch(() => {});
+      throw new Error(`Steampipe download failed verification: ${verifyError.message}`);
+    }
+    console.log(`[Installer] ✓ Verified ${assetName} (SHA-256 ${verification.sha256}${verification.signatureVerified ? ', signed checksums' : ''})`);
+    
     console.log('[Installer] Extracting Steampipe...');
     if (useZip) {
       await extractZip(tempFile, paths.installDir);
@@ -469,7 +516,11 @@ async function installSteampipe() {
     }
     
     console.log('[Installer] ✓ Steampipe installed successfully at:', steampipePath);
-    return { success: true, path: steampipePath };
+    return {
+      success: true,
+      path: steampipePath,
+      verification: { ...verification, binarySha256: await binaryVerification.sha256File(steampipePath) },
+    };
   } catch (error) {
     console.error('[Installer] Steampipe installation failed:', error);
     throw error;
@@ -497,21 +548,26 @@ async function installPowerpipe() {
   await fs.mkdir(paths.installDir, { recursive: true });
   
   try {
-    let downloadUrl;
+    let assetName;
     let binaryName = 'powerpipe';
     
     if (platform === 'darwin') {
-      downloadUrl = `https://github.com/turbot/powerpipe/releases/latest/download/powerpipe.darwin.${arch}.tar.gz`;
+      assetName = `powerpipe.darwin.${arch}.tar.gz`;
     } else if (platform === 'linux') {
-      downloadUrl = `https://github.com/turbot/powerpipe/releases/latest/download/powerpipe.linux.${arch}.tar.gz`;
+      assetName = `powerpipe.linux.${arch}.tar.gz`;
     } else if (platform === 'win32') {
-      downloadUrl = `https://github.com/turbot/powerpipe/releases/latest/download/powerpipe.windows.${arch}.tar.gz`;
+      assetName = `powerpipe.windows.${arch}.tar.gz`;
       binaryName = 'powerpipe.exe';
     } else {
       throw new Error(`Unsupported platform: ${platform}. Supported: darwin (macOS), linux, win32 (Windows)`);
     }
+    // Pin the latest release to its tag, so the checksums and the archive come from the same release
+    const release = await binaryVerification.resolveLatestRelease(POWERPIPE_REPO);
+    const downloadUrl = `${release.downloadUrl}/${assetName}`;
     
-    console.log(`[Installer] Download URL: ${downloadUrl}`);
+    console.log(`[Installer] Download URL: ${downloadUrl} (Powerpipe ${release.tag})`);
+    
+    const published = await binaryVerification.getPublishedChecksum(release, assetName);
     
     const tempFile = path.join(paths.installDir, 'powerpipe.tar.gz');
     
@@ -525,6 +581,15 @@ async function installPowerpipe() {
       throw new Error(`Downloaded file is too small (${stats.size} bytes) - download may have failed`);
     }
     
+    let verification;
+    try {
+      verification = await binaryVerification.verifyArchive(tempFile, assetName, published);
+    } catch (verifyError) {
+      await fs.unlink(tempFile).catch(() => {});
+      throw new Error(`Powerpipe download failed verification: ${verifyError.message}`);
+    }
+    console.log(`[Installer] ✓ Verified ${assetName} (SHA-256 ${verification.sha256}${verification.signatureVerified ? ', signed checksums' : ''})`);
+    
     console.log('[Installer] Extracting Powerpipe...');
     await extractTarGz(tempFile, paths.installDir);
     
@@ -555,7 +620,11 @@ async function installPowerpipe() {
     }
     
     console.log('[Installer] ✓ Powerpipe installed successfully');
-    return { success: true, path: paths.powerpipe };
+    return {
+      success: true,
+      path: paths.powerpipe,
+      verification: { ...verification, binarySha256: await binaryVerification.sha256File(paths.powerpipe) },
+    };
   } catch (error) {
     console.error('[Installer] Powerpipe installation failed:', error);
     throw error;
@@ -673,7 +742,7 @@ async function autoInstall() {
   if (needsInstall.steampipe) {
     try {
       const result = await installSteampipe();
-      results.steampipe = { installed: true, path: result.path };
+      results.steampipe = { installed: true, path: result.path, verification: result.verification };
     } catch (error) {
       console.error('[Installer] Failed to install Steampipe:', error);
       results.steampipe = { installed: false, error: error.message };
@@ -684,7 +753,7 @@ async function autoInstall() {
   if (needsInstall.powerpipe) {
     try {
       const result = await installPowerpipe();
-      results.powerpipe = { installed: true, path: result.path };
+      results.powerpipe = { installed: true, path: result.path, verification: result.verification };
     } catch (error) {
       console.error('[Installer] Failed to install Powerpipe:', error);
       results.powerpipe = { installed: false, error: error.message };
@@ -769,6 +838,7 @@ module.exports = {
   autoInstall,
   installSteampipe,
   installPowerpipe,
+  getBinaryHashes,
   getSteampipeCommand,
   getPowerpipeCommand,
   getBinaryPaths,
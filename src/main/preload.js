@@ -390,8 +390,14 @@ contextBridge.exposeInMainWorld('electron', {
       listPlugins: async () => {
         return await ipcRenderer.invoke('powerpipe-list-plugins');
       },
-      installPlugin: async (pluginName) => {
-        return await ipcRenderer.invoke('powerpipe-install-plugin', pluginName);
+      installPlugin: async (pluginName, version) => {
+        return await ipcRenderer.invoke('powerpipe-install-plugin', pluginName, version);
+      },
+      updatePlugin: async (pluginName) => {
+        return await ipcRenderer.invoke('powerpipe-update-plugin', pluginName);
+      },
+      uninstallPlugin: async (pluginName) => {
+        return await ipcRenderer.invoke('powerpipe-uninstall-plugin', pluginName);
       },
       configureConnection: async (data) => {
         return await ipcRenderer.invoke('powerpipe-configure-connection', data);
@@ -433,8 +439,251 @@ contextBridge.exposeInMainWorld('electron', {
       listBenchmarks: async (modRepo) => {
         return await ipcRenderer.invoke('powerpipe-list-benchmarks', modRepo);
       },
+      getBenchmarkTree: async (modRepo, refresh = false) => {
+        return await ipcRenderer.invoke('powerpipe-get-benchmark-tree', { modRepo, refresh });
+      },
+      getBenchmarkControls: async (modRepo, benchmark) => {
+        return await ipcRenderer.invoke('powerpipe-get-benchmark-controls', { modRepo, benchmark });
+      },
       runModCompliance: async (data) => {
         return await ipcRenderer.invoke('powerpipe-run-mod-compliance', data);
+      },
+      cancelRun: async (runId) => {
+        return await ipcRenderer.invoke('powerpipe-cancel-run', runId);
+      },
+      diffRuns: async (data) => {
+        return await ipcRenderer.invoke('benchmark-diff-runs', data);
+      },
+      getRunFindings: async (data) => {
+        return await ipcRenderer.invoke('benchmark-run-findings', data);
+      },
+      // Subscribe to benchmark progress events - returns an unsubscribe function
+      onRunProgress: (callback) => {
+        const listener = (_event, progress) => callback(progress);
+        ipcRenderer.on('powerpipe-run-progress', listener);
+        return () => ipcRenderer.removeListener('powerpipe-run-progress', listener);
+    },
+  },
+  // Steampipe SQL console - history and saved queries per subprocess
+  sqlConsole: {
+      run: async (data) => {
+        return await ipcRenderer.invoke('sql-console-run', data);
+      },
+      getColumns: async (table) => {
+        return await ipcRenderer.invoke('sql-console-columns', table);
+      },
+      listHistory: async (subprocessId) => {
+        return await ipcRenderer.invoke('sql-console-history-list', subprocessId);
+      },
+      clearHistory: async (subprocessId) => {
+        return await ipcRenderer.invoke('sql-console-history-clear', subprocessId);
+      },
+      listSaved: async (subprocessId) => {
+        return await ipcRenderer.invoke('sql-console-saved-list', subprocessId);
+      },
+      saveQuery: async (data) => {
+        return await ipcRenderer.invoke('sql-console-saved-save', data);
+      },
+      deleteSaved: async (id) => {
+        return await ipcRenderer.invoke('sql-console-saved-delete', id);
+      },
+      uploadEvidence: async (data) => {
+        return await ipcRenderer.invoke('sql-console-saved-upload', data);
+    },
+  },
+  // Evidence query packs
+  queryLibrary: {
+      list: async () => {
+        return await ipcRenderer.invoke('query-library-list');
+      },
+      run: async (data) => {
+        return await ipcRenderer.invoke('query-library-run', data);
+    },
+  },
+  // Steampipe service supervisor
+  steampipeService: {
+      getStatus: async () => {
+        return await ipcRenderer.invoke('steampipe-service-status');
+      },
+      restart: async () => {
+        return await ipcRenderer.invoke('steampipe-service-restart');
+      },
+      // Subscribe to service state changes - returns an unsubscribe function
+      onStatus: (callback) => {
+        const listener = (_event, status) => callback(status);
+        ipcRenderer.on('steampipe-service-status', listener);
+        return () => ipcRenderer.removeListener('steampipe-service-status', listener);
+    },
+  },
+  // Benchmark job queue
+  jobs: {
+      list: async (filter) => {
+        return await ipcRenderer.invoke('benchmark-jobs-list', filter);
+      },
+      retry: async (jobId) => {
+        return await ipcRenderer.invoke('benchmark-jobs-retry', jobId);
+      },
+      wait: async (jobId) => {
+        return await ipcRenderer.invoke('benchmark-jobs-wait', jobId);
+      },
+      cancel: async (jobId) => {
+        return await ipcRenderer.invoke('benchmark-jobs-cancel', jobId);
+      },
+      getConcurrency: async () => {
+        return await ipcRenderer.invoke('benchmark-jobs-get-concurrency');
+      },
+      setConcurrency: async (value) => {
+        return await ipcRenderer.invoke('benchmark-jobs-set-concurrency', value);
+      },
+      // Subscribe to job state changes - returns an unsubscribe function
+      onJobUpdate: (callback) => {
+        const listener = (_event, job) => callback(job);
+        ipcRenderer.on('benchmark-job-updated', listener);
+        return () => ipcRenderer.removeListener('benchmark-job-updated', listener);
+    },
+  },
+  // Mod version pinning, updates and rollback
+  modVersions: {
+      list: async (options) => {
+        return await ipcRenderer.invoke('mod-versions-list', options);
+      },
+      upgrade: async (modId, version) => {
+        return await ipcRenderer.invoke('mod-versions-upgrade', { modId, version });
+      },
+      rollback: async (modId) => {
+        return await ipcRenderer.invoke('mod-versions-rollback', modId);
+    },
+  },
+  // Custom controls and benchmarks in the Powerpipe workspace
+  customControls: {
+      list: async () => {
+        return await ipcRenderer.invoke('custom-controls-list');
+      },
+      saveControl: async (data) => {
+        return await ipcRenderer.invoke('custom-controls-save-control', data);
+      },
+      deleteControl: async (id) => {
+        return await ipcRenderer.invoke('custom-controls-delete-control', id);
+      },
+      saveBenchmark: async (data) => {
+        return await ipcRenderer.invoke('custom-controls-save-benchmark', data);
+      },
+      deleteBenchmark: async (id) => {
+        return await ipcRenderer.invoke('custom-controls-delete-benchmark', id);
+      },
+      test: async (data) => {
+        return await ipcRenderer.invoke('custom-controls-test', data);
+    },
+  },
+  // Saved control sets for partial runs
+  controlSets: {
+      list: async (filter) => {
+        return await ipcRenderer.invoke('control-sets-list', filter);
+      },
+      save: async (data) => {
+        return await ipcRenderer.invoke('control-sets-save', data);
+      },
+      delete: async (id) => {
+        return await ipcRenderer.invoke('control-sets-delete', id);
+    },
+  },
+  // Dashboard mods run as snapshots
+  dashboards: {
+      list: async (modRepo, refresh = false) => {
+        return await ipcRenderer.invoke('dashboards-list', { modRepo, refresh });
+      },
+      runSnapshot: async (data) => {
+        return await ipcRenderer.invoke('dashboard-snapshots-run', data);
+      },
+      listSnapshots: async (filter) => {
+        return await ipcRenderer.invoke('dashboard-snapshots-list', filter);
+      },
+      getSnapshot: async (id) => {
+        return await ipcRenderer.invoke('dashboard-snapshots-get', id);
+      },
+      deleteSnapshot: async (id) => {
+        return await ipcRenderer.invoke('dashboard-snapshots-delete', id);
+      },
+      uploadSnapshot: async (data) => {
+        return await ipcRenderer.invoke('dashboard-snapshots-upload', data);
+    },
+  },
+  // Point-in-time resource inventory snapshots per subprocess
+  inventory: {
+      capture: async (data) => {
+        return await ipcRenderer.invoke('inventory-snapshots-capture', data);
+      },
+      list: async (subprocessId) => {
+        return await ipcRenderer.invoke('inventory-snapshots-list', subprocessId);
+      },
+      delete: async (subprocessId, id) => {
+        return await ipcRenderer.invoke('inventory-snapshots-delete', { subprocessId, id });
+      },
+      compare: async (subprocessId, baseId, targetId) => {
+        return await ipcRenderer.invoke('inventory-snapshots-compare', { subprocessId, baseId, targetId });
+      },
+      setSchedule: async (data) => {
+        return await ipcRenderer.invoke('inventory-snapshots-set-schedule', data);
+      },
+      upload: async (data) => {
+        return await ipcRenderer.invoke('inventory-snapshots-upload', data);
+    },
+  },
+  // Per-subprocess Powerpipe variables and tag filters
+  runSettings: {
+      get: async (subprocessId) => {
+        return await ipcRenderer.invoke('run-settings-get', subprocessId);
+      },
+      save: async (data) => {
+        return await ipcRenderer.invoke('run-settings-save', data);
+    },
+  },
+  // Accepted-risk exceptions for control/resource pairs
+  findingExceptions: {
+      list: async (subprocessId) => {
+        return await ipcRenderer.invoke('finding-exceptions-list', subprocessId);
+      },
+      save: async (data) => {
+        return await ipcRenderer.invoke('finding-exceptions-save', data);
+      },
+      delete: async (id) => {
+        return await ipcRenderer.invoke('finding-exceptions-delete', id);
+    },
+  },
+  // Remediation guidance and generated scripts - scripts are never run by the app
+  remediation: {
+      get: async (data) => {
+        return await ipcRenderer.invoke('remediation-get', data);
+      },
+      listPlans: async (filter) => {
+        return await ipcRenderer.invoke('remediation-plans-list', filter);
+      },
+      savePlan: async (data) => {
+        return await ipcRenderer.invoke('remediation-plans-save', data);
+      },
+      deletePlan: async (id) => {
+        return await ipcRenderer.invoke('remediation-plans-delete', id);
+    },
+  },
+  // Scheduled benchmark runs
+  schedules: {
+      list: async (filter) => {
+        return await ipcRenderer.invoke('benchmark-schedules-list', filter);
+      },
+      create: async (data) => {
+        return await ipcRenderer.invoke('benchmark-schedules-create', data);
+      },
+      update: async (id, changes) => {
+        return await ipcRenderer.invoke('benchmark-schedules-update', { id, changes });
+      },
+      delete: async (id) => {
+        return await ipcRenderer.invoke('benchmark-schedules-delete', id);
+      },
+      // Subscribe to schedule changes - returns an unsubscribe function
+      onScheduleUpdate: (callback) => {
+        const listener = (_event, schedule) => callback(schedule);
+        ipcRenderer.on('benchmark-schedule-updated', listener);
+        return () => ipcRenderer.removeListener('benchmark-schedule-updated', listener);
     },
   },
   // Subprocess management
@@ -493,6 +742,16 @@ contextBridge.exposeInMainWorld('electron', {
     saveReport: async (data) => {
       return await ipcRenderer.invoke('dataroom-save-report', data);
     },
+    // Read a saved report - local copy first, blob storage as fallback
+    readReport: async (data) => {
+      return await ipcRenderer.invoke('dataroom-report-read', data);
+    },
+  },
+  // Machine-readable findings exports (CSV, JSONL, OCSF, ASFF)
+  findings: {
+    export: async (data) => {
+      return await ipcRenderer.invoke('findings-export', data);
+    },
   },
   // Get installation status
   getInstallationStatus: async () => {
@@ -0,0 +1,248 @@
+/**
+ * Query Library
+ * Versioned packs of Azure inventory and configuration queries. Each query names
+ * the columns it is expected to return and the SCF controls it is evidence for.
+ * Packs ship in ./query-packs; teams add their own as JSON or YAML files in
+ * ~/.ofofo/query-packs, and a user pack with a built-in pack's ID replaces it.
+ * A pack is run against one subprocess's subscription and produces a single
+ * markdown evidence report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+const powerpipeService = require('./powerpipe-service');
+const { tableCell } = require('./markdown-utils');
+
+const BUILTIN_PACKS_DIR = path.join(__dirname, 'query-packs');
+const USER_PACKS_DIR = path.join(os.homedir(), '.ofofo', 'query-packs');
+
+// Pack run by the legacy azure-run-queries IPC
+const DEFAULT_PACK_ID = 'azure-inventory';
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// SCF control IDs, e.g. AST-02 or IAC-06.1
+const SCF_CONTROL_PATTERN = /^[A-Z]{3}-\d{2}(\.\d+)?$/;
+
+const QUERY_TIMEOUT_MS = 120000;
+
+// Rows of each query written into the report - rowCount still counts every row
+const REPORT_MAX_ROWS = 200;
+
+/**
+ * Check a pack definition, throwing on the first problem
+ */
+function validatePack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) throw new Error('Pack must be an object');
+  if (!ID_PATTERN.test(String(pack.id || ''))) throw new Error(`Invalid pack id: ${pack.id}`);
+  if (!String(pack.version || '').trim()) throw new Error('Pack version is required');
+  if (!String(pack.title || '').trim()) throw new Error('Pack title is required');
+  if (!Array.isArray(pack.queries) || pack.queries.length === 0) throw new Error('Pack has no queries');
+
+  const ids = new Set();
+  pack.queries.forEach((query, index) => {
+    const label = `Query ${query?.id || index + 1}`;
+    if (!ID_PATTERN.test(String(query?.id || ''))) throw new Error(`${label}: invalid id`);
+    if (ids.has(query.id)) throw new Error(`${label}: duplicate id`);
+    ids.add(query.id);
+    for (const field of ['title', 'category', 'sql']) {
+      if (!String(query[field] || '').trim()) throw new Error(`${label}: ${field} is required`);
+    }
+    if (!Array.isArray(query.columns) || query.columns.length === 0) {
+      throw new Error(`${label}: columns must list the expected columns`);
+    }
+    if (!Array.isArray(query.controls) || query.controls.length === 0) {
+      throw new Error(`${label}: controls must list the SCF controls it supports`);
+    }
+    const invalid = query.controls.find(control => !SCF_CONTROL_PATTERN.test(String(control)));
+    if (invalid) throw new Error(`${label}: invalid SCF control ID ${invalid}`);
+  });
+}
+
+/**
+ * Read and validate every pack in a directory
+ * @returns {object} { packs, invalid: [{ file, error }] }
+ */
+function readPacksDir(dir, source) {
+  const packs = [];
+  const invalid = [];
+  if (!fs.existsSync(dir)) return { packs, invalid };
+
+  const fileNames = fs.readdirSync(dir).filter(name => PACK_EXTENSIONS.includes(path.extname(name).toLowerCase()));
+  for (const fileName of fileNames.sort()) {
+    const file = path.join(dir, fileName);
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      // JSON_SCHEMA keeps YAML values to JSON types - an unquoted date stays a string
+      const pack = path.extname(fileName).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content, { filename: file, schema: yaml.JSON_SCHEMA });
+      validatePack(pack);
+      packs.push({ ...pack, source, file });
+    } catch (error) {
+      // YAML errors carry a multi-line excerpt of the file - the first line names the problem
+      const message = error.message.split('\n')[0];
+      console.warn(`[Query Library] Skipping ${file}: ${message}`);
+      invalid.push({ file, error: message });
+    }
+  }
+  return { packs, invalid };
+}
+
+/**
+ * List the built-in and user query packs
+ * @returns {object} { packs, invalid: [{ file, error }] } - invalid lists pack files that could not be loaded
+ */
+function listPacks() {
+  const builtin = readPacksDir(BUILTIN_PACKS_DIR, 'builtin');
+  const user = readPacksDir(USER_PACKS_DIR, 'user');
+
+  const byId = new Map(builtin.packs.map(pack => [pack.id, pack]));
+  user.packs.forEach(pack => {
+    const replaced = byId.get(pack.id);
+    byId.set(pack.id, replaced ? { ...pack, replaces: replaced.version } : pack);
+  });
+
+  return {
+    packs: Array.from(byId.values()).sort((a, b) => a.title.localeCompare(b.title)),
+    invalid: [...builtin.invalid, ...user.invalid],
+  };
+}
+
+function getPack(packId) {
+  return listPacks().packs.find(pack => pack.id === packId) || null;
+}
+
+/**
+ * Render a pack run as one markdown evidence report, grouped by category
+ */
+function renderReport(pack, results, controls, meta) {
+  const failed = results.filter(r => !r.success).length;
+
+  const lines = [
+    `# ${pack.title} Evidence`,
+    '',
+    `**Query pack:** \`${pack.id}\` version ${pack.version}${pack.source === 'user' ? ' (custom)' : ''}  `,
+    meta.subprocessName ? `**Subprocess:** ${meta.subprocessName}  ` : null,
+    meta.connection ? `**Connection:** ${meta.connection}  ` : null,
+    `**Collected:** ${new Date().toISOString()}  `,
+    `**Queries:** ${results.length} run, ${results.length - failed} succeeded, ${failed} failed  `,
+    `**SCF controls evidenced:** ${controls.join(', ') || 'none'}`,
+    '',
+  ].filter(line => line !== null);
+  if (pack.description) lines.push(pack.description, '');
+
+  const categories = Array.from(new Set(results.map(result => result.category)));
+  categories.forEach(category => {
+    lines.push(`## ${category}`, '');
+    results.filter(result => result.category === category).forEach(result => {
+      lines.push(`### ${result.title}`, '');
+      lines.push(`**Supports:** ${result.controls.join(', ')}`, '');
+      if (result.description) lines.push(result.description, '');
+      lines.push('```sql', result.sql.trim(), '```', '');
+
+      if (!result.success) {
+        lines.push(`**Failed:** ${result.error}`, '');
+        return;
+      }
+      if (result.missingColumns.length > 0) {
+        lines.push(`> Expected columns missing from the results: ${result.missingColumns.join(', ')}`, '');
+      }
+      if (result.rows.length === 0) {
+        lines.push('_No rows_', '');
+        return;
+      }
+      lines.push(`| ${result.columns.map(column => tableCell(column)).join(' | ')} |`);
+      lines.push(`| ${result.columns.map(() => '---').join(' | ')} |`);
+      result.rows.forEach(row => lines.push(`| ${result.columns.map(column => tableCell(row[column])).join(' | ')} |`));
+      if (result.rowCount > result.rows.length) {
+        lines.push('', `_Showing ${result.rows.length} of ${result.rowCount} rows_`);
+      }
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Run a query pack against a subprocess's subscription
+ * Queries run one at a time; a failed query is reported and the rest still run
+ * @param {object} data - { packId, queryIds, subscriptionId, subprocessName, limit }
+ *   queryIds picks queries from the pack (all by default); limit caps how many run
+ * @returns {object} { success, pack, markdown, results, summary, controls, error }
+ */
+async function runPack({ packId = DEFAULT_PACK_ID, queryIds, subscriptionId, subprocessName, limit } = {}) {
+  const pack = getPack(packId);
+  if (!pack) {
+    return { success: false, error: `Query pack not found: ${packId}` };
+  }
+
+  let queries = Array.isArray(queryIds) && queryIds.length > 0
+    ? pack.queries.filter(query => queryIds.includes(query.id))
+    : pack.queries;
+  if (limit) queries = queries.slice(0, limit);
+  if (queries.length === 0) {
+    return { success: false, error: 'No queries selected' };
+  }
+
+  // Without a subscription the pack runs against the aggregator over every subscription
+  let connection = null;
+  if (subscriptionId) {
+    const connectionResult = await powerpipeService.ensureSubscriptionConnection(subscriptionId);
+    if (!connectionResult.success) {
+      return { success: false, error: connectionResult.error };
+    }
+    connection = connectionResult.connection;
+  }
+
+  console.log(`[Query Library] Running ${queries.length} queries of ${pack.id} ${pack.version}${connection ? ` against ${connection}` : ''}`);
+  const results = [];
+  for (const query of queries) {
+    const result = await powerpipeService.querySteampipe(query.sql, [], {
+      timeout: QUERY_TIMEOUT_MS,
+      maxRows: REPORT_MAX_ROWS,
+      searchPath: connection,
+    });
+    const base = {
+      id: query.id,
+      category: query.category,
+      title: query.title,
+      description: query.description || null,
+      sql: query.sql,
+      controls: query.controls,
+    };
+    if (result.success) {
+      const { columns, rows, rowCount } = result.data;
+      results.push({ ...base, success: true, columns, rows, rowCount, missingColumns: query.columns.filter(column => !columns.includes(column)) });
+    } else {
+      console.warn(`[Query Library] ${pack.id}/${query.id} failed: ${result.error}`);
+      results.push({ ...base, success: false, error: result.error, columns: [], rows: [], rowCount: 0, missingColumns: [] });
+    }
+  }
+
+  // Only queries that succeeded count as evidence for their controls
+  const controls = Array.from(new Set(results.filter(result => result.success).flatMap(result => result.controls))).sort();
+  const successful = results.filter(result => result.success).length;
+  return {
+    success: true,
+    pack: { id: pack.id, version: pack.version, title: pack.title, source: pack.source },
+    markdown: renderReport(pack, results, controls, { subprocessName, connection }),
+    results: results.map(({ rows, ...summary }) => summary),
+    summary: { total: results.length, successful, failed: results.length - successful },
+    controls,
+  };
+}
+
+module.exports = {
+  USER_PACKS_DIR,
+  DEFAULT_PACK_ID,
+  validatePack,
+  listPacks,
+  getPack,
+  runPack,
+};
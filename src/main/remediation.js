@@ -0,0 +1,240 @@
+/**
+ * Remediation
+ * Remediation guidance for alarming controls, taken from the control's documentation,
+ * and `az` CLI remediation scripts for common control types. Scripts are generated
+ * for review only - nothing here ever runs them. Scripts attached to findings are
+ * kept as remediation plans under ~/.ofofo.
+ */
+
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const PLANS_FILE = path.join(os.homedir(), '.ofofo', 'remediation-plans.json');
+
+/**
+ * Script templates, matched in order against the name of the control's query,
+ * then against the control's own resource name
+ * `command` receives the regex match and one quoted resource ID
+ */
+const SCRIPT_TEMPLATES = [
+  {
+    id: 'storage_secure_transfer',
+    match: /^storage_account.*secure_transfer/,
+    command: (m, id) => `az storage account update --ids ${id} --https-only true`,
+  },
+  {
+    id: 'storage_default_deny',
+    match: /^storage_account.*default_network_access_rule_denied/,
+    command: (m, id) => `az storage account update --ids ${id} --default-action Deny`,
+    note: 'Denying by default blocks every network without a rule - add the virtual network and IP rules that need access first.',
+  },
+  {
+    id: 'storage_blob_public_access',
+    match: /^storage_account.*(block_public_access|blob_public_access|public_access_disabled)/,
+    command: (m, id) => `az storage account update --ids ${id} --allow-blob-public-access false`,
+    note: 'Anonymous readers of public containers, such as a static website, lose access.',
+  },
+  {
+    id: 'storage_min_tls',
+    match: /^storage_account.*tls/,
+    command: (m, id) => `az storage account update --ids ${id} --min-tls-version TLS1_2`,
+  },
+  {
+    id: 'keyvault_purge_protection',
+    match: /^key_?vault.*purge_protection/,
+    command: (m, id) => `az keyvault update --ids ${id} --enable-purge-protection true`,
+    note: 'Purge protection cannot be turned off again once enabled.',
+  },
+  {
+    id: 'app_https_only',
+    match: /^app_?service_(web|function)_app.*(https_only|use_https|redirect_http_to_https)/,
+    command: (m, id) => `az ${appGroup(m)} update --ids ${id} --https-only true`,
+  },
+  {
+    id: 'app_min_tls',
+    match: /^app_?service_(web|function)_app.*tls/,
+    command: (m, id) => `az ${appGroup(m)} config set --ids ${id} --min-tls-version 1.2`,
+  },
+  {
+    id: 'app_ftps',
+    match: /^app_?service_(web|function)_app.*ftp/,
+    command: (m, id) => `az ${appGroup(m)} config set --ids ${id} --ftps-state FtpsOnly`,
+  },
+  {
+    id: 'app_remote_debugging',
+    match: /^app_?service_(web|function)_app.*remote_debugging/,
+    command: (m, id) => `az ${appGroup(m)} config set --ids ${id} --remote-debugging-enabled false`,
+  },
+  {
+    id: 'app_http2',
+    match: /^app_?service_(web|function)_app.*(http_?2|latest_http_version)/,
+    command: (m, id) => `az ${appGroup(m)} config set --ids ${id} --http20-enabled true`,
+  },
+  {
+    id: 'sql_database_tde',
+    match: /^sql_database.*(transparent_data_encryption|tde)/,
+    command: (m, id) => `az sql db tde set --ids ${id} --status Enabled`,
+  },
+  {
+    id: 'container_registry_admin_user',
+    match: /^container_registry.*admin_user_disabled/,
+    command: (m, id) => `az acr update --ids ${id} --admin-enabled false`,
+    note: 'Anything that logs in with the admin user credentials stops working.',
+  },
+];
+
+function appGroup(match) {
+  return match[1] === 'function' ? 'functionapp' : 'webapp';
+}
+
+/**
+ * Quote a value for a POSIX shell
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Pull the remediation section out of a control's markdown documentation
+ * The section runs from a heading mentioning "remediation" up to the next heading of the same or a higher level
+ * @returns {string|null} Markdown of the section, without its heading
+ */
+function extractRemediation(documentation) {
+  if (!documentation) return null;
+
+  // Shell comments inside code fences look like headings - skip fenced lines
+  let fenced = false;
+  const headings = documentation.split(/\r?\n/).map(line => {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const heading = !fenced && line.match(/^(#{1,6})\s/);
+    return { line, level: heading ? heading[1].length : 0 };
+  });
+
+  const start = headings.findIndex(h => h.level > 0 && /remediat/i.test(h.line));
+  if (start === -1) return null;
+
+  const section = [];
+  for (const { line, level } of headings.slice(start + 1)) {
+    if (level > 0 && level <= headings[start].level) break;
+    section.push(line);
+  }
+
+  const text = section.join('\n').trim();
+  return text || null;
+}
+
+/**
+ * Generate an az CLI remediation script for a control's alarming resources
+ * @param {object} control - { id, title, queryName } - queryName comes from the benchmark catalog
+ * @param {string[]} resources - Azure resource IDs
+ * @returns {object|null} { templateId, script, note }, or null when no template matches the control
+ */
+function generateRemediationScript(control, resources) {
+  const controlName = String(control.id).split('.').pop();
+
+  // Framework controls are named after their section (cis_v210_3_1), so the query names the check
+  let template = null;
+  let match = null;
+  for (const name of [control.queryName, controlName].filter(Boolean)) {
+    template = SCRIPT_TEMPLATES.find(t => t.match.test(name));
+    if (template) {
+      match = name.match(template.match);
+      break;
+    }
+  }
+  if (!template) return null;
+
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# Remediation for: ${String(control.title || controlName).replace(/\s+/g, ' ')}`,
+    `# Control: ${String(control.id).replace(/\s+/g, ' ')}`,
+    `# Generated on ${new Date().toISOString()} for review - nothing has been run.`,
+    '# Check every command, then run it with an account allowed to change these resources.',
+  ];
+  if (template.note) {
+    lines.push('#', `# Note: ${template.note}`);
+  }
+  lines.push('', 'set -euo pipefail', '');
+
+  for (const resource of resources) {
+    if (!/^\/subscriptions\//i.test(resource || '')) {
+      lines.push(`# Skipped ${String(resource || 'result without a resource').replace(/\s+/g, ' ')} - not an Azure resource ID`, '');
+      continue;
+    }
+    lines.push(`# ${String(resource).replace(/\s+/g, ' ')}`, template.command(match, shellQuote(resource)), '');
+  }
+
+  return { templateId: template.id, script: lines.join('\n'), note: template.note || null };
+}
+
+function readPlans() {
+  return readJsonFile(PLANS_FILE, '[Remediation]', 'remediation plans')?.plans || [];
+}
+
+function writePlans(plans) {
+  writeJsonFile(PLANS_FILE, { plans });
+}
+
+/**
+ * List remediation plans, newest first
+ * @param {object} filter - { subprocessId, controlId }
+ */
+function listPlans(filter = {}) {
+  return readPlans()
+    .filter(plan => !filter.subprocessId || plan.subprocessId === filter.subprocessId)
+    .filter(plan => !filter.controlId || plan.controlId === filter.controlId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Attach a reviewed remediation script to a control's findings
+ * @param {object} data - { subprocessId, modId, benchmarkId, controlId, controlTitle, resources, script, guidance, templateId, createdBy }
+ */
+function savePlan(data) {
+  const { subprocessId, controlId, resources, script } = data;
+  if (!subprocessId || !controlId) {
+    throw new Error('subprocessId and controlId are required');
+  }
+  if (!Array.isArray(resources) || resources.length === 0) {
+    throw new Error('A remediation plan needs at least one resource');
+  }
+  if (!script?.trim()) {
+    throw new Error('A remediation plan needs a script');
+  }
+
+  const plan = {
+    id: randomUUID(),
+    subprocessId,
+    modId: data.modId || null,
+    benchmarkId: data.benchmarkId || null,
+    controlId,
+    controlTitle: data.controlTitle || controlId,
+    resources,
+    script,
+    guidance: data.guidance || null,
+    templateId: data.templateId || null,
+    createdBy: data.createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+  writePlans([plan, ...readPlans()]);
+  console.log(`[Remediation] Attached plan ${plan.id} to ${controlId} (${resources.length} resources)`);
+  return plan;
+}
+
+function deletePlan(id) {
+  const plans = readPlans();
+  if (!plans.some(plan => plan.id === id)) {
+    throw new Error('Remediation plan not found');
+  }
+  writePlans(plans.filter(plan => plan.id !== id));
+}
+
+module.exports = {
+  extractRemediation,
+  generateRemediationScript,
+  listPlans,
+  savePlan,
+  deletePlan,
+};
@@ -0,0 +1,103 @@
+/**
+ * Run Settings
+ * Per-subprocess Powerpipe variables (e.g. common_dimensions) and control tag
+ * filters, applied to every benchmark run of that subprocess. Stored under ~/.ofofo.
+ */
+
+const path = require('path');
+const os = require('os');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const SETTINGS_FILE = path.join(os.homedir(), '.ofofo', 'run-settings.json');
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function readSettings() {
+  return readJsonFile(SETTINGS_FILE, '[RunSettings]', 'run settings')?.subprocesses || {};
+}
+
+function writeSettings(subprocesses) {
+  writeJsonFile(SETTINGS_FILE, { subprocesses });
+}
+
+/**
+ * Get the variables and tag filters of a subprocess
+ * @returns {object} { variables: { name: value }, tags: [{ key, value }] }
+ */
+function getRunSettings(subprocessId) {
+  const settings = subprocessId ? readSettings()[subprocessId] : null;
+  return {
+    variables: settings?.variables || {},
+    tags: settings?.tags || [],
+  };
+}
+
+/**
+ * Save the variables and tag filters of a subprocess
+ * Variable values use Powerpipe's --var syntax, e.g. ["resource_group", "subscription_id"] for a list
+ * @param {object} data - { subprocessId, variables, tags }
+ */
+function saveRunSettings({ subprocessId, variables = {}, tags = [] }) {
+  if (!subprocessId) {
+    throw new Error('subprocessId is required');
+  }
+
+  const cleanVariables = {};
+  for (const [name, value] of Object.entries(variables)) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid variable name: ${name}`);
+    }
+    const text = String(value).trim();
+    if (!text || text.includes('\n')) {
+      throw new Error(`Variable ${name} needs a single-line value`);
+    }
+    cleanVariables[name] = text;
+  }
+
+  const cleanTags = [];
+  for (const tag of tags) {
+    const key = String(tag.key || '').trim();
+    const value = String(tag.value || '').trim();
+    if (!NAME_PATTERN.test(key)) {
+      throw new Error(`Invalid tag name: ${key || '(empty)'}`);
+    }
+    if (!value || value.includes('\n')) {
+      throw new Error(`Tag filter ${key} needs a single-line value`);
+    }
+    if (!cleanTags.some(existing => existing.key === key && existing.value === value)) {
+      cleanTags.push({ key, value });
+    }
+  }
+
+  const subprocesses = readSettings();
+  subprocesses[subprocessId] = {
+    variables: cleanVariables,
+    tags: cleanTags,
+    updatedAt: new Date().toISOString(),
+  };
+  writeSettings(subprocesses);
+  console.log(`[RunSettings] Saved ${Object.keys(cleanVariables).length} variables and ${cleanTags.length} tag filters for ${subprocessId}`);
+  return getRunSettings(subprocessId);
+}
+
+function deleteRunSettings(subprocessId) {
+  const subprocesses = readSettings();
+  if (!subprocesses[subprocessId]) return false;
+  delete subprocesses[subprocessId];
+  writeSettings(subprocesses);
+  return true;
+}
+
+/**
+ * Whether a run scope narrows or changes the default benchmark run
+ */
+function hasScope(scope) {
+  return !!scope && (Object.keys(scope.variables || {}).length > 0 || (scope.tags || []).length > 0);
+}
+
+module.exports = {
+  getRunSettings,
+  saveRunSettings,
+  deleteRunSettings,
+  hasScope,
+};
@@ -0,0 +1,248 @@
+/**
+ * SQL Console
+ * Runs ad-hoc Steampipe queries for a subprocess and keeps each subprocess's
+ * query history and saved queries under ~/.ofofo. A saved query can be attached
+ * to a control and uploaded to the dataroom as evidence.
+ */
+
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const powerpipeService = require('./powerpipe-service');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { tableCell } = require('./markdown-utils');
+
+const STORE_FILE = path.join(os.homedir(), '.ofofo', 'sql-console.json');
+
+// History entries kept per subprocess - oldest are dropped first
+const MAX_HISTORY = 100;
+
+// Rows returned to the console grid
+const CONSOLE_MAX_ROWS = 5000;
+
+// Rows written into an evidence document
+const EVIDENCE_MAX_ROWS = 500;
+
+function readStore() {
+  const data = readJsonFile(STORE_FILE, '[SQL Console]', 'query store') || {};
+  return { history: data.history || [], savedQueries: data.savedQueries || [] };
+}
+
+function writeStore(store) {
+  writeJsonFile(STORE_FILE, store);
+}
+
+function recordHistory(entry) {
+  const store = readStore();
+  const own = store.history.filter(item => item.subprocessId === entry.subprocessId);
+  const dropped = new Set(own.slice(MAX_HISTORY - 1).map(item => item.id));
+  store.history = [entry, ...store.history.filter(item => !dropped.has(item.id))];
+  writeStore(store);
+}
+
+/**
+ * Steampipe connection of the subprocess's subscription, or null to query the aggregator
+ */
+async function useSubscription(subscriptionId) {
+  if (!subscriptionId) return null;
+  const connectionResult = await powerpipeService.ensureSubscriptionConnection(subscriptionId);
+  if (!connectionResult.success) {
+    throw new Error(connectionResult.error);
+  }
+  return connectionResult.connection;
+}
+
+/**
+ * Run a console query and record it in the subprocess's history
+ * @param {object} data - { subprocessId, subscriptionId, sql }
+ * @returns {object} { success, columns, rows, rowCount, truncated, durationMs, error }
+ */
+async function runQuery({ subprocessId, subscriptionId, sql }) {
+  if (!String(sql || '').trim()) {
+    return { success: false, error: 'Query is empty' };
+  }
+  const connection = await useSubscription(subscriptionId);
+
+  const startedAt = Date.now();
+  const result = await powerpipeService.querySteampipe(sql, [], { maxRows: CONSOLE_MAX_ROWS, searchPath: connection });
+  const durationMs = Date.now() - startedAt;
+
+  recordHistory({
+    id: randomUUID(),
+    subprocessId,
+    sql,
+    ranAt: new Date(startedAt).toISOString(),
+    durationMs,
+    rowCount: result.success ? result.data.rowCount : null,
+    error: result.success ? null : result.error,
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error, durationMs };
+  }
+  return { success: true, ...result.data, durationMs };
+}
+
+/**
+ * Columns of a Steampipe table, for the schema browser
+ * @returns {object} { success, columns: [{ name, type, description }], error }
+ */
+async function getTableColumns(table, schema = 'azure') {
+  const result = await powerpipeService.querySteampipe(
+    `SELECT c.column_name, c.data_type, col_description(format('%I.%I', c.table_schema, c.table_name)::regclass, c.ordinal_position) AS description
+       FROM information_schema.columns c
+      WHERE c.table_schema = $1 AND c.table_name = $2
+      ORDER BY c.ordinal_position`,
+    [schema, table]
+  );
+  if (!result.success) {
+    return { success: false, error: result.error, columns: [] };
+  }
+  return {
+    success: true,
+    columns: result.data.rows.map(row => ({ name: row.column_name, type: row.data_type, description: row.description || null })),
+  };
+}
+
+function listHistory(subprocessId) {
+  return readStore().history.filter(entry => entry.subprocessId === subprocessId);
+}
+
+function clearHistory(subprocessId) {
+  const store = readStore();
+  store.history = store.history.filter(entry => entry.subprocessId !== subprocessId);
+  writeStore(store);
+}
+
+function listSavedQueries(subprocessId) {
+  return readStore().savedQueries
+    .filter(query => query.subprocessId === subprocessId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create or update a saved query
+ * @param {object} data - { id, subprocessId, name, sql, controlId, controlTitle }
+ */
+function saveQuery(data) {
+  const name = String(data.name || '').trim();
+  if (!data.subprocessId || !name) {
+    throw new Error('subprocessId and name are required');
+  }
+  if (!String(data.sql || '').trim()) {
+    throw new Error('Query is empty');
+  }
+
+  const store = readStore();
+  const now = new Date().toISOString();
+  const existing = data.id ? store.savedQueries.find(query => query.id === data.id) : null;
+  if (data.id && !existing) {
+    throw new Error('Saved query not found');
+  }
+
+  const saved = {
+    id: existing?.id || randomUUID(),
+    subprocessId: data.subprocessId,
+    name,
+    sql: data.sql,
+    controlId: String(data.controlId || '').trim() || null,
+    controlTitle: String(data.controlTitle || '').trim() || null,
+    evidence: existing?.evidence || [],
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  store.savedQueries = [saved, ...store.savedQueries.filter(query => query.id !== saved.id)];
+  writeStore(store);
+  return saved;
+}
+
+function deleteSavedQuery(id) {
+  const store = readStore();
+  if (!store.savedQueries.some(query => query.id === id)) {
+    throw new Error('Saved query not found');
+  }
+  store.savedQueries = store.savedQueries.filter(query => query.id !== id);
+  writeStore(store);
+}
+
+/**
+ * Render a saved query's results as a markdown evidence document
+ */
+function renderEvidenceMarkdown(saved, result, meta = {}) {
+  const lines = [
+    `# ${saved.name}`,
+    '',
+    saved.controlId ? `**Control:** ${saved.controlId}${saved.controlTitle ? ` - ${saved.controlTitle}` : ''}  ` : null,
+    meta.subprocessName ? `**Subprocess:** ${meta.subprocessName}  ` : null,
+    meta.connection ? `**Connection:** ${meta.connection}  ` : null,
+    `**Collected:** ${new Date().toISOString()}  `,
+    `**Rows:** ${result.rowCount}`,
+    '',
+    '## Query',
+    '',
+    '```sql',
+    saved.sql.trim(),
+    '```',
+    '',
+    '## Results',
+    '',
+  ].filter(line => line !== null);
+
+  const rows = result.rows.slice(0, EVIDENCE_MAX_ROWS);
+  if (rows.length === 0) {
+    lines.push('_No rows_', '');
+  } else {
+    lines.push(`| ${result.columns.map(column => tableCell(column)).join(' | ')} |`);
+    lines.push(`| ${result.columns.map(() => '---').join(' | ')} |`);
+    rows.forEach(row => lines.push(`| ${result.columns.map(column => tableCell(row[column])).join(' | ')} |`));
+    if (result.rowCount > rows.length) {
+      lines.push('', `_Showing ${rows.length} of ${result.rowCount} rows_`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Run a saved query now and render its results as evidence
+ * @param {object} meta - { subscriptionId, subprocessName }
+ * @returns {object} { saved, markdown, rowCount }
+ */
+async function collectEvidence(id, meta = {}) {
+  const saved = readStore().savedQueries.find(query => query.id === id);
+  if (!saved) {
+    throw new Error('Saved query not found');
+  }
+  const connection = await useSubscription(meta.subscriptionId);
+
+  const result = await powerpipeService.querySteampipe(saved.sql, [], { maxRows: EVIDENCE_MAX_ROWS, searchPath: connection });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return { saved, markdown: renderEvidenceMarkdown(saved, result.data, { ...meta, connection }), rowCount: result.data.rowCount };
+}
+
+/**
+ * Remember the dataroom file a saved query's evidence was uploaded as
+ */
+function markEvidenceUploaded(id, { fileId, rowCount }) {
+  const store = readStore();
+  const saved = store.savedQueries.find(query => query.id === id);
+  if (!saved) return null;
+  saved.evidence = [{ fileId, rowCount, uploadedAt: new Date().toISOString() }, ...(saved.evidence || [])];
+  writeStore(store);
+  return saved;
+}
+
+module.exports = {
+  runQuery,
+  getTableColumns,
+  listHistory,
+  clearHistory,
+  listSavedQueries,
+  saveQuery,
+  deleteSavedQuery,
+  collectEvidence,
+  markEvidenceUploaded,
+};
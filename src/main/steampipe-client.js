@@ -0,0 +1,165 @@
+/**
+ * Steampipe Client
+ * Runs SQL against the Steampipe service over its Postgres endpoint through a
+ * connection pool. SQL and bind parameters go to the database as is - nothing is
+ * passed through a shell - and no query pays the CLI start-up cost.
+ */
+
+const { Pool, Query, types } = require('pg');
+const steampipeSupervisor = require('./steampipe-supervisor');
+
+const POOL_SIZE = 4;
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Rows kept in memory when the caller does not stream them
+const DEFAULT_MAX_ROWS = 100000;
+
+// Extra time the database gets to cancel a statement before the connection is dropped
+const TIMEOUT_GRACE_MS = 5000;
+
+// Dates and timestamps stay strings, as the Steampipe CLI printed them - results cross IPC and end up in reports
+const RAW_TYPES = new Set([types.builtins.DATE, types.builtins.TIMESTAMP, types.builtins.TIMESTAMPTZ]);
+const typeParsers = {
+  getTypeParser: (oid, format) => (RAW_TYPES.has(oid) ? (value) => value : types.getTypeParser(oid, format)),
+};
+
+let pool = null;
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      ...steampipeSupervisor.getConnectionConfig(),
+      max: POOL_SIZE,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000,
+      application_name: 'ofofo',
+    });
+    // Idle connections drop when the service restarts - the pool replaces them
+    pool.on('error', (error) => {
+      console.warn('[Steampipe Client] Idle connection error:', error.message);
+    });
+  }
+  return pool;
+}
+
+/**
+ * Close the pool, e.g. because the service it points at has stopped
+ */
+async function closePool() {
+  const closing = pool;
+  pool = null;
+  if (closing) {
+    await closing.end().catch(error => console.warn('[Steampipe Client] Failed to close pool:', error.message));
+  }
+}
+
+// Connections to a stopped service are useless - start from a fresh pool
+steampipeSupervisor.serviceEvents.on('status', (status) => {
+  if (status.state === 'stopped' || status.state === 'starting') {
+    closePool();
+  }
+});
+
+/**
+ * Submit a query and collect or stream its rows as they arrive
+ */
+function submitQuery(client, sql, params, { maxRows, onRow }) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let rowCount = 0;
+    let rowError = null;
+
+    const submitted = client.query(new Query({ text: sql, values: params, types: typeParsers }));
+    submitted.on('row', (row) => {
+      rowCount++;
+      if (rowError || (maxRows && rowCount > maxRows)) return;
+      if (!onRow) {
+        rows.push(row);
+        return;
+      }
+      try {
+        onRow(row);
+      } catch (error) {
+        rowError = error;
+      }
+    });
+    submitted.on('error', reject);
+    submitted.on('end', (result) => {
+      if (rowError) {
+        reject(rowError);
+        return;
+      }
+      resolve({
+        columns: (result?.fields || []).map(field => field.name),
+        rows,
+        rowCount,
+        truncated: Boolean(maxRows && rowCount > maxRows),
+      });
+    });
+  });
+}
+
+/**
+ * Run SQL against the Steampipe service
+ * @param {string} sql - Query text, with $1, $2 ... placeholders for bind parameters
+ * @param {Array} params - Bind parameter values
+ * @param {object} options - { timeout (ms), maxRows, onRow, searchPath }
+ *   maxRows caps the rows returned or streamed; rowCount still counts every row.
+ *   With onRow, rows are handed over one at a time as they arrive and none are kept.
+ *   searchPath (a connection name or list of them) replaces the connections in the search
+ *   path, so unqualified table names resolve to that connection only.
+ * @returns {Promise<object>} { success, columns, rows, rowCount, truncated, error }
+ */
+async function query(sql, params = [], options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  const maxRows = options.maxRows ?? (options.onRow ? null : DEFAULT_MAX_ROWS);
+  const fail = (error) => ({ success: false, error, columns: [], rows: [], rowCount: 0, truncated: false });
+
+  if (!(await steampipeSupervisor.ensureReady())) {
+    return fail(`Steampipe service is not ready${steampipeSupervisor.getStatus().error ? `: ${steampipeSupervisor.getStatus().error}` : ''}`);
+  }
+
+  let client;
+  try {
+    client = await getPool().connect();
+  } catch (error) {
+    console.error('[Steampipe Client] Failed to connect:', error.message);
+    return fail(error.message);
+  }
+
+  // A connection whose query was abandoned client-side is not returned to the pool
+  let discard = false;
+  let timer = null;
+  try {
+    // Pooled connections are shared - every query sets its own timeout and search path
+    const searchPath = options.searchPath ? [].concat(options.searchPath) : [];
+    await client.query(`SET statement_timeout = ${Math.floor(timeout)}`);
+    await client.query(searchPath.length > 0
+      ? `SET search_path TO ${[...searchPath, 'public', 'internal'].map(name => client.escapeIdentifier(name)).join(', ')}`
+      : 'RESET search_path');
+    const backstop = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        discard = true;
+        reject(new Error(`Query timed out after ${Math.round(timeout / 1000)} seconds`));
+      }, timeout + TIMEOUT_GRACE_MS);
+    });
+    const result = await Promise.race([submitQuery(client, sql, params, { maxRows, onRow: options.onRow }), backstop]);
+    return { success: true, ...result };
+  } catch (error) {
+    // 57014 is query_canceled, which Postgres raises for statement_timeout
+    const message = error.code === '57014'
+      ? `Query timed out after ${Math.round(timeout / 1000)} seconds`
+      : error.message;
+    console.error('[Steampipe Client] Query failed:', message);
+    return fail(message);
+  } finally {
+    clearTimeout(timer);
+    client.release(discard);
+  }
+}
+
+module.exports = {
+  query,
+  closePool,
+};
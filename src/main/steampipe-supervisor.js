@@ -0,0 +1,387 @@
+/**
+ * Steampipe Service Supervisor
+ * Owns the lifecycle of the Steampipe service that Powerpipe and the app query.
+ * The service runs as a foreground child process, so the supervisor only ever
+ * stops the process it started - a service started outside the app is used but
+ * never stopped. Readiness is checked by polling instead of fixed sleeps, and a
+ * service that exits or stops answering is restarted with exponential backoff.
+ */
+
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+const { Client } = require('pg');
+const powerpipeInstaller = require('./powerpipe-installer');
+
+const STEAMPIPE_PORT = 9193;
+
+// Readiness polling while the service starts
+const POLL_INTERVAL_MS = 1000;
+const STARTUP_TIMEOUT_MS = 90000;
+
+// Health checks once the service is ready - restart after this many failures in a row
+const HEALTH_INTERVAL_MS = 30000;
+const MAX_HEALTH_FAILURES = 3;
+
+// Restart backoff: 2s, 4s, 8s ... capped, giving up after MAX_RESTARTS attempts in a row
+const RESTART_BASE_DELAY_MS = 2000;
+const RESTART_MAX_DELAY_MS = 60000;
+const MAX_RESTARTS = 6;
+
+// Time the service gets to shut down its database before it is killed
+const STOP_TIMEOUT_MS = 15000;
+
+// Lines of service output kept to explain a failed start
+const OUTPUT_LINES = 20;
+
+// Emits 'status' (status) on every state change
+const serviceEvents = new EventEmitter();
+
+const status = {
+  state: 'stopped',
+  // False when the service was already running before the app started it
+  owned: false,
+  pid: null,
+  port: STEAMPIPE_PORT,
+  error: null,
+  restarts: 0,
+  since: new Date().toISOString(),
+};
+
+let child = null;
+let stoppingChild = null;
+let startPromise = null;
+let healthTimer = null;
+let restartTimer = null;
+let healthFailures = 0;
+let output = [];
+
+function setStatus(changes) {
+  const stateChanged = changes.state && changes.state !== status.state;
+  Object.assign(status, changes);
+  if (stateChanged) {
+    status.since = new Date().toISOString();
+    console.log(`[Steampipe Service] ${status.state}${status.error ? `: ${status.error}` : ''}`);
+  }
+  serviceEvents.emit('status', getStatus());
+}
+
+function getStatus() {
+  return { ...status };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether anything accepts connections on the service port
+ */
+function isPortOpen(port = STEAMPIPE_PORT) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host: '127.0.0.1', port });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(2000, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/**
+ * Password of the service's `steampipe` database user
+ * Steampipe generates it on first start and keeps it in its install directory
+ */
+function readDatabasePassword() {
+  if (process.env.STEAMPIPE_DATABASE_PASSWORD) {
+    return process.env.STEAMPIPE_DATABASE_PASSWORD;
+  }
+  const installDir = process.env.STEAMPIPE_INSTALL_DIR || path.join(os.homedir(), '.steampipe');
+  const passwordFile = path.join(installDir, 'internal', '.passwd');
+  try {
+    return fs.readFileSync(passwordFile, 'utf8').trim();
+  } catch (error) {
+    throw new Error(`Steampipe database password not found at ${passwordFile} - has the service started yet?`);
+  }
+}
+
+/**
+ * Postgres connection settings for the service
+ * The password is read on every connect, so it is picked up once the service has created it
+ */
+function getConnectionConfig() {
+  return {
+    host: '127.0.0.1',
+    port: STEAMPIPE_PORT,
+    database: 'steampipe',
+    user: 'steampipe',
+    password: readDatabasePassword,
+  };
+}
+
+/**
+ * Check that the service answers queries, not just that its port is open
+ */
+async function probe() {
+  if (!(await isPortOpen())) return false;
+  const client = new Client({ ...getConnectionConfig(), connectionTimeoutMillis: 5000, query_timeout: 10000 });
+  // Connection errors after the probe has finished must not crash the app
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    await client.query('select 1');
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    client.end().catch(() => {});
+  }
+}
+
+function recordOutput(data) {
+  output.push(...data.toString().split(/\r?\n/).filter(Boolean));
+  output = output.slice(-OUTPUT_LINES);
+}
+
+/**
+ * Poll until the service answers, the child exits, or the timeout passes
+ */
+async function waitForReady(serviceProcess, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (serviceProcess && serviceProcess.exitCode !== null) {
+      throw new Error(`Steampipe service exited with code ${serviceProcess.exitCode}${output.length ? `: ${output[output.length - 1]}` : ''}`);
+    }
+    if (await probe()) return;
+    await sleep(POLL_INTERVAL_MS);
+  }
+  throw new Error(`Steampipe service did not become ready within ${Math.round(timeoutMs / 1000)} seconds`);
+}
+
+function handleExit(serviceProcess, code, signal) {
+  if (serviceProcess !== child) return;
+  child = null;
+  stopHealthChecks();
+
+  if (serviceProcess === stoppingChild) {
+    stoppingChild = null;
+    setStatus({ state: 'stopped', pid: null, owned: false, error: null });
+    return;
+  }
+
+  // A start in progress reports the exit itself
+  if (startPromise) return;
+
+  const reason = `Steampipe service exited unexpectedly (${signal || `code ${code}`})`;
+  setStatus({ state: 'degraded', pid: null, error: reason });
+  scheduleRestart();
+}
+
+async function doStart() {
+  clearTimeout(restartTimer);
+  restartTimer = null;
+
+  // A service started outside the app (e.g. `steampipe service start` in a terminal) is used as is
+  if (!child && (await probe())) {
+    setStatus({ state: 'ready', owned: false, pid: null, error: null });
+    startHealthChecks();
+    return { success: true, status: getStatus() };
+  }
+  if (!child && (await isPortOpen())) {
+    const error = `Port ${STEAMPIPE_PORT} is in use by a process that does not answer Steampipe queries`;
+    setStatus({ state: 'degraded', owned: false, error });
+    return { success: false, error };
+  }
+
+  // Our service is still running but failing health checks - wait for it rather than
+  // spawning a second one; checkHealth stops and restarts it if it does not recover
+  if (child && child.exitCode === null) {
+    try {
+      await waitForReady(child, STARTUP_TIMEOUT_MS);
+    } catch (error) {
+      return { success: false, error: error.message, status: getStatus() };
+    }
+    healthFailures = 0;
+    setStatus({ state: 'ready', error: null });
+    return { success: true, status: getStatus() };
+  }
+
+  setStatus({ state: 'starting', owned: true, error: null });
+  output = [];
+  const serviceProcess = spawn(
+    powerpipeInstaller.getSteampipeCommand(),
+    ['service', 'start', '--foreground', '--database-port', String(STEAMPIPE_PORT)],
+    { stdio: ['ignore', 'pipe', 'pipe'] }
+  );
+  child = serviceProcess;
+  serviceProcess.stdout.on('data', recordOutput);
+  serviceProcess.stderr.on('data', recordOutput);
+  serviceProcess.on('error', (error) => recordOutput(error.message));
+  serviceProcess.on('exit', (code, signal) => handleExit(serviceProcess, code, signal));
+  setStatus({ pid: serviceProcess.pid || null });
+
+  try {
+    await waitForReady(serviceProcess, STARTUP_TIMEOUT_MS);
+  } catch (error) {
+    await stopChild();
+    setStatus({ state: 'stopped', owned: false, pid: null, error: error.message });
+    return { success: false, error: error.message };
+  }
+
+  healthFailures = 0;
+  setStatus({ state: 'ready', error: null });
+  startHealthChecks();
+  return { success: true, status: getStatus() };
+}
+
+/**
+ * Start the service, or attach to one that is already running
+ * Resolves once the service answers queries; concurrent callers share one start
+ * @returns {Promise<object>} { success, status, error }
+ */
+function start() {
+  if (status.state === 'ready') {
+    return Promise.resolve({ success: true, status: getStatus() });
+  }
+  if (!startPromise) {
+    startPromise = doStart().finally(() => {
+      startPromise = null;
+    });
+  }
+  return startPromise;
+}
+
+/**
+ * Resolve true once the service is ready, starting it if needed
+ */
+async function ensureReady() {
+  const result = await start();
+  return result.success;
+}
+
+function scheduleRestart() {
+  if (restartTimer) return;
+  if (status.restarts >= MAX_RESTARTS) {
+    setStatus({ state: 'stopped', error: `Gave up after ${MAX_RESTARTS} restart attempts: ${status.error}` });
+    return;
+  }
+
+  const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** status.restarts, RESTART_MAX_DELAY_MS);
+  setStatus({ restarts: status.restarts + 1 });
+  console.log(`[Steampipe Service] Restarting in ${delay / 1000}s (attempt ${status.restarts}/${MAX_RESTARTS})`);
+  restartTimer = setTimeout(async () => {
+    restartTimer = null;
+    const result = await start();
+    if (result.success) {
+      setStatus({ restarts: 0 });
+    } else {
+      scheduleRestart();
+    }
+  }, delay);
+}
+
+function startHealthChecks() {
+  stopHealthChecks();
+  healthFailures = 0;
+  healthTimer = setInterval(checkHealth, HEALTH_INTERVAL_MS);
+}
+
+function stopHealthChecks() {
+  clearInterval(healthTimer);
+  healthTimer = null;
+}
+
+async function checkHealth() {
+  if (startPromise) return;
+  if (await probe()) {
+    if (status.state !== 'ready') setStatus({ state: 'ready', error: null });
+    healthFailures = 0;
+    return;
+  }
+
+  healthFailures++;
+  setStatus({ state: 'degraded', error: `Health check failed ${healthFailures} time(s) in a row` });
+  if (healthFailures < MAX_HEALTH_FAILURES) return;
+
+  stopHealthChecks();
+  if (status.owned) {
+    await stopChild();
+    setStatus({ state: 'degraded', pid: null });
+  } else {
+    // The external service went away - run our own from now on
+    setStatus({ owned: false });
+  }
+  scheduleRestart();
+}
+
+/**
+ * Stop the child process - SIGINT lets Steampipe shut its database down cleanly
+ */
+async function stopChild() {
+  const serviceProcess = child;
+  if (!serviceProcess || serviceProcess.exitCode !== null) {
+    child = null;
+    return;
+  }
+
+  stoppingChild = serviceProcess;
+  const exited = new Promise(resolve => serviceProcess.once('exit', resolve));
+  serviceProcess.kill(process.platform === 'win32' ? undefined : 'SIGINT');
+  const timeout = sleep(STOP_TIMEOUT_MS).then(() => 'timeout');
+  if ((await Promise.race([exited, timeout])) === 'timeout') {
+    console.warn(`[Steampipe Service] Service did not stop within ${STOP_TIMEOUT_MS / 1000}s - killing PID ${serviceProcess.pid}`);
+    serviceProcess.kill('SIGKILL');
+    await exited;
+  }
+}
+
+/**
+ * Stop the service if the app started it
+ * A service started outside the app is left running
+ */
+async function stop() {
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  stopHealthChecks();
+  if (startPromise) await startPromise.catch(() => {});
+
+  if (!child) {
+    if (status.state !== 'stopped' && !status.owned) {
+      console.log('[Steampipe Service] Leaving the externally started service running');
+    }
+    setStatus({ state: 'stopped', owned: false, pid: null, error: null });
+    return { success: true };
+  }
+
+  await stopChild();
+  setStatus({ state: 'stopped', owned: false, pid: null, error: null });
+  return { success: true };
+}
+
+/**
+ * Restart the service, e.g. to load new connection config
+ * A service started outside the app cannot be restarted from here
+ */
+async function restart() {
+  if (status.state === 'ready' && !status.owned) {
+    return { success: false, error: 'The Steampipe service was started outside the app - restart it where it was started' };
+  }
+  await stop();
+  setStatus({ restarts: 0 });
+  return start();
+}
+
+module.exports = {
+  STEAMPIPE_PORT,
+  serviceEvents,
+  getStatus,
+  start,
+  stop,
+  restart,
+  ensureReady,
+  probe,
+  getConnectionConfig,
+};
@@ -0,0 +1,130 @@
+import { Loader2, CheckCircle2, XCircle, Clock, Ban, RotateCcw, Square, ListChecks } from 'lucide-react';
+import type { BenchmarkJob, BenchmarkJobStatus } from '../types/runs';
+
+interface BenchmarkJobsPanelProps {
+  jobs: BenchmarkJob[];
+  concurrency: number;
+  getJobLabel: (job: BenchmarkJob) => string;
+  onRetry: (jobId: string) => void;
+  onCancel: (jobId: string) => void;
+  onConcurrencyChange: (value: number) => void;
+}
+
+const statusStyles: Record<BenchmarkJobStatus, { label: string; className: string }> = {
+  queued: { label: 'Queued', className: 'bg-gray-500/20 text-gray-300' },
+  running: { label: 'Running', className: 'bg-blue-500/20 text-blue-400' },
+  succeeded: { label: 'Succeeded', className: 'bg-green-500/20 text-green-400' },
+  failed: { label: 'Failed', className: 'bg-red-500/20 text-red-400' },
+  cancelled: { label: 'Cancelled', className: 'bg-yellow-500/20 text-yellow-400' },
+};
+
+function StatusIcon({ status }: { status: BenchmarkJobStatus }) {
+  switch (status) {
+    case 'queued':
+      return <Clock className="w-3 h-3" />;
+    case 'running':
+      return <Loader2 className="w-3 h-3 animate-spin" />;
+    case 'succeeded':
+      return <CheckCircle2 className="w-3 h-3" />;
+    case 'failed':
+      return <XCircle className="w-3 h-3" />;
+    case 'cancelled':
+      return <Ban className="w-3 h-3" />;
+  }
+}
+
+function formatDuration(ms: number | null) {
+  if (ms === null) return null;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+export default function BenchmarkJobsPanel({
+  jobs,
+  concurrency,
+  getJobLabel,
+  onRetry,
+  onCancel,
+  onConcurrencyChange,
+}: BenchmarkJobsPanelProps) {
+  return (
+    <div className="mt-10 bg-gray-800/50 border border-gray-700 rounded-xl">
+      {/* Header */}
+      <div className="flex items-center justify-between p-5 border-b border-gray-700">
+        <div className="flex items-center gap-3">
+          <ListChecks className="w-5 h-5 text-blue-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-white">Benchmark Jobs</h2>
+            <p className="text-xs text-gray-400">Runs are queued and share one Steampipe service</p>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-400">
+          Run at once
+          <select
+            value={concurrency}
+            onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+            className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+          >
+            {[1, 2, 3, 4].map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Jobs List */}
+      {jobs.length === 0 ? (
+        <p className="p-5 text-sm text-gray-500">No benchmark runs yet</p>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {jobs.map(job => {
+            const style = statusStyles[job.status];
+            const duration = formatDuration(job.durationMs);
+
+            return (
+              <div key={job.id} className="flex items-start justify-between gap-4 p-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-3">
+                    <span className="text-sm font-medium text-white truncate">{getJobLabel(job)}</span>
+                    <span className={`flex items-center gap-1 px-2 py-0.5 text-xs rounded-full ${style.className}`}>
+                      <StatusIcon status={job.status} />
+                      {style.label}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-4 mt-1 text-xs text-gray-500">
+                    <span>Queued {new Date(job.queuedAt).toLocaleString()}</span>
+                    {duration && <span>Took {duration}</span>}
+                    {job.attempts > 1 && <span>Attempt {job.attempts}</span>}
+                  </div>
+                  {job.error && job.status === 'failed' && (
+                    <p className="mt-1 text-xs text-red-400 break-words">{job.error}</p>
+                  )}
+                </div>
+
+                {(job.status === 'queued' || job.status === 'running') && (
+                  <button
+                    onClick={() => onCancel(job.id)}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all flex items-center gap-1"
+                  >
+                    <Square className="w-3 h-3" />
+                    Cancel
+                  </button>
+                )}
+                {(job.status === 'failed' || job.status === 'cancelled') && (
+                  <button
+                    onClick={() => onRetry(job.id)}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all flex items-center gap-1"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                    Retry
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
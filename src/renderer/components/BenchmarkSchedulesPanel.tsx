@@ -0,0 +1,260 @@
+import { useState } from 'react';
+import { CalendarClock, Plus, Trash2, Loader2, CheckCircle2, XCircle, Ban, SkipForward, Upload } from 'lucide-react';
+import type { BenchmarkSchedule, ScheduleOutcomeStatus } from '../types/runs';
+
+interface ScheduleMod {
+  id: string;
+  name: string;
+  benchmarks: { id: string; name: string }[];
+}
+
+interface BenchmarkSchedulesPanelProps {
+  mods: ScheduleMod[];
+  schedules: BenchmarkSchedule[];
+  onCreate: (data: { modId: string; benchmarkId: string; cron: string; autoUpload: boolean }) => Promise<boolean>;
+  onToggle: (schedule: BenchmarkSchedule) => void;
+  onDelete: (schedule: BenchmarkSchedule) => void;
+}
+
+// Frequency presets shown in the form - "custom" lets the user type a cron expression
+const FREQUENCY_PRESETS = [
+  { id: 'daily', label: 'Daily at 02:00', cron: '0 2 * * *' },
+  { id: 'weekly', label: 'Every Monday at 02:00', cron: '0 2 * * 1' },
+  { id: 'monthly', label: 'First of the month at 02:00', cron: '0 2 1 * *' },
+  { id: 'custom', label: 'Custom (cron)', cron: '' },
+];
+
+const outcomeStyles: Record<ScheduleOutcomeStatus, string> = {
+  running: 'text-blue-400',
+  succeeded: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-yellow-400',
+  skipped: 'text-gray-400',
+};
+
+function OutcomeIcon({ status }: { status: ScheduleOutcomeStatus }) {
+  switch (status) {
+    case 'running':
+      return <Loader2 className="w-3 h-3 animate-spin" />;
+    case 'succeeded':
+      return <CheckCircle2 className="w-3 h-3" />;
+    case 'failed':
+      return <XCircle className="w-3 h-3" />;
+    case 'cancelled':
+      return <Ban className="w-3 h-3" />;
+    case 'skipped':
+      return <SkipForward className="w-3 h-3" />;
+  }
+}
+
+function describeCron(cron: string) {
+  return FREQUENCY_PRESETS.find(preset => preset.cron === cron)?.label || cron;
+}
+
+export default function BenchmarkSchedulesPanel({
+  mods,
+  schedules,
+  onCreate,
+  onToggle,
+  onDelete,
+}: BenchmarkSchedulesPanelProps) {
+  const schedulableMods = mods.filter(mod => mod.benchmarks.length > 0);
+
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [modId, setModId] = useState(schedulableMods[0]?.id || '');
+  const [benchmarkId, setBenchmarkId] = useState(schedulableMods[0]?.benchmarks[0]?.id || '');
+  const [frequency, setFrequency] = useState('weekly');
+  const [customCron, setCustomCron] = useState('');
+  const [autoUpload, setAutoUpload] = useState(true);
+
+  const selectedMod = schedulableMods.find(mod => mod.id === modId);
+
+  const handleModChange = (value: string) => {
+    setModId(value);
+    setBenchmarkId(schedulableMods.find(mod => mod.id === value)?.benchmarks[0]?.id || '');
+  };
+
+  const handleCreate = async () => {
+    const cron = frequency === 'custom'
+      ? customCron.trim()
+      : FREQUENCY_PRESETS.find(preset => preset.id === frequency)!.cron;
+    if (!modId || !benchmarkId || !cron) return;
+
+    setSaving(true);
+    try {
+      const created = await onCreate({ modId, benchmarkId, cron, autoUpload });
+      if (created) {
+        setShowForm(false);
+        setCustomCron('');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 bg-gray-800/50 border border-gray-700 rounded-xl">
+      {/* Header */}
+      <div className="flex items-center justify-between p-5 border-b border-gray-700">
+        <div className="flex items-center gap-3">
+          <CalendarClock className="w-5 h-5 text-purple-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-white">Scheduled Runs</h2>
+            <p className="text-xs text-gray-400">Missed runs execute once when the app starts again</p>
+          </div>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all"
+        >
+          <Plus className="w-4 h-4" />
+          New Schedule
+        </button>
+      </div>
+
+      {/* New Schedule Form */}
+      {showForm && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-5 border-b border-gray-700 text-sm">
+          <label className="flex flex-col gap-1 text-gray-400">
+            Mod
+            <select
+              value={modId}
+              onChange={(e) => handleModChange(e.target.value)}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white"
+            >
+              {schedulableMods.map(mod => (
+                <option key={mod.id} value={mod.id}>{mod.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Benchmark
+            <select
+              value={benchmarkId}
+              onChange={(e) => setBenchmarkId(e.target.value)}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white"
+            >
+              {selectedMod?.benchmarks.map(benchmark => (
+                <option key={benchmark.id} value={benchmark.id}>{benchmark.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Frequency
+            <select
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value)}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white"
+            >
+              {FREQUENCY_PRESETS.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.label}</option>
+              ))}
+            </select>
+          </label>
+          {frequency === 'custom' ? (
+            <label className="flex flex-col gap-1 text-gray-400">
+              Cron expression (minute hour day month weekday)
+              <input
+                value={customCron}
+                onChange={(e) => setCustomCron(e.target.value)}
+                placeholder="0 2 * * 1"
+                className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white font-mono"
+              />
+            </label>
+          ) : (
+            <div />
+          )}
+          <label className="flex items-center gap-2 text-gray-300">
+            <input
+              type="checkbox"
+              checked={autoUpload}
+              onChange={(e) => setAutoUpload(e.target.checked)}
+              className="rounded"
+            />
+            Upload report to dataroom automatically
+          </label>
+          <div className="flex justify-end">
+            <button
+              onClick={handleCreate}
+              disabled={saving || !benchmarkId || (frequency === 'custom' && !customCron.trim())}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              Save Schedule
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Schedules List */}
+      {schedules.length === 0 ? (
+        <p className="p-5 text-sm text-gray-500">No scheduled runs</p>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {schedules.map(schedule => {
+            const recent = [...schedule.history].reverse().slice(0, 3);
+
+            return (
+              <div key={schedule.id} className="flex items-start justify-between gap-4 p-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-3">
+                    <span className="text-sm font-medium text-white truncate">
+                      {schedule.modName || schedule.modId} - {schedule.benchmarkName || schedule.benchmarkId}
+                    </span>
+                    {schedule.autoUpload && (
+                      <span className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-purple-500/20 text-purple-300">
+                        <Upload className="w-3 h-3" />
+                        Auto-upload
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-4 mt-1 text-xs text-gray-500">
+                    <span>{describeCron(schedule.cron)}</span>
+                    <span>
+                      {schedule.enabled && schedule.nextRunAt
+                        ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}`
+                        : 'Paused'}
+                    </span>
+                  </div>
+                  {recent.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      {recent.map(outcome => (
+                        <div
+                          key={`${outcome.startedAt}-${outcome.status}`}
+                          className={`flex items-center gap-2 text-xs ${outcomeStyles[outcome.status]}`}
+                        >
+                          <OutcomeIcon status={outcome.status} />
+                          <span>{new Date(outcome.startedAt).toLocaleString()}</span>
+                          <span className="capitalize">{outcome.status}</span>
+                          {outcome.missed && <span className="text-gray-500">(missed, caught up)</span>}
+                          {outcome.uploaded && <span className="text-gray-500">uploaded</span>}
+                          {outcome.error && <span className="text-gray-500 truncate">{outcome.error}</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => onToggle(schedule)}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all"
+                  >
+                    {schedule.enabled ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => onDelete(schedule)}
+                    className="p-1.5 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,38 +1,304 @@
-import { X, Play, CheckCircle2, Loader2, Clock } from 'lucide-react';
-
-interface Benchmark {
-  id: string;
-  name: string;
-  description: string;
-  controlCount: number;
-}
+import { useMemo, useState } from 'react';
+import {
+  X,
+  Play,
+  CheckCircle2,
+  Loader2,
+  Clock,
+  Square,
+  AlertTriangle,
+  GitCompare,
+  ChevronRight,
+  ChevronDown,
+  Search,
+  RefreshCw,
+  ListChecks,
+  TableProperties,
+} from 'lucide-react';
+import type { BenchmarkRunProgress } from '../types/runs';
+import type { BenchmarkNode } from '../types/benchmarks';
 
 interface BenchmarkAnalysisStatus {
   analyzed: boolean;
   analyzing: boolean;
   analyzedAt?: string;
-  fileId?: number;
+  fileId?: string;
+  progress?: BenchmarkRunProgress;
+  queued?: boolean;
+  runCount?: number;
 }
 
 interface BenchmarkSelectionModalProps {
   modName: string;
   modId: string;
-  benchmarks: Benchmark[];
+  benchmarks: BenchmarkNode[];
+  // Installed mod version the tree was discovered from, if known
+  modVersion?: string | null;
+  loading?: boolean;
+  error?: string | null;
   analysisStatus: Record<string, BenchmarkAnalysisStatus>;
   onClose: () => void;
+  onRefresh?: () => void;
   onStartAnalysis: (modId: string, benchmarkId: string) => void;
-  onViewReport: (fileId: number) => void;
+  onCancelAnalysis: (modId: string, benchmarkId: string) => void;
+  onCompareRuns: (modId: string, benchmarkId: string) => void;
+  // Opens the control picker to run part of a benchmark
+  onSelectControls?: (modId: string, benchmark: BenchmarkNode) => void;
+  onViewReport: (fileId: string) => void;
+  // Opens the latest saved run in the findings explorer
+  onExploreFindings?: (modId: string, benchmarkId: string) => void;
+}
+
+/**
+ * Keep nodes that match the search, plus the ancestors needed to reach them
+ * A matching node keeps its whole subtree so a section can be run as a unit.
+ * Ancestors kept only for their descendants are added to `ancestors` so they open
+ */
+function filterTree(nodes: BenchmarkNode[], query: string, ancestors: Set<string>): BenchmarkNode[] {
+  if (!query) return nodes;
+
+  return nodes.flatMap(node => {
+    const matches = node.title.toLowerCase().includes(query) || node.id.toLowerCase().includes(query);
+    if (matches) return [node];
+
+    const children = filterTree(node.children, query, ancestors);
+    if (!children.length) return [];
+    ancestors.add(node.qualifiedName);
+    return [{ ...node, children }];
+  });
+}
+
+function countNodes(nodes: BenchmarkNode[]): number {
+  return nodes.reduce((total, node) => total + 1 + countNodes(node.children), 0);
 }
 
 export default function BenchmarkSelectionModal({
   modName,
   modId,
   benchmarks,
+  modVersion,
+  loading = false,
+  error,
   analysisStatus,
   onClose,
+  onRefresh,
   onStartAnalysis,
+  onCancelAnalysis,
+  onCompareRuns,
+  onSelectControls,
   onViewReport,
+  onExploreFindings,
 }: BenchmarkSelectionModalProps) {
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+
+  const query = search.trim().toLowerCase();
+  const { visibleBenchmarks, searchExpanded } = useMemo(() => {
+    const ancestors = new Set<string>();
+    return { visibleBenchmarks: filterTree(benchmarks, query, ancestors), searchExpanded: ancestors };
+  }, [benchmarks, query]);
+  const totalBenchmarks = useMemo(() => countNodes(benchmarks), [benchmarks]);
+
+  const toggleExpanded = (qualifiedName: string) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(qualifiedName)) {
+        next.delete(qualifiedName);
+      } else {
+        next.add(qualifiedName);
+      }
+      return next;
+    });
+  };
+
+  const renderBenchmark = (benchmark: BenchmarkNode, depth: number) => {
+    const status = analysisStatus[benchmark.id] || { analyzed: false, analyzing: false };
+    const progress = status.progress;
+    const totalControls = progress?.totalControls || benchmark.controlCount;
+    const percent = progress && totalControls
+      ? Math.min(100, Math.round((progress.controlsCompleted / totalControls) * 100))
+      : 0;
+    const hasChildren = benchmark.children.length > 0;
+    // While searching, the path down to every match is open
+    const isExpanded = expanded.has(benchmark.qualifiedName) || searchExpanded.has(benchmark.qualifiedName);
+
+    return (
+      <div key={benchmark.qualifiedName}>
+        <div
+          className={`bg-gray-800/50 border border-gray-700 rounded-xl hover:border-gray-600 transition-all ${
+            depth === 0 ? 'p-5' : 'p-4'
+          }`}
+          style={{ marginLeft: depth * 24 }}
+        >
+          <div className="flex items-start justify-between gap-4">
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-3 mb-2">
+                {hasChildren ? (
+                  <button
+                    onClick={() => toggleExpanded(benchmark.qualifiedName)}
+                    className="p-0.5 hover:bg-gray-700 rounded transition-colors"
+                  >
+                    {isExpanded ? (
+                      <ChevronDown className="w-4 h-4 text-gray-400" />
+                    ) : (
+                      <ChevronRight className="w-4 h-4 text-gray-400" />
+                    )}
+                  </button>
+                ) : (
+                  <span className="w-5" />
+                )}
+                <h3 className={`font-semibold text-white ${depth === 0 ? 'text-lg' : 'text-base'}`}>{benchmark.title}</h3>
+                {status.analyzed && (
+                  <span className="flex items-center gap-1 px-2 py-1 bg-green-500/20 text-green-400 text-xs rounded-full">
+                    <CheckCircle2 className="w-3 h-3" />
+                    Analyzed
+                  </span>
+                )}
+              </div>
+              {benchmark.description && (
+                <p className="text-sm text-gray-400 mb-3 line-clamp-2">{benchmark.description}</p>
+              )}
+              <div className="flex items-center gap-4 text-xs text-gray-500">
+                {benchmark.controlCount !== null && <span>{benchmark.controlCount} controls</span>}
+                {hasChildren && <span>{benchmark.children.length} sections</span>}
+                {status.analyzedAt && (
+                  <span className="flex items-center gap-1">
+                    <Clock className="w-3 h-3" />
+                    {new Date(status.analyzedAt).toLocaleDateString()}
+                  </span>
+                )}
+              </div>
+
+              {/* Live run progress */}
+              {status.analyzing && (
+                <div className="mt-4">
+                  <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+                    <span className="truncate">
+                      {status.queued
+                        ? 'Queued - waiting for a free run slot'
+                        : progress?.currentGroup || 'Starting benchmark...'}
+                    </span>
+                    <span className="whitespace-nowrap ml-2">
+                      {progress?.controlsCompleted || 0} / {totalControls ?? '?'} controls
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-gradient-to-r from-blue-600 to-purple-600 transition-all"
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  {!!progress?.alarms && (
+                    <div className="flex items-center gap-1 mt-2 text-xs text-red-400">
+                      <AlertTriangle className="w-3 h-3" />
+                      {progress.alarms} alarm{progress.alarms === 1 ? '' : 's'} so far
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-col gap-2">
+              <button
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  console.log('[BenchmarkModal] Button clicked!', modId, benchmark.id);
+                  if (!status.analyzing) {
+                    console.log('[BenchmarkModal] Calling onStartAnalysis');
+                    onStartAnalysis(modId, benchmark.id);
+                  } else {
+                    console.log('[BenchmarkModal] Already analyzing, ignoring click');
+                  }
+                }}
+                disabled={status.analyzing}
+                className={`px-6 py-2 rounded-lg font-medium transition-all flex items-center gap-2 whitespace-nowrap ${
+                  status.analyzing
+                    ? 'bg-gray-700 text-gray-400 cursor-not-allowed opacity-60'
+                    : status.analyzed
+                    ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                    : 'bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white'
+                }`}
+              >
+                {status.analyzing ? (
+                  <>
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Analyzing...
+                  </>
+                ) : status.analyzed ? (
+                  <>
+                    <Play className="w-4 h-4" />
+                    Re-analyze
+                  </>
+                ) : (
+                  <>
+                    <Play className="w-4 h-4" />
+                    Start Analysis
+                  </>
+                )}
+              </button>
+
+              {onSelectControls && !status.analyzing && benchmark.controlCount !== 0 && (
+                <button
+                  onClick={() => onSelectControls(modId, benchmark)}
+                  className="px-6 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all text-sm flex items-center justify-center gap-2"
+                >
+                  <ListChecks className="w-4 h-4" />
+                  Select Controls
+                </button>
+              )}
+
+              {status.analyzing && (
+                <button
+                  onClick={() => onCancelAnalysis(modId, benchmark.id)}
+                  className="px-6 py-2 rounded-lg font-medium bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all text-sm flex items-center justify-center gap-2"
+                >
+                  <Square className="w-3 h-3" />
+                  Cancel
+                </button>
+              )}
+
+              {status.analyzed && status.fileId && (
+                <button
+                  onClick={() => onViewReport(status.fileId!)}
+                  className="px-6 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all text-sm"
+                >
+                  View Report
+                </button>
+              )}
+
+              {status.analyzed && !status.analyzing && onExploreFindings && (
+                <button
+                  onClick={() => onExploreFindings(modId, benchmark.id)}
+                  className="px-6 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all text-sm flex items-center justify-center gap-2"
+                >
+                  <TableProperties className="w-4 h-4" />
+                  Explore Findings
+                </button>
+              )}
+
+              {!status.analyzing && (status.runCount || 0) >= 2 && (
+                <button
+                  onClick={() => onCompareRuns(modId, benchmark.id)}
+                  className="px-6 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all text-sm flex items-center justify-center gap-2"
+                >
+                  <GitCompare className="w-4 h-4" />
+                  Compare Runs
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {hasChildren && isExpanded && (
+          <div className="grid gap-3 mt-3">
+            {benchmark.children.map(child => renderBenchmark(child, depth + 1))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
       <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-4xl max-h-[80vh] flex flex-col">
@@ -40,107 +306,67 @@ export default function BenchmarkSelectionModal({
         <div className="flex items-center justify-between p-6 border-b border-gray-800">
           <div>
             <h2 className="text-2xl font-bold text-white">{modName}</h2>
-            <p className="text-sm text-gray-400 mt-1">Select a benchmark to analyze</p>
+            <p className="text-sm text-gray-400 mt-1">
+              Select a benchmark to analyze
+              {modVersion && <span className="text-gray-500"> · {modVersion} · {totalBenchmarks} benchmarks</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {onRefresh && (
+              <button
+                onClick={onRefresh}
+                disabled={loading}
+                title="Rediscover benchmarks from the installed mod"
+                className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+              >
+                <RefreshCw className={`w-5 h-5 text-gray-400 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
           </div>
-          <button
-            onClick={onClose}
-            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
-          >
-            <X className="w-5 h-5 text-gray-400" />
-          </button>
         </div>
 
-        {/* Benchmarks List */}
-        <div className="flex-1 overflow-y-auto p-6">
-          <div className="grid gap-4">
-            {benchmarks.map((benchmark) => {
-              const status = analysisStatus[benchmark.id] || { analyzed: false, analyzing: false };
-              
-              return (
-                <div
-                  key={benchmark.id}
-                  className="bg-gray-800/50 border border-gray-700 rounded-xl p-5 hover:border-gray-600 transition-all"
-                >
-                  <div className="flex items-start justify-between gap-4">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-3 mb-2">
-                        <h3 className="text-lg font-semibold text-white">{benchmark.name}</h3>
-                        {status.analyzed && (
-                          <span className="flex items-center gap-1 px-2 py-1 bg-green-500/20 text-green-400 text-xs rounded-full">
-                            <CheckCircle2 className="w-3 h-3" />
-                            Analyzed
-                          </span>
-                        )}
-                      </div>
-                      <p className="text-sm text-gray-400 mb-3">{benchmark.description}</p>
-                      <div className="flex items-center gap-4 text-xs text-gray-500">
-                        <span>{benchmark.controlCount} controls</span>
-                        {status.analyzedAt && (
-                          <span className="flex items-center gap-1">
-                            <Clock className="w-3 h-3" />
-                            {new Date(status.analyzedAt).toLocaleDateString()}
-                          </span>
-                        )}
-                      </div>
-                    </div>
-                    
-                    <div className="flex flex-col gap-2">
-                      <button
-                        onClick={(e) => {
-                          e.preventDefault();
-                          e.stopPropagation();
-                          console.log('[BenchmarkModal] Button clicked!', modId, benchmark.id);
-                          if (!status.analyzing) {
-                            console.log('[BenchmarkModal] Calling onStartAnalysis');
-                            onStartAnalysis(modId, benchmark.id);
-                          } else {
-                            console.log('[BenchmarkModal] Already analyzing, ignoring click');
-                          }
-                        }}
-                        disabled={status.analyzing}
-                        className={`px-6 py-2 rounded-lg font-medium transition-all flex items-center gap-2 whitespace-nowrap ${
-                          status.analyzing
-                            ? 'bg-gray-700 text-gray-400 cursor-not-allowed opacity-60'
-                            : status.analyzed
-                            ? 'bg-blue-600 hover:bg-blue-700 text-white'
-                            : 'bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white'
-                        }`}
-                      >
-                        {status.analyzing ? (
-                          <>
-                            <Loader2 className="w-4 h-4 animate-spin" />
-                            Analyzing...
-                          </>
-                        ) : status.analyzed ? (
-                          <>
-                            <Play className="w-4 h-4" />
-                            Re-analyze
-                          </>
-                        ) : (
-                          <>
-                            <Play className="w-4 h-4" />
-                            Start Analysis
-                          </>
-                        )}
-                      </button>
-                      
-                      {status.analyzed && status.fileId && (
-                        <button
-                          onClick={() => onViewReport(status.fileId!)}
-                          className="px-6 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all text-sm"
-                        >
-                          View Report
-                        </button>
-                      )}
-                    </div>
-                  </div>
-                </div>
-              );
-            })}
+        {/* Search */}
+        <div className="px-6 pt-4">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search benchmarks and sections..."
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder-gray-500"
+            />
           </div>
+          {error && (
+            <p className="mt-2 text-xs text-yellow-400">
+              Could not discover benchmarks from the installed mod ({error}) - showing the built-in list
+            </p>
+          )}
+        </div>
+
+        {/* Benchmarks Tree */}
+        <div className="flex-1 overflow-y-auto p-6">
+          {loading && benchmarks.length === 0 ? (
+            <div className="flex items-center justify-center gap-2 py-12 text-gray-400">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Discovering benchmarks...
+            </div>
+          ) : visibleBenchmarks.length === 0 ? (
+            <p className="py-12 text-center text-sm text-gray-500">
+              {search ? `No benchmarks match "${search}"` : 'No benchmarks available'}
+            </p>
+          ) : (
+            <div className="grid gap-4">
+              {visibleBenchmarks.map(benchmark => renderBenchmark(benchmark, 0))}
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
 }
-
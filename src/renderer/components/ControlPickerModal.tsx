@@ -0,0 +1,293 @@
+import { useEffect, useMemo, useState } from 'react';
+import { X, Play, Loader2, Search, Save, Trash2, Square } from 'lucide-react';
+import type { BenchmarkControl, BenchmarkNode, ControlSet } from '../types/benchmarks';
+import type { BenchmarkRunProgress } from '../types/runs';
+
+interface ControlPickerModalProps {
+  modId: string;
+  modRepo: string;
+  modName: string;
+  benchmark: BenchmarkNode;
+  running: boolean;
+  progress?: BenchmarkRunProgress;
+  onRun: (controls: string[], controlSet: ControlSet | null) => void;
+  onCancel: () => void;
+  onClose: () => void;
+}
+
+const severityStyles: Record<string, string> = {
+  critical: 'bg-red-500/20 text-red-400',
+  high: 'bg-orange-500/20 text-orange-400',
+  medium: 'bg-yellow-500/20 text-yellow-400',
+  low: 'bg-blue-500/20 text-blue-400',
+};
+
+export default function ControlPickerModal({
+  modId,
+  modRepo,
+  modName,
+  benchmark,
+  running,
+  progress,
+  onRun,
+  onCancel,
+  onClose,
+}: ControlPickerModalProps) {
+  const [controls, setControls] = useState<BenchmarkControl[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [controlSets, setControlSets] = useState<ControlSet[]>([]);
+  const [activeSet, setActiveSet] = useState<ControlSet | null>(null);
+  const [setName, setSetName] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      const [controlResult, setResult] = await Promise.all([
+        window.electron.powerpipe.getBenchmarkControls(modRepo, benchmark.qualifiedName),
+        window.electron.controlSets.list({ modId, benchmarkId: benchmark.id }),
+      ]);
+      setControls(controlResult.controls || []);
+      setError(controlResult.success ? null : controlResult.error || 'Failed to load controls');
+      setControlSets(setResult.controlSets || []);
+      setLoading(false);
+    };
+    load();
+  }, [modId, modRepo, benchmark.id, benchmark.qualifiedName]);
+
+  const query = search.trim().toLowerCase();
+  const visibleControls = useMemo(() => controls.filter(control =>
+    !query ||
+    control.title.toLowerCase().includes(query) ||
+    control.id.toLowerCase().includes(query) ||
+    control.section.toLowerCase().includes(query)
+  ), [controls, query]);
+
+  const toggleControl = (qualifiedName: string) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(qualifiedName)) {
+        next.delete(qualifiedName);
+      } else {
+        next.add(qualifiedName);
+      }
+      return next;
+    });
+  };
+
+  // Select or clear everything matching the current search
+  const toggleVisible = () => {
+    const allSelected = visibleControls.every(control => selected.has(control.qualifiedName));
+    setSelected(prev => {
+      const next = new Set(prev);
+      visibleControls.forEach(control => {
+        if (allSelected) {
+          next.delete(control.qualifiedName);
+        } else {
+          next.add(control.qualifiedName);
+        }
+      });
+      return next;
+    });
+  };
+
+  const handleLoadSet = (id: string) => {
+    const controlSet = controlSets.find(set => set.id === id) || null;
+    setActiveSet(controlSet);
+    setSetName(controlSet?.name || '');
+    setSelected(new Set(controlSet?.controls || []));
+  };
+
+  const handleSaveSet = async () => {
+    const name = setName.trim();
+    if (!name || selected.size === 0) return;
+
+    // Saving under the loaded set's name updates it, a new name creates another set
+    const result = await window.electron.controlSets.save({
+      id: activeSet && activeSet.name === name ? activeSet.id : undefined,
+      name,
+      modId,
+      benchmarkId: benchmark.id,
+      controls: Array.from(selected),
+    });
+    if (!result.success || !result.controlSet) {
+      alert(`Failed to save control set: ${result.error || 'Unknown error'}`);
+      return;
+    }
+
+    const saved = result.controlSet;
+    setControlSets(prev => [...prev.filter(set => set.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+    setActiveSet(saved);
+  };
+
+  const handleDeleteSet = async () => {
+    if (!activeSet || !confirm(`Delete the control set "${activeSet.name}"?`)) return;
+
+    const result = await window.electron.controlSets.delete(activeSet.id);
+    if (!result.success) {
+      alert(`Failed to delete control set: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    setControlSets(prev => prev.filter(set => set.id !== activeSet.id));
+    setActiveSet(null);
+    setSetName('');
+  };
+
+  // A loaded set is only reused for the run while its selection is unchanged
+  const selectionMatchesSet = !!activeSet &&
+    activeSet.controls.length === selected.size &&
+    activeSet.controls.every(control => selected.has(control));
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-3xl max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{benchmark.title}</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              {modName} · Select the controls to run
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        {/* Control Sets */}
+        <div className="flex flex-wrap items-center gap-2 px-6 pt-4 text-sm">
+          <select
+            value={activeSet?.id || ''}
+            onChange={(e) => handleLoadSet(e.target.value)}
+            className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white"
+          >
+            <option value="">Saved control sets...</option>
+            {controlSets.map(set => (
+              <option key={set.id} value={set.id}>{set.name} ({set.controls.length})</option>
+            ))}
+          </select>
+          <input
+            value={setName}
+            onChange={(e) => setSetName(e.target.value)}
+            placeholder="Control set name"
+            className="flex-1 min-w-[160px] bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500"
+          />
+          <button
+            onClick={handleSaveSet}
+            disabled={!setName.trim() || selected.size === 0}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 disabled:opacity-60 text-white transition-all"
+          >
+            <Save className="w-4 h-4" />
+            Save Set
+          </button>
+          {activeSet && (
+            <button
+              onClick={handleDeleteSet}
+              className="p-2 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+
+        {/* Search */}
+        <div className="flex items-center gap-3 px-6 pt-4">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search controls and sections..."
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder-gray-500"
+            />
+          </div>
+          <button
+            onClick={toggleVisible}
+            disabled={visibleControls.length === 0}
+            className="text-sm text-blue-400 hover:text-blue-300 whitespace-nowrap"
+          >
+            {visibleControls.length > 0 && visibleControls.every(control => selected.has(control.qualifiedName))
+              ? 'Clear shown'
+              : 'Select shown'}
+          </button>
+        </div>
+
+        {/* Controls List */}
+        <div className="flex-1 overflow-y-auto p-6">
+          {loading ? (
+            <div className="flex items-center justify-center gap-2 py-12 text-gray-400">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Loading controls...
+            </div>
+          ) : error ? (
+            <p className="py-12 text-center text-sm text-red-400">Could not load controls: {error}</p>
+          ) : visibleControls.length === 0 ? (
+            <p className="py-12 text-center text-sm text-gray-500">No controls match "{search}"</p>
+          ) : (
+            <div className="space-y-2">
+              {visibleControls.map(control => (
+                <label
+                  key={control.qualifiedName}
+                  className="flex items-start gap-3 p-3 bg-gray-800/50 border border-gray-700 rounded-lg hover:border-gray-600 cursor-pointer transition-all"
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.has(control.qualifiedName)}
+                    onChange={() => toggleControl(control.qualifiedName)}
+                    className="mt-1 rounded"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm text-white">{control.title}</span>
+                      {control.severity && (
+                        <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${
+                          severityStyles[control.severity.toLowerCase()] || 'bg-gray-700 text-gray-300'
+                        }`}>
+                          {control.severity}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1 truncate">{control.section}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between gap-4 p-6 border-t border-gray-800">
+          <span className="text-sm text-gray-400">
+            {running
+              ? `${progress?.controlsCompleted || 0} / ${progress?.totalControls ?? selected.size} controls run`
+              : `${selected.size} of ${controls.length} controls selected`}
+          </span>
+          <div className="flex items-center gap-2">
+            {running && (
+              <button
+                onClick={onCancel}
+                className="px-4 py-2 rounded-lg font-medium bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all text-sm flex items-center gap-2"
+              >
+                <Square className="w-3 h-3" />
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={() => onRun(Array.from(selected), selectionMatchesSet ? activeSet : null)}
+              disabled={running || selected.size === 0}
+              className="px-6 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all flex items-center gap-2"
+            >
+              {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+              {running ? 'Running...' : 'Run Selected'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
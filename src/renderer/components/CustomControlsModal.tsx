@@ -0,0 +1,448 @@
+import { useEffect, useState } from 'react';
+import { X, Plus, Save, Trash2, FlaskConical, Loader2, AlertTriangle } from 'lucide-react';
+import type {
+  ControlSeverity,
+  CustomBenchmark,
+  CustomControl,
+  CustomControlTestResult,
+} from '../types/benchmarks';
+
+interface CustomControlsModalProps {
+  subprocessName?: string;
+  // Subscription the "test" button runs the query against
+  subscriptionId?: string;
+  onClose: () => void;
+  // Called after any save or delete so benchmark lists can be rediscovered
+  onChanged: () => void;
+}
+
+type Tab = 'controls' | 'benchmarks';
+
+const SEVERITIES: ControlSeverity[] = ['none', 'low', 'medium', 'high', 'critical'];
+
+const SQL_TEMPLATE = `select
+  id as resource,
+  case when tags ? 'cost_center' then 'ok' else 'alarm' end as status,
+  case when tags ? 'cost_center' then name || ' has a cost_center tag.'
+    else name || ' is missing the cost_center tag.' end as reason,
+  resource_group,
+  subscription_id
+from
+  azure_storage_account;`;
+
+const emptyControl = { id: '', title: '', description: '', severity: 'medium' as ControlSeverity, tagsText: '', sql: SQL_TEMPLATE };
+const emptyBenchmark = { id: '', title: '', description: '', controls: [] as string[] };
+
+// Tags are edited as one key=value pair per line
+function formatTags(tags: Record<string, string>) {
+  return Object.entries(tags).map(([key, value]) => `${key}=${value}`).join('\n');
+}
+
+function parseTags(text: string): Record<string, string> {
+  return Object.fromEntries(
+    text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const index = line.indexOf('=');
+        return index === -1 ? [line, ''] : [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+      })
+  );
+}
+
+const statusStyles: Record<string, string> = {
+  ok: 'text-green-400',
+  alarm: 'text-red-400',
+  error: 'text-red-400',
+  info: 'text-blue-400',
+  skip: 'text-gray-400',
+};
+
+const inputClass = 'w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500';
+
+export default function CustomControlsModal({
+  subprocessName,
+  subscriptionId,
+  onClose,
+  onChanged,
+}: CustomControlsModalProps) {
+  const [tab, setTab] = useState<Tab>('controls');
+  const [controls, setControls] = useState<CustomControl[]>([]);
+  const [benchmarks, setBenchmarks] = useState<CustomBenchmark[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // ID of the item being edited - null while creating a new one
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [controlForm, setControlForm] = useState(emptyControl);
+  const [benchmarkForm, setBenchmarkForm] = useState(emptyBenchmark);
+
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState<CustomControlTestResult | null>(null);
+
+  const load = async () => {
+    const result = await window.electron.customControls.list();
+    if (result.success) {
+      setControls(result.controls);
+      setBenchmarks(result.benchmarks);
+    } else {
+      alert(`Failed to load custom controls: ${result.error || 'Unknown error'}`);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const switchTab = (next: Tab) => {
+    setTab(next);
+    setEditingId(null);
+    setControlForm(emptyControl);
+    setBenchmarkForm(emptyBenchmark);
+    setTestResult(null);
+  };
+
+  const selectControl = (control: CustomControl) => {
+    setEditingId(control.id);
+    setControlForm({
+      id: control.id,
+      title: control.title,
+      description: control.description,
+      severity: control.severity,
+      tagsText: formatTags(control.tags),
+      sql: control.sql,
+    });
+    setTestResult(null);
+  };
+
+  const selectBenchmark = (benchmark: CustomBenchmark) => {
+    setEditingId(benchmark.id);
+    setBenchmarkForm({
+      id: benchmark.id,
+      title: benchmark.title,
+      description: benchmark.description,
+      controls: benchmark.controls,
+    });
+  };
+
+  // Saving validates the workspace with Powerpipe, which takes a few seconds
+  const runSave = async (save: () => Promise<{ success: boolean; error?: string }>, id: string) => {
+    setSaving(true);
+    try {
+      const result = await save();
+      if (!result.success) {
+        alert(`Failed to save: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      setEditingId(id);
+      await load();
+      onChanged();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveControl = () => runSave(() => window.electron.customControls.saveControl({
+    id: controlForm.id.trim(),
+    title: controlForm.title,
+    description: controlForm.description,
+    severity: controlForm.severity,
+    tags: parseTags(controlForm.tagsText),
+    sql: controlForm.sql,
+  }), controlForm.id.trim());
+
+  const handleSaveBenchmark = () => runSave(() => window.electron.customControls.saveBenchmark({
+    id: benchmarkForm.id.trim(),
+    title: benchmarkForm.title,
+    description: benchmarkForm.description,
+    controls: benchmarkForm.controls,
+  }), benchmarkForm.id.trim());
+
+  const handleDelete = async () => {
+    if (!editingId || !confirm(`Delete ${editingId}?`)) return;
+
+    const result = tab === 'controls'
+      ? await window.electron.customControls.deleteControl(editingId)
+      : await window.electron.customControls.deleteBenchmark(editingId);
+    if (!result.success) {
+      alert(`Failed to delete: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    switchTab(tab);
+    await load();
+    onChanged();
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    setTestResult(null);
+    try {
+      setTestResult(await window.electron.customControls.test({ sql: controlForm.sql, subscriptionId }));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const toggleBenchmarkControl = (controlId: string) => {
+    setBenchmarkForm(prev => ({
+      ...prev,
+      controls: prev.controls.includes(controlId)
+        ? prev.controls.filter(id => id !== controlId)
+        : [...prev.controls, controlId],
+    }));
+  };
+
+  const items = tab === 'controls' ? controls : benchmarks;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-6xl h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Custom Controls</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Organisation-specific checks, saved into the local Powerpipe workspace
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* List */}
+          <div className="w-72 border-r border-gray-800 flex flex-col">
+            <div className="flex p-3 gap-2">
+              {(['controls', 'benchmarks'] as Tab[]).map(name => (
+                <button
+                  key={name}
+                  onClick={() => switchTab(name)}
+                  className={`flex-1 py-1.5 rounded-lg text-sm font-medium capitalize transition-all ${
+                    tab === name ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => switchTab(tab)}
+              className="mx-3 mb-3 flex items-center justify-center gap-2 py-2 rounded-lg text-sm bg-gray-800 hover:bg-gray-700 text-white transition-all"
+            >
+              <Plus className="w-4 h-4" />
+              New {tab === 'controls' ? 'Control' : 'Benchmark'}
+            </button>
+            <div className="flex-1 overflow-y-auto">
+              {loading ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+                </div>
+              ) : items.length === 0 ? (
+                <p className="px-4 py-6 text-sm text-gray-500">No custom {tab} yet</p>
+              ) : (
+                items.map(item => (
+                  <button
+                    key={item.id}
+                    onClick={() => (tab === 'controls' ? selectControl(item as CustomControl) : selectBenchmark(item as CustomBenchmark))}
+                    className={`w-full text-left px-4 py-3 border-l-2 transition-colors ${
+                      editingId === item.id ? 'border-blue-500 bg-gray-800' : 'border-transparent hover:bg-gray-800/50'
+                    }`}
+                  >
+                    <div className="text-sm text-white truncate">{item.title}</div>
+                    <div className="text-xs text-gray-500 font-mono truncate">{item.id}</div>
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+
+          {/* Editor */}
+          <div className="flex-1 overflow-y-auto p-6 space-y-4 text-sm">
+            <div className="grid grid-cols-2 gap-4">
+              <label className="flex flex-col gap-1 text-gray-400">
+                Name
+                <input
+                  value={tab === 'controls' ? controlForm.id : benchmarkForm.id}
+                  onChange={(e) => (tab === 'controls'
+                    ? setControlForm({ ...controlForm, id: e.target.value })
+                    : setBenchmarkForm({ ...benchmarkForm, id: e.target.value }))}
+                  disabled={!!editingId}
+                  placeholder="storage_account_cost_center_tag"
+                  className={`${inputClass} font-mono disabled:opacity-60`}
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-gray-400">
+                Title
+                <input
+                  value={tab === 'controls' ? controlForm.title : benchmarkForm.title}
+                  onChange={(e) => (tab === 'controls'
+                    ? setControlForm({ ...controlForm, title: e.target.value })
+                    : setBenchmarkForm({ ...benchmarkForm, title: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+            <label className="flex flex-col gap-1 text-gray-400">
+              Description
+              <input
+                value={tab === 'controls' ? controlForm.description : benchmarkForm.description}
+                onChange={(e) => (tab === 'controls'
+                  ? setControlForm({ ...controlForm, description: e.target.value })
+                  : setBenchmarkForm({ ...benchmarkForm, description: e.target.value }))}
+                className={inputClass}
+              />
+            </label>
+
+            {tab === 'controls' ? (
+              <>
+                <div className="grid grid-cols-2 gap-4">
+                  <label className="flex flex-col gap-1 text-gray-400">
+                    Severity
+                    <select
+                      value={controlForm.severity}
+                      onChange={(e) => setControlForm({ ...controlForm, severity: e.target.value as ControlSeverity })}
+                      className={inputClass}
+                    >
+                      {SEVERITIES.map(severity => (
+                        <option key={severity} value={severity}>{severity}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex flex-col gap-1 text-gray-400">
+                    Tags (one key=value per line)
+                    <textarea
+                      value={controlForm.tagsText}
+                      onChange={(e) => setControlForm({ ...controlForm, tagsText: e.target.value })}
+                      rows={2}
+                      placeholder="service=Azure/Storage"
+                      className={`${inputClass} font-mono`}
+                    />
+                  </label>
+                </div>
+                <label className="flex flex-col gap-1 text-gray-400">
+                  SQL - must return resource, status (ok, alarm, info, skip, error) and reason
+                  <textarea
+                    value={controlForm.sql}
+                    onChange={(e) => setControlForm({ ...controlForm, sql: e.target.value })}
+                    rows={12}
+                    spellCheck={false}
+                    className={`${inputClass} font-mono text-xs`}
+                  />
+                </label>
+
+                {/* Test Result */}
+                {testResult && (
+                  <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4">
+                    {!testResult.success ? (
+                      <p className="text-red-400 whitespace-pre-wrap font-mono text-xs">{testResult.error}</p>
+                    ) : (
+                      <>
+                        <div className="flex flex-wrap items-center gap-4 mb-3 text-xs">
+                          <span className="text-gray-300">{testResult.totalRows} rows</span>
+                          {Object.entries(testResult.statuses || {}).map(([status, count]) => (
+                            <span key={status} className={statusStyles[status]}>{count} {status}</span>
+                          ))}
+                        </div>
+                        {!!testResult.missingColumns?.length && (
+                          <p className="flex items-center gap-2 mb-3 text-xs text-yellow-400">
+                            <AlertTriangle className="w-4 h-4" />
+                            Missing required columns: {testResult.missingColumns.join(', ')}
+                          </p>
+                        )}
+                        <div className="max-h-64 overflow-auto">
+                          <table className="w-full text-xs">
+                            <thead>
+                              <tr className="text-left text-gray-400">
+                                {testResult.columns?.map(column => (
+                                  <th key={column} className="px-2 py-1 font-medium">{column}</th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {testResult.rows?.map((row, index) => (
+                                <tr key={index} className="border-t border-gray-700">
+                                  {testResult.columns?.map(column => (
+                                    <td
+                                      key={column}
+                                      className={`px-2 py-1 ${column === 'status' ? statusStyles[row[column]] || '' : 'text-gray-300'}`}
+                                    >
+                                      {typeof row[column] === 'object' ? JSON.stringify(row[column]) : String(row[column] ?? '')}
+                                    </td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="flex flex-col gap-1 text-gray-400">
+                Controls
+                {controls.length === 0 ? (
+                  <p className="text-gray-500">Create a custom control first</p>
+                ) : (
+                  <div className="space-y-1">
+                    {controls.map(control => (
+                      <label key={control.id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-gray-800/50 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={benchmarkForm.controls.includes(control.id)}
+                          onChange={() => toggleBenchmarkControl(control.id)}
+                          className="rounded"
+                        />
+                        <span className="text-white">{control.title}</span>
+                        <span className="text-xs text-gray-500 font-mono">{control.id}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="flex items-center justify-end gap-2 pt-2">
+              {editingId && (
+                <button
+                  onClick={handleDelete}
+                  disabled={saving}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete
+                </button>
+              )}
+              {tab === 'controls' && (
+                <button
+                  onClick={handleTest}
+                  disabled={testing || !controlForm.sql.trim()}
+                  title={subprocessName ? `Run the query against ${subprocessName}` : undefined}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gray-700 hover:bg-gray-600 disabled:opacity-60 text-white transition-all"
+                >
+                  {testing ? <Loader2 className="w-4 h-4 animate-spin" /> : <FlaskConical className="w-4 h-4" />}
+                  Test Against This Subprocess
+                </button>
+              )}
+              <button
+                onClick={tab === 'controls' ? handleSaveControl : handleSaveBenchmark}
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+              >
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
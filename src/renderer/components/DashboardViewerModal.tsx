@@ -0,0 +1,310 @@
+import { useState } from 'react';
+import { X, Upload, Loader2, CheckCircle2, AlertTriangle } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import type { DashboardModel, DashboardPanel, DashboardSnapshot, DashboardCardType } from '../types/dashboards';
+
+interface DashboardViewerModalProps {
+  modName: string;
+  snapshot: DashboardSnapshot;
+  dashboard: DashboardModel;
+  onClose: () => void;
+  // Resolves true once the snapshot is in the dataroom
+  onUploadToDataroom: (snapshot: DashboardSnapshot) => Promise<boolean>;
+}
+
+// Powerpipe lays panels out on a 12 column grid
+const widthClasses: Record<number, string> = {
+  1: 'md:col-span-1',
+  2: 'md:col-span-2',
+  3: 'md:col-span-3',
+  4: 'md:col-span-4',
+  5: 'md:col-span-5',
+  6: 'md:col-span-6',
+  7: 'md:col-span-7',
+  8: 'md:col-span-8',
+  9: 'md:col-span-9',
+  10: 'md:col-span-10',
+  11: 'md:col-span-11',
+  12: 'md:col-span-12',
+};
+
+const cardStyles: Record<DashboardCardType, string> = {
+  alert: 'border-red-500/40 bg-red-500/10 text-red-300',
+  ok: 'border-green-500/40 bg-green-500/10 text-green-300',
+  info: 'border-blue-500/40 bg-blue-500/10 text-blue-300',
+  plain: 'border-gray-700 bg-gray-800/60 text-white',
+};
+
+const seriesColors = ['#60a5fa', '#a78bfa', '#34d399', '#fbbf24', '#f87171', '#2dd4bf', '#f472b6', '#94a3b8'];
+
+function formatValue(value: unknown) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function PieChart({ chart, donut }: { chart: NonNullable<DashboardPanel['chart']>; donut: boolean }) {
+  const values = chart.series[0]?.values || [];
+  const total = values.reduce((sum, value) => sum + value, 0);
+  let angle = 0;
+
+  const slices = values.map((value, index) => {
+    const start = angle;
+    angle += total ? (value / total) * Math.PI * 2 : 0;
+    const large = angle - start > Math.PI ? 1 : 0;
+    const [x1, y1] = [50 + 40 * Math.sin(start), 50 - 40 * Math.cos(start)];
+    const [x2, y2] = [50 + 40 * Math.sin(angle), 50 - 40 * Math.cos(angle)];
+    // A single full slice cannot be drawn as an arc
+    const path = value === total
+      ? 'M 50 10 A 40 40 0 1 1 49.99 10 Z'
+      : `M 50 50 L ${x1} ${y1} A 40 40 0 ${large} 1 ${x2} ${y2} Z`;
+    return <path key={index} d={path} fill={seriesColors[index % seriesColors.length]} />;
+  });
+
+  return (
+    <div className="flex items-center gap-4">
+      <svg viewBox="0 0 100 100" className="w-32 h-32 flex-shrink-0">
+        {total > 0 ? slices : <circle cx="50" cy="50" r="40" fill="#374151" />}
+        {donut && <circle cx="50" cy="50" r="22" fill="#111827" />}
+      </svg>
+      <div className="space-y-1 text-xs">
+        {chart.categories.map((category, index) => (
+          <div key={category} className="flex items-center gap-2 text-gray-300">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: seriesColors[index % seriesColors.length] }} />
+            <span className="truncate">{category}</span>
+            <span className="text-gray-500">{formatValue(values[index])}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Bar, column and line charts are all drawn as stacked horizontal bars - the data matters more than the shape
+function BarChart({ chart }: { chart: NonNullable<DashboardPanel['chart']> }) {
+  const totals = chart.categories.map((_, index) => chart.series.reduce((sum, series) => sum + series.values[index], 0));
+  const max = Math.max(1, ...totals);
+
+  return (
+    <div className="space-y-2 text-xs">
+      {chart.categories.map((category, index) => (
+        <div key={category} className="flex items-center gap-3">
+          <span className="w-32 truncate text-gray-300" title={category}>{category}</span>
+          <div className="flex-1 flex h-3 bg-gray-800 rounded overflow-hidden">
+            {chart.series.map((series, seriesIndex) => (
+              <div
+                key={series.name}
+                title={`${series.name}: ${formatValue(series.values[index])}`}
+                style={{
+                  width: `${(series.values[index] / max) * 100}%`,
+                  backgroundColor: seriesColors[seriesIndex % seriesColors.length],
+                }}
+              />
+            ))}
+          </div>
+          <span className="w-12 text-right text-gray-400">{formatValue(totals[index])}</span>
+        </div>
+      ))}
+      {chart.series.length > 1 && (
+        <div className="flex flex-wrap gap-3 pt-1 text-gray-400">
+          {chart.series.map((series, seriesIndex) => (
+            <span key={series.name} className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: seriesColors[seriesIndex % seriesColors.length] }} />
+              {series.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Panel({ panel }: { panel: DashboardPanel }) {
+  const span = `col-span-12 ${widthClasses[panel.width] || widthClasses[12]}`;
+
+  if (panel.type === 'container') {
+    return (
+      <div className={span}>
+        {panel.title && <h3 className="text-lg font-semibold text-white mb-3">{panel.title}</h3>}
+        <div className="grid grid-cols-12 gap-4">
+          {panel.children?.map(child => <Panel key={child.name} panel={child} />)}
+        </div>
+      </div>
+    );
+  }
+
+  if (panel.error) {
+    return (
+      <div className={`${span} flex items-start gap-2 p-4 rounded-xl border border-yellow-500/30 bg-yellow-500/10 text-xs text-yellow-300`}>
+        <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+        <span>{panel.title || panel.name}: {panel.error}</span>
+      </div>
+    );
+  }
+
+  if (panel.type === 'card' && panel.card) {
+    return (
+      <div className={`${span} p-4 rounded-xl border ${cardStyles[panel.card.type]}`}>
+        <p className="text-xs uppercase tracking-wide opacity-80">{panel.card.label || panel.title}</p>
+        <p className="text-2xl font-bold mt-1">{formatValue(panel.card.value)}</p>
+      </div>
+    );
+  }
+
+  if (panel.type === 'text') {
+    return (
+      <div className={`${span} prose prose-invert prose-sm max-w-none`}>
+        <ReactMarkdown>{panel.text || ''}</ReactMarkdown>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${span} p-4 rounded-xl border border-gray-700 bg-gray-800/40 min-w-0`}>
+      {panel.title && <h4 className="text-sm font-medium text-white mb-3">{panel.title}</h4>}
+
+      {panel.type === 'chart' && panel.chart && (
+        panel.chart.categories.length === 0 ? (
+          <p className="text-xs text-gray-500">No data</p>
+        ) : ['pie', 'donut'].includes(panel.chart.type) ? (
+          <PieChart chart={panel.chart} donut={panel.chart.type === 'donut'} />
+        ) : (
+          <BarChart chart={panel.chart} />
+        )
+      )}
+
+      {panel.type === 'table' && panel.table && (
+        panel.table.rows.length === 0 ? (
+          <p className="text-xs text-gray-500">No rows</p>
+        ) : (
+          <div className="max-h-80 overflow-auto">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-gray-800">
+                <tr>
+                  {panel.table.columns.map(column => (
+                    <th key={column.name} className="text-left px-2 py-1 text-gray-400 font-medium whitespace-nowrap">{column.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-800">
+                {panel.table.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {row.map((value, columnIndex) => (
+                      <td key={columnIndex} className="px-2 py-1 text-gray-300 whitespace-nowrap">{formatValue(value)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {panel.table.totalRows > panel.table.rows.length && (
+              <p className="pt-2 text-xs text-gray-500">Showing {panel.table.rows.length} of {panel.table.totalRows} rows</p>
+            )}
+          </div>
+        )
+      )}
+
+      {panel.type === 'other' && (
+        <p className="text-xs text-gray-500">{panel.panelType} panels are not shown in the app</p>
+      )}
+    </div>
+  );
+}
+
+export default function DashboardViewerModal({
+  modName,
+  snapshot,
+  dashboard,
+  onClose,
+  onUploadToDataroom,
+}: DashboardViewerModalProps) {
+  const [uploading, setUploading] = useState(false);
+  const [uploaded, setUploaded] = useState(!!snapshot.uploadedFileId);
+
+  const handleUpload = async () => {
+    setUploading(true);
+    try {
+      setUploaded(await onUploadToDataroom(snapshot));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const variables = Object.entries(snapshot.variables || {});
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 rounded-2xl shadow-2xl border border-gray-700 w-full max-w-6xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-700">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{dashboard.dashboard.title}</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              {modName}{snapshot.modVersion && ` ${snapshot.modVersion}`} · Snapshot taken {new Date(snapshot.generatedAt).toLocaleString()}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        {/* Snapshot Summary */}
+        <div className="flex flex-wrap items-center gap-3 px-6 py-3 border-b border-gray-700 text-xs">
+          <span className="px-2 py-1 rounded-full bg-blue-500/20 text-blue-400">CARDS: {dashboard.summary.cards}</span>
+          <span className="px-2 py-1 rounded-full bg-purple-500/20 text-purple-400">CHARTS: {dashboard.summary.charts}</span>
+          <span className="px-2 py-1 rounded-full bg-teal-500/20 text-teal-400">TABLES: {dashboard.summary.tables}</span>
+          {dashboard.summary.errors > 0 && (
+            <span className="px-2 py-1 rounded-full bg-yellow-500/20 text-yellow-400">FAILED PANELS: {dashboard.summary.errors}</span>
+          )}
+          {variables.length > 0 && (
+            <span className="text-gray-500 ml-auto font-mono">
+              {variables.map(([name, value]) => `${name}=${value}`).join(' · ')}
+            </span>
+          )}
+        </div>
+
+        {/* Panels */}
+        <div className="flex-1 overflow-y-auto p-6">
+          <div className="grid grid-cols-12 gap-4">
+            {dashboard.panels.map(panel => <Panel key={panel.name} panel={panel} />)}
+          </div>
+        </div>
+
+        {/* Footer Actions */}
+        <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-700 bg-gray-900/50">
+          <button
+            onClick={handleUpload}
+            disabled={uploading || uploaded}
+            className={`flex items-center gap-2 px-6 py-2 rounded-lg font-medium transition-all ${
+              uploaded
+                ? 'bg-green-600'
+                : uploading
+                ? 'bg-gray-600 cursor-not-allowed'
+                : 'bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 hover:shadow-lg'
+            }`}
+          >
+            {uploading ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                <span>Uploading...</span>
+              </>
+            ) : uploaded ? (
+              <>
+                <CheckCircle2 className="w-4 h-4" />
+                <span>In Dataroom</span>
+              </>
+            ) : (
+              <>
+                <Upload className="w-4 h-4" />
+                <span>Save to Dataroom</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
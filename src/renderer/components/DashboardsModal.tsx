@@ -0,0 +1,240 @@
+import { useEffect, useMemo, useState } from 'react';
+import { X, Search, RefreshCw, Loader2, Camera, Trash2, Eye, CheckCircle2 } from 'lucide-react';
+import type { DashboardInfo, DashboardSnapshot } from '../types/dashboards';
+
+interface DashboardsModalProps {
+  modId: string;
+  modName: string;
+  modRepo: string;
+  subprocessId: string;
+  // Dashboards query this subscription's Steampipe connection
+  subscriptionId?: string;
+  onClose: () => void;
+  onOpenSnapshot: (snapshotId: string) => void;
+}
+
+export default function DashboardsModal({
+  modId,
+  modName,
+  modRepo,
+  subprocessId,
+  subscriptionId,
+  onClose,
+  onOpenSnapshot,
+}: DashboardsModalProps) {
+  const [dashboards, setDashboards] = useState<DashboardInfo[]>([]);
+  const [modVersion, setModVersion] = useState<string | null>(null);
+  const [snapshots, setSnapshots] = useState<DashboardSnapshot[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [search, setSearch] = useState('');
+  // Dashboards with a snapshot in progress, by qualified name
+  const [running, setRunning] = useState<Set<string>>(new Set());
+
+  const loadDashboards = async (refresh = false) => {
+    setLoading(true);
+    setError(null);
+    const result = await window.electron.dashboards.list(modRepo, refresh);
+    if (result.success) {
+      setDashboards(result.dashboards);
+      setModVersion(result.modVersion || null);
+    } else {
+      setError(result.error || 'Failed to discover dashboards');
+    }
+    setLoading(false);
+  };
+
+  const loadSnapshots = async () => {
+    const result = await window.electron.dashboards.listSnapshots({ subprocessId });
+    if (result.success) {
+      setSnapshots(result.snapshots.filter(snapshot => snapshot.modRepo === modRepo));
+    }
+  };
+
+  useEffect(() => {
+    loadDashboards();
+    loadSnapshots();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [modRepo, subprocessId]);
+
+  const visibleDashboards = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return dashboards.filter(dashboard =>
+      !query ||
+      dashboard.title.toLowerCase().includes(query) ||
+      dashboard.id.toLowerCase().includes(query) ||
+      (dashboard.category || '').toLowerCase().includes(query)
+    );
+  }, [dashboards, search]);
+
+  const handleRun = async (dashboard: DashboardInfo) => {
+    setRunning(prev => new Set(prev).add(dashboard.qualifiedName));
+    try {
+      const result = await window.electron.dashboards.runSnapshot({
+        subprocessId,
+        subscriptionId,
+        modId,
+        modRepo,
+        dashboardName: dashboard.qualifiedName,
+      });
+      if (!result.success || !result.snapshot) {
+        alert(`Failed to run ${dashboard.title}: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      await loadSnapshots();
+      onOpenSnapshot(result.snapshot.id);
+    } finally {
+      setRunning(prev => {
+        const next = new Set(prev);
+        next.delete(dashboard.qualifiedName);
+        return next;
+      });
+    }
+  };
+
+  const handleDelete = async (snapshot: DashboardSnapshot) => {
+    if (!confirm(`Delete the ${snapshot.title} snapshot from ${new Date(snapshot.generatedAt).toLocaleString()}?`)) return;
+    const result = await window.electron.dashboards.deleteSnapshot(snapshot.id);
+    if (!result.success) {
+      alert(`Failed to delete snapshot: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    setSnapshots(prev => prev.filter(s => s.id !== snapshot.id));
+  };
+
+  const latestSnapshot = (dashboard: DashboardInfo) =>
+    snapshots.find(snapshot => snapshot.dashboardName === dashboard.qualifiedName);
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-4xl max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{modName}</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Run a dashboard to take a snapshot of your resources
+              {modVersion && <span className="text-gray-500"> · {modVersion} · {dashboards.length} dashboards</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => loadDashboards(true)}
+              disabled={loading}
+              title="Rediscover dashboards from the installed mod"
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+            >
+              <RefreshCw className={`w-5 h-5 text-gray-400 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        {/* Search */}
+        <div className="px-6 pt-4">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search dashboards..."
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder-gray-500"
+            />
+          </div>
+          {error && <p className="mt-2 text-xs text-red-400">{error}</p>}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Saved Snapshots */}
+          {snapshots.length > 0 && !search && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-300 mb-2">Recent Snapshots</h3>
+              <div className="divide-y divide-gray-800 border border-gray-800 rounded-xl">
+                {snapshots.slice(0, 5).map(snapshot => (
+                  <div key={snapshot.id} className="flex items-center justify-between gap-3 px-4 py-2 text-sm">
+                    <div className="min-w-0">
+                      <span className="text-white truncate">{snapshot.title}</span>
+                      <span className="ml-2 text-xs text-gray-500">{new Date(snapshot.generatedAt).toLocaleString()}</span>
+                      {snapshot.uploadedFileId && (
+                        <span className="ml-2 inline-flex items-center gap-1 text-xs text-green-400">
+                          <CheckCircle2 className="w-3 h-3" />
+                          In dataroom
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => onOpenSnapshot(snapshot.id)}
+                        className="p-1.5 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-300 transition-all"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(snapshot)}
+                        className="p-1.5 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Dashboards */}
+          {loading && dashboards.length === 0 ? (
+            <div className="flex items-center justify-center gap-2 py-12 text-gray-400">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Discovering dashboards...
+            </div>
+          ) : visibleDashboards.length === 0 ? (
+            <p className="py-12 text-center text-sm text-gray-500">
+              {search ? `No dashboards match "${search}"` : 'No dashboards available'}
+            </p>
+          ) : (
+            <div className="grid gap-3">
+              {visibleDashboards.map(dashboard => {
+                const isRunning = running.has(dashboard.qualifiedName);
+                const latest = latestSnapshot(dashboard);
+
+                return (
+                  <div
+                    key={dashboard.qualifiedName}
+                    className="flex items-center justify-between gap-4 p-4 bg-gray-800/50 border border-gray-700 rounded-xl"
+                  >
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="text-white font-medium truncate">{dashboard.title}</span>
+                        {dashboard.category && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-purple-500/20 text-purple-300">{dashboard.category}</span>
+                        )}
+                      </div>
+                      {dashboard.description && <p className="text-xs text-gray-400 mt-1 line-clamp-2">{dashboard.description}</p>}
+                      {latest && (
+                        <p className="text-xs text-gray-500 mt-1">Last snapshot {new Date(latest.generatedAt).toLocaleString()}</p>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => handleRun(dashboard)}
+                      disabled={isRunning}
+                      className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all flex-shrink-0"
+                    >
+                      {isRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
+                      {isRunning ? 'Running...' : 'Take Snapshot'}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
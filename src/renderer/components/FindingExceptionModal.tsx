@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { X, Loader2, ShieldCheck } from 'lucide-react';
+import type { FindingException } from '../types/findings';
+
+interface FindingExceptionModalProps {
+  subprocessId: string;
+  controlId: string;
+  controlTitle: string;
+  resource: string;
+  createdBy?: string;
+  onClose: () => void;
+  onSaved: (exception: FindingException) => void;
+}
+
+// Default review period for a new exception
+const DEFAULT_EXPIRY_DAYS = 90;
+
+function toDateInput(date: Date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export default function FindingExceptionModal({
+  subprocessId,
+  controlId,
+  controlTitle,
+  resource,
+  createdBy,
+  onClose,
+  onSaved,
+}: FindingExceptionModalProps) {
+  const [justification, setJustification] = useState('');
+  const [approver, setApprover] = useState('');
+  const [expiresOn, setExpiresOn] = useState(toDateInput(new Date(Date.now() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000)));
+  const [saving, setSaving] = useState(false);
+
+  const canSave = justification.trim() && approver.trim() && expiresOn;
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await window.electron.findingExceptions.save({
+        subprocessId,
+        exception: {
+          control_id: controlId,
+          resource,
+          justification,
+          approver,
+          // The exception covers the whole expiry day
+          expires_at: new Date(`${expiresOn}T23:59:59`).toISOString(),
+          created_by: createdBy,
+        },
+      });
+      if (!result.success || !result.exception) {
+        alert(`Failed to save exception: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      onSaved(result.exception);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-lg">
+        {/* Header */}
+        <div className="flex items-start justify-between gap-3 p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-xl font-bold text-white">Accept Risk</h2>
+            <p className="text-sm text-gray-400 mt-1">{controlTitle}</p>
+            <p className="text-xs font-mono text-gray-500 mt-1 break-all">{resource}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 text-sm">
+          <label className="flex flex-col gap-1 text-gray-400">
+            Justification
+            <textarea
+              value={justification}
+              onChange={(e) => setJustification(e.target.value)}
+              rows={3}
+              placeholder="Why this alarm is an accepted risk"
+              className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Approver
+            <input
+              value={approver}
+              onChange={(e) => setApprover(e.target.value)}
+              placeholder="Name or email of the person accepting the risk"
+              className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            Expires on
+            <input
+              type="date"
+              value={expiresOn}
+              min={toDateInput(new Date())}
+              onChange={(e) => setExpiresOn(e.target.value)}
+              className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white"
+            />
+          </label>
+          <p className="text-xs text-gray-500">
+            From the next run, this result is reported as EXCEPTED instead of ALARM. After the expiry date it fails again.
+          </p>
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-800">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!canSave || saving}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+            Record Exception
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
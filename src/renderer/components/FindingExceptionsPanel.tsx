@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import { ShieldCheck, Trash2, Loader2 } from 'lucide-react';
+import type { FindingException } from '../types/findings';
+
+interface FindingExceptionsPanelProps {
+  subprocessId: string;
+}
+
+export default function FindingExceptionsPanel({ subprocessId }: FindingExceptionsPanelProps) {
+  const [exceptions, setExceptions] = useState<FindingException[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    window.electron.findingExceptions.list(subprocessId).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setExceptions(result.exceptions);
+      } else {
+        setError(result.error || 'Failed to load exceptions');
+      }
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [subprocessId]);
+
+  const handleDelete = async (exception: FindingException) => {
+    if (!confirm(`Remove the exception for ${exception.resource}? Its alarms will fail again on the next run.`)) return;
+    const result = await window.electron.findingExceptions.delete(exception.id);
+    if (!result.success) {
+      alert(`Failed to remove exception: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    setExceptions(prev => prev.filter(e => e.id !== exception.id));
+  };
+
+  const now = new Date();
+  const activeCount = exceptions.filter(exception => new Date(exception.expires_at) > now).length;
+
+  return (
+    <div className="mt-10 bg-gray-800/50 border border-gray-700 rounded-xl">
+      {/* Header */}
+      <div className="flex items-center justify-between p-5 border-b border-gray-700">
+        <div className="flex items-center gap-3">
+          <ShieldCheck className="w-5 h-5 text-purple-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-white">Finding Exceptions</h2>
+            <p className="text-xs text-gray-400">
+              Accepted risks are reported as EXCEPTED until they expire. Record them from the findings explorer.
+            </p>
+          </div>
+        </div>
+        {!loading && (
+          <span className="text-xs text-gray-500">{activeCount} active · {exceptions.length - activeCount} expired</span>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center gap-2 p-5 text-sm text-gray-400">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading exceptions...
+        </div>
+      ) : error ? (
+        <p className="p-5 text-sm text-red-400">{error}</p>
+      ) : exceptions.length === 0 ? (
+        <p className="p-5 text-sm text-gray-500">No exceptions recorded</p>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {exceptions.map(exception => {
+            const expired = new Date(exception.expires_at) <= now;
+
+            return (
+              <div key={exception.id} className="flex items-start justify-between gap-4 px-5 py-3 text-sm">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-white truncate">{exception.control_id.split('.').pop()}</span>
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${expired ? 'bg-red-500/20 text-red-400' : 'bg-purple-500/20 text-purple-300'}`}>
+                      {expired ? 'Expired' : 'Active'} {new Date(exception.expires_at).toLocaleDateString()}
+                    </span>
+                  </div>
+                  <p className="text-xs font-mono text-gray-500 break-all">{exception.resource}</p>
+                  <p className="text-xs text-gray-300 mt-1">{exception.justification}</p>
+                  <p className="text-xs text-gray-500">
+                    Approved by {exception.approver}
+                    {exception.created_by && ` · recorded by ${exception.created_by}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleDelete(exception)}
+                  className="p-1.5 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all flex-shrink-0"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,391 @@
+import { useEffect, useState } from 'react';
+import { X, Camera, Loader2, Trash2, Upload, CheckCircle2, GitCompare, AlertTriangle, Clock } from 'lucide-react';
+import type { InventoryDiff, InventorySchedule, InventorySnapshot } from '../types/inventory';
+
+interface InventorySnapshotsModalProps {
+  subprocessId: string;
+  subprocessName?: string;
+  // Snapshots read this subscription's Steampipe connection
+  subscriptionId?: string;
+  userId: string;
+  onClose: () => void;
+}
+
+// Frequency presets for scheduled snapshots - "custom" lets the user type a cron expression
+const FREQUENCY_PRESETS = [
+  { id: 'daily', label: 'Daily at 01:00', cron: '0 1 * * *' },
+  { id: 'weekly', label: 'Every Monday at 01:00', cron: '0 1 * * 1' },
+  { id: 'monthly', label: 'First of the month at 01:00', cron: '0 1 1 * *' },
+  { id: 'custom', label: 'Custom (cron)', cron: '' },
+];
+
+function describeCron(cron: string) {
+  return FREQUENCY_PRESETS.find(preset => preset.cron === cron)?.label || cron;
+}
+
+function formatValue(value: unknown) {
+  if (value === null || value === undefined) return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Point-in-time inventory snapshots of a subprocess, their schedule and the changes between any two
+ */
+export default function InventorySnapshotsModal({ subprocessId, subprocessName, subscriptionId, userId, onClose }: InventorySnapshotsModalProps) {
+  const [snapshots, setSnapshots] = useState<InventorySnapshot[]>([]);
+  const [schedule, setSchedule] = useState<InventorySchedule | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [capturing, setCapturing] = useState(false);
+  // Snapshots picked for comparison, at most two
+  const [selected, setSelected] = useState<string[]>([]);
+  const [diff, setDiff] = useState<InventoryDiff | null>(null);
+  const [comparing, setComparing] = useState(false);
+  const [uploading, setUploading] = useState<string | null>(null);
+  const [frequency, setFrequency] = useState('daily');
+  const [customCron, setCustomCron] = useState('');
+  const [savingSchedule, setSavingSchedule] = useState(false);
+
+  const loadSnapshots = async () => {
+    const result = await window.electron.inventory.list(subprocessId);
+    if (result.success) {
+      setSnapshots(result.snapshots);
+      setSchedule(result.schedule);
+      if (result.schedule) {
+        const preset = FREQUENCY_PRESETS.find(p => p.cron === result.schedule!.cron);
+        setFrequency(preset ? preset.id : 'custom');
+        if (!preset) setCustomCron(result.schedule.cron);
+      }
+    } else {
+      alert(`Failed to load inventory snapshots: ${result.error || 'Unknown error'}`);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadSnapshots();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [subprocessId]);
+
+  const handleCapture = async () => {
+    setCapturing(true);
+    try {
+      const result = await window.electron.inventory.capture({ subprocessId, subprocessName, subscriptionId });
+      if (!result.success) {
+        alert(`Failed to capture inventory snapshot: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      await loadSnapshots();
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const saveSchedule = async (cron: string | null, enabled = true) => {
+    setSavingSchedule(true);
+    try {
+      const result = await window.electron.inventory.setSchedule({ subprocessId, subprocessName, subscriptionId, cron, enabled });
+      if (!result.success) {
+        alert(`Failed to save snapshot schedule: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      setSchedule(result.schedule || null);
+    } finally {
+      setSavingSchedule(false);
+    }
+  };
+
+  const handleSaveSchedule = () => {
+    const cron = frequency === 'custom'
+      ? customCron.trim()
+      : FREQUENCY_PRESETS.find(preset => preset.id === frequency)!.cron;
+    if (cron) saveSchedule(cron, schedule?.enabled ?? true);
+  };
+
+  const toggleSelected = (id: string) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id].slice(-2)));
+  };
+
+  const handleCompare = async () => {
+    if (selected.length !== 2) return;
+    // Compare from the older snapshot to the newer one, whichever was picked first
+    const [baseId, targetId] = [...selected].sort((a, b) => {
+      const time = (id: string) => new Date(snapshots.find(snapshot => snapshot.id === id)!.capturedAt).getTime();
+      return time(a) - time(b);
+    });
+    setComparing(true);
+    try {
+      const result = await window.electron.inventory.compare(subprocessId, baseId, targetId);
+      if (!result.success || !result.diff) {
+        alert(`Failed to compare snapshots: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      setDiff(result.diff);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleUpload = async (snapshot: InventorySnapshot) => {
+    setUploading(snapshot.id);
+    try {
+      const result = await window.electron.inventory.upload({ subprocessId, id: snapshot.id, userId, subprocessName });
+      if (!result.success) {
+        alert(`Failed to upload snapshot: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      await loadSnapshots();
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  const handleDelete = async (snapshot: InventorySnapshot) => {
+    if (!confirm(`Delete inventory snapshot #${snapshot.sequence} from ${new Date(snapshot.capturedAt).toLocaleString()}?`)) return;
+    const result = await window.electron.inventory.delete(subprocessId, snapshot.id);
+    if (!result.success) {
+      alert(`Failed to delete snapshot: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    setSelected(prev => prev.filter(id => id !== snapshot.id));
+    if (diff && (diff.base.id === snapshot.id || diff.target.id === snapshot.id)) setDiff(null);
+    await loadSnapshots();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-6xl h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Inventory Snapshots</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Point-in-time records of VMs, storage accounts, NSGs, key vaults and role assignments
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleCapture}
+              disabled={capturing}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+            >
+              {capturing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
+              {capturing ? 'Capturing...' : 'Take Snapshot'}
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* Schedule and snapshots */}
+          <div className="w-96 border-r border-gray-800 flex flex-col">
+            <div className="p-4 border-b border-gray-800 space-y-2">
+              <div className="flex items-center gap-2 text-sm text-gray-300">
+                <Clock className="w-4 h-4 text-gray-400" />
+                Scheduled snapshots
+              </div>
+              <div className="flex items-center gap-2">
+                <select
+                  value={frequency}
+                  onChange={e => setFrequency(e.target.value)}
+                  className="flex-1 px-2 py-1.5 bg-gray-800 border border-gray-700 rounded-lg text-sm text-white focus:outline-none focus:border-blue-500"
+                >
+                  {FREQUENCY_PRESETS.map(preset => (
+                    <option key={preset.id} value={preset.id}>{preset.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleSaveSchedule}
+                  disabled={savingSchedule || (frequency === 'custom' && !customCron.trim())}
+                  className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-white disabled:opacity-50 transition-colors"
+                >
+                  {schedule ? 'Update' : 'Schedule'}
+                </button>
+              </div>
+              {frequency === 'custom' && (
+                <input
+                  value={customCron}
+                  onChange={e => setCustomCron(e.target.value)}
+                  placeholder="0 1 * * *"
+                  className="w-full px-2 py-1.5 bg-gray-800 border border-gray-700 rounded-lg text-sm text-white font-mono placeholder-gray-500 focus:outline-none focus:border-blue-500"
+                />
+              )}
+              {schedule && (
+                <div className="text-xs text-gray-500 space-y-1">
+                  <p>
+                    {describeCron(schedule.cron)}
+                    {schedule.enabled && schedule.nextRunAt ? ` · next ${new Date(schedule.nextRunAt).toLocaleString()}` : ' · paused'}
+                  </p>
+                  {schedule.lastStatus === 'failed' && (
+                    <p className="text-red-300">Last run failed: {schedule.lastError}</p>
+                  )}
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => saveSchedule(schedule.cron, !schedule.enabled)}
+                      disabled={savingSchedule}
+                      className="text-blue-400 hover:text-blue-300"
+                    >
+                      {schedule.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      onClick={() => saveSchedule(null)}
+                      disabled={savingSchedule}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-3 space-y-2">
+              {loading ? (
+                <div className="flex items-center gap-2 text-sm text-gray-400 p-2">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Loading snapshots...
+                </div>
+              ) : snapshots.length === 0 ? (
+                <p className="text-sm text-gray-500 p-2">No snapshots yet</p>
+              ) : (
+                snapshots.map(snapshot => {
+                  const failedTables = Object.entries(snapshot.tables).filter(([, table]) => table.error);
+                  return (
+                    <div
+                      key={snapshot.id}
+                      className={`p-3 rounded-lg border ${selected.includes(snapshot.id) ? 'bg-blue-600/20 border-blue-500/40' : 'bg-gray-800/50 border-gray-700'}`}
+                    >
+                      <div className="flex items-start gap-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(snapshot.id)}
+                          onChange={() => toggleSelected(snapshot.id)}
+                          className="mt-1"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="text-sm text-white">#{snapshot.sequence} · {new Date(snapshot.capturedAt).toLocaleString()}</span>
+                            <div className="flex items-center gap-1">
+                              <button
+                                onClick={() => handleUpload(snapshot)}
+                                disabled={uploading !== null}
+                                className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-white disabled:opacity-50"
+                                title={snapshot.uploadedFileId ? 'Uploaded - upload again' : 'Export to dataroom'}
+                              >
+                                {uploading === snapshot.id
+                                  ? <Loader2 className="w-4 h-4 animate-spin" />
+                                  : snapshot.uploadedFileId ? <CheckCircle2 className="w-4 h-4 text-green-400" /> : <Upload className="w-4 h-4" />}
+                              </button>
+                              <button
+                                onClick={() => handleDelete(snapshot)}
+                                className="p-1 rounded hover:bg-red-500/20 text-gray-400 hover:text-red-300"
+                                title="Delete"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </div>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {snapshot.resourceCount} resources · {snapshot.trigger} · {(snapshot.sizeBytes / 1024).toFixed(1)} KB
+                          </p>
+                          {failedTables.length > 0 && (
+                            <p className="flex items-start gap-1 text-xs text-yellow-400 mt-1" title={failedTables.map(([key, table]) => `${key}: ${table.error}`).join('\n')}>
+                              <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                              {failedTables.length} {failedTables.length === 1 ? 'table' : 'tables'} not captured
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+
+            <div className="p-3 border-t border-gray-800">
+              <button
+                onClick={handleCompare}
+                disabled={selected.length !== 2 || comparing}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-white disabled:opacity-50 transition-colors"
+              >
+                {comparing ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitCompare className="w-4 h-4" />}
+                {selected.length === 2 ? 'Compare selected snapshots' : 'Select two snapshots to compare'}
+              </button>
+            </div>
+          </div>
+
+          {/* Changes */}
+          <div className="flex-1 overflow-y-auto p-6">
+            {!diff ? (
+              <p className="text-sm text-gray-500">
+                Pick two snapshots to see the resources added, removed and modified between them.
+              </p>
+            ) : (
+              <div className="space-y-6">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">
+                    #{diff.base.sequence} → #{diff.target.sequence}
+                  </h3>
+                  <p className="text-sm text-gray-400">
+                    {new Date(diff.base.capturedAt).toLocaleString()} to {new Date(diff.target.capturedAt).toLocaleString()}
+                  </p>
+                  <div className="flex gap-3 mt-3 text-sm">
+                    <span className="px-2 py-1 rounded bg-green-500/20 text-green-300">{diff.summary.added} added</span>
+                    <span className="px-2 py-1 rounded bg-red-500/20 text-red-300">{diff.summary.removed} removed</span>
+                    <span className="px-2 py-1 rounded bg-yellow-500/20 text-yellow-300">{diff.summary.modified} modified</span>
+                  </div>
+                </div>
+
+                {diff.tables.map(table => (
+                  <div key={table.key}>
+                    <h4 className="text-sm font-semibold text-gray-300 uppercase tracking-wide mb-2">{table.title}</h4>
+                    {table.skipped ? (
+                      <p className="flex items-start gap-1 text-xs text-yellow-400">
+                        <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                        Not compared: {table.skipped}
+                      </p>
+                    ) : table.added.length + table.removed.length + table.modified.length === 0 ? (
+                      <p className="text-xs text-gray-500">No changes</p>
+                    ) : (
+                      <div className="space-y-1 text-sm">
+                        {table.added.map(resource => (
+                          <p key={`added-${resource.id}`} className="text-green-300" title={resource.id}>
+                            + {resource.name || resource.id}
+                            {resource.resourceGroup && <span className="text-gray-500"> ({resource.resourceGroup})</span>}
+                          </p>
+                        ))}
+                        {table.removed.map(resource => (
+                          <p key={`removed-${resource.id}`} className="text-red-300" title={resource.id}>
+                            - {resource.name || resource.id}
+                            {resource.resourceGroup && <span className="text-gray-500"> ({resource.resourceGroup})</span>}
+                          </p>
+                        ))}
+                        {table.modified.map(resource => (
+                          <div key={`modified-${resource.id}`} title={resource.id}>
+                            <p className="text-yellow-300">
+                              ~ {resource.name || resource.id}
+                              {resource.resourceGroup && <span className="text-gray-500"> ({resource.resourceGroup})</span>}
+                            </p>
+                            {resource.changes.map(change => (
+                              <p key={change.column} className="ml-4 text-xs text-gray-400 font-mono truncate">
+                                {change.column}: {formatValue(change.from)} → {formatValue(change.to)}
+                              </p>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { Shield, BarChart, Globe, Tag, DollarSign, ChevronRight } from 'lucide-react';
+import { Shield, BarChart, Globe, Tag, DollarSign, FileCode, ChevronRight, ArrowUpCircle, RotateCcw, Loader2, Pencil } from 'lucide-react';
+import type { ModVersionStatus } from '../types/mods';
 
 interface ModCardProps {
   mod: {
@@ -9,6 +10,15 @@ interface ModCardProps {
     color: string;
   };
   onCheckBenchmarks: (modId: string) => void;
+  // Label of the main action, e.g. for mods that only have dashboards
+  actionLabel?: string;
+  versionStatus?: ModVersionStatus;
+  // True while an upgrade or rollback of this mod is in progress
+  updating?: boolean;
+  onUpgrade?: (modId: string) => void;
+  onRollback?: (modId: string) => void;
+  // Opens an editor for mods whose content is authored in the app
+  onManage?: (modId: string) => void;
 }
 
 const iconMap: Record<string, any> = {
@@ -17,6 +27,7 @@ const iconMap: Record<string, any> = {
   'globe': Globe,
   'tag': Tag,
   'dollar-sign': DollarSign,
+  'file-code': FileCode,
 };
 
 const colorMap: Record<string, string> = {
@@ -25,6 +36,7 @@ const colorMap: Record<string, string> = {
   orange: 'from-orange-500/20 to-orange-600/20 border-orange-500/30 hover:border-orange-500/50',
   green: 'from-green-500/20 to-green-600/20 border-green-500/30 hover:border-green-500/50',
   teal: 'from-teal-500/20 to-teal-600/20 border-teal-500/30 hover:border-teal-500/50',
+  indigo: 'from-indigo-500/20 to-indigo-600/20 border-indigo-500/30 hover:border-indigo-500/50',
 };
 
 const colorAccentMap: Record<string, string> = {
@@ -33,9 +45,19 @@ const colorAccentMap: Record<string, string> = {
   orange: 'text-orange-400',
   green: 'text-green-400',
   teal: 'text-teal-400',
+  indigo: 'text-indigo-400',
 };
 
-export default function ModCard({ mod, onCheckBenchmarks }: ModCardProps) {
+export default function ModCard({
+  mod,
+  onCheckBenchmarks,
+  actionLabel = 'Check Benchmarks',
+  versionStatus,
+  updating = false,
+  onUpgrade,
+  onRollback,
+  onManage,
+}: ModCardProps) {
   const Icon = iconMap[mod.icon] || Shield;
   const gradient = colorMap[mod.color] || colorMap.blue;
   const accentColor = colorAccentMap[mod.color] || colorAccentMap.blue;
@@ -57,7 +79,46 @@ export default function ModCard({ mod, onCheckBenchmarks }: ModCardProps) {
       <h3 className="text-xl font-semibold text-white mb-2">{mod.name}</h3>
       <p className="text-sm text-gray-300 mb-4">{mod.description}</p>
 
-      {/* Check Benchmarks Button */}
+      {/* Installed Version */}
+      {versionStatus && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-xs" onClick={(e) => e.stopPropagation()}>
+          <span className="px-2 py-1 bg-black/30 rounded-full text-gray-300">
+            {versionStatus.installedVersion || 'Not installed'}
+          </span>
+          {versionStatus.installedVersion && !versionStatus.matchesPin && (
+            <span className="text-yellow-400">Pinned to {versionStatus.pinnedVersion}</span>
+          )}
+          {updating ? (
+            <span className="flex items-center gap-1 text-gray-300">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              Installing...
+            </span>
+          ) : (
+            <>
+              {versionStatus.updateAvailable && onUpgrade && (
+                <button
+                  onClick={() => onUpgrade(mod.id)}
+                  className="flex items-center gap-1 px-2 py-1 rounded-full bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 transition-colors"
+                >
+                  <ArrowUpCircle className="w-3 h-3" />
+                  Update to {versionStatus.latestVersion}
+                </button>
+              )}
+              {versionStatus.previousVersion && onRollback && (
+                <button
+                  onClick={() => onRollback(mod.id)}
+                  className="flex items-center gap-1 px-2 py-1 rounded-full bg-gray-700/60 hover:bg-gray-700 text-gray-300 transition-colors"
+                >
+                  <RotateCcw className="w-3 h-3" />
+                  Roll back to {versionStatus.previousVersion}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Main Action Button */}
       <button
         onClick={(e) => {
           e.stopPropagation();
@@ -65,9 +126,22 @@ export default function ModCard({ mod, onCheckBenchmarks }: ModCardProps) {
         }}
         className={`w-full py-3 rounded-xl font-medium transition-all duration-300 flex items-center justify-center gap-2 bg-gradient-to-r ${gradient} hover:shadow-lg hover:scale-105 text-white`}
       >
-        Check Benchmarks
+        {actionLabel}
         <ChevronRight className="w-5 h-5" />
       </button>
+
+      {onManage && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onManage(mod.id);
+          }}
+          className="w-full mt-3 py-2 rounded-xl font-medium transition-all flex items-center justify-center gap-2 bg-black/30 hover:bg-black/40 text-gray-200 text-sm"
+        >
+          <Pencil className="w-4 h-4" />
+          Edit Controls
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,224 @@
+import { useEffect, useState } from 'react';
+import { X, Loader2, RefreshCw, Download, ArrowUpCircle, Trash2, Puzzle, AlertTriangle } from 'lucide-react';
+import type { PluginHealthStatus, SteampipePlugin } from '../types/steampipe';
+
+interface PluginManagerModalProps {
+  onClose: () => void;
+}
+
+const healthStyles: Record<PluginHealthStatus, { label: string; dot: string; text: string }> = {
+  healthy: { label: 'Healthy', dot: 'bg-green-400', text: 'text-green-300' },
+  loading: { label: 'Loading', dot: 'bg-yellow-400 animate-pulse', text: 'text-yellow-300' },
+  error: { label: 'Error', dot: 'bg-red-400', text: 'text-red-300' },
+  no_connections: { label: 'No connections', dot: 'bg-gray-500', text: 'text-gray-400' },
+  unknown: { label: 'Unknown', dot: 'bg-gray-500', text: 'text-gray-400' },
+};
+
+/**
+ * Installed and known Steampipe plugins, with their versions, connections and health
+ */
+export default function PluginManagerModal({ onClose }: PluginManagerModalProps) {
+  const [plugins, setPlugins] = useState<SteampipePlugin[]>([]);
+  const [loading, setLoading] = useState(true);
+  // Ref of the plugin an install, update or uninstall is running for
+  const [busyRef, setBusyRef] = useState<string | null>(null);
+  const [newName, setNewName] = useState('');
+  const [newVersion, setNewVersion] = useState('');
+
+  const loadPlugins = async () => {
+    setLoading(true);
+    try {
+      const result = await window.electron.powerpipe.listPlugins();
+      if (result.success) {
+        setPlugins(result.plugins);
+      } else {
+        alert(`Failed to list plugins: ${result.error || 'Unknown error'}`);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPlugins();
+  }, []);
+
+  const runOperation = async (ref: string, operation: () => Promise<{ success: boolean; error?: string }>, label: string) => {
+    setBusyRef(ref);
+    try {
+      const result = await operation();
+      if (!result.success) {
+        alert(`Failed to ${label} ${ref}: ${result.error || 'Unknown error'}`);
+        return false;
+      }
+      await loadPlugins();
+      return true;
+    } finally {
+      setBusyRef(null);
+    }
+  };
+
+  const handleInstall = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    const version = newVersion.trim() || undefined;
+    const installed = await runOperation(name, () => window.electron.powerpipe.installPlugin(name, version), 'install');
+    if (installed) {
+      setNewName('');
+      setNewVersion('');
+    }
+  };
+
+  const handleUpdate = async (plugin: SteampipePlugin) => {
+    await runOperation(plugin.ref, () => window.electron.powerpipe.updatePlugin(plugin.ref), 'update');
+  };
+
+  const handleUninstall = async (plugin: SteampipePlugin) => {
+    const connections = plugin.connectionCount > 0 ? ` Its ${plugin.connectionCount} connection(s) will stop working.` : '';
+    if (!confirm(`Uninstall the ${plugin.displayName} plugin?${connections}`)) return;
+    await runOperation(plugin.ref, () => window.electron.powerpipe.uninstallPlugin(plugin.ref), 'uninstall');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-4xl max-h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Steampipe Plugins</h2>
+            <p className="text-sm text-gray-400 mt-1">Install, update and check the plugins queries and benchmarks run through</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadPlugins}
+              disabled={loading || busyRef !== null}
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw className={`w-5 h-5 text-gray-400 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        {/* Plugins */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {loading && plugins.length === 0 ? (
+            <div className="flex items-center gap-2 text-sm text-gray-400">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading plugins...
+            </div>
+          ) : (
+            plugins.map(plugin => {
+              const health = plugin.health ? healthStyles[plugin.health.status] : null;
+              const busy = busyRef === plugin.ref;
+              return (
+                <div key={plugin.imageRef} className="p-4 rounded-lg bg-gray-800/50 border border-gray-700">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="flex items-start gap-3 min-w-0">
+                      <Puzzle className={`w-5 h-5 mt-0.5 flex-shrink-0 ${plugin.installed ? 'text-blue-400' : 'text-gray-600'}`} />
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2 flex-wrap">
+                          <span className="text-white font-medium">{plugin.displayName}</span>
+                          <span className="text-xs text-gray-500 font-mono">{plugin.ref}</span>
+                          {plugin.required && (
+                            <span className="px-2 py-0.5 rounded bg-purple-500/20 text-purple-300 text-xs">Required</span>
+                          )}
+                        </div>
+                        {plugin.description && <p className="text-xs text-gray-400 mt-1">{plugin.description}</p>}
+                        <p className="text-xs text-gray-500 mt-1">
+                          {plugin.installed
+                            ? `v${plugin.version ?? '?'} · ${plugin.connectionCount} ${plugin.connectionCount === 1 ? 'connection' : 'connections'}`
+                            : 'Not installed'}
+                        </p>
+                      </div>
+                    </div>
+
+                    <div className="flex items-center gap-3 flex-shrink-0">
+                      {health && plugin.health && (
+                        <div className="flex items-center gap-2" title={plugin.health.message}>
+                          <span className={`w-2 h-2 rounded-full ${health.dot}`} />
+                          <span className={`text-sm ${health.text}`}>{health.label}</span>
+                        </div>
+                      )}
+                      {plugin.installed ? (
+                        <>
+                          <button
+                            onClick={() => handleUpdate(plugin)}
+                            disabled={busyRef !== null}
+                            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-white disabled:opacity-50 transition-colors"
+                          >
+                            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <ArrowUpCircle className="w-4 h-4" />}
+                            Update
+                          </button>
+                          <button
+                            onClick={() => handleUninstall(plugin)}
+                            disabled={busyRef !== null || plugin.required}
+                            className="p-1.5 rounded-lg hover:bg-red-500/20 text-gray-400 hover:text-red-300 disabled:opacity-30 disabled:hover:bg-transparent transition-colors"
+                            title={plugin.required ? 'Required by the compliance mods' : 'Uninstall'}
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => runOperation(plugin.ref, () => window.electron.powerpipe.installPlugin(plugin.ref), 'install')}
+                          disabled={busyRef !== null}
+                          className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-sm text-white disabled:opacity-50 transition-colors"
+                        >
+                          {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                          Install
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {plugin.health && plugin.health.status !== 'healthy' && (
+                    <div className="mt-3 ml-8 space-y-1">
+                      <p className="text-xs text-gray-400">{plugin.health.message}</p>
+                      {plugin.health.errors.map(item => (
+                        <p key={item.connection} className="flex items-start gap-1 text-xs text-red-300">
+                          <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                          <span><span className="font-mono">{item.connection}</span>: {item.error}</span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {/* Install any plugin */}
+        <div className="flex items-center gap-3 p-6 border-t border-gray-800">
+          <input
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+            placeholder="Plugin, e.g. github or theapsgroup/gitlab"
+            className="flex-1 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:border-blue-500"
+          />
+          <input
+            value={newVersion}
+            onChange={e => setNewVersion(e.target.value)}
+            placeholder="Version (latest)"
+            className="w-40 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:border-blue-500"
+          />
+          <button
+            onClick={handleInstall}
+            disabled={!newName.trim() || busyRef !== null}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+          >
+            {busyRef !== null && busyRef === newName.trim() ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            Install
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
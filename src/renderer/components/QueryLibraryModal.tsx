@@ -0,0 +1,217 @@
+import { useEffect, useMemo, useState } from 'react';
+import { X, Play, Loader2, AlertTriangle, Library } from 'lucide-react';
+import type { QueryPack, QueryPackRun } from '../types/steampipe';
+
+interface QueryLibraryModalProps {
+  subprocessName?: string;
+  // Subscription the pack's queries run against
+  subscriptionId?: string;
+  onClose: () => void;
+  // Called with the evidence report of a finished run
+  onReport: (run: QueryPackRun) => void;
+}
+
+export default function QueryLibraryModal({ subprocessName, subscriptionId, onClose, onReport }: QueryLibraryModalProps) {
+  const [packs, setPacks] = useState<QueryPack[]>([]);
+  const [invalid, setInvalid] = useState<{ file: string; error: string }[]>([]);
+  const [userPacksDir, setUserPacksDir] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedPackId, setSelectedPackId] = useState<string | null>(null);
+  // Queries of the selected pack that will run
+  const [selectedQueries, setSelectedQueries] = useState<Set<string>>(new Set());
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    window.electron.queryLibrary.list().then(result => {
+      if (result.success) {
+        setPacks(result.packs);
+        setInvalid(result.invalid);
+        setUserPacksDir(result.userPacksDir || null);
+        if (result.packs.length > 0) selectPack(result.packs[0]);
+      } else {
+        alert(`Failed to load query packs: ${result.error || 'Unknown error'}`);
+      }
+      setLoading(false);
+    });
+  }, []);
+
+  const selectedPack = packs.find(pack => pack.id === selectedPackId) || null;
+
+  const categories = useMemo(() => {
+    const grouped = new Map<string, QueryPack['queries']>();
+    (selectedPack?.queries || []).forEach(query => {
+      grouped.set(query.category, [...(grouped.get(query.category) || []), query]);
+    });
+    return Array.from(grouped.entries());
+  }, [selectedPack]);
+
+  function selectPack(pack: QueryPack) {
+    setSelectedPackId(pack.id);
+    setSelectedQueries(new Set(pack.queries.map(query => query.id)));
+  }
+
+  const toggleQuery = (queryId: string) => {
+    setSelectedQueries(prev => {
+      const next = new Set(prev);
+      if (next.has(queryId)) next.delete(queryId);
+      else next.add(queryId);
+      return next;
+    });
+  };
+
+  const handleRun = async () => {
+    if (!selectedPack) return;
+    setRunning(true);
+    try {
+      const result = await window.electron.queryLibrary.run({
+        packId: selectedPack.id,
+        queryIds: Array.from(selectedQueries),
+        subscriptionId,
+        subprocessName,
+      });
+      if (!result.success || !result.markdown || !result.pack) {
+        alert(`Failed to run ${selectedPack.title}: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      onReport({
+        pack: result.pack,
+        markdown: result.markdown,
+        results: result.results || [],
+        summary: result.summary || { total: 0, successful: 0, failed: 0 },
+        controls: result.controls || [],
+      });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-5xl h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Evidence Queries</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Inventory and configuration queries, collected into one evidence report
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* Packs */}
+          <div className="w-72 border-r border-gray-800 flex flex-col">
+            <div className="flex-1 overflow-y-auto p-3 space-y-1">
+              {loading ? (
+                <div className="flex items-center gap-2 text-sm text-gray-400 p-2">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Loading packs...
+                </div>
+              ) : (
+                packs.map(pack => (
+                  <button
+                    key={pack.id}
+                    onClick={() => selectPack(pack)}
+                    className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${pack.id === selectedPackId ? 'bg-blue-600/20 border border-blue-500/40' : 'hover:bg-gray-800 border border-transparent'}`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <Library className="w-4 h-4 text-blue-400 flex-shrink-0" />
+                      <span className="text-sm text-white truncate">{pack.title}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      v{pack.version} · {pack.queries.length} queries
+                      {pack.source === 'user' && ` · custom${pack.replaces ? ` (replaces built-in v${pack.replaces})` : ''}`}
+                    </p>
+                  </button>
+                ))
+              )}
+            </div>
+            {invalid.length > 0 && (
+              <div className="p-3 border-t border-gray-800 space-y-1">
+                {invalid.map(item => (
+                  <p key={item.file} className="flex items-start gap-1 text-xs text-yellow-400" title={item.file}>
+                    <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                    <span>{item.file.split(/[\\/]/).pop()}: {item.error}</span>
+                  </p>
+                ))}
+              </div>
+            )}
+            {userPacksDir && (
+              <p className="p-3 border-t border-gray-800 text-xs text-gray-500">
+                Add your own packs as JSON or YAML files in <span className="font-mono text-gray-400 break-all">{userPacksDir}</span>
+              </p>
+            )}
+          </div>
+
+          {/* Queries */}
+          <div className="flex-1 flex flex-col min-w-0">
+            {selectedPack ? (
+              <>
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                  {selectedPack.description && <p className="text-sm text-gray-400">{selectedPack.description}</p>}
+                  {categories.map(([category, queries]) => (
+                    <div key={category}>
+                      <h3 className="text-sm font-semibold text-gray-300 uppercase tracking-wide mb-2">{category}</h3>
+                      <div className="space-y-2">
+                        {queries.map(query => (
+                          <label
+                            key={query.id}
+                            className="flex items-start gap-3 p-3 rounded-lg bg-gray-800/50 border border-gray-700 cursor-pointer hover:border-gray-600"
+                          >
+                            <input
+                              type="checkbox"
+                              checked={selectedQueries.has(query.id)}
+                              onChange={() => toggleQuery(query.id)}
+                              className="mt-1"
+                            />
+                            <div className="flex-1 min-w-0">
+                              <div className="flex items-center justify-between gap-3">
+                                <span className="text-sm text-white">{query.title}</span>
+                                <div className="flex flex-wrap gap-1 justify-end">
+                                  {query.controls.map(control => (
+                                    <span key={control} className="px-2 py-0.5 rounded bg-purple-500/20 text-purple-300 text-xs font-mono">
+                                      {control}
+                                    </span>
+                                  ))}
+                                </div>
+                              </div>
+                              {query.description && <p className="text-xs text-gray-400 mt-1">{query.description}</p>}
+                              <p className="text-xs text-gray-500 mt-1 font-mono truncate" title={query.sql}>
+                                {query.columns.join(', ')}
+                              </p>
+                            </div>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between gap-3 p-6 border-t border-gray-800">
+                  <p className="text-xs text-gray-500">
+                    {subscriptionId ? `Runs against subscription ${subscriptionId}` : 'Runs against every configured subscription'}
+                  </p>
+                  <button
+                    onClick={handleRun}
+                    disabled={running || selectedQueries.size === 0}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+                  >
+                    {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                    {running ? 'Collecting evidence...' : `Run ${selectedQueries.size} ${selectedQueries.size === 1 ? 'query' : 'queries'}`}
+                  </button>
+                </div>
+              </>
+            ) : (
+              !loading && <p className="p-6 text-sm text-gray-500">No query packs found</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
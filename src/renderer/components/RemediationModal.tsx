@@ -0,0 +1,196 @@
+import { useEffect, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { X, Loader2, Download, Paperclip, AlertTriangle } from 'lucide-react';
+import type { FindingControl, RemediationPlan } from '../types/findings';
+
+interface RemediationModalProps {
+  modRepo: string;
+  control: FindingControl;
+  // Alarming resources the script is generated for
+  resources: string[];
+  // Enables attaching the script to the findings as a remediation plan
+  subprocessId?: string;
+  createdBy?: string;
+  onClose: () => void;
+  onAttached?: (plan: RemediationPlan) => void;
+}
+
+interface Remediation {
+  guidance: string | null;
+  guidanceSource?: 'remediation' | 'documentation' | 'description';
+  script: string | null;
+  templateId: string | null;
+  note: string | null;
+}
+
+export default function RemediationModal({
+  modRepo,
+  control,
+  resources,
+  subprocessId,
+  createdBy,
+  onClose,
+  onAttached,
+}: RemediationModalProps) {
+  const [remediation, setRemediation] = useState<Remediation | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [attaching, setAttaching] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electron.remediation
+      .get({ modRepo, control: { id: control.id, title: control.title, description: control.description }, resources })
+      .then(result => {
+        if (cancelled) return;
+        if (!result.success) {
+          setError(result.error || 'Failed to load remediation');
+          return;
+        }
+        setRemediation({
+          guidance: result.guidance ?? null,
+          guidanceSource: result.guidanceSource,
+          script: result.script ?? null,
+          templateId: result.templateId ?? null,
+          note: result.note ?? null,
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [modRepo, control, resources]);
+
+  const handleDownload = () => {
+    if (!remediation?.script) return;
+    const blob = new Blob([remediation.script], { type: 'text/x-shellscript' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `remediate-${control.id.split('.').pop()}-${Date.now()}.sh`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleAttach = async () => {
+    if (!remediation?.script || !subprocessId) return;
+    setAttaching(true);
+    try {
+      const result = await window.electron.remediation.savePlan({
+        subprocessId,
+        controlId: control.id,
+        controlTitle: control.title,
+        resources,
+        script: remediation.script,
+        guidance: remediation.guidance,
+        templateId: remediation.templateId,
+        createdBy,
+      });
+      if (!result.success || !result.plan) {
+        alert(`Failed to attach remediation plan: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      onAttached?.(result.plan);
+    } finally {
+      setAttaching(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-start justify-between gap-3 p-6 border-b border-gray-800">
+          <div>
+            <h2 className="text-xl font-bold text-white">Remediation</h2>
+            <p className="text-sm text-gray-400 mt-1">{control.title}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {resources.length} alarming resource{resources.length === 1 ? '' : 's'}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6 text-sm">
+          {error ? (
+            <p className="text-red-400">{error}</p>
+          ) : !remediation ? (
+            <div className="flex items-center gap-2 text-gray-400">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading remediation guidance...
+            </div>
+          ) : (
+            <>
+              <div>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Guidance</h3>
+                {remediation.guidance ? (
+                  <div className="prose prose-invert prose-sm max-w-none">
+                    <ReactMarkdown>{remediation.guidance}</ReactMarkdown>
+                  </div>
+                ) : (
+                  <p className="text-gray-500">This control has no documentation to take remediation guidance from.</p>
+                )}
+                {remediation.guidanceSource === 'description' && remediation.guidance && (
+                  <p className="text-xs text-gray-500 mt-2">From the control description - the control has no documentation.</p>
+                )}
+              </div>
+
+              <div>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">az CLI Script</h3>
+                {remediation.script ? (
+                  <>
+                    <div className="flex items-start gap-2 p-3 mb-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-yellow-300 text-xs">
+                      <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                      <span>
+                        Generated for review. The app never runs remediation scripts - check each command before running it yourself.
+                        {remediation.note && ` ${remediation.note}`}
+                      </span>
+                    </div>
+                    <pre className="p-4 rounded-lg bg-gray-950 border border-gray-800 text-xs text-gray-200 overflow-x-auto whitespace-pre">
+                      {remediation.script}
+                    </pre>
+                  </>
+                ) : (
+                  <p className="text-gray-500">No script template for this control - follow the guidance above.</p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-800">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white transition-colors"
+          >
+            Close
+          </button>
+          {remediation?.script && (
+            <button
+              onClick={handleDownload}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              Download Script
+            </button>
+          )}
+          {remediation?.script && subprocessId && (
+            <button
+              onClick={handleAttach}
+              disabled={attaching}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+            >
+              {attaching ? <Loader2 className="w-4 h-4 animate-spin" /> : <Paperclip className="w-4 h-4" />}
+              Attach as Remediation Plan
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
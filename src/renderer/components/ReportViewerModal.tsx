@@ -1,6 +1,7 @@
-import { X, Download, Upload, Loader2, CheckCircle2 } from 'lucide-react';
+import { X, Download, Upload, Loader2, CheckCircle2, GitCompare, TableProperties } from 'lucide-react';
 import { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
+import type { BenchmarkDiff, BenchmarkFindings, BenchmarkRunRecord, FindingsExportFormat } from '../types/findings';
 
 interface ReportViewerModalProps {
   isOpen: boolean;
@@ -9,38 +10,111 @@ interface ReportViewerModalProps {
     modName: string;
     benchmarkName: string;
     markdown: string;
-    jsonResults?: any;
+    findings?: BenchmarkFindings | null;
+    kind?: 'run' | 'diff' | 'evidence';
+    diff?: BenchmarkDiff;
+    // Set when the report was opened from the saved reports library
+    savedRun?: BenchmarkRunRecord;
   };
-  onUploadToDataroom: (report: any) => Promise<void>;
+  // exportFormats are uploaded as extra files next to the markdown report
+  onUploadToDataroom: (report: any, exportFormats?: FindingsExportFormat[]) => Promise<void>;
+  // Saved runs of this benchmark, oldest first - enables the compare bar
+  runs?: BenchmarkRunRecord[];
+  // Whether a freshly run (unsaved) report is available as a compare target
+  hasCurrentRun?: boolean;
+  onCompare?: (baseRunId: string, targetRunId: string | null) => Promise<void>;
+  // Opens the report's findings in the findings explorer
+  onExploreFindings?: () => void;
 }
 
+// Machine-readable formats available when a report has structured findings
+const EXPORT_FORMATS: { id: FindingsExportFormat; label: string }[] = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'jsonl', label: 'JSON Lines' },
+  { id: 'ocsf', label: 'OCSF' },
+  { id: 'asff', label: 'ASFF' },
+];
+
+const statusBadgeColors: Record<string, string> = {
+  alarm: 'bg-red-500/20 text-red-400',
+  ok: 'bg-green-500/20 text-green-400',
+  info: 'bg-blue-500/20 text-blue-400',
+  skip: 'bg-gray-500/20 text-gray-400',
+  error: 'bg-yellow-500/20 text-yellow-400',
+  excepted: 'bg-purple-500/20 text-purple-300',
+};
+
 export default function ReportViewerModal({
   isOpen,
   onClose,
   report,
   onUploadToDataroom,
+  runs = [],
+  hasCurrentRun = false,
+  onCompare,
+  onExploreFindings,
 }: ReportViewerModalProps) {
   const [uploading, setUploading] = useState(false);
   const [uploaded, setUploaded] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [baseRunId, setBaseRunId] = useState(runs[runs.length - (hasCurrentRun ? 1 : 2)]?.fileId || '');
+  // Empty string = the current, not yet saved run
+  const [targetRunId, setTargetRunId] = useState(hasCurrentRun ? '' : runs[runs.length - 1]?.fileId || '');
+  const [downloadFormat, setDownloadFormat] = useState<'md' | FindingsExportFormat>('md');
+  const [uploadFormats, setUploadFormats] = useState<FindingsExportFormat[]>([]);
+
+  // Drift reports have no findings of their own to export
+  const canExport = !!report.findings && report.kind !== 'diff';
+
+  const canCompare = !!onCompare && runs.length + (hasCurrentRun ? 1 : 0) >= 2;
 
   if (!isOpen) return null;
 
-  const handleDownload = () => {
-    const blob = new Blob([report.markdown], { type: 'text/markdown' });
+  const handleDownload = async () => {
+    let content = report.markdown;
+    let type = 'text/markdown';
+    let extension = 'md';
+
+    if (downloadFormat !== 'md' && report.findings) {
+      const result = await window.electron.findings.export({
+        findings: report.findings,
+        format: downloadFormat,
+        meta: { modName: report.modName },
+      });
+      if (!result.success || result.content === undefined) {
+        alert(`Failed to export findings: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      content = result.content;
+      type = result.contentType || 'application/octet-stream';
+      extension = result.extension || downloadFormat;
+    }
+
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${report.modName}-${report.benchmarkName}-${Date.now()}.md`;
+    a.download = `${report.modName}-${report.benchmarkName}-${Date.now()}.${extension}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
+  const handleCompare = async () => {
+    if (!onCompare || !baseRunId) return;
+    setComparing(true);
+    try {
+      await onCompare(baseRunId, targetRunId || null);
+    } finally {
+      setComparing(false);
+    }
+  };
+
   const handleUpload = async () => {
     setUploading(true);
     try {
-      await onUploadToDataroom(report);
+      await onUploadToDataroom(report, canExport ? uploadFormats : []);
       setUploaded(true);
       setTimeout(() => {
         setUploaded(false);
@@ -58,8 +132,13 @@ export default function ReportViewerModal({
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-700">
           <div>
-            <h2 className="text-2xl font-bold text-white">{report.modName} Report</h2>
-            <p className="text-sm text-gray-400 mt-1">Benchmark: {report.benchmarkName}</p>
+            <h2 className="text-2xl font-bold text-white">
+              {report.modName} {report.kind === 'diff' ? 'Drift Report' : report.kind === 'evidence' ? 'Evidence Report' : 'Report'}
+            </h2>
+            <p className="text-sm text-gray-400 mt-1">
+              {report.kind === 'evidence' ? 'Query pack' : 'Benchmark'}: {report.benchmarkName}
+              {report.savedRun && <span className="text-gray-500"> · Saved {new Date(report.savedRun.analyzedAt).toLocaleString()}</span>}
+            </p>
           </div>
           <button
             onClick={onClose}
@@ -69,6 +148,86 @@ export default function ReportViewerModal({
           </button>
         </div>
 
+        {/* Compare Runs */}
+        {canCompare && (
+          <div className="flex items-center gap-3 px-6 py-3 border-b border-gray-700 text-sm text-gray-400">
+            <GitCompare className="w-4 h-4 text-blue-400" />
+            <span>Compare</span>
+            <select
+              value={baseRunId}
+              onChange={(e) => setBaseRunId(e.target.value)}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+            >
+              {runs.map(run => (
+                <option key={run.fileId} value={run.fileId}>
+                  {new Date(run.analyzedAt).toLocaleString()}
+                  {run.modVersion && ` (${run.modVersion})`}
+                </option>
+              ))}
+            </select>
+            <span>with</span>
+            <select
+              value={targetRunId}
+              onChange={(e) => setTargetRunId(e.target.value)}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+            >
+              {hasCurrentRun && <option value="">Current run</option>}
+              {runs.map(run => (
+                <option key={run.fileId} value={run.fileId}>
+                  {new Date(run.analyzedAt).toLocaleString()}
+                  {run.modVersion && ` (${run.modVersion})`}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleCompare}
+              disabled={comparing || baseRunId === targetRunId}
+              className="flex items-center gap-2 px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-400 rounded-lg text-white transition-colors"
+            >
+              {comparing && <Loader2 className="w-3 h-3 animate-spin" />}
+              Show Drift
+            </button>
+          </div>
+        )}
+
+        {/* Drift Summary */}
+        {report.diff && (
+          <div className="flex items-center gap-3 px-6 py-3 border-b border-gray-700 text-xs">
+            <span className="px-2 py-1 rounded-full bg-red-500/20 text-red-400">
+              NEW ALARMS: {report.diff.newAlarms.length}
+            </span>
+            <span className="px-2 py-1 rounded-full bg-green-500/20 text-green-400">
+              RESOLVED: {report.diff.resolvedAlarms.length}
+            </span>
+            <span className={`px-2 py-1 rounded-full ${statusBadgeColors.excepted}`}>
+              EXCEPTED: {report.diff.newlyExcepted.length}
+            </span>
+            <span className="px-2 py-1 rounded-full bg-yellow-500/20 text-yellow-400">
+              REGRESSIONS: {report.diff.regressions.length}
+            </span>
+            <span className="px-2 py-1 rounded-full bg-blue-500/20 text-blue-400">
+              NEW RESOURCES: {report.diff.newResources.length}
+            </span>
+          </div>
+        )}
+
+        {/* Findings Summary */}
+        {report.findings && (
+          <div className="flex items-center gap-3 px-6 py-3 border-b border-gray-700 text-xs">
+            {(['alarm', 'ok', 'info', 'skip', 'error', 'excepted'] as const).map((status) => (
+              <span
+                key={status}
+                className={`px-2 py-1 rounded-full ${statusBadgeColors[status]}`}
+              >
+                {status.toUpperCase()}: {report.findings!.benchmark.summary[status] ?? 0}
+              </span>
+            ))}
+            <span className="text-gray-500 ml-auto">
+              {report.findings.benchmark.summary.total} results
+            </span>
+          </div>
+        )}
+
         {/* Content */}
         <div className="flex-1 overflow-y-auto p-6">
           <div className="prose prose-invert prose-sm max-w-none">
@@ -78,42 +237,85 @@ export default function ReportViewerModal({
 
         {/* Footer Actions */}
         <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-700 bg-gray-900/50">
+          {canExport && !report.savedRun && (
+            <div className="flex items-center gap-3 mr-auto text-xs text-gray-400">
+              <span>Also upload</span>
+              {EXPORT_FORMATS.map(format => (
+                <label key={format.id} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={uploadFormats.includes(format.id)}
+                    onChange={(e) => setUploadFormats(prev => (
+                      e.target.checked ? [...prev, format.id] : prev.filter(f => f !== format.id)
+                    ))}
+                    className="rounded"
+                  />
+                  {format.label}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {canExport && (
+            <select
+              value={downloadFormat}
+              onChange={(e) => setDownloadFormat(e.target.value as 'md' | FindingsExportFormat)}
+              className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 text-sm text-white"
+            >
+              <option value="md">Markdown</option>
+              {EXPORT_FORMATS.map(format => (
+                <option key={format.id} value={format.id}>{format.label}</option>
+              ))}
+            </select>
+          )}
+          {canExport && onExploreFindings && (
+            <button
+              onClick={onExploreFindings}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors text-white"
+            >
+              <TableProperties className="w-4 h-4" />
+              <span>Explore Findings</span>
+            </button>
+          )}
           <button
             onClick={handleDownload}
             className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors text-white"
           >
             <Download className="w-4 h-4" />
-            <span>Download Report</span>
+            <span>{downloadFormat === 'md' ? 'Download Report' : 'Download Findings'}</span>
           </button>
           
-          <button
-            onClick={handleUpload}
-            disabled={uploading || uploaded}
-            className={`flex items-center gap-2 px-6 py-2 rounded-lg font-medium transition-all ${
-              uploaded
-                ? 'bg-green-600 hover:bg-green-700'
-                : uploading
-                ? 'bg-gray-600 cursor-not-allowed'
-                : 'bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 hover:shadow-lg'
-            }`}
-          >
-            {uploading ? (
-              <>
-                <Loader2 className="w-4 h-4 animate-spin" />
-                <span>Uploading...</span>
-              </>
-            ) : uploaded ? (
-              <>
-                <CheckCircle2 className="w-4 h-4" />
-                <span>Uploaded!</span>
-              </>
-            ) : (
-              <>
-                <Upload className="w-4 h-4" />
-                <span>Upload to Dataroom</span>
-              </>
-            )}
-          </button>
+          {/* Saved reports are already in the dataroom */}
+          {!report.savedRun && (
+            <button
+              onClick={handleUpload}
+              disabled={uploading || uploaded}
+              className={`flex items-center gap-2 px-6 py-2 rounded-lg font-medium transition-all ${
+                uploaded
+                  ? 'bg-green-600 hover:bg-green-700'
+                  : uploading
+                  ? 'bg-gray-600 cursor-not-allowed'
+                  : 'bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 hover:shadow-lg'
+              }`}
+            >
+              {uploading ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  <span>Uploading...</span>
+                </>
+              ) : uploaded ? (
+                <>
+                  <CheckCircle2 className="w-4 h-4" />
+                  <span>Uploaded!</span>
+                </>
+              ) : (
+                <>
+                  <Upload className="w-4 h-4" />
+                  <span>Upload to Dataroom</span>
+                </>
+              )}
+            </button>
+          )}
         </div>
       </div>
     </div>
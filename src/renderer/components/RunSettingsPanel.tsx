@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { SlidersHorizontal, Plus, Trash2, Loader2 } from 'lucide-react';
+import type { RunScope } from '../types/runs';
+
+interface RunSettingsPanelProps {
+  subprocessId: string;
+}
+
+interface Row {
+  key: string;
+  value: string;
+}
+
+const inputClass = 'bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-white font-mono text-sm';
+
+function RowEditor({
+  title,
+  description,
+  rows,
+  keyPlaceholder,
+  valuePlaceholder,
+  onChange,
+}: {
+  title: string;
+  description: string;
+  rows: Row[];
+  keyPlaceholder: string;
+  valuePlaceholder: string;
+  onChange: (rows: Row[]) => void;
+}) {
+  const updateRow = (index: number, changes: Partial<Row>) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div>
+          <h3 className="text-sm font-medium text-white">{title}</h3>
+          <p className="text-xs text-gray-500">{description}</p>
+        </div>
+        <button
+          onClick={() => onChange([...rows, { key: '', value: '' }])}
+          className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium bg-gray-700 hover:bg-gray-600 text-white transition-all"
+        >
+          <Plus className="w-3 h-3" />
+          Add
+        </button>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-500">None</p>
+      ) : (
+        <div className="space-y-2">
+          {rows.map((row, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                value={row.key}
+                onChange={(e) => updateRow(index, { key: e.target.value })}
+                placeholder={keyPlaceholder}
+                className={`${inputClass} w-1/3`}
+              />
+              <input
+                value={row.value}
+                onChange={(e) => updateRow(index, { value: e.target.value })}
+                placeholder={valuePlaceholder}
+                className={`${inputClass} flex-1`}
+              />
+              <button
+                onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                className="p-1.5 rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-400 transition-all"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RunSettingsPanel({ subprocessId }: RunSettingsPanelProps) {
+  const [variables, setVariables] = useState<Row[]>([]);
+  const [tags, setTags] = useState<Row[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [savedAt, setSavedAt] = useState<Date | null>(null);
+
+  const applySettings = (settings: RunScope) => {
+    setVariables(Object.entries(settings.variables).map(([key, value]) => ({ key, value })));
+    setTags(settings.tags.map(tag => ({ key: tag.key, value: tag.value })));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    window.electron.runSettings.get(subprocessId).then(result => {
+      if (cancelled) return;
+      if (result.success && result.settings) {
+        applySettings(result.settings);
+      } else {
+        setError(result.error || 'Failed to load run settings');
+      }
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [subprocessId]);
+
+  const handleSave = async () => {
+    const names = variables.map(row => row.key.trim());
+    const duplicate = names.find((name, index) => name && names.indexOf(name) !== index);
+    if (duplicate) {
+      setError(`Variable ${duplicate} is set more than once`);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await window.electron.runSettings.save({
+        subprocessId,
+        variables: Object.fromEntries(variables.map(row => [row.key.trim(), row.value])),
+        tags: tags.map(row => ({ key: row.key.trim(), value: row.value })),
+      });
+      if (result.success && result.settings) {
+        applySettings(result.settings);
+        setSavedAt(new Date());
+      } else {
+        setError(result.error || 'Failed to save run settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 bg-gray-800/50 border border-gray-700 rounded-xl">
+      {/* Header */}
+      <div className="flex items-center justify-between p-5 border-b border-gray-700">
+        <div className="flex items-center gap-3">
+          <SlidersHorizontal className="w-5 h-5 text-teal-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-white">Run Settings</h2>
+            <p className="text-xs text-gray-400">Applied to every benchmark run of this subprocess and shown in its reports</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          {savedAt && !error && (
+            <span className="text-xs text-gray-500">Saved {savedAt.toLocaleTimeString()}</span>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={loading || saving}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center gap-2 p-5 text-sm text-gray-400">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading run settings...
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 p-5">
+          <RowEditor
+            title="Variables"
+            description='Passed as --var. Lists use Powerpipe syntax, e.g. ["resource_group"]'
+            rows={variables}
+            keyPlaceholder="common_dimensions"
+            valuePlaceholder='["subscription_id"]'
+            onChange={setVariables}
+          />
+          <RowEditor
+            title="Tag Filters"
+            description="Passed as --tag. Only controls matching the filters are run"
+            rows={tags}
+            keyPlaceholder="service"
+            valuePlaceholder="Azure/Storage"
+            onChange={setTags}
+          />
+        </div>
+      )}
+
+      {error && <p className="px-5 pb-5 text-sm text-red-400">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { Library, ChevronRight, ChevronDown, Eye, Loader2 } from 'lucide-react';
+import type { BenchmarkRunRecord } from '../types/findings';
+
+// Saved runs of one benchmark, oldest first as stored in orgsubprocesses.results
+export interface SavedReportGroup {
+  modId: string;
+  modName: string;
+  benchmarkId: string;
+  benchmarkName: string;
+  runs: BenchmarkRunRecord[];
+}
+
+interface SavedReportsPanelProps {
+  groups: SavedReportGroup[];
+  onOpen: (group: SavedReportGroup, run: BenchmarkRunRecord) => Promise<void>;
+}
+
+export default function SavedReportsPanel({ groups, onOpen }: SavedReportsPanelProps) {
+  const [modFilter, setModFilter] = useState('');
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+  // fileId of the report being opened
+  const [opening, setOpening] = useState<string | null>(null);
+
+  const mods = Array.from(new Map(groups.map(group => [group.modId, group.modName])).entries());
+  const visibleGroups = groups
+    .filter(group => !modFilter || group.modId === modFilter)
+    .sort((a, b) => new Date(b.runs[b.runs.length - 1].analyzedAt).getTime() - new Date(a.runs[a.runs.length - 1].analyzedAt).getTime());
+  const totalReports = groups.reduce((total, group) => total + group.runs.length, 0);
+
+  const toggleExpanded = (key: string) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleOpen = async (group: SavedReportGroup, run: BenchmarkRunRecord) => {
+    setOpening(run.fileId);
+    try {
+      await onOpen(group, run);
+    } finally {
+      setOpening(null);
+    }
+  };
+
+  return (
+    <div className="mt-10 bg-gray-800/50 border border-gray-700 rounded-xl">
+      {/* Header */}
+      <div className="flex items-center justify-between p-5 border-b border-gray-700">
+        <div className="flex items-center gap-3">
+          <Library className="w-5 h-5 text-blue-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-white">Saved Reports</h2>
+            <p className="text-xs text-gray-400">{totalReports} reports uploaded to the dataroom</p>
+          </div>
+        </div>
+        {mods.length > 1 && (
+          <select
+            value={modFilter}
+            onChange={(e) => setModFilter(e.target.value)}
+            className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white"
+          >
+            <option value="">All mods</option>
+            {mods.map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {visibleGroups.length === 0 ? (
+        <p className="p-5 text-sm text-gray-500">No reports have been uploaded yet</p>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {visibleGroups.map(group => {
+            const key = `${group.modId}:${group.benchmarkId}`;
+            const isExpanded = expanded.has(key);
+            // Newest first in the list
+            const runs = [...group.runs].reverse();
+            const latest = runs[0];
+
+            return (
+              <div key={key}>
+                <button
+                  onClick={() => toggleExpanded(key)}
+                  className="w-full flex items-center justify-between gap-4 px-5 py-3 text-left hover:bg-gray-800/50 transition-colors"
+                >
+                  <div className="flex items-center gap-2 min-w-0">
+                    {isExpanded ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                    <div className="min-w-0">
+                      <p className="text-sm text-white truncate">{group.benchmarkName}</p>
+                      <p className="text-xs text-gray-500">{group.modName}</p>
+                    </div>
+                  </div>
+                  <div className="text-right text-xs text-gray-400 flex-shrink-0">
+                    <p>{runs.length} report{runs.length === 1 ? '' : 's'}</p>
+                    <p>Latest {new Date(latest.analyzedAt).toLocaleString()}</p>
+                  </div>
+                </button>
+
+                {isExpanded && (
+                  <div className="pb-2">
+                    {runs.map(run => (
+                      <div key={run.fileId} className="flex items-center justify-between gap-4 pl-11 pr-5 py-2 text-sm">
+                        <div className="min-w-0">
+                          <span className="text-gray-200">{new Date(run.analyzedAt).toLocaleString()}</span>
+                          {run.modVersion && <span className="ml-2 text-xs text-gray-500">{run.modVersion}</span>}
+                          {run.summary && (
+                            <span className="ml-3 text-xs">
+                              <span className="text-red-400">{run.summary.alarm} alarm</span>
+                              <span className="text-gray-500"> · </span>
+                              <span className="text-green-400">{run.summary.ok} ok</span>
+                            </span>
+                          )}
+                          {run.fileName && <p className="text-xs text-gray-500 truncate">{run.fileName}</p>}
+                        </div>
+                        <button
+                          onClick={() => handleOpen(group, run)}
+                          disabled={opening !== null}
+                          className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-60 text-white transition-all flex-shrink-0"
+                        >
+                          {opening === run.fileId ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+                          Open
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { Database, Loader2, RotateCw } from 'lucide-react';
+import type { SteampipeServiceState, SteampipeServiceStatus as ServiceStatus } from '../types/steampipe';
+
+const stateStyles: Record<SteampipeServiceState, { label: string; dot: string; text: string }> = {
+  starting: { label: 'Starting', dot: 'bg-yellow-400 animate-pulse', text: 'text-yellow-300' },
+  ready: { label: 'Ready', dot: 'bg-green-400', text: 'text-green-300' },
+  degraded: { label: 'Degraded', dot: 'bg-orange-400', text: 'text-orange-300' },
+  stopped: { label: 'Stopped', dot: 'bg-gray-500', text: 'text-gray-400' },
+};
+
+/**
+ * State of the Steampipe service that queries and benchmark runs go through
+ */
+export default function SteampipeServiceStatus() {
+  const [status, setStatus] = useState<ServiceStatus | null>(null);
+  const [restarting, setRestarting] = useState(false);
+
+  useEffect(() => {
+    window.electron.steampipeService.getStatus().then(result => {
+      if (result.success) setStatus(result.status);
+    });
+    return window.electron.steampipeService.onStatus(setStatus);
+  }, []);
+
+  const handleRestart = async () => {
+    setRestarting(true);
+    try {
+      const result = await window.electron.steampipeService.restart();
+      if (!result.success) {
+        alert(`Failed to restart Steampipe service: ${result.error || 'Unknown error'}`);
+      }
+    } finally {
+      setRestarting(false);
+    }
+  };
+
+  if (!status) return null;
+  const style = stateStyles[status.state];
+  const details = [
+    `Port ${status.port}`,
+    status.owned ? `PID ${status.pid ?? '-'}` : status.state === 'ready' ? 'started outside the app' : null,
+    status.restarts > 0 ? `restart attempt ${status.restarts}` : null,
+    status.error,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="flex items-center gap-3 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg" title={details}>
+      <Database className="w-4 h-4 text-gray-400" />
+      <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+      <div className="text-sm">
+        <span className={style.text}>Steampipe {style.label}</span>
+        {status.error && <p className="text-xs text-gray-500 max-w-xs truncate">{status.error}</p>}
+      </div>
+      {(status.owned || status.state !== 'ready') && (
+        <button
+          onClick={handleRestart}
+          disabled={restarting || status.state === 'starting'}
+          className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-white disabled:opacity-50 transition-colors"
+          title="Restart service"
+        >
+          {restarting ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCw className="w-4 h-4" />}
+        </button>
+      )}
+    </div>
+  );
+}
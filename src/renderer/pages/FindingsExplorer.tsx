@@ -0,0 +1,527 @@
+import { useEffect, useMemo, useState } from 'react';
+import { ArrowLeft, Search, ExternalLink, X, Server, List, ShieldCheck, Wrench, Paperclip } from 'lucide-react';
+import FindingExceptionModal from '../components/FindingExceptionModal';
+import RemediationModal from '../components/RemediationModal';
+import type { BenchmarkFindings, FindingControl, FindingGroup, FindingStatus, RemediationPlan } from '../types/findings';
+
+interface FindingsExplorerProps {
+  modName: string;
+  modRepo: string;
+  benchmarkName: string;
+  findings: BenchmarkFindings;
+  onBack: () => void;
+  // Enables recording exceptions and attaching remediation plans for alarms
+  subprocessId?: string;
+  userEmail?: string;
+}
+
+// One control/resource result with the context needed to filter and group it
+interface ExplorerRow {
+  key: string;
+  control: FindingControl;
+  section: string;
+  resource: string | null;
+  status: FindingStatus;
+  reason: string;
+  exceptionId?: string;
+  severity: string;
+  subscription: string;
+  region: string;
+  resourceGroup: string;
+  dimensions: Record<string, string | null>;
+}
+
+type FacetId = 'status' | 'severity' | 'subscription' | 'region' | 'resourceGroup' | 'section';
+
+const FACETS: { id: FacetId; label: string }[] = [
+  { id: 'status', label: 'Status' },
+  { id: 'severity', label: 'Severity' },
+  { id: 'subscription', label: 'Subscription' },
+  { id: 'region', label: 'Region' },
+  { id: 'resourceGroup', label: 'Resource Group' },
+  { id: 'section', label: 'Section' },
+];
+
+const statusColors: Record<FindingStatus, string> = {
+  alarm: 'bg-red-500/20 text-red-400',
+  ok: 'bg-green-500/20 text-green-400',
+  info: 'bg-blue-500/20 text-blue-400',
+  skip: 'bg-gray-500/20 text-gray-400',
+  error: 'bg-yellow-500/20 text-yellow-400',
+  excepted: 'bg-purple-500/20 text-purple-300',
+};
+
+// Worst first, when listing everything wrong with a resource
+const STATUS_ORDER: FindingStatus[] = ['alarm', 'error', 'excepted', 'info', 'skip', 'ok'];
+
+// Rows rendered at a time - large tenants produce tens of thousands of results
+const PAGE_SIZE = 200;
+
+const NONE = '(none)';
+
+/**
+ * Subscription and resource group from an Azure resource ID, for mods whose
+ * dimensions do not include them
+ */
+function parseResourceId(resource: string | null) {
+  const match = resource?.match(/^\/subscriptions\/([^/]+)(?:\/resourceGroups\/([^/]+))?/i);
+  return { subscription: match?.[1] || null, resourceGroup: match?.[2] || null };
+}
+
+function flattenRows(findings: BenchmarkFindings): ExplorerRow[] {
+  const rows: ExplorerRow[] = [];
+
+  const visit = (group: FindingGroup, section: string) => {
+    for (const control of group.controls) {
+      // A control that failed to run has no results - show its error instead
+      const results = control.results.length === 0 && control.runError
+        ? [{ controlId: control.id, resource: null, status: 'error' as const, reason: control.runError, dimensions: {}, severity: control.severity }]
+        : control.results;
+      results.forEach((result, index) => {
+        const fromId = parseResourceId(result.resource);
+        const dimensions = result.dimensions || {};
+        rows.push({
+          key: `${control.id}|${result.resource || ''}|${index}`,
+          control,
+          section,
+          resource: result.resource,
+          status: result.status,
+          reason: result.reason,
+          exceptionId: result.exceptionId,
+          severity: control.severity || NONE,
+          subscription: dimensions.subscription_id || dimensions.subscription || fromId.subscription || NONE,
+          region: dimensions.region || dimensions.location || NONE,
+          resourceGroup: dimensions.resource_group || fromId.resourceGroup || NONE,
+          dimensions,
+        });
+      });
+    }
+    // Facet on the top-level sections of the benchmark, e.g. "1 Identity and Access Management"
+    group.groups.forEach(child => visit(child, section || child.title));
+  };
+
+  visit(findings.benchmark, '');
+  return rows.map(row => ({ ...row, section: row.section || findings.benchmark.title }));
+}
+
+/**
+ * Powerpipe Hub page of a control, for mods published by Turbot
+ */
+function getControlUrl(modRepo: string, controlId: string) {
+  const match = modRepo.match(/github\.com\/turbot\/steampipe-mod-(.+)$/);
+  if (!match) return null;
+  const modName = match[1].replace(/-/g, '_');
+  const controlName = controlId.split('.').pop();
+  return `https://hub.powerpipe.io/mods/turbot/${modName}/controls/control.${controlName}`;
+}
+
+function StatusBadge({ status }: { status: FindingStatus }) {
+  return <span className={`px-2 py-0.5 text-xs rounded-full uppercase ${statusColors[status]}`}>{status}</span>;
+}
+
+export default function FindingsExplorer({
+  modName,
+  modRepo,
+  benchmarkName,
+  findings,
+  onBack,
+  subprocessId,
+  userEmail,
+}: FindingsExplorerProps) {
+  const rows = useMemo(() => flattenRows(findings), [findings]);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState<Record<FacetId, Set<string>>>(() => ({
+    status: new Set(['alarm']),
+    severity: new Set(),
+    subscription: new Set(),
+    region: new Set(),
+    resourceGroup: new Set(),
+    section: new Set(),
+  }));
+  const [groupByResource, setGroupByResource] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [selectedControl, setSelectedControl] = useState<FindingControl | null>(null);
+  const [exceptionRow, setExceptionRow] = useState<ExplorerRow | null>(null);
+  // Rows an exception was recorded for in this session - they change status on the next run
+  const [recordedKeys, setRecordedKeys] = useState<Set<string>>(new Set());
+  const [remediationTarget, setRemediationTarget] = useState<{ control: FindingControl; resources: string[] } | null>(null);
+  const [plans, setPlans] = useState<RemediationPlan[]>([]);
+
+  useEffect(() => {
+    if (!subprocessId) return;
+    let cancelled = false;
+    window.electron.remediation.listPlans({ subprocessId }).then(result => {
+      if (!cancelled && result.success) setPlans(result.plans);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [subprocessId]);
+
+  const hasPlan = (controlId: string, resource: string) =>
+    plans.some(plan => plan.controlId === controlId && plan.resources.includes(resource));
+
+  const query = search.trim().toLowerCase();
+  const matchesSearch = (row: ExplorerRow) =>
+    !query ||
+    (row.resource || '').toLowerCase().includes(query) ||
+    row.reason.toLowerCase().includes(query) ||
+    row.control.title.toLowerCase().includes(query) ||
+    row.control.id.toLowerCase().includes(query);
+
+  const matchesFacets = (row: ExplorerRow, except?: FacetId) =>
+    FACETS.every(facet => facet.id === except || filters[facet.id].size === 0 || filters[facet.id].has(row[facet.id]));
+
+  const filteredRows = useMemo(
+    () => rows.filter(row => matchesSearch(row) && matchesFacets(row)),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [rows, query, filters]
+  );
+
+  // Counts per facet value, each computed with the other facets applied
+  const facetCounts = useMemo(() => {
+    const counts = {} as Record<FacetId, Map<string, number>>;
+    for (const facet of FACETS) {
+      const values = new Map<string, number>();
+      rows.forEach(row => values.set(row[facet.id], values.get(row[facet.id]) ?? 0));
+      rows
+        .filter(row => matchesSearch(row) && matchesFacets(row, facet.id))
+        .forEach(row => values.set(row[facet.id], (values.get(row[facet.id]) || 0) + 1));
+      counts[facet.id] = values;
+    }
+    return counts;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, query, filters]);
+
+  const resourceGroups = useMemo(() => {
+    if (!groupByResource) return [];
+    const byResource = new Map<string, ExplorerRow[]>();
+    filteredRows.forEach(row => {
+      const key = row.resource || NONE;
+      byResource.set(key, [...(byResource.get(key) || []), row]);
+    });
+    return Array.from(byResource.entries())
+      .map(([resource, resourceRows]) => ({
+        resource,
+        rows: [...resourceRows].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)),
+        alarms: resourceRows.filter(row => row.status === 'alarm').length,
+      }))
+      .sort((a, b) => b.alarms - a.alarms || a.resource.localeCompare(b.resource));
+  }, [filteredRows, groupByResource]);
+
+  const toggleFilter = (facet: FacetId, value: string) => {
+    setFilters(prev => {
+      const next = new Set(prev[facet]);
+      if (next.has(value)) {
+        next.delete(value);
+      } else {
+        next.add(value);
+      }
+      return { ...prev, [facet]: next };
+    });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const clearFilters = () => {
+    setFilters({
+      status: new Set(),
+      severity: new Set(),
+      subscription: new Set(),
+      region: new Set(),
+      resourceGroup: new Set(),
+      section: new Set(),
+    });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const renderDimensions = (dimensions: Record<string, string | null>) => (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {Object.entries(dimensions).map(([key, value]) => (
+        <span key={key} className="px-1.5 py-0.5 text-[10px] rounded bg-gray-800 text-gray-400">
+          {key}: {value ?? ''}
+        </span>
+      ))}
+    </div>
+  );
+
+  // Accepted risk details for excepted rows, or the actions to accept or remediate alarms
+  const renderActions = (row: ExplorerRow) => {
+    if (row.status === 'excepted') {
+      const exception = findings.exceptions?.find(e => e.id === row.exceptionId);
+      return exception && (
+        <p className="text-xs text-purple-300 mt-1">
+          Accepted risk: {exception.justification} · approved by {exception.approver} until {new Date(exception.expiresAt).toLocaleDateString()}
+        </p>
+      );
+    }
+    if (row.status !== 'alarm' || !row.resource) return null;
+    const resource = row.resource;
+    return (
+      <div className="flex flex-wrap items-center gap-3 mt-1 text-xs">
+        <button
+          onClick={() => setRemediationTarget({ control: row.control, resources: [resource] })}
+          className="flex items-center gap-1 text-gray-400 hover:text-blue-300"
+        >
+          <Wrench className="w-3 h-3" />
+          Remediate
+        </button>
+        {hasPlan(row.control.id, resource) && (
+          <span className="flex items-center gap-1 text-blue-300">
+            <Paperclip className="w-3 h-3" />
+            Remediation plan attached
+          </span>
+        )}
+        {subprocessId && (recordedKeys.has(row.key) ? (
+          <span className="text-purple-300">Exception recorded - applies from the next run</span>
+        ) : (
+          <button
+            onClick={() => setExceptionRow(row)}
+            className="flex items-center gap-1 text-gray-400 hover:text-purple-300"
+          >
+            <ShieldCheck className="w-3 h-3" />
+            Accept risk
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // Every alarming resource of a control, for a script covering the whole control
+  const alarmResources = (control: FindingControl) =>
+    Array.from(new Set(control.results.filter(r => r.status === 'alarm' && r.resource).map(r => r.resource as string)));
+
+  const controlUrl = selectedControl ? getControlUrl(modRepo, selectedControl.id) : null;
+  const visibleItems = groupByResource ? resourceGroups.length : filteredRows.length;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 text-white">
+      {/* Header */}
+      <div className="border-b border-gray-800 bg-gray-900/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={onBack}
+              className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h1 className="text-xl font-bold">Findings: {benchmarkName}</h1>
+              <p className="text-sm text-gray-400">
+                {modName}{findings.modVersion && ` ${findings.modVersion}`} · {new Date(findings.generatedAt).toLocaleString()} · {rows.length} results
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1 p-1 bg-gray-800 rounded-lg text-sm">
+            <button
+              onClick={() => { setGroupByResource(false); setVisibleCount(PAGE_SIZE); }}
+              className={`flex items-center gap-1 px-3 py-1.5 rounded-md ${!groupByResource ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+            >
+              <List className="w-4 h-4" />
+              Results
+            </button>
+            <button
+              onClick={() => { setGroupByResource(true); setVisibleCount(PAGE_SIZE); }}
+              className={`flex items-center gap-1 px-3 py-1.5 rounded-md ${groupByResource ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+            >
+              <Server className="w-4 h-4" />
+              By Resource
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-6 flex gap-6">
+        {/* Facets */}
+        <aside className="w-64 flex-shrink-0 space-y-5">
+          <button onClick={clearFilters} className="text-xs text-blue-400 hover:text-blue-300">
+            Clear all filters
+          </button>
+          {FACETS.map(facet => {
+            const values = Array.from(facetCounts[facet.id].entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+            // A facet with one value filters nothing
+            if (values.length < 2 && filters[facet.id].size === 0) return null;
+
+            return (
+              <div key={facet.id}>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">{facet.label}</h3>
+                <div className="space-y-1 max-h-48 overflow-y-auto">
+                  {values.map(([value, count]) => (
+                    <label key={value} className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={filters[facet.id].has(value)}
+                        onChange={() => toggleFilter(facet.id, value)}
+                        className="rounded"
+                      />
+                      <span className="truncate flex-1" title={value}>{value}</span>
+                      <span className="text-xs text-gray-500">{count}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </aside>
+
+        {/* Results */}
+        <main className="flex-1 min-w-0">
+          <div className="relative mb-4">
+            <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              value={search}
+              onChange={(e) => { setSearch(e.target.value); setVisibleCount(PAGE_SIZE); }}
+              placeholder="Search resources, reasons and controls..."
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder-gray-500"
+            />
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            {filteredRows.length} matching results
+            {groupByResource && ` on ${resourceGroups.length} resources`}
+          </p>
+
+          {visibleItems === 0 ? (
+            <p className="py-12 text-center text-sm text-gray-500">No results match the filters</p>
+          ) : groupByResource ? (
+            <div className="space-y-3">
+              {resourceGroups.slice(0, visibleCount).map(group => (
+                <div key={group.resource} className="bg-gray-800/50 border border-gray-700 rounded-xl">
+                  <div className="flex items-center justify-between gap-3 px-4 py-3 border-b border-gray-700">
+                    <span className="text-sm font-mono text-white break-all">{group.resource}</span>
+                    {group.alarms > 0 && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-red-500/20 text-red-400 whitespace-nowrap">
+                        {group.alarms} alarm{group.alarms === 1 ? '' : 's'}
+                      </span>
+                    )}
+                  </div>
+                  <div className="divide-y divide-gray-800">
+                    {group.rows.map(row => (
+                      <div key={row.key} className="flex items-start gap-3 px-4 py-2 text-sm">
+                        <StatusBadge status={row.status} />
+                        <div className="min-w-0">
+                          <button onClick={() => setSelectedControl(row.control)} className="text-left text-blue-300 hover:text-blue-200">
+                            {row.control.title}
+                          </button>
+                          <p className="text-xs text-gray-400">{row.reason}</p>
+                          {renderActions(row)}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="bg-gray-800/50 border border-gray-700 rounded-xl divide-y divide-gray-800">
+              {filteredRows.slice(0, visibleCount).map(row => (
+                <div key={row.key} className="flex items-start gap-3 px-4 py-3 text-sm">
+                  <StatusBadge status={row.status} />
+                  <div className="min-w-0 flex-1">
+                    <p className="font-mono text-xs text-white break-all">{row.resource || NONE}</p>
+                    <p className="text-gray-300">{row.reason}</p>
+                    <button onClick={() => setSelectedControl(row.control)} className="text-left text-xs text-blue-300 hover:text-blue-200">
+                      {row.control.title}
+                    </button>
+                    {renderDimensions(row.dimensions)}
+                    {renderActions(row)}
+                  </div>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{row.severity === NONE ? '' : row.severity}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {visibleItems > visibleCount && (
+            <button
+              onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+              className="w-full mt-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-sm text-gray-300 transition-colors"
+            >
+              Show more ({visibleItems - visibleCount} remaining)
+            </button>
+          )}
+        </main>
+      </div>
+
+      {/* Control Definition */}
+      {selectedControl && (
+        <div className="fixed inset-y-0 right-0 w-full max-w-md bg-gray-900 border-l border-gray-700 shadow-2xl z-20 flex flex-col">
+          <div className="flex items-start justify-between gap-3 p-5 border-b border-gray-700">
+            <div>
+              <h2 className="text-lg font-semibold text-white">{selectedControl.title}</h2>
+              <p className="text-xs font-mono text-gray-500 mt-1 break-all">{selectedControl.id}</p>
+            </div>
+            <button onClick={() => setSelectedControl(null)} className="p-1 hover:bg-gray-800 rounded-lg">
+              <X className="w-5 h-5 text-gray-400" />
+            </button>
+          </div>
+          <div className="flex-1 overflow-y-auto p-5 space-y-4 text-sm">
+            {selectedControl.description && <p className="text-gray-300">{selectedControl.description}</p>}
+            <div className="flex flex-wrap gap-2">
+              {(['alarm', 'ok', 'info', 'skip', 'error', 'excepted'] as const).map(status => (
+                <span key={status} className={`px-2 py-0.5 text-xs rounded-full ${statusColors[status]}`}>
+                  {status.toUpperCase()}: {selectedControl.summary[status] ?? 0}
+                </span>
+              ))}
+            </div>
+            {selectedControl.severity && <p className="text-gray-400">Severity: <span className="text-white">{selectedControl.severity}</span></p>}
+            {selectedControl.runError && <p className="text-yellow-400">Run error: {selectedControl.runError}</p>}
+            {Object.keys(selectedControl.tags).length > 0 && (
+              <div>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Tags</h3>
+                {renderDimensions(selectedControl.tags)}
+              </div>
+            )}
+            {alarmResources(selectedControl).length > 0 && (
+              <button
+                onClick={() => setRemediationTarget({ control: selectedControl, resources: alarmResources(selectedControl) })}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-blue-300 transition-colors"
+              >
+                <Wrench className="w-4 h-4" />
+                Remediate {alarmResources(selectedControl).length} alarming resources
+              </button>
+            )}
+            {controlUrl && (
+              <button
+                onClick={() => window.electron.openExternal(controlUrl)}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-blue-300 transition-colors"
+              >
+                <ExternalLink className="w-4 h-4" />
+                View control definition on Powerpipe Hub
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {exceptionRow && subprocessId && exceptionRow.resource && (
+        <FindingExceptionModal
+          subprocessId={subprocessId}
+          controlId={exceptionRow.control.id}
+          controlTitle={exceptionRow.control.title}
+          resource={exceptionRow.resource}
+          createdBy={userEmail}
+          onClose={() => setExceptionRow(null)}
+          onSaved={() => {
+            setRecordedKeys(prev => new Set(prev).add(exceptionRow.key));
+            setExceptionRow(null);
+          }}
+        />
+      )}
+
+      {remediationTarget && (
+        <RemediationModal
+          modRepo={modRepo}
+          control={remediationTarget.control}
+          resources={remediationTarget.resources}
+          subprocessId={subprocessId}
+          createdBy={userEmail}
+          onClose={() => setRemediationTarget(null)}
+          onAttached={(plan) => {
+            setPlans(prev => [plan, ...prev]);
+            setRemediationTarget(null);
+          }}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,655 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ArrowLeft,
+  Play,
+  Loader2,
+  Search,
+  Table2,
+  ChevronRight,
+  ChevronDown,
+  Download,
+  Save,
+  History,
+  Bookmark,
+  Trash2,
+  Upload,
+  X,
+} from 'lucide-react';
+import type { SavedQuery, SqlHistoryEntry, SqlQueryResult, SqlTableColumn } from '../types/steampipe';
+
+interface SqlConsoleProps {
+  subprocessId: string;
+  subprocessName: string;
+  subscriptionId?: string;
+  userId: string;
+  onBack: () => void;
+}
+
+// Rows rendered in the grid at a time - exports always include every returned row
+const PAGE_SIZE = 200;
+
+// Table name suggestions shown while typing
+const MAX_SUGGESTIONS = 8;
+
+const DEFAULT_SQL = 'select name, location, resource_group\nfrom azure_storage_account\nlimit 10';
+
+function formatCell(value: unknown) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function toCsv(result: SqlQueryResult) {
+  const escape = (value: unknown) => {
+    const text = formatCell(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    result.columns.map(escape).join(','),
+    ...result.rows.map(row => result.columns.map(column => escape(row[column])).join(',')),
+  ].join('\n');
+}
+
+function download(content: string, type: string, fileName: string) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * The identifier being typed just before the caret, e.g. "azure_stor"
+ */
+function getWordAtCaret(sql: string, caret: number) {
+  const match = sql.slice(0, caret).match(/[a-z_][a-z0-9_]*$/i);
+  return match ? { word: match[0], start: caret - match[0].length } : null;
+}
+
+export default function SqlConsole({ subprocessId, subprocessName, subscriptionId, userId, onBack }: SqlConsoleProps) {
+  const [sql, setSql] = useState(DEFAULT_SQL);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState<SqlQueryResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  // Schema browser
+  const [tables, setTables] = useState<string[]>([]);
+  const [tablesError, setTablesError] = useState<string | null>(null);
+  const [loadingTables, setLoadingTables] = useState(true);
+  const [tableFilter, setTableFilter] = useState('');
+  const [expandedTable, setExpandedTable] = useState<string | null>(null);
+  const [columns, setColumns] = useState<Record<string, SqlTableColumn[]>>({});
+
+  // Autocomplete
+  const editorRef = useRef<HTMLTextAreaElement>(null);
+  const [suggestions, setSuggestions] = useState<string[]>([]);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+
+  // History and saved queries
+  const [sideTab, setSideTab] = useState<'history' | 'saved'>('history');
+  const [history, setHistory] = useState<SqlHistoryEntry[]>([]);
+  const [savedQueries, setSavedQueries] = useState<SavedQuery[]>([]);
+  const [editingQuery, setEditingQuery] = useState<{ id?: string; name: string; controlId: string; controlTitle: string } | null>(null);
+  const [controls, setControls] = useState<{ id: string; title: string }[]>([]);
+  const [uploadingId, setUploadingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    window.electron.subprocess.getAzureTables().then(result => {
+      if (result.success) {
+        setTables(result.tables || []);
+      } else {
+        setTablesError(result.error || 'Failed to load tables');
+      }
+      setLoadingTables(false);
+    });
+    window.electron.sqlConsole.listHistory(subprocessId).then(result => {
+      if (result.success) setHistory(result.history);
+    });
+    window.electron.sqlConsole.listSaved(subprocessId).then(result => {
+      if (result.success) setSavedQueries(result.queries);
+    });
+  }, [subprocessId]);
+
+  // Controls a saved query can be attached to as evidence
+  useEffect(() => {
+    window.electron.db.getControls({ userId }).then(result => {
+      if (!result.success) return;
+      setControls((result.controls || [])
+        .map(control => ({
+          id: control.control_id || control.control_data?.id || '',
+          title: control.control_data?.control || control.control_data?.title || '',
+        }))
+        .filter(control => control.id));
+    });
+  }, [userId]);
+
+  const filteredTables = useMemo(() => {
+    const query = tableFilter.trim().toLowerCase();
+    return query ? tables.filter(table => table.includes(query)) : tables;
+  }, [tables, tableFilter]);
+
+  const runQuery = async (text = sql) => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await window.electron.sqlConsole.run({ subprocessId, subscriptionId, sql: text });
+      if (response.success) {
+        setResult({
+          columns: response.columns || [],
+          rows: response.rows || [],
+          rowCount: response.rowCount ?? 0,
+          truncated: Boolean(response.truncated),
+          durationMs: response.durationMs ?? 0,
+        });
+        setVisibleCount(PAGE_SIZE);
+      } else {
+        setResult(null);
+        setError(response.error || 'Query failed');
+      }
+      const historyResult = await window.electron.sqlConsole.listHistory(subprocessId);
+      if (historyResult.success) setHistory(historyResult.history);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const toggleTable = async (table: string) => {
+    if (expandedTable === table) {
+      setExpandedTable(null);
+      return;
+    }
+    setExpandedTable(table);
+    if (columns[table]) return;
+    const response = await window.electron.sqlConsole.getColumns(table);
+    if (response.success) {
+      setColumns(prev => ({ ...prev, [table]: response.columns }));
+    }
+  };
+
+  // Insert text at the caret, replacing `replaceFrom`..caret
+  const insertAtCaret = (text: string, replaceFrom?: number) => {
+    const editor = editorRef.current;
+    const caret = editor ? editor.selectionStart : sql.length;
+    const start = replaceFrom ?? caret;
+    const next = sql.slice(0, start) + text + sql.slice(caret);
+    setSql(next);
+    setSuggestions([]);
+    requestAnimationFrame(() => {
+      if (!editor) return;
+      editor.focus();
+      editor.selectionStart = editor.selectionEnd = start + text.length;
+    });
+  };
+
+  const updateSuggestions = (text: string, caret: number) => {
+    const current = getWordAtCaret(text, caret);
+    if (!current || current.word.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    const word = current.word.toLowerCase();
+    const matches = tables
+      .filter(table => table !== word && (table.startsWith(word) || table.startsWith(`azure_${word}`)))
+      .slice(0, MAX_SUGGESTIONS);
+    setSuggestions(matches);
+    setActiveSuggestion(0);
+  };
+
+  const acceptSuggestion = (table: string) => {
+    const editor = editorRef.current;
+    const current = editor ? getWordAtCaret(sql, editor.selectionStart) : null;
+    insertAtCaret(table, current?.start);
+  };
+
+  const handleEditorKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if ((e.metaKey || e.ctrlKey) && e.key === 'Enter') {
+      e.preventDefault();
+      if (!running) runQuery();
+      return;
+    }
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion(index => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      acceptSuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  const handleExport = (format: 'csv' | 'json') => {
+    if (!result) return;
+    const base = `${subprocessName.replace(/\s+/g, '-')}-query-${Date.now()}`;
+    if (format === 'csv') {
+      download(toCsv(result), 'text/csv', `${base}.csv`);
+    } else {
+      download(JSON.stringify(result.rows, null, 2), 'application/json', `${base}.json`);
+    }
+  };
+
+  const handleSaveQuery = async () => {
+    if (!editingQuery) return;
+    const existing = savedQueries.find(query => query.id === editingQuery.id);
+    const response = await window.electron.sqlConsole.saveQuery({
+      id: editingQuery.id,
+      subprocessId,
+      name: editingQuery.name,
+      // Attaching an existing query to a control keeps its SQL
+      sql: existing ? existing.sql : sql,
+      controlId: editingQuery.controlId,
+      controlTitle: editingQuery.controlTitle,
+    });
+    if (!response.success || !response.query) {
+      alert(`Failed to save query: ${response.error || 'Unknown error'}`);
+      return;
+    }
+    const saved = response.query;
+    setSavedQueries(prev => [saved, ...prev.filter(query => query.id !== saved.id)].sort((a, b) => a.name.localeCompare(b.name)));
+    setEditingQuery(null);
+    setSideTab('saved');
+  };
+
+  const handleDeleteSaved = async (query: SavedQuery) => {
+    if (!confirm(`Delete the saved query "${query.name}"?`)) return;
+    const response = await window.electron.sqlConsole.deleteSaved(query.id);
+    if (!response.success) {
+      alert(`Failed to delete query: ${response.error || 'Unknown error'}`);
+      return;
+    }
+    setSavedQueries(prev => prev.filter(q => q.id !== query.id));
+  };
+
+  const handleUploadEvidence = async (query: SavedQuery) => {
+    setUploadingId(query.id);
+    try {
+      const response = await window.electron.sqlConsole.uploadEvidence({
+        id: query.id,
+        userId,
+        subprocessId,
+        subprocessName,
+        subscriptionId,
+      });
+      if (!response.success) {
+        alert(`Failed to upload evidence: ${response.error || 'Unknown error'}`);
+        return;
+      }
+      if (response.query) {
+        const updated = response.query;
+        setSavedQueries(prev => prev.map(q => (q.id === updated.id ? updated : q)));
+      }
+    } finally {
+      setUploadingId(null);
+    }
+  };
+
+  const handleClearHistory = async () => {
+    if (!confirm('Clear the query history of this subprocess?')) return;
+    const response = await window.electron.sqlConsole.clearHistory(subprocessId);
+    if (response.success) setHistory([]);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 text-white">
+      {/* Header */}
+      <div className="border-b border-gray-800 bg-gray-900/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center gap-4">
+          <button
+            onClick={onBack}
+            className="p-2 hover:bg-gray-800 rounded-lg transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-xl font-bold">SQL Console</h1>
+            <p className="text-sm text-gray-400">{subprocessName} · Steampipe</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-6 flex gap-6">
+        {/* Schema Browser */}
+        <aside className="w-64 flex-shrink-0">
+          <div className="relative mb-3">
+            <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              value={tableFilter}
+              onChange={(e) => setTableFilter(e.target.value)}
+              placeholder="Filter tables..."
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder-gray-500"
+            />
+          </div>
+          {loadingTables ? (
+            <div className="flex items-center gap-2 text-sm text-gray-400">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading tables...
+            </div>
+          ) : tablesError ? (
+            <p className="text-sm text-red-400">{tablesError}</p>
+          ) : (
+            <div className="max-h-[calc(100vh-12rem)] overflow-y-auto space-y-0.5 text-sm">
+              {filteredTables.map(table => (
+                <div key={table}>
+                  <div className="flex items-center gap-1 group">
+                    <button onClick={() => toggleTable(table)} className="flex items-center gap-1 flex-1 min-w-0 px-1 py-1 rounded hover:bg-gray-800 text-left">
+                      {expandedTable === table ? <ChevronDown className="w-3 h-3 flex-shrink-0" /> : <ChevronRight className="w-3 h-3 flex-shrink-0" />}
+                      <Table2 className="w-3 h-3 text-blue-400 flex-shrink-0" />
+                      <span className="truncate text-gray-300">{table}</span>
+                    </button>
+                    <button
+                      onClick={() => insertAtCaret(table)}
+                      className="hidden group-hover:block px-1 text-xs text-blue-300 hover:text-blue-200"
+                      title="Insert into query"
+                    >
+                      +
+                    </button>
+                  </div>
+                  {expandedTable === table && (
+                    <div className="ml-6 py-1 space-y-0.5">
+                      {!columns[table] ? (
+                        <Loader2 className="w-3 h-3 animate-spin text-gray-500" />
+                      ) : (
+                        columns[table].map(column => (
+                          <button
+                            key={column.name}
+                            onClick={() => insertAtCaret(column.name)}
+                            title={column.description || undefined}
+                            className="flex items-center justify-between gap-2 w-full px-1 rounded text-xs hover:bg-gray-800"
+                          >
+                            <span className="truncate text-gray-300">{column.name}</span>
+                            <span className="text-gray-500 whitespace-nowrap">{column.type}</span>
+                          </button>
+                        ))
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </aside>
+
+        {/* Editor and Results */}
+        <main className="flex-1 min-w-0">
+          <div className="relative">
+            <textarea
+              ref={editorRef}
+              value={sql}
+              onChange={(e) => {
+                setSql(e.target.value);
+                updateSuggestions(e.target.value, e.target.selectionStart);
+              }}
+              onKeyDown={handleEditorKeyDown}
+              onBlur={() => setSuggestions([])}
+              rows={8}
+              spellCheck={false}
+              className="w-full bg-gray-950 border border-gray-700 rounded-lg px-4 py-3 font-mono text-sm text-gray-100"
+            />
+            {suggestions.length > 0 && (
+              <div className="absolute left-4 bottom-2 translate-y-full z-10 w-80 bg-gray-800 border border-gray-700 rounded-lg shadow-xl py-1">
+                {suggestions.map((table, index) => (
+                  <button
+                    key={table}
+                    // mousedown fires before the editor blurs and hides the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      acceptSuggestion(table);
+                    }}
+                    className={`block w-full px-3 py-1 text-left font-mono text-xs ${index === activeSuggestion ? 'bg-blue-600/30 text-white' : 'text-gray-300'}`}
+                  >
+                    {table}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between gap-3 mt-3 mb-4">
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => runQuery()}
+                disabled={running || !sql.trim()}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+              >
+                {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                Run
+              </button>
+              <span className="text-xs text-gray-500">Ctrl+Enter</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setEditingQuery({ name: '', controlId: '', controlTitle: '' })}
+                disabled={!sql.trim()}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-60 text-sm text-white transition-colors"
+              >
+                <Save className="w-4 h-4" />
+                Save Query
+              </button>
+              <button
+                onClick={() => handleExport('csv')}
+                disabled={!result}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-60 text-sm text-white transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                CSV
+              </button>
+              <button
+                onClick={() => handleExport('json')}
+                disabled={!result}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-60 text-sm text-white transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                JSON
+              </button>
+            </div>
+          </div>
+
+          {error && <pre className="p-4 mb-4 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-300 whitespace-pre-wrap">{error}</pre>}
+
+          {result && (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                {result.rowCount} row{result.rowCount === 1 ? '' : 's'} in {(result.durationMs / 1000).toFixed(1)}s
+                {result.truncated && ` · showing the first ${result.rows.length} - exports include these rows only`}
+              </p>
+              {result.columns.length > 0 && (
+                <div className="overflow-auto max-h-[60vh] border border-gray-700 rounded-lg">
+                  <table className="w-full text-xs">
+                    <thead className="bg-gray-800 sticky top-0">
+                      <tr>
+                        {result.columns.map(column => (
+                          <th key={column} className="px-3 py-2 text-left font-semibold text-gray-300 whitespace-nowrap">{column}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-800">
+                      {result.rows.slice(0, visibleCount).map((row, index) => (
+                        <tr key={index} className="hover:bg-gray-800/50">
+                          {result.columns.map(column => (
+                            <td key={column} className="px-3 py-1.5 text-gray-300 font-mono max-w-md truncate" title={formatCell(row[column])}>
+                              {formatCell(row[column])}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {result.rows.length > visibleCount && (
+                <button
+                  onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+                  className="w-full mt-3 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-sm text-gray-300 transition-colors"
+                >
+                  Show more ({result.rows.length - visibleCount} remaining)
+                </button>
+              )}
+            </>
+          )}
+        </main>
+
+        {/* History and Saved Queries */}
+        <aside className="w-72 flex-shrink-0">
+          <div className="flex items-center gap-1 p-1 bg-gray-800 rounded-lg text-sm mb-3">
+            <button
+              onClick={() => setSideTab('history')}
+              className={`flex-1 flex items-center justify-center gap-1 px-3 py-1.5 rounded-md ${sideTab === 'history' ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+            >
+              <History className="w-4 h-4" />
+              History
+            </button>
+            <button
+              onClick={() => setSideTab('saved')}
+              className={`flex-1 flex items-center justify-center gap-1 px-3 py-1.5 rounded-md ${sideTab === 'saved' ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+            >
+              <Bookmark className="w-4 h-4" />
+              Saved
+            </button>
+          </div>
+
+          {sideTab === 'history' ? (
+            <div className="space-y-2 max-h-[calc(100vh-12rem)] overflow-y-auto">
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No queries run yet</p>
+              ) : (
+                <>
+                  <button onClick={handleClearHistory} className="text-xs text-blue-400 hover:text-blue-300">
+                    Clear history
+                  </button>
+                  {history.map(entry => (
+                    <button
+                      key={entry.id}
+                      onClick={() => setSql(entry.sql)}
+                      className="block w-full text-left p-2 rounded-lg bg-gray-800/50 border border-gray-700 hover:border-gray-600"
+                    >
+                      <pre className="text-xs font-mono text-gray-300 whitespace-pre-wrap line-clamp-3">{entry.sql}</pre>
+                      <p className={`text-[10px] mt-1 ${entry.error ? 'text-red-400' : 'text-gray-500'}`}>
+                        {new Date(entry.ranAt).toLocaleString()} · {entry.error ? 'failed' : `${entry.rowCount} rows`}
+                      </p>
+                    </button>
+                  ))}
+                </>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-2 max-h-[calc(100vh-12rem)] overflow-y-auto">
+              {savedQueries.length === 0 ? (
+                <p className="text-sm text-gray-500">No saved queries</p>
+              ) : (
+                savedQueries.map(query => (
+                  <div key={query.id} className="p-2 rounded-lg bg-gray-800/50 border border-gray-700">
+                    <div className="flex items-start justify-between gap-2">
+                      <button onClick={() => setSql(query.sql)} className="text-left text-sm text-white hover:text-blue-300">
+                        {query.name}
+                      </button>
+                      <button onClick={() => handleDeleteSaved(query)} className="p-1 text-gray-500 hover:text-red-400">
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </div>
+                    {query.controlId ? (
+                      <p className="text-xs text-purple-300 mt-1">
+                        Evidence for {query.controlId}{query.controlTitle && ` - ${query.controlTitle}`}
+                      </p>
+                    ) : (
+                      <button
+                        onClick={() => setEditingQuery({ id: query.id, name: query.name, controlId: '', controlTitle: '' })}
+                        className="text-xs text-gray-400 hover:text-purple-300 mt-1"
+                      >
+                        Attach to a control
+                      </button>
+                    )}
+                    {query.controlId && (
+                      <div className="flex items-center justify-between gap-2 mt-2">
+                        <span className="text-[10px] text-gray-500">
+                          {query.evidence.length > 0
+                            ? `Uploaded ${new Date(query.evidence[0].uploadedAt).toLocaleDateString()} (${query.evidence[0].rowCount} rows)`
+                            : 'Not uploaded yet'}
+                        </span>
+                        <button
+                          onClick={() => handleUploadEvidence(query)}
+                          disabled={uploadingId === query.id}
+                          className="flex items-center gap-1 px-2 py-1 rounded bg-purple-600/20 hover:bg-purple-600/30 text-xs text-purple-300 disabled:opacity-60"
+                        >
+                          {uploadingId === query.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <Upload className="w-3 h-3" />}
+                          Upload Evidence
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </aside>
+      </div>
+
+      {/* Save Query */}
+      {editingQuery && (
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-900 border border-gray-800 rounded-2xl w-full max-w-lg">
+            <div className="flex items-start justify-between gap-3 p-6 border-b border-gray-800">
+              <h2 className="text-xl font-bold text-white">{editingQuery.id ? 'Attach to Control' : 'Save Query'}</h2>
+              <button onClick={() => setEditingQuery(null)} className="p-2 hover:bg-gray-800 rounded-lg transition-colors">
+                <X className="w-5 h-5 text-gray-400" />
+              </button>
+            </div>
+            <div className="p-6 space-y-4 text-sm">
+              <label className="flex flex-col gap-1 text-gray-400">
+                Name
+                <input
+                  value={editingQuery.name}
+                  onChange={(e) => setEditingQuery({ ...editingQuery, name: e.target.value })}
+                  placeholder="e.g. Storage accounts without secure transfer"
+                  className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-gray-400">
+                Control (optional)
+                <input
+                  value={editingQuery.controlId}
+                  list="sql-console-controls"
+                  onChange={(e) => {
+                    const control = controls.find(c => c.id === e.target.value);
+                    setEditingQuery({ ...editingQuery, controlId: e.target.value, controlTitle: control?.title || editingQuery.controlTitle });
+                  }}
+                  placeholder="Control the query is evidence for"
+                  className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500"
+                />
+                <datalist id="sql-console-controls">
+                  {controls.map(control => (
+                    <option key={control.id} value={control.id}>{control.title}</option>
+                  ))}
+                </datalist>
+              </label>
+              <p className="text-xs text-gray-500">
+                A query attached to a control can be uploaded to the dataroom as evidence. It is run again at upload time.
+              </p>
+            </div>
+            <div className="flex justify-end gap-3 p-6 border-t border-gray-800">
+              <button
+                onClick={() => setEditingQuery(null)}
+                className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveQuery}
+                disabled={!editingQuery.name.trim()}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-60 text-white transition-all"
+              >
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,27 @@
 import { useState, useEffect } from 'react';
-import { ArrowLeft, CheckCircle2, Loader2, AlertCircle, Cloud } from 'lucide-react';
+import { ArrowLeft, CheckCircle2, Loader2, AlertCircle, Cloud, Terminal, Library, History } from 'lucide-react';
 import ModCard from '../components/ModCard';
 import BenchmarkSelectionModal from '../components/BenchmarkSelectionModal';
 import ReportViewerModal from '../components/ReportViewerModal';
+import BenchmarkJobsPanel from '../components/BenchmarkJobsPanel';
+import BenchmarkSchedulesPanel from '../components/BenchmarkSchedulesPanel';
+import RunSettingsPanel from '../components/RunSettingsPanel';
+import SavedReportsPanel from '../components/SavedReportsPanel';
+import FindingExceptionsPanel from '../components/FindingExceptionsPanel';
+import ControlPickerModal from '../components/ControlPickerModal';
+import CustomControlsModal from '../components/CustomControlsModal';
+import DashboardsModal from '../components/DashboardsModal';
+import InventorySnapshotsModal from '../components/InventorySnapshotsModal';
+import DashboardViewerModal from '../components/DashboardViewerModal';
+import QueryLibraryModal from '../components/QueryLibraryModal';
+import FindingsExplorer from './FindingsExplorer';
+import SqlConsole from './SqlConsole';
+import type { BenchmarkJob, BenchmarkRunProgress, BenchmarkSchedule } from '../types/runs';
+import type { BenchmarkFindings, BenchmarkRunRecord, FindingsExportFormat } from '../types/findings';
+import type { BenchmarkNode, ControlSet } from '../types/benchmarks';
+import type { ModVersionStatus } from '../types/mods';
+import type { DashboardModel, DashboardSnapshot } from '../types/dashboards';
+import type { SavedReportGroup } from '../components/SavedReportsPanel';
 
 interface SubprocessPageProps {
   subprocessId: string;
@@ -16,9 +35,11 @@ interface Subprocess {
   subprocess_type: string;
   connection_status: string;
   connection_config?: any;
-  results?: Record<string, Record<string, { fileId: string; analyzedAt: string; status: string }>>;
+  results?: Record<string, Record<string, BenchmarkRunRecord & { runs?: BenchmarkRunRecord[] }>>;
 }
 
+const CUSTOM_MOD_ID = 'custom-controls';
+
 // Azure Mods from https://hub.steampipe.io/plugins/turbot/azure/mods
 const AZURE_MODS = [
   {
@@ -46,9 +67,9 @@ const AZURE_MODS = [
     repo: 'github.com/turbot/steampipe-mod-azure-insights',
     icon: 'bar-chart',
     color: 'purple',
-    benchmarks: [
-      { id: 'insights_dashboard', name: 'Azure Insights Dashboard', description: 'Comprehensive overview of Azure resources', controlCount: 72 }
-    ],
+    // Insights has no benchmarks - its dashboards run as snapshots
+    dashboards: true,
+    benchmarks: [],
   },
   {
     id: 'azure-perimeter',
@@ -82,11 +103,59 @@ const AZURE_MODS = [
     benchmarks: [
       { id: 'cost_optimization', name: 'Cost Optimization', description: 'Identify unused and under-utilized resources', controlCount: 67 }
     ],
+  },
+  {
+    // Controls and benchmarks authored in the app, living in the local Powerpipe workspace mod
+    id: CUSTOM_MOD_ID,
+    name: 'Custom Controls',
+    description: 'Organisation-specific controls and benchmarks written by your team',
+    repo: 'workspace',
+    icon: 'file-code',
+    color: 'indigo',
+    benchmarks: [] as { id: string; name: string; description: string; controlCount: number }[],
   }
 ];
 
 type PluginStatus = 'checking' | 'installing' | 'ready' | 'error';
 
+interface BenchmarkTreeState {
+  loading: boolean;
+  error: string | null;
+  modVersion: string | null;
+  benchmarks: BenchmarkNode[];
+}
+
+// Built-in benchmarks as tree nodes - used until discovery finishes or when it fails
+function toStaticBenchmarkNodes(mod: typeof AZURE_MODS[number]): BenchmarkNode[] {
+  const shortModName = mod.repo.split('/').pop()!.replace('steampipe-mod-', '').replace(/-/g, '_');
+  return mod.benchmarks.map(benchmark => ({
+    id: benchmark.id,
+    qualifiedName: `${shortModName}.benchmark.${benchmark.id}`,
+    title: benchmark.name,
+    description: benchmark.description,
+    tags: {},
+    controlCount: benchmark.controlCount,
+    children: [],
+  }));
+}
+
+function flattenBenchmarkNodes(nodes: BenchmarkNode[]): BenchmarkNode[] {
+  return nodes.flatMap(node => [node, ...flattenBenchmarkNodes(node.children)]);
+}
+
+// A run of selected controls rather than the whole benchmark
+interface PartialRun {
+  controlSetId: string | null;
+  controlSetName: string | null;
+  controlCount: number;
+}
+
+// Partial runs are saved under their own results key so run history and diffs
+// only ever compare a control set with itself, never with the full benchmark
+function getPartialResultsKey(benchmarkId: string, controlSetId: string | null) {
+  return `${benchmarkId}~${controlSetId || 'adhoc'}`;
+}
+
 export default function SubprocessPage({
   subprocessId,
   onBack,
@@ -99,11 +168,37 @@ export default function SubprocessPage({
   // Benchmark selection modal state
   const [selectedModId, setSelectedModId] = useState<string | null>(null);
   const [showBenchmarkModal, setShowBenchmarkModal] = useState(false);
+  // Benchmarks discovered from each installed mod, keyed by mod ID
+  const [benchmarkTrees, setBenchmarkTrees] = useState<Record<string, BenchmarkTreeState>>({});
   
   // Analysis state
   const [analyzingBenchmarks, setAnalyzingBenchmarks] = useState<Set<string>>(new Set());
+  // Run ID per analysis key (modId:benchmarkId) and latest progress event per run ID
+  const [runIds, setRunIds] = useState<Record<string, string>>({});
+  const [runProgress, setRunProgress] = useState<Record<string, BenchmarkRunProgress>>({});
+
+  // Benchmark job queue state
+  const [jobs, setJobs] = useState<BenchmarkJob[]>([]);
+  const [jobConcurrency, setJobConcurrency] = useState(2);
+
+  // Scheduled runs for this subprocess
+  const [schedules, setSchedules] = useState<BenchmarkSchedule[]>([]);
   const [currentReport, setCurrentReport] = useState<any | null>(null);
   const [showReportModal, setShowReportModal] = useState(false);
+  // Findings of the most recent run opened in the viewer, used as a compare target before it is saved
+  const [currentRun, setCurrentRun] = useState<{ modId: string; benchmarkId: string; findings: BenchmarkFindings } | null>(null);
+  const [controlPicker, setControlPicker] = useState<{ modId: string; benchmark: BenchmarkNode } | null>(null);
+  const [modVersions, setModVersions] = useState<Record<string, ModVersionStatus>>({});
+  const [updatingMods, setUpdatingMods] = useState<Set<string>>(new Set());
+  const [showCustomControls, setShowCustomControls] = useState(false);
+  // Dashboard mod whose dashboards are listed, and the snapshot open in the viewer
+  const [dashboardModId, setDashboardModId] = useState<string | null>(null);
+  const [openSnapshot, setOpenSnapshot] = useState<{ snapshot: DashboardSnapshot; dashboard: DashboardModel } | null>(null);
+  // Benchmark findings open in the findings explorer
+  const [explorer, setExplorer] = useState<{ modId: string; benchmarkName: string; findings: BenchmarkFindings } | null>(null);
+  const [showSqlConsole, setShowSqlConsole] = useState(false);
+  const [showQueryLibrary, setShowQueryLibrary] = useState(false);
+  const [showInventory, setShowInventory] = useState(false);
 
   useEffect(() => {
     loadSubprocess();
@@ -120,6 +215,58 @@ export default function SubprocessPage({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [subprocess]);
 
+  // Installed mod versions and available updates
+  useEffect(() => {
+    loadModVersions(true);
+  }, []);
+
+  // Track live progress for the runs started from this page
+  useEffect(() => {
+    const unsubscribe = window.electron.powerpipe.onRunProgress((progress) => {
+      setRunProgress(prev => ({ ...prev, [progress.runId]: progress }));
+    });
+    return unsubscribe;
+  }, []);
+
+  // Load this subprocess's jobs and keep them in sync with the main process queue
+  useEffect(() => {
+    window.electron.jobs.list({ subprocessId }).then(result => {
+      if (result.success) setJobs(result.jobs);
+    });
+    window.electron.jobs.getConcurrency().then(result => {
+      if (result.success) setJobConcurrency(result.concurrency);
+    });
+
+    const unsubscribe = window.electron.jobs.onJobUpdate((job) => {
+      if (job.subprocessId !== subprocessId) return;
+      setJobs(prev => {
+        const others = prev.filter(j => j.id !== job.id);
+        return [job, ...others].sort((a, b) => new Date(b.queuedAt).getTime() - new Date(a.queuedAt).getTime());
+      });
+    });
+    return unsubscribe;
+  }, [subprocessId]);
+
+  // Load this subprocess's schedules and keep them in sync with the main process scheduler
+  useEffect(() => {
+    window.electron.schedules.list({ subprocessId }).then(result => {
+      if (result.success) setSchedules(result.schedules);
+    });
+
+    const unsubscribe = window.electron.schedules.onScheduleUpdate((update) => {
+      if ('deleted' in update) {
+        setSchedules(prev => prev.filter(s => s.id !== update.id));
+        return;
+      }
+      if (update.subprocessId !== subprocessId) return;
+      setSchedules(prev => {
+        const exists = prev.some(s => s.id === update.id);
+        return exists ? prev.map(s => (s.id === update.id ? update : s)) : [...prev, update];
+      });
+    });
+    return unsubscribe;
+  }, [subprocessId]);
+
   const loadSubprocess = async () => {
     try {
       const result = await window.electron.subprocess.getById(subprocessId);
@@ -143,35 +290,139 @@ export default function SubprocessPage({
 
   // Removed - Plugin is installed at app startup, no need to check/install again
 
-  const handleCheckBenchmarks = (modId: string) => {
+  const loadModVersions = async (checkLatest = false) => {
+    const result = await window.electron.modVersions.list({ checkLatest });
+    if (result.success) {
+      setModVersions(Object.fromEntries(result.mods.map(status => [status.modId, status])));
+    } else {
+      console.warn('[SubprocessPage] Failed to load mod versions:', result.error);
+    }
+  };
+
+  // Upgrade or roll back a mod, then rediscover its benchmarks for the new version
+  const changeModVersion = async (modId: string, change: () => ReturnType<typeof window.electron.modVersions.rollback>) => {
+    setUpdatingMods(prev => new Set(prev).add(modId));
+    try {
+      const result = await change();
+      if (!result.success) {
+        alert(`Failed to change mod version: ${result.error || 'Unknown error'}`);
+        return;
+      }
+
+      if (result.status) {
+        setModVersions(prev => ({ ...prev, [modId]: result.status! }));
+      }
+      setBenchmarkTrees(prev => {
+        const { [modId]: _stale, ...rest } = prev;
+        return rest;
+      });
+    } finally {
+      setUpdatingMods(prev => {
+        const next = new Set(prev);
+        next.delete(modId);
+        return next;
+      });
+    }
+  };
+
+  const handleUpgradeMod = (modId: string) => {
+    const status = modVersions[modId];
+    if (!status?.latestVersion) return;
+    const modName = AZURE_MODS.find(m => m.id === modId)?.name || modId;
+    if (!confirm(`Update ${modName} from ${status.installedVersion} to ${status.latestVersion}? Reports will record the new version.`)) return;
+
+    changeModVersion(modId, () => window.electron.modVersions.upgrade(modId, status.latestVersion!));
+  };
+
+  const handleRollbackMod = (modId: string) => {
+    const status = modVersions[modId];
+    if (!status?.previousVersion) return;
+    const modName = AZURE_MODS.find(m => m.id === modId)?.name || modId;
+    if (!confirm(`Roll ${modName} back from ${status.installedVersion} to ${status.previousVersion}?`)) return;
+
+    changeModVersion(modId, () => window.electron.modVersions.rollback(modId));
+  };
+
+  const loadBenchmarkTree = async (modId: string, refresh = false) => {
     const mod = AZURE_MODS.find(m => m.id === modId);
     if (!mod) return;
 
-    // Use static benchmarks from AZURE_MODS - instant! No query needed
-    setSelectedModId(modId);
-    setShowBenchmarkModal(true);
-    // Benchmarks are already defined in AZURE_MODS, only query when starting analysis
+    setBenchmarkTrees(prev => ({
+      ...prev,
+      [modId]: {
+        benchmarks: prev[modId]?.benchmarks || [],
+        modVersion: prev[modId]?.modVersion || null,
+        loading: true,
+        error: null,
+      },
+    }));
+
+    // Discovery results are cached per mod version in the main process
+    const result = await window.electron.powerpipe.getBenchmarkTree(mod.repo, refresh);
+    const discovered = result.success && result.benchmarks.length > 0;
+    if (!discovered) {
+      console.warn(`[SubprocessPage] Benchmark discovery failed for ${modId}:`, result.error);
+    }
+    // The custom mod has no built-in list, and having no benchmarks yet is not an error
+    const isCustom = modId === CUSTOM_MOD_ID;
+
+    setBenchmarkTrees(prev => ({
+      ...prev,
+      [modId]: {
+        loading: false,
+        error: discovered || (isCustom && result.success) ? null : result.error || 'No benchmarks found in the installed mod',
+        modVersion: result.modVersion || null,
+        benchmarks: discovered ? result.benchmarks : [],
+      },
+    }));
   };
 
-  const handleStartAnalysis = async (modId: string, benchmarkId: string) => {
-    console.log('[SubprocessPage] ======= handleStartAnalysis CALLED =======');
-    console.log('[SubprocessPage] modId:', modId);
-    console.log('[SubprocessPage] benchmarkId:', benchmarkId);
-    
+  // Discovered benchmark tree for a mod, falling back to the built-in list
+  const getBenchmarkNodes = (modId: string): BenchmarkNode[] => {
+    const tree = benchmarkTrees[modId];
+    if (tree?.benchmarks.length) return tree.benchmarks;
     const mod = AZURE_MODS.find(m => m.id === modId);
-    const benchmark = mod?.benchmarks.find(b => b.id === benchmarkId);
-    
-    console.log('[SubprocessPage] Found mod:', mod?.name);
-    console.log('[SubprocessPage] Found benchmark:', benchmark?.name);
-    
-    if (!mod || !benchmark) {
-      console.error('[SubprocessPage] ERROR: Mod or benchmark not found!');
-      alert('Mod or benchmark not found');
+    return mod ? toStaticBenchmarkNodes(mod) : [];
+  };
+
+  const findBenchmark = (modId: string, benchmarkId: string | null) => {
+    if (!benchmarkId) return undefined;
+    const node = flattenBenchmarkNodes(getBenchmarkNodes(modId)).find(b => b.id === benchmarkId);
+    return node ? { id: node.id, name: node.title, controlCount: node.controlCount ?? undefined } : undefined;
+  };
+
+  const handleCheckBenchmarks = (modId: string) => {
+    const mod = AZURE_MODS.find(m => m.id === modId);
+    if (!mod) return;
+
+    if (mod.dashboards) {
+      setDashboardModId(modId);
       return;
     }
 
-    const analysisKey = `${modId}:${benchmarkId}`;
-    console.log(`[SubprocessPage] Analysis key: ${analysisKey}`);
+    setSelectedModId(modId);
+    setShowBenchmarkModal(true);
+    if (!benchmarkTrees[modId]) {
+      loadBenchmarkTree(modId);
+    }
+  };
+
+  // Run a benchmark job and show its report - shared by new runs and retries from the jobs panel
+  const trackAnalysis = async (
+    modId: string,
+    benchmarkId: string,
+    runId: string,
+    run: () => Promise<Awaited<ReturnType<typeof window.electron.powerpipe.runModCompliance>>>,
+    partial?: PartialRun
+  ) => {
+    const mod = AZURE_MODS.find(m => m.id === modId);
+    const benchmark = findBenchmark(modId, benchmarkId);
+    const resultsKey = partial ? getPartialResultsKey(benchmarkId, partial.controlSetId) : benchmarkId;
+    const benchmarkName = partial
+      ? `${benchmark?.name || benchmarkId} (${partial.controlSetName || `${partial.controlCount} selected controls`})`
+      : benchmark?.name || benchmarkId;
+    const analysisKey = `${modId}:${resultsKey}`;
+    console.log(`[SubprocessPage] Analysis key: ${analysisKey}, run: ${runId}`);
 
     // Mark as analyzing - THIS TRIGGERS LOADING STATE
     console.log('[SubprocessPage] Setting analyzing state...');
@@ -181,15 +432,10 @@ export default function SubprocessPage({
       console.log('[SubprocessPage] New analyzing set:', Array.from(newSet));
       return newSet;
     });
+    setRunIds(prev => ({ ...prev, [analysisKey]: runId }));
 
     try {
-      console.log(`[SubprocessPage] Calling window.electron.powerpipe.runModCompliance...`);
-
-      const result = await window.electron.powerpipe.runModCompliance({
-        modId: mod.id,
-        modRepo: mod.repo,
-        benchmarkId: benchmarkId,
-      });
+      const result = await run();
 
       console.log('[SubprocessPage] Got result:', result?.success, 'has markdown:', !!result?.markdownReport);
 
@@ -199,19 +445,21 @@ export default function SubprocessPage({
         
         // Close the benchmark modal first
         setShowBenchmarkModal(false);
+        setControlPicker(null);
         
         // Show report
         const reportData = {
           modId,
-          modName: mod.name,
-          benchmarkId,
-          benchmarkName: benchmark.name,
+          modName: mod?.name || modId,
+          benchmarkId: resultsKey,
+          benchmarkName,
           markdown: result.markdownReport,
-          jsonResults: result.jsonResults,
+          findings: result.findings,
         };
         
         console.log('[SubprocessPage] Setting report data and opening modal...');
         setCurrentReport(reportData);
+        setCurrentRun(result.findings ? { modId, benchmarkId: resultsKey, findings: result.findings } : null);
         
         // Force modal to show with a slight delay to ensure state updates
         setTimeout(() => {
@@ -221,6 +469,8 @@ export default function SubprocessPage({
         
         // Reload subprocess to get updated results
         await loadSubprocess();
+      } else if (result.cancelled) {
+        console.log('[SubprocessPage] Analysis cancelled by user');
       } else {
         console.error('[SubprocessPage] Analysis FAILED:', result.error);
         alert(`Analysis failed: ${result.error || 'Unknown error'}`);
@@ -237,22 +487,291 @@ export default function SubprocessPage({
         console.log('[SubprocessPage] Final analyzing set:', Array.from(newSet));
         return newSet;
       });
+      setRunIds(prev => {
+        const { [analysisKey]: _finished, ...rest } = prev;
+        return rest;
+      });
+      setRunProgress(prev => {
+        const { [runId]: _finished, ...rest } = prev;
+        return rest;
+      });
     }
   };
 
-  const handleViewReport = (fileId: number) => {
-    // TODO: Implement view saved report
-    console.log('View report:', fileId);
-    alert('View saved report feature coming soon!');
+  const handleStartAnalysis = async (modId: string, benchmarkId: string) => {
+    console.log('[SubprocessPage] ======= handleStartAnalysis CALLED =======');
+    console.log('[SubprocessPage] modId:', modId);
+    console.log('[SubprocessPage] benchmarkId:', benchmarkId);
+    
+    const mod = AZURE_MODS.find(m => m.id === modId);
+    const benchmark = findBenchmark(modId, benchmarkId);
+    
+    console.log('[SubprocessPage] Found mod:', mod?.name);
+    console.log('[SubprocessPage] Found benchmark:', benchmark?.name);
+    
+    if (!mod || !benchmark) {
+      console.error('[SubprocessPage] ERROR: Mod or benchmark not found!');
+      alert('Mod or benchmark not found');
+      return;
+    }
+
+    // The run ID doubles as the job ID in the main process queue
+    const runId = crypto.randomUUID();
+
+    await trackAnalysis(modId, benchmarkId, runId, () => {
+      console.log(`[SubprocessPage] Calling window.electron.powerpipe.runModCompliance...`);
+      return window.electron.powerpipe.runModCompliance({
+        modId: mod.id,
+        modRepo: mod.repo,
+        benchmarkId: benchmarkId,
+        subprocessId: subprocess?.id,
+        subscriptionId: subprocess?.connection_config?.subscriptionId,
+        runId,
+        totalControls: benchmark.controlCount,
+      });
+    });
+  };
+
+  const handleRunControls = async (modId: string, benchmarkId: string, controls: string[], controlSet: ControlSet | null) => {
+    const mod = AZURE_MODS.find(m => m.id === modId);
+    if (!mod || controls.length === 0) return;
+
+    const runId = crypto.randomUUID();
+    const partial = {
+      controlSetId: controlSet?.id || null,
+      controlSetName: controlSet?.name || null,
+      controlCount: controls.length,
+    };
+
+    console.log(`[SubprocessPage] Running ${controls.length} selected controls of ${benchmarkId}`);
+    await trackAnalysis(modId, benchmarkId, runId, () => window.electron.powerpipe.runModCompliance({
+      modId: mod.id,
+      modRepo: mod.repo,
+      benchmarkId,
+      subprocessId: subprocess?.id,
+      subscriptionId: subprocess?.connection_config?.subscriptionId,
+      runId,
+      totalControls: controls.length,
+      controls,
+      controlSetId: controlSet?.id,
+    }), partial);
+  };
+
+  const handleCancelAnalysis = async (modId: string, benchmarkId: string) => {
+    const runId = runIds[`${modId}:${benchmarkId}`];
+    if (!runId) return;
+
+    await handleCancelJob(runId);
+  };
+
+  const handleCancelJob = async (jobId: string) => {
+    console.log(`[SubprocessPage] Cancelling job ${jobId}`);
+    const result = await window.electron.jobs.cancel(jobId);
+    if (!result.success) {
+      console.warn('[SubprocessPage] Failed to cancel job:', result.error);
+    }
+  };
+
+  const handleRetryJob = async (jobId: string) => {
+    const job = jobs.find(j => j.id === jobId);
+    if (!job || !job.benchmarkId) return;
+
+    const partial = job.controls
+      ? { controlSetId: job.controlSetId || null, controlSetName: job.controlSetName || null, controlCount: job.controls.length }
+      : undefined;
+
+    console.log(`[SubprocessPage] Retrying job ${jobId}`);
+    const result = await window.electron.jobs.retry(jobId);
+    if (!result.success) {
+      alert(`Failed to retry job: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    await trackAnalysis(job.modId, job.benchmarkId, job.id, () => window.electron.jobs.wait(jobId), partial);
+  };
+
+  const handleConcurrencyChange = async (value: number) => {
+    const result = await window.electron.jobs.setConcurrency(value);
+    if (result.success && result.concurrency) {
+      setJobConcurrency(result.concurrency);
+    } else {
+      alert(`Failed to change concurrency: ${result.error || 'Unknown error'}`);
+    }
+  };
+
+  const handleCreateSchedule = async (data: { modId: string; benchmarkId: string; cron: string; autoUpload: boolean }) => {
+    const mod = AZURE_MODS.find(m => m.id === data.modId);
+    const benchmark = findBenchmark(data.modId, data.benchmarkId);
+    if (!mod || !benchmark || !subprocess?.id) return false;
+
+    const result = await window.electron.schedules.create({
+      subprocessId: subprocess.id,
+      subprocessName: subprocess.subprocess_name,
+      subscriptionId: subprocess.connection_config?.subscriptionId,
+      userId: user?.token || 'unknown',
+      modId: mod.id,
+      modRepo: mod.repo,
+      modName: mod.name,
+      benchmarkId: benchmark.id,
+      benchmarkName: benchmark.name,
+      totalControls: benchmark.controlCount,
+      cron: data.cron,
+      autoUpload: data.autoUpload,
+    });
+
+    if (!result.success) {
+      alert(`Failed to create schedule: ${result.error || 'Unknown error'}`);
+      return false;
+    }
+    return true;
+  };
+
+  const handleToggleSchedule = async (schedule: BenchmarkSchedule) => {
+    const result = await window.electron.schedules.update(schedule.id, { enabled: !schedule.enabled });
+    if (!result.success) {
+      alert(`Failed to update schedule: ${result.error || 'Unknown error'}`);
+    }
   };
 
-  const handleUploadToDataroom = async (report: any) => {
+  const handleDeleteSchedule = async (schedule: BenchmarkSchedule) => {
+    if (!confirm(`Delete the schedule for ${schedule.benchmarkName || schedule.benchmarkId}?`)) return;
+
+    const result = await window.electron.schedules.delete(schedule.id);
+    if (!result.success) {
+      alert(`Failed to delete schedule: ${result.error || 'Unknown error'}`);
+    }
+  };
+
+  const getJobLabel = (job: BenchmarkJob) => {
+    const mod = AZURE_MODS.find(m => m.id === job.modId);
+    const benchmark = findBenchmark(job.modId, job.benchmarkId);
+    const label = `${mod?.name || job.modId} - ${benchmark?.name || job.benchmarkId || 'Default benchmark'}`;
+    if (!job.controls) return label;
+    return `${label} (${job.controlSetName || `${job.controls.length} selected controls`})`;
+  };
+
+  // Saved runs of a benchmark, oldest first (records saved before run history existed have no runs list)
+  const getBenchmarkRuns = (modId: string, benchmarkId: string): BenchmarkRunRecord[] => {
+    const record = subprocess?.results?.[modId]?.[benchmarkId];
+    if (!record) return [];
+    return record.runs || [record];
+  };
+
+  const hasCurrentRun = (modId: string, benchmarkId: string) =>
+    currentRun?.modId === modId && currentRun?.benchmarkId === benchmarkId;
+
+  const handleCompareRuns = async (modId: string, benchmarkId: string, baseRunId: string, targetRunId: string | null) => {
+    if (!subprocess?.id) return;
+
+    const mod = AZURE_MODS.find(m => m.id === modId);
+    const benchmark = findBenchmark(modId, benchmarkId);
+    const benchmarkName = benchmark?.name || benchmarkId;
+    const currentFindings = hasCurrentRun(modId, benchmarkId) ? currentRun!.findings : null;
+
+    console.log(`[SubprocessPage] Comparing runs ${baseRunId} → ${targetRunId || 'current run'}`);
+    const result = await window.electron.powerpipe.diffRuns({
+      subprocessId: subprocess.id,
+      modId,
+      benchmarkId,
+      baseRunId,
+      targetRunId: targetRunId || undefined,
+      targetFindings: targetRunId ? undefined : currentFindings,
+      modName: mod?.name,
+      benchmarkName,
+    });
+
+    if (!result.success || !result.markdown) {
+      alert(`Failed to compare runs: ${result.error || 'Unknown error'}`);
+      return;
+    }
+
+    setShowBenchmarkModal(false);
+    setCurrentReport({
+      kind: 'diff',
+      modId,
+      modName: mod?.name || modId,
+      benchmarkId,
+      benchmarkName: `${benchmarkName} Drift`,
+      markdown: result.markdown,
+      diff: result.diff,
+    });
+    setShowReportModal(true);
+  };
+
+  // Every saved report of the subprocess, per mod and benchmark
+  const getSavedReportGroups = (): SavedReportGroup[] =>
+    Object.entries(subprocess?.results || {}).flatMap(([modId, benchmarks]) =>
+      Object.keys(benchmarks)
+        .map(benchmarkId => ({
+          modId,
+          modName: AZURE_MODS.find(m => m.id === modId)?.name || modId,
+          benchmarkId,
+          benchmarkName: findBenchmark(modId, benchmarkId)?.name || benchmarkId,
+          runs: getBenchmarkRuns(modId, benchmarkId).filter(run => run.fileId),
+        }))
+        .filter(group => group.runs.length > 0)
+    );
+
+  const handleOpenSavedReport = async (group: SavedReportGroup, run: BenchmarkRunRecord) => {
+    if (!subprocess?.id) return;
+
+    const result = await window.electron.dataroom.readReport({
+      subprocessId: subprocess.id,
+      modId: group.modId,
+      benchmarkId: group.benchmarkId,
+      fileId: run.fileId,
+    });
+    if (!result.success || result.markdown === undefined) {
+      alert(`Failed to open report: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    if (result.source === 'blob') {
+      console.log('[SubprocessPage] Local copy missing, report read from blob storage:', run.fileId);
+    }
+
+    setShowBenchmarkModal(false);
+    setCurrentReport({
+      modId: group.modId,
+      modName: group.modName,
+      benchmarkId: group.benchmarkId,
+      benchmarkName: group.benchmarkName,
+      markdown: result.markdown,
+      findings: result.findings,
+      savedRun: run,
+    });
+    setShowReportModal(true);
+  };
+
+  const handleViewReport = (fileId: string) => {
+    const group = getSavedReportGroups().find(g => g.runs.some(run => run.fileId === fileId));
+    const run = group?.runs.find(r => r.fileId === fileId);
+    if (!group || !run) {
+      alert('Saved report not found');
+      return;
+    }
+    handleOpenSavedReport(group, run);
+  };
+
+  // Opens the latest saved run of a benchmark in the findings explorer
+  const handleExploreFindings = async (modId: string, benchmarkId: string) => {
+    if (!subprocess?.id) return;
+    const result = await window.electron.powerpipe.getRunFindings({ subprocessId: subprocess.id, modId, benchmarkId });
+    if (!result.success || !result.findings) {
+      alert(`Failed to load findings: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    setShowBenchmarkModal(false);
+    setExplorer({ modId, benchmarkName: result.findings.benchmark.title, findings: result.findings });
+  };
+
+  const handleUploadToDataroom = async (report: any, exportFormats: FindingsExportFormat[] = []) => {
     try {
       console.log('[SubprocessPage] Uploading report to dataroom...');
 
       // Create file content
       const fileContent = report.markdown;
       const fileName = `${report.modName.replace(/\s+/g, '-')}-${report.benchmarkName.replace(/\s+/g, '-')}-${Date.now()}.md`;
+      // Drift and evidence query reports are uploaded as plain documents and are not recorded as benchmark runs
+      const isDocument = report.kind === 'diff' || report.kind === 'evidence';
 
       // Save to dataroom
       if (!subprocess?.id) {
@@ -265,8 +784,11 @@ export default function SubprocessPage({
         userId: user?.token || 'unknown',
         subprocessId: subprocess.id,
         subprocessName: subprocess?.subprocess_name,
-        modId: report.modId,
-        benchmarkId: report.benchmarkId,
+        modId: isDocument ? undefined : report.modId,
+        modName: report.modName,
+        benchmarkId: isDocument ? undefined : report.benchmarkId,
+        findings: isDocument ? undefined : report.findings,
+        exportFormats: isDocument ? [] : exportFormats,
       });
 
       if (saveResult.success) {
@@ -288,7 +810,60 @@ export default function SubprocessPage({
     }
   };
 
+  const handleOpenSnapshot = async (snapshotId: string) => {
+    const result = await window.electron.dashboards.getSnapshot(snapshotId);
+    if (!result.success || !result.snapshot || !result.dashboard) {
+      alert(`Failed to open snapshot: ${result.error || 'Unknown error'}`);
+      return;
+    }
+    setOpenSnapshot({ snapshot: result.snapshot, dashboard: result.dashboard });
+  };
+
+  // Dashboard snapshots are saved to the dataroom as inventory evidence
+  const handleUploadSnapshot = async (snapshot: DashboardSnapshot) => {
+    const result = await window.electron.dashboards.uploadSnapshot({
+      id: snapshot.id,
+      modName: AZURE_MODS.find(m => m.id === snapshot.modId)?.name,
+      userId: user?.token || 'unknown',
+      subprocessId: subprocess?.id,
+      subprocessName: subprocess?.subprocess_name,
+    });
+    if (!result.success) {
+      alert(`Failed to upload snapshot: ${result.error || 'Unknown error'}`);
+      return false;
+    }
+    return true;
+  };
+
   const selectedMod = selectedModId ? AZURE_MODS.find(m => m.id === selectedModId) : null;
+  const dashboardMod = dashboardModId ? AZURE_MODS.find(m => m.id === dashboardModId) : null;
+
+  if (explorer) {
+    const mod = AZURE_MODS.find(m => m.id === explorer.modId);
+    return (
+      <FindingsExplorer
+        modName={mod?.name || explorer.modId}
+        modRepo={mod?.repo || ''}
+        benchmarkName={explorer.benchmarkName}
+        findings={explorer.findings}
+        onBack={() => setExplorer(null)}
+        subprocessId={subprocess?.id}
+        userEmail={user?.email}
+      />
+    );
+  }
+
+  if (showSqlConsole && subprocess) {
+    return (
+      <SqlConsole
+        subprocessId={subprocess.id}
+        subprocessName={subprocess.subprocess_name}
+        subscriptionId={subprocess.connection_config?.subscriptionId}
+        userId={user?.token || 'unknown'}
+        onBack={() => setShowSqlConsole(false)}
+      />
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 text-white">
@@ -314,6 +889,30 @@ export default function SubprocessPage({
               </div>
             </div>
             <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowSqlConsole(true)}
+                disabled={pluginStatus !== 'ready'}
+                className="flex items-center gap-2 px-3 py-1 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 border border-gray-700 text-sm rounded-lg transition-colors"
+              >
+                <Terminal className="w-4 h-4" />
+                SQL Console
+              </button>
+              <button
+                onClick={() => setShowQueryLibrary(true)}
+                disabled={pluginStatus !== 'ready'}
+                className="flex items-center gap-2 px-3 py-1 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 border border-gray-700 text-sm rounded-lg transition-colors"
+              >
+                <Library className="w-4 h-4" />
+                Evidence Queries
+              </button>
+              <button
+                onClick={() => setShowInventory(true)}
+                disabled={pluginStatus !== 'ready' || !subprocess?.id}
+                className="flex items-center gap-2 px-3 py-1 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 border border-gray-700 text-sm rounded-lg transition-colors"
+              >
+                <History className="w-4 h-4" />
+                Inventory
+              </button>
               {pluginStatus === 'ready' && (
                 <span className="flex items-center gap-2 px-3 py-1 bg-green-500/20 text-green-400 text-sm rounded-full">
                   <CheckCircle2 className="w-4 h-4" />
@@ -383,9 +982,42 @@ export default function SubprocessPage({
                   key={mod.id}
                   mod={mod}
                   onCheckBenchmarks={handleCheckBenchmarks}
+                  actionLabel={mod.dashboards ? 'View Dashboards' : undefined}
+                  versionStatus={modVersions[mod.id]}
+                  updating={updatingMods.has(mod.id)}
+                  onUpgrade={handleUpgradeMod}
+                  onRollback={handleRollbackMod}
+                  onManage={mod.id === CUSTOM_MOD_ID ? () => setShowCustomControls(true) : undefined}
                 />
               ))}
             </div>
+
+            <BenchmarkJobsPanel
+              jobs={jobs}
+              concurrency={jobConcurrency}
+              getJobLabel={getJobLabel}
+              onRetry={handleRetryJob}
+              onCancel={handleCancelJob}
+              onConcurrencyChange={handleConcurrencyChange}
+            />
+
+            <BenchmarkSchedulesPanel
+              mods={AZURE_MODS.map(mod => ({
+                id: mod.id,
+                name: mod.name,
+                benchmarks: flattenBenchmarkNodes(getBenchmarkNodes(mod.id)).map(b => ({ id: b.id, name: b.title })),
+              }))}
+              schedules={schedules}
+              onCreate={handleCreateSchedule}
+              onToggle={handleToggleSchedule}
+              onDelete={handleDeleteSchedule}
+            />
+
+            <SavedReportsPanel groups={getSavedReportGroups()} onOpen={handleOpenSavedReport} />
+
+            {subprocess?.id && <FindingExceptionsPanel subprocessId={subprocess.id} />}
+
+            {subprocess?.id && <RunSettingsPanel subprocessId={subprocess.id} />}
           </>
         ) : null}
       </div>
@@ -395,6 +1027,7 @@ export default function SubprocessPage({
         // Compute analysis status fresh on every render
         const modResults = subprocess?.results?.[selectedMod.id] || {};
         const analysisStatus: Record<string, any> = {};
+        const isQueued = (key: string) => jobs.some(job => job.id === runIds[key] && job.status === 'queued');
         
         // Add saved results
         Object.keys(modResults).forEach(benchmarkId => {
@@ -404,6 +1037,9 @@ export default function SubprocessPage({
             analyzing: analyzingBenchmarks.has(`${selectedMod.id}:${benchmarkId}`),
             analyzedAt: result.analyzedAt,
             fileId: result.fileId,
+            runCount: getBenchmarkRuns(selectedMod.id, benchmarkId).length,
+            progress: runProgress[runIds[`${selectedMod.id}:${benchmarkId}`]],
+            queued: isQueued(`${selectedMod.id}:${benchmarkId}`),
           };
         });
         
@@ -416,6 +1052,8 @@ export default function SubprocessPage({
               analyzing: true,
               analyzedAt: undefined,
               fileId: undefined,
+              progress: runProgress[runIds[key]],
+              queued: isQueued(key),
             };
           }
         });
@@ -427,11 +1065,115 @@ export default function SubprocessPage({
           <BenchmarkSelectionModal
             modName={selectedMod.name}
             modId={selectedMod.id}
-            benchmarks={selectedMod.benchmarks}
+            benchmarks={getBenchmarkNodes(selectedMod.id)}
+            modVersion={benchmarkTrees[selectedMod.id]?.modVersion}
+            loading={benchmarkTrees[selectedMod.id]?.loading}
+            error={benchmarkTrees[selectedMod.id]?.error}
+            onRefresh={() => loadBenchmarkTree(selectedMod.id, true)}
             analysisStatus={analysisStatus}
             onClose={() => setShowBenchmarkModal(false)}
             onStartAnalysis={handleStartAnalysis}
+            onCancelAnalysis={handleCancelAnalysis}
+            onCompareRuns={(modId, benchmarkId) => {
+              const runs = getBenchmarkRuns(modId, benchmarkId);
+              if (runs.length >= 2) {
+                handleCompareRuns(modId, benchmarkId, runs[runs.length - 2].fileId, runs[runs.length - 1].fileId);
+              }
+            }}
+            onSelectControls={(modId, benchmark) => setControlPicker({ modId, benchmark })}
             onViewReport={handleViewReport}
+            onExploreFindings={handleExploreFindings}
+          />
+        );
+      })()}
+
+      {/* Dashboards Modal */}
+      {dashboardMod && subprocess?.id && (
+        <DashboardsModal
+          modId={dashboardMod.id}
+          modName={dashboardMod.name}
+          modRepo={dashboardMod.repo}
+          subprocessId={subprocess.id}
+          subscriptionId={subprocess.connection_config?.subscriptionId}
+          onClose={() => setDashboardModId(null)}
+          onOpenSnapshot={handleOpenSnapshot}
+        />
+      )}
+
+      {/* Dashboard Viewer Modal */}
+      {openSnapshot && (
+        <DashboardViewerModal
+          modName={AZURE_MODS.find(m => m.id === openSnapshot.snapshot.modId)?.name || openSnapshot.snapshot.modRepo}
+          snapshot={openSnapshot.snapshot}
+          dashboard={openSnapshot.dashboard}
+          onClose={() => setOpenSnapshot(null)}
+          onUploadToDataroom={handleUploadSnapshot}
+        />
+      )}
+
+      {/* Evidence Query Packs */}
+      {showQueryLibrary && (
+        <QueryLibraryModal
+          subprocessName={subprocess?.subprocess_name}
+          subscriptionId={subprocess?.connection_config?.subscriptionId}
+          onClose={() => setShowQueryLibrary(false)}
+          onReport={(run) => {
+            setShowQueryLibrary(false);
+            setCurrentReport({
+              kind: 'evidence',
+              modName: run.pack.title,
+              benchmarkName: `${run.pack.id} v${run.pack.version}`,
+              markdown: run.markdown,
+            });
+            setShowReportModal(true);
+          }}
+        />
+      )}
+
+      {/* Inventory Snapshots */}
+      {showInventory && subprocess?.id && (
+        <InventorySnapshotsModal
+          subprocessId={subprocess.id}
+          subprocessName={subprocess.subprocess_name}
+          subscriptionId={subprocess.connection_config?.subscriptionId}
+          userId={user?.token || 'unknown'}
+          onClose={() => setShowInventory(false)}
+        />
+      )}
+
+      {/* Custom Controls Editor */}
+      {showCustomControls && (
+        <CustomControlsModal
+          subprocessName={subprocess?.subprocess_name}
+          subscriptionId={subprocess?.connection_config?.subscriptionId}
+          onClose={() => setShowCustomControls(false)}
+          onChanged={() => setBenchmarkTrees(prev => {
+            const { [CUSTOM_MOD_ID]: _stale, ...rest } = prev;
+            return rest;
+          })}
+        />
+      )}
+
+      {/* Control Picker Modal */}
+      {controlPicker && (() => {
+        const mod = AZURE_MODS.find(m => m.id === controlPicker.modId);
+        if (!mod) return null;
+
+        // Any partial run of this benchmark started from the picker
+        const keyPrefix = `${mod.id}:${controlPicker.benchmark.id}~`;
+        const runningKey = Array.from(analyzingBenchmarks).find(key => key.startsWith(keyPrefix));
+
+        return (
+          <ControlPickerModal
+            modId={mod.id}
+            modRepo={mod.repo}
+            modName={mod.name}
+            benchmark={controlPicker.benchmark}
+            running={!!runningKey}
+            progress={runningKey ? runProgress[runIds[runningKey]] : undefined}
+            onRun={(controls, controlSet) => handleRunControls(mod.id, controlPicker.benchmark.id, controls, controlSet)}
+            onCancel={() => runningKey && handleCancelJob(runIds[runningKey])}
+            onClose={() => setControlPicker(null)}
           />
         );
       })()}
@@ -443,6 +1185,15 @@ export default function SubprocessPage({
           report={currentReport}
           onClose={() => setShowReportModal(false)}
           onUploadToDataroom={handleUploadToDataroom}
+          runs={getBenchmarkRuns(currentReport.modId, currentReport.benchmarkId)}
+          hasCurrentRun={hasCurrentRun(currentReport.modId, currentReport.benchmarkId)}
+          onCompare={(baseRunId, targetRunId) =>
+            handleCompareRuns(currentReport.modId, currentReport.benchmarkId, baseRunId, targetRunId)
+          }
+          onExploreFindings={() => {
+            setShowReportModal(false);
+            setExplorer({ modId: currentReport.modId, benchmarkName: currentReport.benchmarkName, findings: currentReport.findings });
+          }}
         />
       )}
     </div>
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
-import { Plus, Cloud, CheckCircle, Loader2, Database } from 'lucide-react';
+import { Plus, Cloud, CheckCircle, Loader2, Database, Puzzle } from 'lucide-react';
 import { Page } from '../App';
+import SteampipeServiceStatus from '../components/SteampipeServiceStatus';
+import PluginManagerModal from '../components/PluginManagerModal';
 
 interface ToolsTabProps {
   onSelectSubprocessor: (page: Page, subprocessId?: string) => void;
@@ -32,6 +34,7 @@ export default function ToolsTab({ onSelectSubprocessor, user }: ToolsTabProps)
   // Subprocess setup flow states
   const [showSubprocessModal, setShowSubprocessModal] = useState(false);
   const [showSubprocessTypeSelector, setShowSubprocessTypeSelector] = useState(false);
+  const [showPluginManager, setShowPluginManager] = useState(false);
   const [selectedSubprocessType, setSelectedSubprocessType] = useState<string>('');
   const [setupStep, setSetupStep] = useState<'check' | 'install' | 'auth' | 'subscriptions' | 'setup' | 'complete'>('check');
   const [setupMessage, setSetupMessage] = useState('');
@@ -196,13 +199,23 @@ export default function ToolsTab({ onSelectSubprocessor, user }: ToolsTabProps)
           <h1 className="text-3xl font-bold text-white mb-2">Cloud Integrations</h1>
           <p className="text-gray-400">Connect cloud platforms to automate evidence collection</p>
         </div>
-        <button
-          onClick={handleAddSubprocess}
-          className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
-        >
-          <Plus className="w-5 h-5" />
-          Add Subprocess
-        </button>
+        <div className="flex items-center gap-3">
+          <SteampipeServiceStatus />
+          <button
+            onClick={() => setShowPluginManager(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-800 border border-gray-700 text-gray-200 rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            <Puzzle className="w-5 h-5" />
+            Plugins
+          </button>
+          <button
+            onClick={handleAddSubprocess}
+            className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            <Plus className="w-5 h-5" />
+            Add Subprocess
+          </button>
+        </div>
       </div>
 
       {/* Subprocesses Grid */}
@@ -404,6 +417,8 @@ export default function ToolsTab({ onSelectSubprocessor, user }: ToolsTabProps)
       )}
 
       {/* Initialization Modal */}
+
+      {showPluginManager && <PluginManagerModal onClose={() => setShowPluginManager(false)} />}
     </div>
   );
 }
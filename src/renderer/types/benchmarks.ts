@@ -0,0 +1,71 @@
+// Benchmark tree discovered from an installed mod by src/main/benchmark-catalog.js
+
+export interface BenchmarkNode {
+  id: string;
+  qualifiedName: string;
+  title: string;
+  description: string;
+  tags: Record<string, string>;
+  controlCount: number | null;
+  children: BenchmarkNode[];
+}
+
+// A control under a benchmark, listed for partial runs
+export interface BenchmarkControl {
+  id: string;
+  qualifiedName: string;
+  title: string;
+  description: string;
+  severity: string | null;
+  // Title of the benchmark section the control was found in
+  section: string;
+}
+
+// Saved selection of controls managed by src/main/control-sets.js
+export interface ControlSet {
+  id: string;
+  name: string;
+  modId: string;
+  benchmarkId: string;
+  controls: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Organisation-specific controls authored in the app, from src/main/custom-controls.js
+
+export type ControlSeverity = 'none' | 'low' | 'medium' | 'high' | 'critical';
+
+export interface CustomControl {
+  id: string;
+  qualifiedName: string;
+  title: string;
+  description: string;
+  severity: ControlSeverity;
+  tags: Record<string, string>;
+  sql: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CustomBenchmark {
+  id: string;
+  qualifiedName: string;
+  title: string;
+  description: string;
+  // IDs of custom controls
+  controls: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CustomControlTestResult {
+  success: boolean;
+  columns?: string[];
+  rows?: Record<string, any>[];
+  totalRows?: number;
+  statuses?: Record<'ok' | 'alarm' | 'info' | 'skip' | 'error', number>;
+  // Required control columns (resource, status, reason) the query does not return
+  missingColumns?: string[];
+  error?: string;
+}
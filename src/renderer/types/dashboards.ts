@@ -0,0 +1,55 @@
+// Dashboard mods run as Powerpipe snapshots, from src/main/dashboard-snapshots.js
+
+export interface DashboardInfo {
+  id: string;
+  qualifiedName: string;
+  title: string;
+  description: string;
+  category: string | null;
+  tags: Record<string, string>;
+}
+
+export type DashboardCardType = 'alert' | 'info' | 'ok' | 'plain';
+
+// Panel tree parsed from a snapshot by src/main/dashboard-results.js
+export interface DashboardPanel {
+  name: string;
+  type: 'container' | 'card' | 'chart' | 'table' | 'text' | 'other';
+  // Powerpipe panel type, e.g. graph or flow for panels shown as unsupported
+  panelType: string;
+  title: string | null;
+  // Grid width out of 12
+  width: number;
+  status: string | null;
+  error: string | null;
+  children?: DashboardPanel[];
+  card?: { label: string | null; value: string | number | null; type: DashboardCardType };
+  chart?: { type: string; categories: string[]; series: { name: string; values: number[] }[] };
+  table?: { columns: { name: string; dataType: string | null }[]; rows: any[][]; totalRows: number };
+  text?: string;
+}
+
+export interface DashboardModel {
+  version: number;
+  generatedAt: string;
+  dashboard: { name: string; title: string };
+  panels: DashboardPanel[];
+  summary: { cards: number; charts: number; tables: number; errors: number };
+}
+
+export interface DashboardSnapshot {
+  id: string;
+  subprocessId: string | null;
+  modId: string | null;
+  modRepo: string;
+  modVersion: string | null;
+  dashboardName: string;
+  title: string;
+  generatedAt: string;
+  variables: Record<string, string>;
+  // Steampipe connection the dashboard queried
+  connection?: string | null;
+  summary: DashboardModel['summary'];
+  // DataRoomFile ID once uploaded as evidence
+  uploadedFileId: string | null;
+}
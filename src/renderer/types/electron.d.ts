@@ -1,3 +1,42 @@
+import type { BenchmarkDiff, BenchmarkFindings, BenchmarkRunRecord, FindingException, FindingExceptionInput, FindingsExportFormat, RemediationPlan, RemediationPlanInput } from './findings';
+import type {
+  BenchmarkControl,
+  BenchmarkNode,
+  ControlSet,
+  CustomBenchmark,
+  CustomControl,
+  CustomControlTestResult,
+} from './benchmarks';
+import type { BenchmarkJob, BenchmarkRunProgress, BenchmarkSchedule, RunScope } from './runs';
+import type { ModVersionStatus } from './mods';
+import type { DashboardInfo, DashboardModel, DashboardSnapshot } from './dashboards';
+import type { InventoryDiff, InventorySchedule, InventorySnapshot } from './inventory';
+import type {
+  QueryPack,
+  QueryPackRun,
+  SavedQuery,
+  SavedQueryInput,
+  SqlHistoryEntry,
+  SqlQueryResult,
+  SqlTableColumn,
+  SteampipePlugin,
+  SteampipeServiceStatus,
+} from './steampipe';
+
+type BenchmarkRunResult = {
+  success: boolean;
+  markdownReport?: string;
+  findings?: BenchmarkFindings | null;
+  artifacts?: Record<string, any>;
+  benchmark?: string;
+  benchmarkId?: string;
+  partial?: BenchmarkFindings['partial'] | null;
+  modVersion?: string | null;
+  scope?: RunScope | null;
+  cancelled?: boolean;
+  error?: string;
+};
+
 declare global {
   interface Window {
     electron: {
@@ -32,8 +71,10 @@ declare global {
         // Powerpipe operations
         powerpipe: {
           checkInstallation: () => Promise<{ success: boolean; powerpipe?: any; steampipe?: any; error?: string }>;
-          listPlugins: () => Promise<{ success: boolean; plugins?: string[]; knownPlugins?: string[]; pluginDetails?: any; note?: string; error?: string }>;
-          installPlugin: (pluginName: string) => Promise<{ success: boolean; message?: string; output?: string; error?: string }>;
+          listPlugins: () => Promise<{ success: boolean; plugins: SteampipePlugin[]; error?: string }>;
+          installPlugin: (pluginName: string, version?: string) => Promise<{ success: boolean; plugin?: string; alreadyInstalled?: boolean; output?: string; error?: string }>;
+          updatePlugin: (pluginName: string) => Promise<{ success: boolean; plugin?: string; previousVersion?: string | null; version?: string | null; output?: string; error?: string }>;
+          uninstallPlugin: (pluginName: string) => Promise<{ success: boolean; plugin?: string; output?: string; error?: string }>;
           configureConnection: (data: { pluginName: string; config: any }) => Promise<{ success: boolean; message?: string; configFile?: string; error?: string }>;
           testConnection: (pluginName: string) => Promise<{ success: boolean; message?: string; output?: string; error?: string }>;
           runBenchmark: (data: { pluginName: string; benchmarkName: string }) => Promise<{ success: boolean; results?: any; benchmark?: string; plugin?: string; error?: string }>;
@@ -41,15 +82,141 @@ declare global {
           mapControls: (data: { controls: any[] }) => Promise<{ success: boolean; mappings?: any; error?: string }>;
           collectEvidence: (data: { control: any; pluginName: string; config?: any }) => Promise<{ success: boolean; evidence?: any; file?: any; error?: string }>;
           getBenchmarks: (pluginName: string) => Promise<{ success: boolean; benchmarks?: string[]; error?: string }>;
-          runAzureQueries: (data: { limit?: number; subscriptionId?: string }) => Promise<{ success: boolean; results?: any[]; outputPath?: string; summary?: any; error?: string }>;
+          runAzureQueries: (data: { limit?: number; subscriptionId?: string }) => Promise<{ success: boolean; error?: string } & Partial<QueryPackRun>>;
           // Mod management
-          installMod: (data: { modRepo: string; version?: string }) => Promise<{ success: boolean; output?: string; error?: string }>;
-          checkModInstalled: (modRepo: string) => Promise<{ success: boolean; installed: boolean; error?: string }>;
-          runModBenchmark: (data: { modRepo: string; benchmarkName: string; format?: string }) => Promise<{ success: boolean; results?: any; stderr?: string; error?: string }>;
+          installMod: (data: { modRepo: string; version?: string }) => Promise<{ success: boolean; output?: string; version?: string | null; error?: string }>;
+          checkModInstalled: (modRepo: string) => Promise<{ success: boolean; installed: boolean; version?: string | null; error?: string }>;
+          runModBenchmark: (data: { modRepo: string; benchmarkName: string; format?: string; formats?: string[] }) => Promise<{ success: boolean; results?: any; artifacts?: Record<string, any>; stderr?: string; warnings?: string; error?: string }>;
           listBenchmarks: (data: { modRepo: string }) => Promise<{ success: boolean; benchmarks: any[]; error?: string }>;
-          runModCompliance: (data: { modId: string; modRepo: string; benchmarkId?: string }) => Promise<{ success: boolean; markdownReport?: string; jsonResults?: any; benchmark?: string; error?: string }>;
+          getBenchmarkTree: (modRepo: string, refresh?: boolean) => Promise<{ success: boolean; modVersion?: string; benchmarks: BenchmarkNode[]; cached?: boolean; discoveredAt?: string; error?: string }>;
+          getBenchmarkControls: (modRepo: string, benchmark: string) => Promise<{ success: boolean; controls: BenchmarkControl[]; error?: string }>;
+          runModCompliance: (data: { modId: string; modRepo: string; benchmarkId?: string; subprocessId?: string; subscriptionId?: string; runId?: string; totalControls?: number; controls?: string[]; controlSetId?: string }) => Promise<BenchmarkRunResult>;
+          cancelRun: (runId: string) => Promise<{ success: boolean; error?: string }>;
+          getRunFindings: (data: { subprocessId: string; modId: string; benchmarkId: string; runId?: string }) => Promise<{ success: boolean; findings?: BenchmarkFindings; analyzedAt?: string; error?: string }>;
+          diffRuns: (data: { subprocessId: string; modId: string; benchmarkId: string; baseRunId: string; targetRunId?: string; targetFindings?: BenchmarkFindings | null; modName?: string; benchmarkName?: string }) => Promise<{ success: boolean; diff?: BenchmarkDiff; markdown?: string; error?: string }>;
+          onRunProgress: (callback: (progress: BenchmarkRunProgress) => void) => () => void;
           checkPluginInstalled: () => Promise<{ success: boolean; installed: boolean; error?: string }>;
         };
+        // Steampipe SQL console
+        sqlConsole: {
+          run: (data: { subprocessId: string; subscriptionId?: string; sql: string }) => Promise<{ success: boolean; error?: string; durationMs?: number } & Partial<SqlQueryResult>>;
+          getColumns: (table: string) => Promise<{ success: boolean; columns: SqlTableColumn[]; error?: string }>;
+          listHistory: (subprocessId: string) => Promise<{ success: boolean; history: SqlHistoryEntry[]; error?: string }>;
+          clearHistory: (subprocessId: string) => Promise<{ success: boolean; error?: string }>;
+          listSaved: (subprocessId: string) => Promise<{ success: boolean; queries: SavedQuery[]; error?: string }>;
+          saveQuery: (data: SavedQueryInput) => Promise<{ success: boolean; query?: SavedQuery; error?: string }>;
+          deleteSaved: (id: string) => Promise<{ success: boolean; error?: string }>;
+          uploadEvidence: (data: { id: string; userId: string; subprocessId: string; subprocessName?: string; subscriptionId?: string }) => Promise<{ success: boolean; fileId?: string; query?: SavedQuery; error?: string }>;
+        };
+        // Evidence query packs
+        queryLibrary: {
+          list: () => Promise<{ success: boolean; packs: QueryPack[]; invalid: { file: string; error: string }[]; userPacksDir?: string; error?: string }>;
+          run: (data: { packId: string; queryIds?: string[]; subscriptionId?: string; subprocessName?: string }) => Promise<{ success: boolean; error?: string } & Partial<QueryPackRun>>;
+        };
+        // Steampipe service supervisor
+        steampipeService: {
+          getStatus: () => Promise<{ success: boolean; status: SteampipeServiceStatus }>;
+          restart: () => Promise<{ success: boolean; status?: SteampipeServiceStatus; error?: string }>;
+          onStatus: (callback: (status: SteampipeServiceStatus) => void) => () => void;
+        };
+        // Benchmark job queue
+        jobs: {
+          list: (filter?: { subprocessId?: string; status?: BenchmarkJob['status'] }) => Promise<{ success: boolean; jobs: BenchmarkJob[]; error?: string }>;
+          retry: (jobId: string) => Promise<{ success: boolean; job?: BenchmarkJob; error?: string }>;
+          wait: (jobId: string) => Promise<BenchmarkRunResult>;
+          cancel: (jobId: string) => Promise<{ success: boolean; error?: string }>;
+          getConcurrency: () => Promise<{ success: boolean; concurrency: number }>;
+          setConcurrency: (value: number) => Promise<{ success: boolean; concurrency?: number; error?: string }>;
+          onJobUpdate: (callback: (job: BenchmarkJob) => void) => () => void;
+        };
+        // Mod version pinning, updates and rollback
+        modVersions: {
+          list: (options?: { checkLatest?: boolean; refresh?: boolean }) => Promise<{ success: boolean; mods: ModVersionStatus[]; error?: string }>;
+          upgrade: (modId: string, version?: string) => Promise<{ success: boolean; status?: ModVersionStatus; error?: string }>;
+          rollback: (modId: string) => Promise<{ success: boolean; status?: ModVersionStatus; error?: string }>;
+        };
+        // Custom controls and benchmarks in the Powerpipe workspace
+        customControls: {
+          list: () => Promise<{ success: boolean; controls: CustomControl[]; benchmarks: CustomBenchmark[]; error?: string }>;
+          saveControl: (data: Pick<CustomControl, 'id' | 'title' | 'description' | 'severity' | 'tags' | 'sql'>) => Promise<{ success: boolean; control?: CustomControl; error?: string }>;
+          deleteControl: (id: string) => Promise<{ success: boolean; error?: string }>;
+          saveBenchmark: (data: Pick<CustomBenchmark, 'id' | 'title' | 'description' | 'controls'>) => Promise<{ success: boolean; benchmark?: CustomBenchmark; error?: string }>;
+          deleteBenchmark: (id: string) => Promise<{ success: boolean; error?: string }>;
+          test: (data: { sql: string; subscriptionId?: string }) => Promise<CustomControlTestResult>;
+        };
+        // Saved control sets for partial runs
+        controlSets: {
+          list: (filter?: { modId?: string; benchmarkId?: string }) => Promise<{ success: boolean; controlSets: ControlSet[]; error?: string }>;
+          save: (data: { id?: string; name: string; modId: string; benchmarkId: string; controls: string[] }) => Promise<{ success: boolean; controlSet?: ControlSet; error?: string }>;
+          delete: (id: string) => Promise<{ success: boolean; error?: string }>;
+        };
+        // Dashboard mods run as snapshots
+        dashboards: {
+          list: (modRepo: string, refresh?: boolean) => Promise<{ success: boolean; modVersion?: string; dashboards: DashboardInfo[]; cached?: boolean; error?: string }>;
+          runSnapshot: (data: { subprocessId?: string; subscriptionId?: string; modId: string; modRepo: string; dashboardName: string }) => Promise<{ success: boolean; snapshot?: DashboardSnapshot; dashboard?: DashboardModel; warnings?: string; error?: string }>;
+          listSnapshots: (filter?: { subprocessId?: string; dashboardName?: string }) => Promise<{ success: boolean; snapshots: DashboardSnapshot[]; error?: string }>;
+          getSnapshot: (id: string) => Promise<{ success: boolean; snapshot?: DashboardSnapshot; dashboard?: DashboardModel; error?: string }>;
+          deleteSnapshot: (id: string) => Promise<{ success: boolean; error?: string }>;
+          uploadSnapshot: (data: { id: string; modName?: string; userId: string; subprocessId?: string; subprocessName?: string }) => Promise<{ success: boolean; fileId?: string; filePath?: string; error?: string }>;
+        };
+        // Point-in-time resource inventory snapshots per subprocess
+        inventory: {
+          capture: (data: { subprocessId: string; subprocessName?: string; subscriptionId?: string }) => Promise<{ success: boolean; snapshot?: InventorySnapshot; error?: string }>;
+          list: (subprocessId: string) => Promise<{ success: boolean; snapshots: InventorySnapshot[]; schedule: InventorySchedule | null; error?: string }>;
+          delete: (subprocessId: string, id: string) => Promise<{ success: boolean; error?: string }>;
+          compare: (subprocessId: string, baseId: string, targetId: string) => Promise<{ success: boolean; diff?: InventoryDiff; error?: string }>;
+          // A null cron removes the schedule
+          setSchedule: (data: { subprocessId: string; subprocessName?: string; subscriptionId?: string; cron: string | null; enabled?: boolean }) => Promise<{ success: boolean; schedule?: InventorySchedule | null; error?: string }>;
+          upload: (data: { subprocessId: string; id: string; userId: string; subprocessName?: string }) => Promise<{ success: boolean; fileId?: string; filePath?: string; error?: string }>;
+        };
+        // Per-subprocess Powerpipe variables and tag filters
+        runSettings: {
+          get: (subprocessId: string) => Promise<{ success: boolean; settings?: RunScope; error?: string }>;
+          save: (data: { subprocessId: string } & RunScope) => Promise<{ success: boolean; settings?: RunScope; error?: string }>;
+        };
+        // Accepted-risk exceptions for control/resource pairs
+        findingExceptions: {
+          list: (subprocessId: string) => Promise<{ success: boolean; exceptions: FindingException[]; error?: string }>;
+          save: (data: { subprocessId: string; exception: FindingExceptionInput }) => Promise<{ success: boolean; exception?: FindingException; error?: string }>;
+          delete: (id: string) => Promise<{ success: boolean; error?: string }>;
+        };
+        // Remediation guidance and generated scripts
+        remediation: {
+          get: (data: { modRepo: string; control: { id: string; title: string; description?: string }; resources: string[] }) => Promise<{
+            success: boolean;
+            guidance?: string | null;
+            guidanceSource?: 'remediation' | 'documentation' | 'description';
+            script?: string | null;
+            templateId?: string | null;
+            note?: string | null;
+            error?: string;
+          }>;
+          listPlans: (filter?: { subprocessId?: string; controlId?: string }) => Promise<{ success: boolean; plans: RemediationPlan[]; error?: string }>;
+          savePlan: (data: RemediationPlanInput) => Promise<{ success: boolean; plan?: RemediationPlan; error?: string }>;
+          deletePlan: (id: string) => Promise<{ success: boolean; error?: string }>;
+        };
+        // Scheduled benchmark runs
+        schedules: {
+          list: (filter?: { subprocessId?: string }) => Promise<{ success: boolean; schedules: BenchmarkSchedule[]; error?: string }>;
+          create: (data: {
+            subprocessId: string;
+            subprocessName?: string;
+            subscriptionId?: string;
+            userId?: string;
+            modId: string;
+            modRepo: string;
+            modName?: string;
+            benchmarkId: string;
+            benchmarkName?: string;
+            totalControls?: number;
+            cron: string;
+            autoUpload: boolean;
+            enabled?: boolean;
+          }) => Promise<{ success: boolean; schedule?: BenchmarkSchedule; error?: string }>;
+          update: (id: string, changes: { cron?: string; autoUpload?: boolean; enabled?: boolean }) => Promise<{ success: boolean; schedule?: BenchmarkSchedule; error?: string }>;
+          delete: (id: string) => Promise<{ success: boolean; error?: string }>;
+          onScheduleUpdate: (callback: (schedule: BenchmarkSchedule | { id: string; deleted: true }) => void) => () => void;
+        };
         // Subprocess management
         subprocess: {
           save: (data: { userId: string; subprocessData: any }) => Promise<{ success: boolean; subprocess?: any; error?: string }>;
@@ -61,10 +228,14 @@ declare global {
           installAzureCLI: () => Promise<{ success: boolean; error?: string }>;
           authenticateAzureCLI: () => Promise<{ success: boolean; accounts?: any[]; message?: string; error?: string }>;
           getAzureSubscriptions: () => Promise<{ success: boolean; subscriptions?: any[]; error?: string }>;
-          setupAzure: (data: { subscriptionId: string; tenantId?: string }) => Promise<{ success: boolean; subscriptions?: any[]; message?: string; error?: string }>;
-          configurePlugin: (subscriptionId: string) => Promise<{ success: boolean; cached?: boolean; configFile?: string; error?: string }>;
+          setupAzure: (data: { subscriptionId: string; tenantId?: string }) => Promise<{ success: boolean; connection?: string; subscriptions?: any[]; message?: string; error?: string }>;
+          configurePlugin: (subscriptionId: string) => Promise<{ success: boolean; connection?: string; cached?: boolean; configFile?: string; error?: string }>;
           getAzureTables: () => Promise<{ success: boolean; tables?: string[]; error?: string }>;
-          querySteampipe: (data: { query: string }) => Promise<{ success: boolean; data?: any; error?: string }>;
+          querySteampipe: (data: { query: string; params?: unknown[]; maxRows?: number }) => Promise<{
+            success: boolean;
+            data?: { columns: string[]; rows: Record<string, any>[]; rowCount: number; truncated: boolean };
+            error?: string;
+          }>;
           installAzureMod: () => Promise<{ success: boolean; error?: string }>;
           getBenchmarks: (data?: { modName?: string }) => Promise<{ success: boolean; benchmarks?: any[]; error?: string }>;
           runBenchmark: (data: { benchmarkName: string }) => Promise<{ success: boolean; results?: any; error?: string }>;
@@ -72,7 +243,39 @@ declare global {
         // Dataroom management
       // Dataroom management
       dataroom: {
-        saveReport: (data: { fileName: string; content: string; userId: string; subprocessId: string; subprocessName?: string; modId?: string; benchmarkId?: string }) => Promise<{ success: boolean; filePath?: string; fileId?: string; error?: string }>;
+        saveReport: (data: {
+          fileName: string;
+          content: string;
+          userId: string;
+          subprocessId: string;
+          subprocessName?: string;
+          modId?: string;
+          modName?: string;
+          benchmarkId?: string;
+          findings?: BenchmarkFindings | null;
+          // Findings exports uploaded as extra files next to the report
+          exportFormats?: FindingsExportFormat[];
+        }) => Promise<{
+          success: boolean;
+          filePath?: string;
+          findingsPath?: string;
+          fileId?: string;
+          exports?: { format: FindingsExportFormat; fileName: string; fileId: string; filePath: string }[];
+          error?: string;
+        }>;
+        readReport: (data: { subprocessId: string; modId: string; benchmarkId: string; fileId: string }) => Promise<{
+          success: boolean;
+          markdown?: string;
+          findings?: BenchmarkFindings | null;
+          // Where the report was read from - blob means the local copy was missing
+          source?: 'local' | 'blob';
+          run?: BenchmarkRunRecord;
+          error?: string;
+        }>;
+      };
+      // Machine-readable findings exports
+      findings: {
+        export: (data: { findings: BenchmarkFindings; format: FindingsExportFormat; meta?: { modName?: string; subscriptionId?: string } }) => Promise<{ success: boolean; content?: string; extension?: string; contentType?: string; records?: number; error?: string }>;
       };
       // Installation status
       getInstallationStatus: () => Promise<{ success: boolean; status?: any }>;
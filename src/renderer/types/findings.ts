@@ -0,0 +1,175 @@
+import type { RunScope } from './runs';
+
+// Normalized findings model produced by src/main/benchmark-results.js
+
+// "excepted" replaces "alarm" for results covered by an active finding exception
+export type FindingStatus = 'alarm' | 'ok' | 'info' | 'skip' | 'error' | 'excepted';
+
+export interface FindingTotals {
+  alarm: number;
+  ok: number;
+  info: number;
+  skip: number;
+  error: number;
+  // Missing from findings saved before exceptions existed
+  excepted?: number;
+  total: number;
+}
+
+export interface FindingResult {
+  controlId: string;
+  resource: string | null;
+  status: FindingStatus;
+  reason: string;
+  dimensions: Record<string, string | null>;
+  severity: string | null;
+  // Set on excepted results
+  exceptionId?: string;
+}
+
+export interface FindingControl {
+  id: string;
+  title: string;
+  description: string;
+  severity: string | null;
+  tags: Record<string, string>;
+  runStatus: number | null;
+  runError: string | null;
+  summary: FindingTotals;
+  results: FindingResult[];
+}
+
+export interface FindingGroup {
+  id: string;
+  title: string;
+  description: string;
+  tags: Record<string, string>;
+  summary: FindingTotals;
+  groups: FindingGroup[];
+  controls: FindingControl[];
+}
+
+// Set when only a selection of the benchmark's controls was run
+export interface PartialRunInfo {
+  benchmark: string;
+  controls: string[];
+  controlSetId: string | null;
+  controlSetName: string | null;
+}
+
+export interface BenchmarkFindings {
+  version: number;
+  generatedAt: string;
+  benchmark: FindingGroup;
+  partial?: PartialRunInfo;
+  // Version of the mod that produced the results
+  modVersion?: string | null;
+  // Variables and tag filters the run used
+  scope?: RunScope | null;
+  // Steampipe connection of the subscription the run queried
+  connection?: string | null;
+  // Exceptions that matched an alarm in this run
+  exceptions?: AppliedFindingException[];
+}
+
+// Accepted risk for a control/resource pair, as stored in the finding_exceptions table
+export interface FindingException {
+  id: string;
+  subprocess_id: string;
+  control_id: string;
+  resource: string;
+  justification: string;
+  approver: string;
+  expires_at: string;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export type FindingExceptionInput = Pick<FindingException, 'control_id' | 'resource' | 'justification' | 'approver' | 'expires_at'> & {
+  created_by?: string;
+};
+
+// An exception as applied to a run by src/main/finding-exceptions.js
+export interface AppliedFindingException {
+  id: string;
+  controlId: string;
+  controlTitle: string;
+  resource: string;
+  justification: string;
+  approver: string;
+  expiresAt: string;
+  expired: boolean;
+}
+
+// Reviewed remediation script attached to a control's findings (src/main/remediation.js)
+export interface RemediationPlan {
+  id: string;
+  subprocessId: string;
+  modId: string | null;
+  benchmarkId: string | null;
+  controlId: string;
+  controlTitle: string;
+  resources: string[];
+  script: string;
+  guidance: string | null;
+  templateId: string | null;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+export type RemediationPlanInput = Omit<RemediationPlan, 'id' | 'createdAt' | 'modId' | 'benchmarkId' | 'guidance' | 'templateId' | 'createdBy'> & {
+  modId?: string;
+  benchmarkId?: string;
+  guidance?: string | null;
+  templateId?: string | null;
+  createdBy?: string;
+};
+
+// Machine-readable exports produced by src/main/findings-export.js
+export type FindingsExportFormat = 'csv' | 'jsonl' | 'ocsf' | 'asff';
+
+// Drift diff between two runs, produced by src/main/benchmark-diff.js
+
+export interface FindingDiffEntry {
+  controlId: string;
+  controlTitle: string;
+  resource: string | null;
+  severity: string | null;
+  fromStatus: FindingStatus | null;
+  toStatus: FindingStatus | null;
+  reason: string;
+}
+
+export interface FindingDiffResource {
+  resource: string;
+  controls: number;
+  statuses: FindingTotals;
+}
+
+export interface BenchmarkDiff {
+  benchmark: { id: string; title: string };
+  base: { generatedAt: string; modVersion: string | null; scope: RunScope | null; summary: FindingTotals };
+  target: { generatedAt: string; modVersion: string | null; scope: RunScope | null; summary: FindingTotals };
+  newAlarms: FindingDiffEntry[];
+  resolvedAlarms: FindingDiffEntry[];
+  // Alarms whose risk was accepted - kept apart from resolved alarms
+  newlyExcepted: FindingDiffEntry[];
+  regressions: FindingDiffEntry[];
+  newResources: FindingDiffResource[];
+}
+
+// One saved run of a benchmark as stored in orgsubprocesses.results
+export interface BenchmarkRunRecord {
+  fileId: string;
+  fileName?: string;
+  localPath?: string;
+  findingsPath?: string | null;
+  // Findings uploaded next to the report, so other machines can diff the run
+  findingsBlobUrl?: string | null;
+  encryptedFindingsBlobUrl?: string | null;
+  summary?: FindingTotals | null;
+  modVersion?: string | null;
+  analyzedAt: string;
+  status: string;
+}
@@ -0,0 +1,54 @@
+// Resource inventory snapshots, from src/main/inventory-snapshots.js
+
+export interface InventorySnapshot {
+  id: string;
+  // Per-subprocess snapshot number, never reused
+  sequence: number;
+  subprocessId: string;
+  subprocessName: string | null;
+  subscriptionId: string | null;
+  connection: string | null;
+  capturedAt: string;
+  trigger: 'manual' | 'scheduled';
+  formatVersion: number;
+  // Per table, e.g. virtual_machines - error is set when the table could not be read
+  tables: Record<string, { rowCount: number; error: string | null }>;
+  resourceCount: number;
+  sizeBytes: number;
+  uploadedFileId: string | null;
+}
+
+export interface InventorySchedule {
+  subprocessName: string | null;
+  subscriptionId: string | null;
+  cron: string;
+  enabled: boolean;
+  nextRunAt: string | null;
+  lastRunAt?: string;
+  lastStatus?: 'succeeded' | 'failed';
+  lastError?: string | null;
+  updatedAt: string;
+}
+
+export interface InventoryResource {
+  id: string;
+  name: string | null;
+  resourceGroup: string | null;
+}
+
+export interface InventoryTableDiff {
+  key: string;
+  title: string;
+  added: InventoryResource[];
+  removed: InventoryResource[];
+  modified: (InventoryResource & { changes: { column: string; from: unknown; to: unknown }[] })[];
+  // Why the table was not compared - it failed to load in one of the snapshots
+  skipped: string | null;
+}
+
+export interface InventoryDiff {
+  base: InventorySnapshot;
+  target: InventorySnapshot;
+  tables: InventoryTableDiff[];
+  summary: { added: number; removed: number; modified: number };
+}
@@ -0,0 +1,20 @@
+// Installed, pinned and latest versions of a mod, from src/main/mod-versions.js
+
+export interface ModVersionHistoryEntry {
+  version: string;
+  action: 'install' | 'repin' | 'upgrade' | 'rollback';
+  installedAt: string;
+}
+
+export interface ModVersionStatus {
+  modId: string;
+  modRepo: string;
+  declaredVersion: string;
+  pinnedVersion: string;
+  installedVersion: string | null;
+  latestVersion: string | null;
+  previousVersion: string | null;
+  matchesPin: boolean;
+  updateAvailable: boolean;
+  history: ModVersionHistoryEntry[];
+}
@@ -0,0 +1,94 @@
+// Progress events streamed from the main process while a benchmark runs
+
+export type BenchmarkRunStatus = 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface BenchmarkRunProgress {
+  runId: string;
+  benchmark: string;
+  status: BenchmarkRunStatus;
+  controlsCompleted: number;
+  totalControls: number | null;
+  currentGroup: string | null;
+  alarms: number;
+}
+
+// Powerpipe variables and control tag filters applied to a subprocess's runs (src/main/run-settings.js)
+
+export interface RunTagFilter {
+  key: string;
+  value: string;
+}
+
+export interface RunScope {
+  variables: Record<string, string>;
+  tags: RunTagFilter[];
+}
+
+// Benchmark job tracked by the main process job queue (src/main/benchmark-jobs.js)
+
+export type BenchmarkJobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface BenchmarkJob {
+  id: string;
+  modId: string;
+  modRepo: string;
+  benchmarkId: string | null;
+  subprocessId: string | null;
+  // Azure subscription whose Steampipe connection the run queries
+  subscriptionId?: string | null;
+  totalControls: number | null;
+  // Qualified control names when only part of the benchmark is run
+  controls?: string[] | null;
+  controlSetId?: string | null;
+  controlSetName?: string | null;
+  // Run settings captured when the job was queued
+  scope?: RunScope | null;
+  status: BenchmarkJobStatus;
+  // Set when a running job is cancelled before its benchmark process has started
+  cancelRequested?: boolean;
+  attempts: number;
+  queuedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  durationMs: number | null;
+  error: string | null;
+}
+
+// Recurring benchmark schedule managed by src/main/benchmark-scheduler.js
+
+export type ScheduleOutcomeStatus = 'running' | 'succeeded' | 'failed' | 'cancelled' | 'skipped';
+
+export interface ScheduleOutcome {
+  scheduledFor: string;
+  startedAt: string;
+  finishedAt: string | null;
+  status: ScheduleOutcomeStatus;
+  error: string | null;
+  jobId?: string;
+  fileId?: string | null;
+  uploaded?: boolean;
+  missed: boolean;
+}
+
+export interface BenchmarkSchedule {
+  id: string;
+  subprocessId: string;
+  subprocessName: string | null;
+  subscriptionId?: string | null;
+  userId: string | null;
+  modId: string;
+  modRepo: string;
+  modName: string | null;
+  benchmarkId: string;
+  benchmarkName: string | null;
+  totalControls: number | null;
+  cron: string;
+  autoUpload: boolean;
+  enabled: boolean;
+  createdAt: string;
+  updatedAt: string;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastStatus: ScheduleOutcomeStatus | null;
+  history: ScheduleOutcome[];
+}
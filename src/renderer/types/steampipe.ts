@@ -0,0 +1,145 @@
+// Steampipe service lifecycle, from src/main/steampipe-supervisor.js
+
+export type SteampipeServiceState = 'starting' | 'ready' | 'degraded' | 'stopped';
+
+export interface SteampipeServiceStatus {
+  state: SteampipeServiceState;
+  // False when the service was started outside the app - the app never stops it
+  owned: boolean;
+  pid: number | null;
+  port: number;
+  error: string | null;
+  // Restart attempts in a row since the service was last ready
+  restarts: number;
+  since: string;
+}
+
+// Steampipe plugins, from src/main/plugin-manager.js
+
+export type PluginHealthStatus = 'healthy' | 'loading' | 'error' | 'no_connections' | 'unknown';
+
+export interface PluginHealth {
+  status: PluginHealthStatus;
+  // Connections the service reports for the plugin, and how many of them are ready
+  total: number;
+  ready: number;
+  errors: { connection: string; error: string }[];
+  message: string;
+}
+
+export interface SteampipePlugin {
+  // Name to pass to install, update and uninstall, e.g. "azure" or "azure@0.60.0"
+  ref: string;
+  name: string;
+  org: string | null;
+  // Version constraint the plugin was installed with - "latest" unless pinned
+  stream: string;
+  imageRef: string;
+  version: string | null;
+  installed: boolean;
+  displayName: string;
+  description: string | null;
+  // Needed by the compliance mods - cannot be uninstalled
+  required: boolean;
+  connections: string[];
+  connectionCount: number;
+  health: PluginHealth | null;
+}
+
+// SQL console, from src/main/sql-console.js
+
+export interface SqlQueryResult {
+  columns: string[];
+  rows: Record<string, unknown>[];
+  // Every row the query returned - more than rows.length when truncated
+  rowCount: number;
+  truncated: boolean;
+  durationMs: number;
+}
+
+export interface SqlTableColumn {
+  name: string;
+  type: string;
+  description: string | null;
+}
+
+export interface SqlHistoryEntry {
+  id: string;
+  subprocessId: string;
+  sql: string;
+  ranAt: string;
+  durationMs: number;
+  rowCount: number | null;
+  error: string | null;
+}
+
+export interface SavedQueryEvidence {
+  fileId: string;
+  rowCount: number;
+  uploadedAt: string;
+}
+
+export interface SavedQuery {
+  id: string;
+  subprocessId: string;
+  name: string;
+  sql: string;
+  // Control the query is evidence for
+  controlId: string | null;
+  controlTitle: string | null;
+  evidence: SavedQueryEvidence[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type SavedQueryInput = Pick<SavedQuery, 'subprocessId' | 'name' | 'sql'> & {
+  id?: string;
+  controlId?: string | null;
+  controlTitle?: string | null;
+};
+
+// Evidence query packs, from src/main/query-library.js
+
+export interface EvidenceQuery {
+  id: string;
+  category: string;
+  title: string;
+  description?: string;
+  sql: string;
+  // Columns the query is expected to return
+  columns: string[];
+  // SCF control IDs the results are evidence for
+  controls: string[];
+}
+
+export interface QueryPack {
+  id: string;
+  version: string;
+  title: string;
+  description?: string;
+  plugin?: string;
+  queries: EvidenceQuery[];
+  source: 'builtin' | 'user';
+  file: string;
+  // Version of the built-in pack a user pack replaces
+  replaces?: string;
+}
+
+export interface QueryPackResult {
+  id: string;
+  category: string;
+  title: string;
+  success: boolean;
+  rowCount: number;
+  missingColumns: string[];
+  controls: string[];
+  error?: string;
+}
+
+export interface QueryPackRun {
+  pack: Pick<QueryPack, 'id' | 'version' | 'title' | 'source'>;
+  markdown: string;
+  results: QueryPackResult[];
+  summary: { total: number; successful: number; failed: number };
+  controls: string[];
+}